@@ -0,0 +1,54 @@
+/**
+ * 内置的中国大陆法定节假日安排（依据国务院办公厅发布的放假通知），目前覆盖 2024-2026 年
+ * 新一年的通知发布后在这里追加，也可以在运行时通过 loadHolidays 加载
+ *
+ * 每年一项：
+ * - holidays: 节日名称 -> 放假日期，"MM-DD" 或 "MM-DD~MM-DD" 区间，也可以是数组
+ * - workdays: 调休上班的日期（通常是周末）
+ */
+export const chinaHolidays = {
+  2024: {
+    holidays: {
+      元旦: "01-01",
+      春节: "02-10~02-17",
+      清明节: "04-04~04-06",
+      劳动节: "05-01~05-05",
+      端午节: "06-10",
+      中秋节: "09-15~09-17",
+      国庆节: "10-01~10-07",
+    },
+    workdays: [
+      "02-04",
+      "02-18",
+      "04-07",
+      "04-28",
+      "05-11",
+      "09-14",
+      "09-29",
+      "10-12",
+    ],
+  },
+  2025: {
+    holidays: {
+      元旦: "01-01",
+      春节: "01-28~02-04",
+      清明节: "04-04~04-06",
+      劳动节: "05-01~05-05",
+      端午节: "05-31~06-02",
+      "国庆节、中秋节": "10-01~10-08",
+    },
+    workdays: ["01-26", "02-08", "04-27", "09-28", "10-11"],
+  },
+  2026: {
+    holidays: {
+      元旦: "01-01~01-03",
+      春节: "02-15~02-23",
+      清明节: "04-04~04-06",
+      劳动节: "05-01~05-05",
+      端午节: "06-19~06-21",
+      中秋节: "09-25~09-27",
+      国庆节: "10-01~10-07",
+    },
+    workdays: ["01-04", "02-14", "02-28", "05-09", "09-20", "10-10"],
+  },
+};
@@ -2,82 +2,435 @@
  * 日期工具函数集合
  */
 
+import { builtinLocales } from "./locales.js";
+import {
+  solarToLunar,
+  lunarToSolar,
+  getLunarMonthDays,
+  getGanZhiYear,
+  getZodiac,
+  getLunarMonthName,
+  getLunarDayName,
+  getSolarTermDays,
+  TRADITIONAL_FESTIVALS,
+} from "./lunar.js";
+import { chinaHolidays } from "./holidays.js";
+
+/**
+ * 已注册的语言包
+ */
+const localeRegistry = { ...builtinLocales };
+
+/**
+ * 全局默认语言
+ */
+let defaultLocale = "zh-CN";
+
+/**
+ * 全局的每周起始日（0 为周日，1 为周一），未设置时为 null，按周日处理
+ */
+let defaultWeekStartsOn = null;
+
+/**
+ * 设置全局的每周起始日，影响 startOf/endOf 的 week、getWeekOfYear 和 diff 的 week
+ * @param {number|null} day - 0-6，0 为周日、1 为周一；传入 null 恢复默认
+ * @returns {number|null} 当前的每周起始日
+ */
+export function setWeekStartsOn(day) {
+  if (day === null || (Number.isInteger(day) && day >= 0 && day <= 6)) {
+    defaultWeekStartsOn = day;
+  }
+  return defaultWeekStartsOn;
+}
+
+/**
+ * 内部工具函数：确定每周起始日，优先使用调用时传入的选项
+ */
+function resolveWeekStartsOn(options = {}) {
+  if (Number.isInteger(options.weekStartsOn)) return options.weekStartsOn;
+  return defaultWeekStartsOn === null ? 0 : defaultWeekStartsOn;
+}
+
+/**
+ * 全局的财年起始月份（1-12），默认为 1 月，即财年与自然年相同
+ */
+let defaultFiscalYearStart = 1;
+
+/**
+ * 设置全局的财年起始月份，影响 fiscalYear 单位、getFiscalYear、getFiscalQuarter 和 FY、FQ 占位符
+ * @param {number} month - 1-12，如 4 表示财年从 4 月 1 日开始
+ * @returns {number} 当前的财年起始月份
+ */
+export function setFiscalYearStart(month) {
+  if (Number.isInteger(month) && month >= 1 && month <= 12) {
+    defaultFiscalYearStart = month;
+  }
+  return defaultFiscalYearStart;
+}
+
+/**
+ * 内部工具函数：确定财年起始月份，优先使用调用时传入的选项
+ */
+function resolveFiscalYearStart(options = {}) {
+  const month = options.fiscalYearStart;
+  return Number.isInteger(month) && month >= 1 && month <= 12
+    ? month
+    : defaultFiscalYearStart;
+}
+
+/**
+ * 内部工具函数：计算公历年月所在的财年，财年以开始的年份命名
+ * @returns {Object} { year, month, quarter }，month 为财年第一个月，quarter 为财年季度（1-4）
+ */
+function getFiscalParts(year, month, options) {
+  const start = resolveFiscalYearStart(options);
+  const fiscalYear = month >= start ? year : year - 1;
+  const index = (month - start + 12) % 12;
+  return {
+    year: fiscalYear,
+    month: start,
+    quarter: Math.floor(index / 3) + 1,
+  };
+}
+
+/**
+ * 语言包中按短语合并的字段，只提供部分短语时其余短语使用默认语言包的
+ */
+const LOCALE_PHRASE_FIELDS = ["relativeTime", "duration", "cron"];
+
+/**
+ * 注册语言包，同名语言包会被覆盖
+ * 缺少的字段使用全局默认语言包的（calendar 除外，没有时 calendarTime 使用 Intl 输出），
+ * 因此只提供部分字段（如只有 weekdays）的语言包也可以正常使用
+ * @param {string} name - 语言标识，如 "en-US"
+ * @param {Object} pack - 语言包，字段参见 locales.js
+ * @returns {Object} 注册后的语言包
+ */
+export function registerLocale(name, pack) {
+  const base = { ...localeRegistry[defaultLocale] };
+  delete base.calendar;
+  const merged = { ...base, ...pack, name };
+  LOCALE_PHRASE_FIELDS.forEach((field) => {
+    merged[field] = { ...base[field], ...pack[field] };
+  });
+  localeRegistry[name] = merged;
+  return merged;
+}
+
+/**
+ * 设置全局默认语言
+ * @param {string} name - 已注册的语言标识
+ * @returns {string} 当前的默认语言
+ */
+export function setLocale(name) {
+  if (localeRegistry[name]) defaultLocale = name;
+  return defaultLocale;
+}
+
+/**
+ * 获取语言包
+ * @param {string|Object} [locale] - 语言标识或语言包对象，默认为全局默认语言
+ * @returns {Object} 语言包，找不到时返回默认语言包
+ */
+export function getLocale(locale) {
+  if (locale && typeof locale === "object") return locale;
+  if (typeof locale === "string") {
+    if (localeRegistry[locale]) return localeRegistry[locale];
+    // 只给出语言部分时（如 "en"），匹配第一个同语言的语言包
+    const language = locale.split("-")[0];
+    const matched = Object.keys(localeRegistry).find(
+      (name) => name.split("-")[0] === language
+    );
+    if (matched) return localeRegistry[matched];
+  }
+  return localeRegistry[defaultLocale];
+}
+
+/**
+ * 格式化模板中的占位符，[] 中的内容原样输出；同一字母的占位符长的在前，保证最长匹配
+ */
+const TOKEN_PATTERN =
+  /\[([^\]]+)\]|LY|LZ|LM|LD|LJ|LF|GGGG|WW|FY|FQ|YYYY|YY|MMMM|MMM|MM|M|DD|Do|D|HH|H|hh|h|mm|m|ss|s|SSS|SS|S|dddd|ddd|dd|d|A|a|ZZ|Z|X|x|Q/g;
+
+/**
+ * 各占位符在 formatToParts 结果中的类型
+ */
+const TOKEN_TYPES = {
+  YYYY: "year",
+  YY: "year",
+  GGGG: "weekYear",
+  WW: "week",
+  Q: "quarter",
+  FY: "fiscalYear",
+  FQ: "fiscalQuarter",
+  MMMM: "month",
+  MMM: "month",
+  MM: "month",
+  M: "month",
+  DD: "day",
+  Do: "day",
+  D: "day",
+  HH: "hour",
+  H: "hour",
+  hh: "hour",
+  h: "hour",
+  mm: "minute",
+  m: "minute",
+  ss: "second",
+  s: "second",
+  SSS: "fractionalSecond",
+  SS: "fractionalSecond",
+  S: "fractionalSecond",
+  dddd: "weekday",
+  ddd: "weekday",
+  dd: "weekday",
+  d: "weekday",
+  A: "dayPeriod",
+  a: "dayPeriod",
+  ZZ: "timeZoneName",
+  Z: "timeZoneName",
+  X: "timestamp",
+  x: "timestamp",
+  LY: "lunar",
+  LZ: "lunar",
+  LM: "lunar",
+  LD: "lunar",
+  LJ: "lunar",
+  LF: "lunar",
+};
+
+/**
+ * 预设的格式化模板，format、formatToParts 和 parse 都可以直接传入名称
+ */
+const FORMAT_PRESETS = {
+  datetime: "YYYY-MM-DD HH:mm:ss",
+  date: "YYYY-MM-DD",
+  time: "HH:mm:ss",
+  iso: "YYYY-MM-DD[T]HH:mm:ss.SSSZ",
+};
+
 /**
  * 日期格式化
  * @param {Date|string|number} date - 日期对象、时间戳或日期字符串
- * @param {string} format - 格式化模板，支持以下占位符：
+ * @param {string} format - 格式化模板或预设名称（datetime、date、time、iso），模板支持以下占位符：
  * - YYYY: 四位年份
+ * - YY: 两位年份
+ * - GGGG: ISO 周所属的年份
+ * - WW: 两位 ISO 周数
+ * - Q: 季度（1-4）
+ * - FY: 财年，以财年开始的年份命名
+ * - FQ: 财年季度（1-4）
+ * - MMMM: 月份全称
+ * - MMM: 月份简称
  * - MM: 两位月份
+ * - M: 月份
  * - DD: 两位日期
+ * - D: 日期
+ * - Do: 序数日期
  * - HH: 两位小时（24小时制）
+ * - H: 小时（24小时制）
  * - hh: 两位小时（12小时制）
+ * - h: 小时（12小时制）
  * - mm: 两位分钟
+ * - m: 分钟
  * - ss: 两位秒钟
+ * - s: 秒钟
  * - SSS: 三位毫秒
+ * - SS: 两位毫秒（百分之一秒）
+ * - S: 一位毫秒（十分之一秒）
  * - d: 星期几（数字）
- * - dd: 星期几（中文）
- * - A: 上午/下午
+ * - dd: 星期几（最简）
+ * - ddd: 星期几（简称）
+ * - dddd: 星期几（全称）
+ * - A: 上午/下午（英文为 AM/PM）
+ * - a: 上午/下午（英文为 am/pm）
+ * - Z: 时区偏移，如 +08:00
+ * - ZZ: 时区偏移，如 +0800
+ * - X: Unix 时间戳（秒）
+ * - x: Unix 时间戳（毫秒）
+ * - LY: 农历干支年，如 甲辰
+ * - LZ: 生肖，如 龙
+ * - LM: 农历月，如 正月、闰四月
+ * - LD: 农历日，如 初一
+ * - LJ: 节气，当天不是节气时为空
+ * - LF: 传统节日，多个节日以空格分隔，没有时为空
+ * @param {Object} [options] - 格式化选项
+ * @param {string|Object} [options.locale] - 语言标识或语言包，默认为全局默认语言
+ * @param {string} [options.timeZone] - IANA 时区，如 "Asia/Shanghai"，默认为本地时区
+ * @param {number} [options.fiscalYearStart] - 财年起始月份，默认使用全局设置
  * @returns {string} 格式化后的日期字符串
  */
-export function format(date, format = "YYYY-MM-DD HH:mm:ss") {
+export function format(date, format = "YYYY-MM-DD HH:mm:ss", options = {}) {
+  return formatToParts(date, format, options)
+    .map((part) => part.value)
+    .join("");
+}
+
+/**
+ * 日期格式化，返回分段结果，便于界面中分别处理各部分（如高亮）
+ * @param {Date|string|number} date - 日期对象、时间戳或日期字符串
+ * @param {string} [format="YYYY-MM-DD HH:mm:ss"] - 格式化模板或预设名称，参见 format
+ * @param {Object} [options] - 格式化选项，同 format
+ * @returns {Object[]} 分段数组，每段为 { type, value, token }，普通文本的 type 为 literal、没有 token；
+ * 其他 type 有 year、month、day、hour、minute、second、fractionalSecond、weekday、dayPeriod、
+ * timeZoneName、timestamp、quarter、week、weekYear、fiscalYear、fiscalQuarter、lunar。日期无效时返回空数组
+ * @example
+ * formatToParts("2024-03-15 09:30", "MM/DD HH:mm");
+ * // => [{ type: "month", value: "03", token: "MM" }, { type: "literal", value: "/" }, ...]
+ */
+export function formatToParts(
+  date,
+  format = "YYYY-MM-DD HH:mm:ss",
+  options = {}
+) {
   const d = toDate(date);
-  if (!isValidDate(d)) return "";
+  if (!isValidDate(d) || !isValidTimeZone(options.timeZone)) return [];
 
-  const year = d.getFullYear();
-  const month = d.getMonth() + 1;
-  const day = d.getDate();
-  const hour24 = d.getHours();
+  const template = FORMAT_PRESETS[format] || format;
+  const locale = getLocale(options.locale);
+  const {
+    year,
+    month,
+    day,
+    hour: hour24,
+    minute,
+    second,
+    millisecond,
+    week,
+    offset,
+  } = getDateFields(d, options.timeZone);
   const hour12 = hour24 % 12 || 12;
-  const minute = d.getMinutes();
-  const second = d.getSeconds();
-  const millisecond = d.getMilliseconds();
-  const week = d.getDay();
-  const isAM = hour24 < 12;
-
-  const weekDayMap = ["日", "一", "二", "三", "四", "五", "六"];
-
-  return format.replace(
-    /\[([^\]]+)\]|YYYY|MM|DD|HH|hh|mm|ss|SSS|d|dd|A/g,
-    (match) => {
-      if (match[0] === "[") return match.slice(1, -1);
-
-      switch (match) {
-        case "YYYY":
-          return padStart(year, 4);
-        case "MM":
-          return padStart(month, 2);
-        case "DD":
-          return padStart(day, 2);
-        case "HH":
-          return padStart(hour24, 2);
-        case "hh":
-          return padStart(hour12, 2);
-        case "mm":
-          return padStart(minute, 2);
-        case "ss":
-          return padStart(second, 2);
-        case "SSS":
-          return padStart(millisecond, 3);
-        case "d":
-          return week;
-        case "dd":
-          return weekDayMap[week];
-        case "A":
-          return isAM ? "上午" : "下午";
-        default:
-          return match;
-      }
+  let lunar;
+  const getLunar = () =>
+    lunar || (lunar = getLunarInfo(year, month, day) || {});
+
+  const formatToken = (token) => {
+    switch (token) {
+      case "YYYY":
+        return padStart(year, 4);
+      case "YY":
+        return padStart(year % 100, 2);
+      case "GGGG":
+        return padStart(getISOWeekParts(year, month, day).year, 4);
+      case "WW":
+        return padStart(getISOWeekParts(year, month, day).week, 2);
+      case "Q":
+        return Math.floor((month - 1) / 3) + 1;
+      case "FY":
+        return getFiscalParts(year, month, options).year;
+      case "FQ":
+        return getFiscalParts(year, month, options).quarter;
+      case "MMMM":
+        return locale.months[month - 1];
+      case "MMM":
+        return locale.monthsShort[month - 1];
+      case "MM":
+        return padStart(month, 2);
+      case "M":
+        return month;
+      case "DD":
+        return padStart(day, 2);
+      case "D":
+        return day;
+      case "Do":
+        return locale.ordinal(day, "day");
+      case "HH":
+        return padStart(hour24, 2);
+      case "H":
+        return hour24;
+      case "hh":
+        return padStart(hour12, 2);
+      case "h":
+        return hour12;
+      case "mm":
+        return padStart(minute, 2);
+      case "m":
+        return minute;
+      case "ss":
+        return padStart(second, 2);
+      case "s":
+        return second;
+      case "SSS":
+        return padStart(millisecond, 3);
+      case "SS":
+        return padStart(Math.floor(millisecond / 10), 2);
+      case "S":
+        return Math.floor(millisecond / 100);
+      case "d":
+        return week;
+      case "dd":
+        return locale.weekdaysMin[week];
+      case "ddd":
+        return locale.weekdaysShort[week];
+      case "dddd":
+        return locale.weekdays[week];
+      case "A":
+        return locale.meridiem(hour24, minute, false);
+      case "a":
+        return locale.meridiem(hour24, minute, true);
+      case "Z":
+        return formatOffset(offset, ":");
+      case "ZZ":
+        return formatOffset(offset, "");
+      case "X":
+        return Math.floor(d.getTime() / 1000);
+      case "x":
+        return d.getTime();
+      case "LY":
+        return getLunar().ganZhiYear || "";
+      case "LZ":
+        return getLunar().zodiac || "";
+      case "LM":
+        return getLunar().monthName || "";
+      case "LD":
+        return getLunar().dayName || "";
+      case "LJ":
+        return getLunar().solarTerm || "";
+      case "LF":
+        return (getLunar().festivals || []).join(" ");
+      default:
+        return token;
     }
-  );
+  };
+
+  const parts = [];
+  // 相邻的普通文本合并为一段
+  const pushLiteral = (text) => {
+    if (!text) return;
+    const last = parts[parts.length - 1];
+    if (last && last.type === "literal") {
+      last.value += text;
+    } else {
+      parts.push({ type: "literal", value: text });
+    }
+  };
+  let lastIndex = 0;
+  template.replace(TOKEN_PATTERN, (match, literal, index) => {
+    pushLiteral(template.slice(lastIndex, index));
+    lastIndex = index + match.length;
+    if (literal !== undefined) {
+      pushLiteral(literal);
+    } else {
+      parts.push({
+        type: TOKEN_TYPES[match],
+        value: String(formatToken(match)),
+        token: match,
+      });
+    }
+    return match;
+  });
+  pushLiteral(template.slice(lastIndex));
+  return parts;
 }
 
 /**
  * 解析日期
- * @param {Date|string|number} date - 要解析的日期
+ * @param {Date|string|number|Object} date - 要解析的日期，也可以是 su 对象
  * @returns {Date} 日期对象
  */
 export function toDate(date) {
   if (date instanceof Date) return date;
+  if (isSu(date)) return date.toDate();
   if (typeof date === "number") return new Date(date);
   if (typeof date === "string") {
     // 处理 "YYYY-MM-DD" 格式
@@ -89,6 +442,351 @@ export function toDate(date) {
   return new Date();
 }
 
+/**
+ * 内部工具函数：转义正则表达式特殊字符
+ */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * 内部工具函数：由名称列表生成正则分支，长的名称优先匹配
+ */
+function namesPattern(names) {
+  return [...names]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join("|");
+}
+
+/**
+ * 内部工具函数：在名称列表中查找匹配项的下标
+ */
+function findNameIndex(names, value) {
+  const lower = value.toLowerCase();
+  return names.findIndex((name) => name.toLowerCase() === lower);
+}
+
+/**
+ * 内部工具函数：上午/下午占位符的解析规则
+ * @param {boolean} isLowercase - 是否为小写形式（a）
+ */
+function meridiemParseToken(isLowercase) {
+  return {
+    pattern: (strict, locale) =>
+      namesPattern([
+        locale.meridiem(0, 0, isLowercase),
+        locale.meridiem(12, 0, isLowercase),
+      ]),
+    set: (parts, value, locale) => {
+      if (findNameIndex([locale.meridiem(12, 0, isLowercase)], value) === 0) {
+        parts.isPM = true;
+      } else if (
+        findNameIndex([locale.meridiem(0, 0, isLowercase)], value) === 0
+      ) {
+        parts.isPM = false;
+      } else {
+        return false;
+      }
+    },
+  };
+}
+
+/**
+ * 解析模板中各占位符的匹配规则
+ * - pattern(strict, locale): 返回匹配该占位符的正则源码
+ * - set(parts, value, locale): 将匹配到的值写入解析结果，无法识别时返回 false
+ */
+const PARSE_TOKENS = {
+  YYYY: {
+    pattern: (strict) => (strict ? "\\d{4}" : "\\d{1,4}"),
+    set: (parts, value) => (parts.year = Number(value)),
+  },
+  YY: {
+    pattern: () => "\\d{2}",
+    // 00-68 视为 2000-2068 年，69-99 视为 1969-1999 年
+    set: (parts, value) =>
+      (parts.year = Number(value) + (Number(value) > 68 ? 1900 : 2000)),
+  },
+  MMMM: {
+    pattern: (strict, locale) =>
+      strict
+        ? namesPattern(locale.months)
+        : namesPattern([...locale.months, ...locale.monthsShort]),
+    set: (parts, value, locale) => {
+      let index = findNameIndex(locale.months, value);
+      if (index === -1) index = findNameIndex(locale.monthsShort, value);
+      parts.month = index + 1;
+      return index !== -1;
+    },
+  },
+  MMM: {
+    pattern: (strict, locale) =>
+      strict
+        ? namesPattern(locale.monthsShort)
+        : namesPattern([...locale.months, ...locale.monthsShort]),
+    set: (parts, value, locale) => PARSE_TOKENS.MMMM.set(parts, value, locale),
+  },
+  MM: {
+    pattern: (strict) => (strict ? "\\d{2}" : "\\d{1,2}"),
+    set: (parts, value) => (parts.month = Number(value)),
+  },
+  M: {
+    pattern: () => "\\d{1,2}",
+    set: (parts, value) => (parts.month = Number(value)),
+  },
+  DD: {
+    pattern: (strict) => (strict ? "\\d{2}" : "\\d{1,2}"),
+    set: (parts, value) => (parts.day = Number(value)),
+  },
+  D: {
+    pattern: () => "\\d{1,2}",
+    set: (parts, value) => (parts.day = Number(value)),
+  },
+  Do: {
+    pattern: (strict, locale) =>
+      namesPattern(
+        Array.from({ length: 31 }, (_, i) => locale.ordinal(i + 1, "day"))
+      ),
+    set: (parts, value, locale) => {
+      const ordinals = Array.from({ length: 31 }, (_, i) =>
+        locale.ordinal(i + 1, "day")
+      );
+      parts.day = findNameIndex(ordinals, value) + 1;
+      return parts.day > 0;
+    },
+  },
+  HH: {
+    pattern: (strict) => (strict ? "\\d{2}" : "\\d{1,2}"),
+    set: (parts, value) => (parts.hour = Number(value)),
+  },
+  H: {
+    pattern: () => "\\d{1,2}",
+    set: (parts, value) => (parts.hour = Number(value)),
+  },
+  hh: {
+    pattern: (strict) => (strict ? "\\d{2}" : "\\d{1,2}"),
+    set: (parts, value) => (parts.hour12 = Number(value)),
+  },
+  h: {
+    pattern: () => "\\d{1,2}",
+    set: (parts, value) => (parts.hour12 = Number(value)),
+  },
+  mm: {
+    pattern: (strict) => (strict ? "\\d{2}" : "\\d{1,2}"),
+    set: (parts, value) => (parts.minute = Number(value)),
+  },
+  m: {
+    pattern: () => "\\d{1,2}",
+    set: (parts, value) => (parts.minute = Number(value)),
+  },
+  ss: {
+    pattern: (strict) => (strict ? "\\d{2}" : "\\d{1,2}"),
+    set: (parts, value) => (parts.second = Number(value)),
+  },
+  s: {
+    pattern: () => "\\d{1,2}",
+    set: (parts, value) => (parts.second = Number(value)),
+  },
+  SSS: {
+    pattern: (strict) => (strict ? "\\d{3}" : "\\d{1,3}"),
+    set: (parts, value) => (parts.millisecond = Number(value)),
+  },
+  SS: {
+    pattern: () => "\\d{2}",
+    set: (parts, value) => (parts.millisecond = Number(value) * 10),
+  },
+  S: {
+    pattern: () => "\\d",
+    set: (parts, value) => (parts.millisecond = Number(value) * 100),
+  },
+  dddd: {
+    pattern: (strict, locale) => namesPattern(locale.weekdays),
+    set: (parts, value, locale) => {
+      parts.week = findNameIndex(locale.weekdays, value);
+      return parts.week !== -1;
+    },
+  },
+  ddd: {
+    pattern: (strict, locale) => namesPattern(locale.weekdaysShort),
+    set: (parts, value, locale) => {
+      parts.week = findNameIndex(locale.weekdaysShort, value);
+      return parts.week !== -1;
+    },
+  },
+  dd: {
+    pattern: (strict, locale) => namesPattern(locale.weekdaysMin),
+    set: (parts, value, locale) => {
+      parts.week = findNameIndex(locale.weekdaysMin, value);
+      return parts.week !== -1;
+    },
+  },
+  d: {
+    pattern: () => "[0-6]",
+    set: (parts, value) => (parts.week = Number(value)),
+  },
+  A: meridiemParseToken(false),
+  a: meridiemParseToken(true),
+  GGGG: {
+    pattern: (strict) => (strict ? "\\d{4}" : "\\d{1,4}"),
+    set: () => {},
+  },
+  WW: {
+    pattern: (strict) => (strict ? "\\d{2}" : "\\d{1,2}"),
+    set: () => {},
+  },
+  Q: {
+    pattern: () => "[1-4]",
+    set: () => {},
+  },
+  FY: {
+    pattern: (strict) => (strict ? "\\d{4}" : "\\d{1,4}"),
+    set: () => {},
+  },
+  FQ: {
+    pattern: () => "[1-4]",
+    set: () => {},
+  },
+  Z: {
+    pattern: (strict) =>
+      strict ? "[+-]\\d{2}:\\d{2}" : "Z|[+-]\\d{2}:?\\d{2}",
+    set: (parts, value) => (parts.offset = parseOffset(value)),
+  },
+  ZZ: {
+    pattern: (strict) => (strict ? "[+-]\\d{4}" : "Z|[+-]\\d{2}:?\\d{2}"),
+    set: (parts, value) => (parts.offset = parseOffset(value)),
+  },
+  X: {
+    pattern: () => "-?\\d+",
+    set: (parts, value) => (parts.timestamp = Number(value) * 1000),
+  },
+  x: {
+    pattern: () => "-?\\d+",
+    set: (parts, value) => (parts.timestamp = Number(value)),
+  },
+};
+
+/**
+ * 只用于展示、解析时忽略的占位符（如农历相关占位符）
+ */
+const IGNORED_PARSE_TOKEN = {
+  pattern: () => ".*?",
+  set: () => {},
+};
+
+/**
+ * 内部工具函数：模板中普通文本的匹配规则
+ * 宽松模式下，空白和常见分隔符可以互相替代
+ */
+function literalPattern(text, strict) {
+  if (strict) return escapeRegExp(text);
+  return text
+    .split(/([\s\-/.,:;_]+)/)
+    .map((part, i) => (i % 2 ? "[\\s\\-/.,:;_]+" : escapeRegExp(part)))
+    .join("");
+}
+
+/**
+ * 按模板解析日期字符串，支持的占位符与 format 相同（包括 [] 转义），
+ * ISO 周（GGGG、WW）、季度（Q、FY、FQ）和农历相关占位符只做匹配、不参与计算
+ * @param {string} str - 日期字符串
+ * @param {string} [template="YYYY-MM-DD HH:mm:ss"] - 解析模板或预设名称（datetime、date、time、iso）
+ * @param {Object} [options] - 解析选项
+ * @param {boolean} [options.strict=false] - 严格模式：数字位数、分隔符必须与模板完全一致，
+ * 星期必须与日期对应
+ * @param {string|Object} [options.locale] - 语言标识或语言包，默认为全局默认语言
+ * @param {string} [options.timeZone] - 按指定 IANA 时区解释输入，模板中包含 Z/ZZ 时以输入的偏移为准
+ * @returns {Date|null} 日期对象，输入与模板不符或日期无效时返回 null
+ * @example
+ * parse("2024年03月05日 14:30", "YYYY年MM月DD日 HH:mm"); // => 2024-03-05 14:30
+ * parse("05/03/2024", "DD/MM/YYYY"); // => 2024-03-05
+ */
+export function parse(str, template = "YYYY-MM-DD HH:mm:ss", options = {}) {
+  if (
+    typeof str !== "string" ||
+    typeof template !== "string" ||
+    !isValidTimeZone(options.timeZone)
+  ) {
+    return null;
+  }
+
+  const { strict = false } = options;
+  const locale = getLocale(options.locale);
+  const tokens = [];
+  const layout = FORMAT_PRESETS[template] || template;
+  let source = "";
+  let lastIndex = 0;
+
+  layout.replace(TOKEN_PATTERN, (match, literal, offset) => {
+    source += literalPattern(layout.slice(lastIndex, offset), strict);
+    lastIndex = offset + match.length;
+    if (literal !== undefined) {
+      source += literalPattern(literal, strict);
+    } else {
+      const token = PARSE_TOKENS[match] || IGNORED_PARSE_TOKEN;
+      tokens.push(token);
+      source += `(${token.pattern(strict, locale)})`;
+    }
+    return match;
+  });
+  source += literalPattern(layout.slice(lastIndex), strict);
+
+  const pattern = strict
+    ? new RegExp(`^${source}$`)
+    : new RegExp(`^\\s*${source}\\s*$`, "i");
+  const matched = str.match(pattern);
+  if (!matched) return null;
+
+  const parts = {
+    year: new Date().getFullYear(),
+    month: 1,
+    day: 1,
+    minute: 0,
+    second: 0,
+    millisecond: 0,
+  };
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i].set(parts, matched[i + 1], locale) === false) return null;
+  }
+  // 包含时间戳时直接以时间戳为准
+  if (parts.timestamp !== undefined) return new Date(parts.timestamp);
+
+  let hour = parts.hour;
+  if (hour === undefined && parts.hour12 !== undefined) {
+    if (parts.hour12 < 1 || parts.hour12 > 12) return null;
+    hour = (parts.hour12 % 12) + (parts.isPM ? 12 : 0);
+  }
+  if (hour === undefined) hour = 0;
+
+  const fields = { ...parts, hour };
+  const { year, month, day, minute, second } = fields;
+  if (
+    month < 1 ||
+    month > 12 ||
+    day < 1 ||
+    day > daysInMonthOf(year, month) ||
+    hour > 23 ||
+    minute > 59 ||
+    second > 59
+  ) {
+    return null;
+  }
+
+  const result =
+    parts.offset !== undefined
+      ? new Date(utcFromFields(fields) - parts.offset * 60 * 1000)
+      : makeDate(fields, options.timeZone);
+
+  if (
+    strict &&
+    parts.week !== undefined &&
+    parts.week !== new Date(utcFromFields(fields)).getUTCDay()
+  ) {
+    return null;
+  }
+  return result;
+}
+
 /**
  * 验证日期是否有效
  * @param {Date} date - 日期对象
@@ -98,22 +796,211 @@ export function isValidDate(date) {
   return date instanceof Date && !isNaN(date);
 }
 
+/**
+ * 各时区的 Intl 格式化器缓存
+ */
+const zonedFormatters = {};
+
+/**
+ * 内部工具函数：获取指定时区的 Intl 格式化器，无效时区返回 null
+ */
+function getZonedFormatter(timeZone) {
+  if (zonedFormatters[timeZone] === undefined) {
+    try {
+      zonedFormatters[timeZone] = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        second: "numeric",
+      });
+    } catch (e) {
+      // 运行环境不认识的时区会抛出 RangeError
+      zonedFormatters[timeZone] = null;
+    }
+  }
+  return zonedFormatters[timeZone];
+}
+
+/**
+ * 验证 IANA 时区是否有效，未指定时区（使用本地时区）视为有效
+ * 接受 timeZone 选项的函数遇到无效时区时按无效输入处理：
+ * format、calendarTime 返回空字符串，startOf、endOf、add 返回 Invalid Date，isToday 返回 false，
+ * parse、toLunar 返回 null
+ * @param {string} [timeZone] - IANA 时区，如 "Asia/Shanghai"
+ * @returns {boolean} 是否有效
+ * @example
+ * isValidTimeZone("America/New_York"); // => true
+ * isValidTimeZone("Mars/Olympus"); // => false
+ */
+export function isValidTimeZone(timeZone) {
+  return !timeZone || getZonedFormatter(timeZone) !== null;
+}
+
+/**
+ * 内部工具函数：把日期字段当作 UTC 时间，得到对应的时间戳
+ */
+function utcFromFields({
+  year,
+  month = 1,
+  day = 1,
+  hour = 0,
+  minute = 0,
+  second = 0,
+  millisecond = 0,
+}) {
+  const d = new Date(0);
+  d.setUTCFullYear(year, month - 1, day);
+  d.setUTCHours(hour, minute, second, millisecond);
+  return d.getTime();
+}
+
+/**
+ * 内部工具函数：获取日期在本地或指定时区下的各字段
+ * @param {Date} d - 日期对象
+ * @param {string} [timeZone] - IANA 时区，默认为本地时区
+ * @returns {Object} { year, month, day, hour, minute, second, millisecond, week, offset }，
+ * month 从 1 开始，offset 为相对 UTC 的分钟数
+ */
+function getDateFields(d, timeZone) {
+  if (!timeZone) {
+    return {
+      year: d.getFullYear(),
+      month: d.getMonth() + 1,
+      day: d.getDate(),
+      hour: d.getHours(),
+      minute: d.getMinutes(),
+      second: d.getSeconds(),
+      millisecond: d.getMilliseconds(),
+      week: d.getDay(),
+      offset: -d.getTimezoneOffset(),
+    };
+  }
+
+  const parts = {};
+  getZonedFormatter(timeZone)
+    .formatToParts(d)
+    .forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+  const fields = {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour % 24,
+    minute: parts.minute,
+    second: parts.second,
+    millisecond: d.getUTCMilliseconds(),
+  };
+  const utc = utcFromFields(fields);
+  return {
+    ...fields,
+    week: new Date(utc).getUTCDay(),
+    offset: Math.round((utc - d.getTime()) / (60 * 1000)),
+  };
+}
+
+/**
+ * 内部工具函数：由本地或指定时区下的日期字段创建日期，超出范围的字段会自动进位
+ * @param {Object} fields - { year, month, day, hour, minute, second, millisecond }，month 从 1 开始
+ * @param {string} [timeZone] - IANA 时区，默认为本地时区
+ * @returns {Date} 日期对象
+ */
+function makeDate(fields, timeZone) {
+  const {
+    year,
+    month = 1,
+    day = 1,
+    hour = 0,
+    minute = 0,
+    second = 0,
+    millisecond = 0,
+  } = fields;
+
+  if (!timeZone) {
+    const d = new Date(0);
+    d.setFullYear(year, month - 1, day);
+    d.setHours(hour, minute, second, millisecond);
+    return d;
+  }
+
+  // 先按当前偏移估算，若跨越了夏令时切换再用新的偏移修正一次
+  const utc = utcFromFields(fields);
+  const offset = getDateFields(new Date(utc), timeZone).offset;
+  const result = new Date(utc - offset * 60 * 1000);
+  const actualOffset = getDateFields(result, timeZone).offset;
+  return actualOffset === offset
+    ? result
+    : new Date(utc - actualOffset * 60 * 1000);
+}
+
+/**
+ * 内部工具函数：格式化时区偏移
+ * @param {number} offset - 相对 UTC 的分钟数
+ * @param {string} separator - 小时与分钟之间的分隔符
+ */
+function formatOffset(offset, separator) {
+  const sign = offset < 0 ? "-" : "+";
+  const abs = Math.abs(offset);
+  return `${sign}${padStart(Math.floor(abs / 60), 2)}${separator}${padStart(
+    abs % 60,
+    2
+  )}`;
+}
+
+/**
+ * 内部工具函数：解析时区偏移字符串（Z、+08:00、+0800），返回相对 UTC 的分钟数
+ */
+function parseOffset(value) {
+  if (value.toUpperCase() === "Z") return 0;
+  const digits = value.replace(":", "");
+  const minutes = Number(digits.slice(1, 3)) * 60 + Number(digits.slice(3, 5));
+  return digits[0] === "-" ? -minutes : minutes;
+}
+
+/**
+ * 内部工具函数：获取某年某月的天数，month 从 1 开始
+ */
+function daysInMonthOf(year, month) {
+  if (month === 2) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 ? 29 : 28;
+  }
+  return [4, 6, 9, 11].includes(month) ? 30 : 31;
+}
+
+/**
+ * 获取指定时区相对 UTC 的偏移
+ * @param {Date|string|number} date - 日期，夏令时地区不同日期的偏移可能不同
+ * @param {string} [timeZone] - IANA 时区，默认为本地时区
+ * @returns {number} 偏移的分钟数，如 Asia/Shanghai 为 480，时区无效时返回 NaN
+ */
+export function getTimeZoneOffset(date, timeZone) {
+  const d = toDate(date);
+  if (!isValidTimeZone(timeZone)) return NaN;
+  if (!isValidDate(d)) return 0;
+  return getDateFields(d, timeZone).offset;
+}
+
 /**
  * 获取相对时间描述
  * @param {Date|string|number} date - 日期
  * @param {Date|string|number} [baseDate=new Date()] - 基准日期
+ * @param {Object} [options] - 选项
+ * @param {string|Object} [options.locale] - 语言标识或语言包，默认为全局默认语言
  * @returns {string} 相对时间描述
  */
-export function relativeTime(date, baseDate = new Date()) {
+export function relativeTime(date, baseDate = new Date(), options = {}) {
   const d1 = toDate(date);
   const d2 = toDate(baseDate);
   if (!isValidDate(d1) || !isValidDate(d2)) return "";
 
+  const phrases = getLocale(options.locale).relativeTime;
   const diff = d2.getTime() - d1.getTime();
   const absDiff = Math.abs(diff);
   const isFuture = diff < 0;
-  const prefix = isFuture ? "" : "";
-  const suffix = isFuture ? "后" : "前";
 
   const minute = 60 * 1000;
   const hour = 60 * minute;
@@ -122,60 +1009,237 @@ export function relativeTime(date, baseDate = new Date()) {
   const month = 30 * day;
   const year = 365 * day;
 
-  if (absDiff < minute) {
-    return "刚刚";
-  } else if (absDiff < hour) {
-    return `${prefix}${Math.floor(absDiff / minute)}分钟${suffix}`;
+  if (absDiff < minute) return phrases.now;
+
+  let count, key;
+  if (absDiff < hour) {
+    count = Math.floor(absDiff / minute);
+    key = "m";
   } else if (absDiff < day) {
-    return `${prefix}${Math.floor(absDiff / hour)}小时${suffix}`;
+    count = Math.floor(absDiff / hour);
+    key = "h";
   } else if (absDiff < week) {
-    return `${prefix}${Math.floor(absDiff / day)}天${suffix}`;
+    count = Math.floor(absDiff / day);
+    key = "d";
   } else if (absDiff < month) {
-    return `${prefix}${Math.floor(absDiff / week)}周${suffix}`;
+    count = Math.floor(absDiff / week);
+    key = "w";
   } else if (absDiff < year) {
-    return `${prefix}${Math.floor(absDiff / month)}个月${suffix}`;
+    count = Math.floor(absDiff / month);
+    key = "M";
+  } else {
+    count = Math.floor(absDiff / year);
+    key = "y";
+  }
+
+  const text = applyPhrase(phrases[count === 1 ? key : key + key], count);
+  return applyPhrase(isFuture ? phrases.future : phrases.past, text);
+}
+
+/**
+ * calendarTime 的默认阈值
+ */
+const CALENDAR_THRESHOLDS = {
+  now: 60,
+  minute: 60,
+  hour: 24,
+  day: 2,
+  week: 1,
+  month: 12,
+};
+
+/**
+ * 获取日历风格的相对时间描述，如 "刚刚"、"5分钟前"、"昨天 14:30"、"上周三"、"2个月前"
+ * 依次判断：不到 now 秒为刚刚；不到 minute 分钟按分钟；同一天且不到 hour 小时按小时；
+ * 相差不超过 day 个自然日时为昨天、明天等；相差不超过 week 个自然周时为上周三、下周三等；
+ * 不满 1 个月按天；不满 month 个月按月，否则按年。月、年按日历计算，如 1 月 31 日到 2 月 29 日为 1 个月
+ * 语言包没有 calendar 短语时（如 en-US、ja-JP）使用 Intl.RelativeTimeFormat 输出
+ * @param {Date|string|number} date - 日期
+ * @param {Date|string|number} [base=new Date()] - 基准日期
+ * @param {Object} [options] - 选项
+ * @param {Object} [options.thresholds] - 阈值，默认 { now: 60, minute: 60, hour: 24, day: 2, week: 1, month: 12 }，
+ * 单位依次为秒、分钟、小时、自然日、自然周、月；day、week 设为 0 时不使用对应的描述
+ * @param {string} [options.rounding="floor"] - 分钟、小时、月、年的取整方式：floor|round|ceil
+ * @param {string|Object} [options.locale] - 语言标识或语言包，默认为全局默认语言
+ * @param {string} [options.timeZone] - IANA 时区，按该时区判断自然日、自然周
+ * @param {number} [options.weekStartsOn] - 每周起始日，默认使用全局设置
+ * @returns {string} 相对时间描述
+ * @example
+ * calendarTime("2024-03-14 14:30", "2024-03-15 10:00"); // => "昨天 14:30"
+ * calendarTime("2024-03-06 09:00", "2024-03-15 10:00"); // => "上周三"
+ * calendarTime("2024-03-14 14:30", "2024-03-15 10:00", { locale: "en-US" }); // => "yesterday 14:30"
+ * calendarTime("2024-03-06 09:00", "2024-03-15 10:00", { locale: "en-US" }); // => "last week Wednesday"
+ */
+export function calendarTime(date, base = new Date(), options = {}) {
+  const d = toDate(date);
+  const baseDate = toDate(base);
+  const { timeZone } = options;
+  if (!isValidDate(d) || !isValidDate(baseDate) || !isValidTimeZone(timeZone)) {
+    return "";
+  }
+
+  const thresholds = { ...CALENDAR_THRESHOLDS, ...options.thresholds };
+  const round = ["floor", "round", "ceil"].includes(options.rounding)
+    ? Math[options.rounding]
+    : Math.floor;
+  const locale = getLocale(options.locale);
+  const phrases = locale.calendar;
+  const rtf =
+    !phrases && typeof Intl.RelativeTimeFormat === "function"
+      ? new Intl.RelativeTimeFormat(locale.name, { numeric: "auto" })
+      : null;
+
+  const diff = d.getTime() - baseDate.getTime();
+  const absDiff = Math.abs(diff);
+  const sign = diff < 0 ? -1 : 1;
+  // 按语言包短语或 Intl 输出 "N 单位前/后"
+  const relative = (count, unit, key) => {
+    if (rtf) return rtf.format(sign * count, unit);
+    const { relativeTime: rt } = locale;
+    const text = applyPhrase(rt[count === 1 ? key : key + key], count);
+    return applyPhrase(sign < 0 ? rt.past : rt.future, text);
+  };
+
+  if (absDiff < thresholds.now * SECOND_MS) {
+    return rtf ? rtf.format(0, "second") : locale.relativeTime.now;
+  }
+  if (absDiff < thresholds.minute * MINUTE_MS) {
+    return relative(Math.max(1, round(absDiff / MINUTE_MS)), "minute", "m");
+  }
+
+  const fields = getDateFields(d, timeZone);
+  const baseFields = getDateFields(baseDate, timeZone);
+  const dayIndex = ({ year, month, day }) =>
+    Math.round(utcFromFields({ year, month, day }) / DAY_MS);
+  const dayDiff = dayIndex(fields) - dayIndex(baseFields);
+  if (dayDiff === 0 && absDiff < thresholds.hour * HOUR_MS) {
+    return relative(Math.max(1, round(absDiff / HOUR_MS)), "hour", "h");
+  }
+
+  const time = format(d, "HH:mm", { timeZone });
+  if (Math.abs(dayDiff) <= thresholds.day) {
+    if (rtf) return `${rtf.format(dayDiff, "day")} ${time}`;
+    if (phrases && phrases.days[dayDiff]) {
+      return applyPhrase(phrases.days[dayDiff], time);
+    }
+  }
+
+  const weekStartsOn = resolveWeekStartsOn(options);
+  const weekIndex = (value) =>
+    Math.floor((dayIndex(value) - ((value.week - weekStartsOn + 7) % 7)) / 7);
+  const weekDiff = weekIndex(fields) - weekIndex(baseFields);
+  if (Math.abs(weekDiff) <= thresholds.week) {
+    if (rtf) {
+      const weekday = locale.weekdays[fields.week];
+      return weekDiff === 0
+        ? weekday
+        : `${rtf.format(weekDiff, "week")} ${weekday}`;
+    }
+    if (phrases && phrases.weeks[weekDiff]) {
+      const names = locale[phrases.weekdayNames] || locale.weekdays;
+      return applyPhrase(phrases.weeks[weekDiff], names[fields.week]);
+    }
+  }
+
+  // 按日历计算相差的月数（带小数部分），如 1 月 31 日到 2 月 29 日为 1 个月
+  const [start, end] = sign < 0 ? [d, baseDate] : [baseDate, d];
+  const breakdown = diffBreakdown(start, end);
+  const months = breakdown.years * 12 + breakdown.months;
+  const anchor = add(start, months, "month");
+  const monthLength = add(start, months + 1, "month") - anchor;
+  const exactMonths = months + (end - anchor) / monthLength;
+  if (months < 1) {
+    return relative(Math.abs(dayDiff), "day", "d");
+  }
+  if (round(exactMonths) < thresholds.month) {
+    return relative(round(exactMonths), "month", "M");
+  }
+  return relative(Math.max(1, round(exactMonths / 12)), "year", "y");
+}
+
+/**
+ * 内部工具函数：填充语言包短语
+ * @param {string|Function} phrase - 短语模板或生成函数
+ * @param {number|string} value - 填充值
+ * @returns {string} 填充后的短语
+ */
+function applyPhrase(phrase, value) {
+  if (typeof phrase === "function") return phrase(value);
+  return phrase.replace("%d", value).replace("%s", value);
+}
+
+/**
+ * 以月为基础的单位包含的月数
+ */
+const PERIOD_MONTHS = {
+  year: 12,
+  fiscalYear: 12,
+  halfYear: 6,
+  quarter: 3,
+  month: 1,
+};
+
+/**
+ * 内部工具函数：获取财年、半年、季度的第一个月
+ * @returns {Object} { year, month }
+ */
+function getPeriodStartMonth(year, month, unit, options) {
+  switch (unit) {
+    case "fiscalYear": {
+      const fiscal = getFiscalParts(year, month, options);
+      return { year: fiscal.year, month: fiscal.month };
+    }
+    case "halfYear":
+      return { year, month: month <= 6 ? 1 : 7 };
+    case "quarter":
+      return { year, month: Math.floor((month - 1) / 3) * 3 + 1 };
+    default:
+      return { year, month };
   }
-  return `${prefix}${Math.floor(absDiff / year)}年${suffix}`;
 }
 
 /**
  * 获取日期的开始时间
  * @param {Date|string|number} date - 日期
- * @param {string} unit - 单位：year|month|week|day|hour|minute|second
+ * @param {string} unit - 单位：year|fiscalYear|halfYear|quarter|month|week|day|hour|minute|second
+ * @param {Object} [options] - 选项
+ * @param {string} [options.timeZone] - IANA 时区，默认为本地时区
+ * @param {number} [options.weekStartsOn] - 每周起始日，0 为周日、1 为周一，默认使用全局设置
+ * @param {number} [options.fiscalYearStart] - 财年起始月份，默认使用全局设置
  * @returns {Date} 开始时间
  */
-export function startOf(date, unit = "day") {
+export function startOf(date, unit = "day", options = {}) {
   const d = toDate(date);
   if (!isValidDate(d)) return new Date();
 
+  const { timeZone } = options;
+  if (!isValidTimeZone(timeZone)) return new Date(NaN);
+  const { year, month, day, hour, minute, second, week } = getDateFields(
+    d,
+    timeZone
+  );
+  const weekday = (week - resolveWeekStartsOn(options) + 7) % 7;
+  const periodMonth = getPeriodStartMonth(year, month, unit, options);
+
   switch (unit) {
     case "year":
-      return new Date(d.getFullYear(), 0, 1);
+      return makeDate({ year }, timeZone);
+    case "fiscalYear":
+    case "halfYear":
+    case "quarter":
+      return makeDate(periodMonth, timeZone);
     case "month":
-      return new Date(d.getFullYear(), d.getMonth(), 1);
+      return makeDate({ year, month }, timeZone);
     case "week":
-      return new Date(d.getFullYear(), d.getMonth(), d.getDate() - d.getDay());
+      return makeDate({ year, month, day: day - weekday }, timeZone);
     case "day":
-      return new Date(d.getFullYear(), d.getMonth(), d.getDate());
+      return makeDate({ year, month, day }, timeZone);
     case "hour":
-      return new Date(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours());
+      return makeDate({ year, month, day, hour }, timeZone);
     case "minute":
-      return new Date(
-        d.getFullYear(),
-        d.getMonth(),
-        d.getDate(),
-        d.getHours(),
-        d.getMinutes()
-      );
+      return makeDate({ year, month, day, hour, minute }, timeZone);
     case "second":
-      return new Date(
-        d.getFullYear(),
-        d.getMonth(),
-        d.getDate(),
-        d.getHours(),
-        d.getMinutes(),
-        d.getSeconds()
-      );
+      return makeDate({ year, month, day, hour, minute, second }, timeZone);
     default:
       return new Date(d);
   }
@@ -184,67 +1248,68 @@ export function startOf(date, unit = "day") {
 /**
  * 获取日期的结束时间
  * @param {Date|string|number} date - 日期
- * @param {string} unit - 单位：year|month|week|day|hour|minute|second
+ * @param {string} unit - 单位：year|fiscalYear|halfYear|quarter|month|week|day|hour|minute|second
+ * @param {Object} [options] - 选项
+ * @param {string} [options.timeZone] - IANA 时区，默认为本地时区
+ * @param {number} [options.weekStartsOn] - 每周起始日，0 为周日、1 为周一，默认使用全局设置
+ * @param {number} [options.fiscalYearStart] - 财年起始月份，默认使用全局设置
  * @returns {Date} 结束时间
  */
-export function endOf(date, unit = "day") {
+export function endOf(date, unit = "day", options = {}) {
   const d = toDate(date);
   if (!isValidDate(d)) return new Date();
 
+  const { timeZone } = options;
+  if (!isValidTimeZone(timeZone)) return new Date(NaN);
+  const { year, month, day, hour, minute, second, week } = getDateFields(
+    d,
+    timeZone
+  );
+  const weekday = (week - resolveWeekStartsOn(options) + 7) % 7;
+  const endOfDay = { hour: 23, minute: 59, second: 59, millisecond: 999 };
+  const periodMonth = getPeriodStartMonth(year, month, unit, options);
+
   switch (unit) {
     case "year":
-      return new Date(d.getFullYear() + 1, 0, 0, 23, 59, 59, 999);
+      return makeDate({ year, month: 12, day: 31, ...endOfDay }, timeZone);
+    case "fiscalYear":
+    case "halfYear":
+    case "quarter":
+      return makeDate(
+        {
+          year: periodMonth.year,
+          month: periodMonth.month + PERIOD_MONTHS[unit],
+          day: 0,
+          ...endOfDay,
+        },
+        timeZone
+      );
     case "month":
-      return new Date(d.getFullYear(), d.getMonth() + 1, 0, 23, 59, 59, 999);
+      return makeDate(
+        { year, month: month + 1, day: 0, ...endOfDay },
+        timeZone
+      );
     case "week":
-      return new Date(
-        d.getFullYear(),
-        d.getMonth(),
-        d.getDate() + (6 - d.getDay()),
-        23,
-        59,
-        59,
-        999
+      return makeDate(
+        { year, month, day: day + (6 - weekday), ...endOfDay },
+        timeZone
       );
     case "day":
-      return new Date(
-        d.getFullYear(),
-        d.getMonth(),
-        d.getDate(),
-        23,
-        59,
-        59,
-        999
-      );
+      return makeDate({ year, month, day, ...endOfDay }, timeZone);
     case "hour":
-      return new Date(
-        d.getFullYear(),
-        d.getMonth(),
-        d.getDate(),
-        d.getHours(),
-        59,
-        59,
-        999
+      return makeDate(
+        { year, month, day, hour, minute: 59, second: 59, millisecond: 999 },
+        timeZone
       );
     case "minute":
-      return new Date(
-        d.getFullYear(),
-        d.getMonth(),
-        d.getDate(),
-        d.getHours(),
-        d.getMinutes(),
-        59,
-        999
+      return makeDate(
+        { year, month, day, hour, minute, second: 59, millisecond: 999 },
+        timeZone
       );
     case "second":
-      return new Date(
-        d.getFullYear(),
-        d.getMonth(),
-        d.getDate(),
-        d.getHours(),
-        d.getMinutes(),
-        d.getSeconds(),
-        999
+      return makeDate(
+        { year, month, day, hour, minute, second, millisecond: 999 },
+        timeZone
       );
     default:
       return new Date(d);
@@ -252,63 +1317,133 @@ export function endOf(date, unit = "day") {
 }
 
 /**
- * 添加时间
+ * 添加时间，不会修改传入的日期
+ * 按年/月/季度等以月为基础的单位加减后，目标月份没有对应日期时取当月最后一天，
+ * 如 1 月 31 日加 1 个月为 2 月 28/29 日
  * @param {Date|string|number} date - 日期
- * @param {number} amount - 数量
- * @param {string} unit - 单位：year|month|week|day|hour|minute|second
+ * @param {number|Object} amount - 数量，也可以是时长对象（参见 duration）
+ * @param {string} unit - 单位：year|fiscalYear|halfYear|quarter|month|week|day|hour|minute|second
+ * @param {Object} [options] - 选项
+ * @param {string} [options.timeZone] - IANA 时区，年/月/周/日按该时区的日历计算
  * @returns {Date} 新日期
+ * @example
+ * add(date, 1, "month");
+ * add(date, duration("P1DT2H")); // 传入时长时，第三个参数为选项
  */
-export function add(date, amount, unit = "day") {
+export function add(date, amount, unit = "day", options = {}) {
   const d = toDate(date);
   if (!isValidDate(d)) return new Date();
 
+  if (amount && typeof amount === "object") {
+    return addDuration(d, amount, typeof unit === "object" ? unit : options);
+  }
+
+  const { timeZone } = options;
+  if (!isValidTimeZone(timeZone)) return new Date(NaN);
+  if (PERIOD_MONTHS[unit]) {
+    const fields = getDateFields(d, timeZone);
+    const total =
+      fields.year * 12 + fields.month - 1 + amount * PERIOD_MONTHS[unit];
+    const year = Math.floor(total / 12);
+    const month = total - year * 12 + 1;
+    const day = Math.min(fields.day, daysInMonthOf(year, month));
+    return makeDate({ ...fields, year, month, day }, timeZone);
+  }
+
+  if (timeZone) {
+    const fields = getDateFields(d, timeZone);
+    switch (unit) {
+      case "week":
+        return makeDate({ ...fields, day: fields.day + amount * 7 }, timeZone);
+      case "day":
+        return makeDate({ ...fields, day: fields.day + amount }, timeZone);
+      case "hour":
+        return new Date(d.getTime() + amount * 60 * 60 * 1000);
+      case "minute":
+        return new Date(d.getTime() + amount * 60 * 1000);
+      case "second":
+        return new Date(d.getTime() + amount * 1000);
+      default:
+        return new Date(d);
+    }
+  }
+
+  // toDate 会原样返回传入的 Date，先复制一份再修改
+  const result = new Date(d.getTime());
   switch (unit) {
-    case "year":
-      return new Date(d.setFullYear(d.getFullYear() + amount));
-    case "month":
-      return new Date(d.setMonth(d.getMonth() + amount));
     case "week":
-      return new Date(d.setDate(d.getDate() + amount * 7));
+      result.setDate(result.getDate() + amount * 7);
+      break;
     case "day":
-      return new Date(d.setDate(d.getDate() + amount));
+      result.setDate(result.getDate() + amount);
+      break;
     case "hour":
-      return new Date(d.setHours(d.getHours() + amount));
+      result.setHours(result.getHours() + amount);
+      break;
     case "minute":
-      return new Date(d.setMinutes(d.getMinutes() + amount));
+      result.setMinutes(result.getMinutes() + amount);
+      break;
     case "second":
-      return new Date(d.setSeconds(d.getSeconds() + amount));
+      result.setSeconds(result.getSeconds() + amount);
+      break;
     default:
-      return new Date(d);
+      break;
   }
+  return result;
 }
 
 /**
  * 减去时间
  * @param {Date|string|number} date - 日期
- * @param {number} amount - 数量
- * @param {string} unit - 单位：year|month|week|day|hour|minute|second
+ * @param {number|Object} amount - 数量，也可以是时长对象（参见 duration）
+ * @param {string} unit - 单位：year|fiscalYear|halfYear|quarter|month|week|day|hour|minute|second
+ * @param {Object} [options] - 选项，同 add
  * @returns {Date} 新日期
  */
-export function subtract(date, amount, unit = "day") {
-  return add(date, -amount, unit);
+export function subtract(date, amount, unit = "day", options = {}) {
+  if (amount && typeof amount === "object") {
+    return add(date, negateDuration(amount), unit, options);
+  }
+  return add(date, -amount, unit, options);
 }
 
 /**
  * 获取两个日期之间的差值
  * @param {Date|string|number} date1 - 日期1
  * @param {Date|string|number} date2 - 日期2
- * @param {string} unit - 单位：year|month|week|day|hour|minute|second
- * @returns {number} 差值
+ * @param {string} unit - 单位：year|fiscalYear|halfYear|quarter|month|week|day|hour|minute|second|breakdown，
+ * breakdown 返回按日历拆分的时长对象，如 { years: 0, months: 1, days: 2, hours: 3, ... }
+ * @param {Object} [options] - 选项
+ * @param {number} [options.weekStartsOn] - 每周起始日。传入该选项或设置过全局的每周起始日时，
+ * week 按跨过的自然周计算，否则按满 7 天计算
+ * @param {number} [options.fiscalYearStart] - 财年起始月份，默认使用全局设置
+ * @returns {number|Object} 差值
  */
-export function diff(date1, date2, unit = "day") {
+export function diff(date1, date2, unit = "day", options = {}) {
   const d1 = toDate(date1);
   const d2 = toDate(date2);
-  if (!isValidDate(d1) || !isValidDate(d2)) return 0;
+  if (!isValidDate(d1) || !isValidDate(d2)) {
+    return unit === "breakdown" ? duration(0) : 0;
+  }
+  if (unit === "breakdown") return diffBreakdown(d1, d2);
 
   const diffMs = d2.getTime() - d1.getTime();
   switch (unit) {
     case "year":
       return d2.getFullYear() - d1.getFullYear();
+    case "fiscalYear":
+      return (
+        getFiscalParts(d2.getFullYear(), d2.getMonth() + 1, options).year -
+        getFiscalParts(d1.getFullYear(), d1.getMonth() + 1, options).year
+      );
+    case "halfYear":
+    case "quarter": {
+      // 按跨过的自然季度（半年）计算
+      const size = PERIOD_MONTHS[unit];
+      const index = (d) =>
+        d.getFullYear() * (12 / size) + Math.floor(d.getMonth() / size);
+      return index(d2) - index(d1);
+    }
     case "month":
       return (
         (d2.getFullYear() - d1.getFullYear()) * 12 +
@@ -316,6 +1451,15 @@ export function diff(date1, date2, unit = "day") {
         d1.getMonth()
       );
     case "week":
+      if (
+        Number.isInteger(options.weekStartsOn) ||
+        defaultWeekStartsOn !== null
+      ) {
+        return Math.round(
+          (startOf(d2, "week", options) - startOf(d1, "week", options)) /
+            (7 * DAY_MS)
+        );
+      }
       return Math.floor(diffMs / (7 * 24 * 60 * 60 * 1000));
     case "day":
       return Math.floor(diffMs / (24 * 60 * 60 * 1000));
@@ -330,30 +1474,518 @@ export function diff(date1, date2, unit = "day") {
   }
 }
 
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
 /**
- * 获取日期是一年中的第几天
- * @param {Date|string|number} date - 日期
- * @returns {number} 天数
+ * 时长对象的字段，从大到小排列
  */
-export function getDayOfYear(date) {
-  const d = toDate(date);
-  if (!isValidDate(d)) return 0;
-  return Math.floor(
-    (d - new Date(d.getFullYear(), 0, 0)) / (1000 * 60 * 60 * 24)
-  );
-}
+const DURATION_UNITS = [
+  "years",
+  "months",
+  "days",
+  "hours",
+  "minutes",
+  "seconds",
+  "milliseconds",
+];
 
 /**
- * 获取日期是一年中的第几周
+ * ISO 8601 时长，如 P1Y2M3W4DT5H6M7.5S
+ */
+const ISO_DURATION_PATTERN =
+  /^([-+])?P(?:(\d+(?:[.,]\d+)?)Y)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)W)?(?:(\d+(?:[.,]\d+)?)D)?(?:T(?:(\d+(?:[.,]\d+)?)H)?(?:(\d+(?:[.,]\d+)?)M)?(?:(\d+(?:[.,]\d+)?)S)?)?$/;
+
+/**
+ * 内部工具函数：由各字段创建时长对象，缺省字段为 0
+ */
+function createDuration(values, sign = 1) {
+  const result = {};
+  DURATION_UNITS.forEach((unit) => {
+    result[unit] = sign * (Number(values[unit]) || 0) || 0;
+  });
+  return result;
+}
+
+/**
+ * 创建时长对象
+ * @param {number|Object|string} input - 毫秒数、{ years, months, weeks, days, hours, minutes, seconds, milliseconds }
+ * 或 ISO 8601 时长字符串（如 "P3DT2H"）
+ * @returns {Object|null} { years, months, days, hours, minutes, seconds, milliseconds }，
+ * 毫秒数会拆分为天及以下的单位，weeks 会折算为 days，无法识别时返回 null
+ * @example
+ * duration(90061000); // => { years: 0, months: 0, days: 1, hours: 1, minutes: 1, seconds: 1, milliseconds: 0 }
+ * duration("P3DT2H"); // => { ..., days: 3, hours: 2, ... }
+ */
+export function duration(input) {
+  if (typeof input === "number") {
+    if (!isFinite(input)) return null;
+    let rest = Math.abs(input);
+    const values = {};
+    [
+      ["days", DAY_MS],
+      ["hours", HOUR_MS],
+      ["minutes", MINUTE_MS],
+      ["seconds", SECOND_MS],
+      ["milliseconds", 1],
+    ].forEach(([unit, size]) => {
+      values[unit] = Math.floor(rest / size);
+      rest -= values[unit] * size;
+    });
+    return createDuration(values, input < 0 ? -1 : 1);
+  }
+
+  if (typeof input === "string") {
+    const str = input.trim();
+    const matched = str.match(ISO_DURATION_PATTERN);
+    if (!matched || /^[-+]?P$|T$/.test(str)) return null;
+    const [years, months, weeks, days, hours, minutes, seconds] = matched
+      .slice(2)
+      .map((value) => (value ? Number(value.replace(",", ".")) : 0));
+    return createDuration(
+      {
+        years,
+        months,
+        days: weeks * 7 + days,
+        hours,
+        minutes,
+        seconds: Math.trunc(seconds),
+        milliseconds: Math.round((seconds % 1) * 1000),
+      },
+      matched[1] === "-" ? -1 : 1
+    );
+  }
+
+  if (input && typeof input === "object") {
+    return createDuration({
+      ...input,
+      days: (Number(input.weeks) || 0) * 7 + (Number(input.days) || 0),
+    });
+  }
+  return null;
+}
+
+/**
+ * 内部工具函数：时长取反
+ */
+function negateDuration(input) {
+  const value = duration(input);
+  return value ? createDuration(value, -1) : null;
+}
+
+/**
+ * 内部工具函数：在日期上累加时长，从大单位到小单位依次计算
+ */
+function addDuration(d, input, options) {
+  const value = duration(input);
+  let result = new Date(d);
+  if (!value) return result;
+
+  [
+    ["years", "year"],
+    ["months", "month"],
+    ["days", "day"],
+    ["hours", "hour"],
+    ["minutes", "minute"],
+    ["seconds", "second"],
+  ].forEach(([key, unit]) => {
+    if (value[key]) result = add(result, value[key], unit, options);
+  });
+  return new Date(result.getTime() + value.milliseconds);
+}
+
+/**
+ * 内部工具函数：按日历拆分两个日期的差值，add(d1, 结果) 可以得到 d2
+ */
+function diffBreakdown(d1, d2) {
+  const sign = d2 < d1 ? -1 : 1;
+  const [start, end] = sign > 0 ? [d1, d2] : [d2, d1];
+
+  let months =
+    (end.getFullYear() - start.getFullYear()) * 12 +
+    end.getMonth() -
+    start.getMonth();
+  let anchor = add(new Date(start), months, "month");
+  while (months > 0 && anchor > end) {
+    months--;
+    anchor = add(new Date(start), months, "month");
+  }
+
+  // 按本地日历逐日修正，避免夏令时导致的天数误差
+  let days = Math.floor((end - anchor) / DAY_MS);
+  let dayAnchor = add(new Date(anchor), days, "day");
+  while (days > 0 && dayAnchor > end) {
+    days--;
+    dayAnchor = add(new Date(anchor), days, "day");
+  }
+  while (add(new Date(anchor), days + 1, "day") <= end) {
+    days++;
+    dayAnchor = add(new Date(anchor), days, "day");
+  }
+
+  const rest = duration(end - dayAnchor);
+  return createDuration(
+    {
+      ...rest,
+      years: Math.floor(months / 12),
+      months: months % 12,
+      days,
+    },
+    sign
+  );
+}
+
+/**
+ * 格式化时长
+ * @param {number|Object|string} input - 时长，参见 duration
+ * @param {string} [template="HH:mm:ss"] - 格式化模板，支持以下占位符，重复字母表示最少位数：
+ * - Y: 年
+ * - M: 月
+ * - D: 天
+ * - H: 小时
+ * - m: 分钟
+ * - s: 秒
+ * - S: 毫秒
+ * 模板中没有的单位会折算到更小的单位（月按 30 天计），[] 中的内容原样输出
+ * @returns {string} 格式化后的字符串，负的时长以 "-" 开头
+ * @example
+ * formatDuration({ days: 3, hours: 2, minutes: 15 }, "D天H小时m分"); // => "3天2小时15分"
+ * formatDuration(3723000); // => "01:02:03"
+ */
+export function formatDuration(input, template = "HH:mm:ss") {
+  const value = duration(input);
+  if (!value) return "";
+
+  const pattern = /\[([^\]]+)\]|Y+|M+|D+|H+|m+|s+|S+/g;
+  const present = {};
+  template.replace(pattern, (match, literal) => {
+    if (literal === undefined) present[match[0]] = true;
+    return match;
+  });
+
+  let months = value.years * 12 + value.months;
+  let rest =
+    value.days * DAY_MS +
+    value.hours * HOUR_MS +
+    value.minutes * MINUTE_MS +
+    value.seconds * SECOND_MS +
+    value.milliseconds;
+  if (!present.M && !present.Y) {
+    rest += months * 30 * DAY_MS;
+    months = 0;
+  }
+
+  const negative = months * 30 * DAY_MS + rest < 0;
+  months = Math.abs(months);
+  rest = Math.abs(rest);
+
+  const values = {};
+  if (present.Y) {
+    values.Y = Math.floor(months / 12);
+    months -= values.Y * 12;
+  }
+  if (present.M) {
+    values.M = months;
+  } else {
+    rest += months * 30 * DAY_MS;
+  }
+  [
+    ["D", DAY_MS],
+    ["H", HOUR_MS],
+    ["m", MINUTE_MS],
+    ["s", SECOND_MS],
+    ["S", 1],
+  ].forEach(([token, size]) => {
+    if (!present[token]) return;
+    values[token] = Math.floor(rest / size);
+    rest -= values[token] * size;
+  });
+
+  const text = template.replace(pattern, (match, literal) =>
+    literal !== undefined ? literal : padStart(values[match[0]], match.length)
+  );
+  return negative ? `-${text}` : text;
+}
+
+/**
+ * 用自然语言描述时长
+ * @param {number|Object|string} input - 时长，参见 duration
+ * @param {Object} [options] - 选项
+ * @param {string|Object} [options.locale] - 语言标识或语言包，默认为全局默认语言
+ * @param {number} [options.largest] - 最多显示的单位个数，默认全部显示
+ * @returns {string} 时长描述，如 "3天2小时15分钟"、"3 days 2 hours"
+ */
+export function humanizeDuration(input, options = {}) {
+  const value = duration(input);
+  if (!value) return "";
+
+  const phrases = getLocale(options.locale).duration || getLocale().duration;
+  const units = DURATION_UNITS.filter(
+    (unit) => unit !== "milliseconds" && value[unit] !== 0
+  ).slice(0, options.largest);
+  if (!units.length) return applyPhrase(phrases.seconds, 0);
+
+  return units
+    .map((unit) => applyPhrase(phrases[unit], Math.abs(value[unit])))
+    .join(phrases.delimiter);
+}
+
+/**
+ * 将时长转换为 ISO 8601 字符串
+ * 各字段先合计为总时长再拆分，符号不一致的字段会相互抵消（如 { hours: 1, minutes: -30 } 为 "PT30M"），
+ * 年月与其余字段符号相反时月按 30 天计，负的时长只在开头输出一个 "-"
+ * @param {number|Object|string} input - 时长，参见 duration
+ * @returns {string} ISO 8601 时长，如 "P3DT2H"，零时长为 "PT0S"
+ * @example
+ * toISODuration({ days: 3, hours: 2 }); // => "P3DT2H"
+ * toISODuration({ hours: -1, minutes: -30 }); // => "-PT1H30M"
+ */
+export function toISODuration(input) {
+  const value = duration(input);
+  if (!value) return "";
+
+  let months = value.years * 12 + value.months;
+  let rest =
+    value.days * DAY_MS +
+    value.hours * HOUR_MS +
+    value.minutes * MINUTE_MS +
+    value.seconds * SECOND_MS +
+    value.milliseconds;
+  if (months * rest < 0) {
+    rest += months * 30 * DAY_MS;
+    months = 0;
+  }
+  if (!months && !rest) return "PT0S";
+
+  const sign = months < 0 || rest < 0 ? "-" : "";
+  months = Math.abs(months);
+  rest = Math.abs(rest);
+  const [days, hours, minutes] = [DAY_MS, HOUR_MS, MINUTE_MS].map((size) => {
+    const amount = Math.floor(rest / size);
+    rest -= amount * size;
+    return amount;
+  });
+  const seconds = Number((rest / 1000).toFixed(3));
+  const date = [
+    [Math.floor(months / 12), "Y"],
+    [months % 12, "M"],
+    [days, "D"],
+  ];
+  const time = [
+    [hours, "H"],
+    [minutes, "M"],
+    [seconds, "S"],
+  ];
+  const join = (parts) =>
+    parts
+      .filter(([amount]) => amount)
+      .map(([amount, designator]) => amount + designator)
+      .join("");
+
+  const timePart = join(time);
+  return `${sign}P${join(date)}${timePart ? `T${timePart}` : ""}`;
+}
+
+/**
+ * 创建倒计时
+ * 每次触发都根据当前时间重新计算剩余时间，不会因为定时器被节流（如页面切到后台）而累积误差，
+ * 并且按剩余时间对齐到 interval 的整数倍触发，秒数不会跳变
+ * @param {Date|string|number} target - 结束时间
+ * @param {Object} [options] - 选项
+ * @param {Function} [options.onTick] - 每次触发时调用，参数为剩余时间对象：
+ * { total, days, hours, minutes, seconds, milliseconds, format(template) }，
+ * total 为剩余毫秒数，format 的模板同 formatDuration
+ * @param {Function} [options.onEnd] - 倒计时结束时调用
+ * @param {number} [options.interval=1000] - 触发间隔（毫秒），不是正数时使用默认值
+ * @param {number} [options.serverOffset=0] - 服务器时间与本地时间的差值（毫秒），即服务器时间 - 本地时间
+ * @param {boolean} [options.autoStart=true] - 是否立即开始
+ * @returns {Object} 倒计时对象，包含以下方法：
+ * - start(): 开始
+ * - pause(): 暂停，剩余时间保持不变
+ * - resume(): 从暂停处继续，结束时间顺延
+ * - reset(target?): 重置为原结束时间或新的结束时间，并按当前状态继续或保持暂停
+ * - stop(): 停止，不再触发
+ * - sync(serverTime, requestedAt?): 根据服务器时间校正，传入请求发出的时间时按往返耗时的一半补偿
+ * - getRemaining(): 获取剩余时间对象
+ * - isRunning(): 是否正在运行
+ * @example
+ * const countdown = createCountdown("2024-11-11 00:00", {
+ *   onTick: (remaining) => console.log(remaining.format("D天HH:mm:ss")),
+ *   onEnd: () => console.log("开抢"),
+ * });
+ * countdown.sync(serverTimestamp);
+ */
+export function createCountdown(target, options = {}) {
+  const { onTick, onEnd } = options;
+  // 间隔为 0、负数或 NaN 时定时器会空转，改用默认值
+  const interval =
+    Number.isFinite(options.interval) && options.interval > 0
+      ? options.interval
+      : 1000;
+  let endTime = toDate(target).getTime();
+  let serverOffset = options.serverOffset || 0;
+  let pausedRemaining = null;
+  let timer = null;
+  let running = false;
+
+  const now = () => Date.now() + serverOffset;
+
+  const getRemaining = () => {
+    const remaining =
+      pausedRemaining === null ? endTime - now() : pausedRemaining;
+    const total = Math.max(0, isNaN(remaining) ? 0 : remaining);
+    return {
+      total,
+      days: Math.floor(total / DAY_MS),
+      hours: Math.floor((total % DAY_MS) / HOUR_MS),
+      minutes: Math.floor((total % HOUR_MS) / MINUTE_MS),
+      seconds: Math.floor((total % MINUTE_MS) / SECOND_MS),
+      milliseconds: total % SECOND_MS,
+      format: (template) => formatDuration(total, template),
+    };
+  };
+
+  const clear = () => {
+    if (timer !== null) clearTimeout(timer);
+    timer = null;
+  };
+
+  const tick = () => {
+    clear();
+    const remaining = getRemaining();
+    if (onTick) onTick(remaining);
+    if (remaining.total <= 0) {
+      running = false;
+      if (onEnd) onEnd();
+      return;
+    }
+    // 对齐到剩余时间为 interval 整数倍的时刻
+    const delay = remaining.total % interval || interval;
+    timer = setTimeout(tick, delay);
+  };
+
+  const countdown = {
+    start() {
+      if (running) return countdown;
+      running = true;
+      if (pausedRemaining !== null) {
+        endTime = now() + pausedRemaining;
+        pausedRemaining = null;
+      }
+      tick();
+      return countdown;
+    },
+    pause() {
+      if (!running) return countdown;
+      pausedRemaining = Math.max(0, endTime - now());
+      running = false;
+      clear();
+      return countdown;
+    },
+    resume() {
+      return countdown.start();
+    },
+    reset(newTarget = target) {
+      target = newTarget;
+      endTime = toDate(target).getTime();
+      if (running) {
+        tick();
+      } else {
+        pausedRemaining = Math.max(0, endTime - now());
+      }
+      return countdown;
+    },
+    stop() {
+      running = false;
+      clear();
+      return countdown;
+    },
+    sync(serverTime, requestedAt) {
+      const server = toDate(serverTime).getTime();
+      if (isNaN(server)) return countdown;
+      const local =
+        requestedAt === undefined
+          ? Date.now()
+          : (toDate(requestedAt).getTime() + Date.now()) / 2;
+      serverOffset = server - local;
+      if (running) tick();
+      return countdown;
+    },
+    getRemaining,
+    isRunning: () => running,
+  };
+
+  if (options.autoStart !== false) countdown.start();
+  return countdown;
+}
+
+/**
+ * 获取日期是一年中的第几天
+ * @param {Date|string|number} date - 日期
+ * @returns {number} 天数
+ */
+export function getDayOfYear(date) {
+  const d = toDate(date);
+  if (!isValidDate(d)) return 0;
+  return Math.floor(
+    (d - new Date(d.getFullYear(), 0, 0)) / (1000 * 60 * 60 * 24)
+  );
+}
+
+/**
+ * 获取日期是一年中的第几周，1 月 1 日所在的周为第 1 周
  * @param {Date|string|number} date - 日期
+ * @param {Object} [options] - 选项
+ * @param {number} [options.weekStartsOn] - 每周起始日，0 为周日、1 为周一，默认使用全局设置
  * @returns {number} 周数
  */
-export function getWeekOfYear(date) {
+export function getWeekOfYear(date, options = {}) {
   const d = toDate(date);
   if (!isValidDate(d)) return 0;
   const start = new Date(d.getFullYear(), 0, 1);
-  const diff = d - start + start.getDay() * 24 * 60 * 60 * 1000;
-  return Math.floor(diff / (7 * 24 * 60 * 60 * 1000)) + 1;
+  const startWeekday = (start.getDay() - resolveWeekStartsOn(options) + 7) % 7;
+  return Math.floor((getDayOfYear(d) - 1 + startWeekday) / 7) + 1;
+}
+
+/**
+ * 内部工具函数：计算公历年月日所在的 ISO 周
+ * ISO 周从周一开始，包含当年第一个周四的周为第 1 周
+ * @returns {Object} { year, week }，year 为 ISO 周所属的年份
+ */
+function getISOWeekParts(year, month, day) {
+  const date = new Date(utcFromFields({ year, month, day }));
+  // 移动到同一周的周四，周四所在的年份即为 ISO 周年
+  date.setUTCDate(date.getUTCDate() + 3 - ((date.getUTCDay() + 6) % 7));
+  const weekYear = date.getUTCFullYear();
+  const firstDay = utcFromFields({ year: weekYear });
+  return {
+    year: weekYear,
+    week: Math.floor((date.getTime() - firstDay) / DAY_MS / 7) + 1,
+  };
+}
+
+/**
+ * 获取 ISO 8601 周数
+ * @param {Date|string|number} date - 日期
+ * @returns {number} 周数（1-53）
+ */
+export function getISOWeek(date) {
+  const d = toDate(date);
+  if (!isValidDate(d)) return 0;
+  return getISOWeekParts(d.getFullYear(), d.getMonth() + 1, d.getDate()).week;
+}
+
+/**
+ * 获取 ISO 8601 周所属的年份，如 2024-12-30 属于 2025 年第 1 周
+ * @param {Date|string|number} date - 日期
+ * @returns {number} 年份
+ */
+export function getISOWeekYear(date) {
+  const d = toDate(date);
+  if (!isValidDate(d)) return 0;
+  return getISOWeekParts(d.getFullYear(), d.getMonth() + 1, d.getDate()).year;
 }
 
 /**
@@ -402,18 +2034,212 @@ export function isWeekend(date) {
   return day === 0 || day === 6;
 }
 
+/**
+ * 节假日安排，键为 "YYYY-MM-DD"，值为 { type: "holiday" | "workday", name, year }
+ */
+let holidayCalendar = {};
+
+/**
+ * 已加载节假日安排的年份
+ */
+const holidayYears = new Set();
+
+/**
+ * 内部工具函数：解析节假日表中的日期，支持 "MM-DD" 和 "YYYY-MM-DD"
+ */
+function parseHolidayDay(str, year) {
+  return (
+    parse(str, "YYYY-MM-DD", { strict: true }) ||
+    parse(`${year}-${str}`, "YYYY-MM-DD", { strict: true })
+  );
+}
+
+/**
+ * 内部工具函数：把 "MM-DD"、"MM-DD~MM-DD" 或它们组成的数组展开为 "YYYY-MM-DD" 列表
+ */
+function expandHolidayDays(value, year) {
+  const items = Array.isArray(value) ? value : [value];
+  const days = [];
+  items.forEach((item) => {
+    const [from, to = from] = String(item).split("~");
+    const start = parseHolidayDay(from.trim(), year);
+    const end = parseHolidayDay(to.trim(), year);
+    if (!start || !end) return;
+    for (let d = start; d <= end; d = add(d, 1, "day")) {
+      days.push(format(d, "YYYY-MM-DD"));
+    }
+  });
+  return days;
+}
+
+/**
+ * 加载节假日安排，已存在的年份会被整体覆盖
+ * 内置安排只覆盖 2024-2026 年，其他年份需要自行加载，否则只按周末判断工作日
+ * @param {Object} table - 年份 -> { holidays, workdays }
+ * - holidays: 节日名称 -> "MM-DD" | "MM-DD~MM-DD" | 数组，也可以直接是日期数组
+ * - workdays: 调休上班的日期数组
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.replace=false] - 是否清空已加载的全部安排（包括内置的中国节假日）
+ * @example
+ * loadHolidays({
+ *   2027: {
+ *     holidays: { 元旦: "01-01", 春节: "02-05~02-12" },
+ *     workdays: ["02-14"],
+ *   },
+ * });
+ */
+export function loadHolidays(table, options = {}) {
+  if (options.replace) {
+    holidayCalendar = {};
+    holidayYears.clear();
+  }
+
+  Object.keys(table || {}).forEach((year) => {
+    holidayYears.add(Number(year));
+    Object.keys(holidayCalendar).forEach((key) => {
+      if (holidayCalendar[key].year === year) delete holidayCalendar[key];
+    });
+
+    const { holidays = {}, workdays = [] } = table[year];
+    const entries = Array.isArray(holidays)
+      ? [["", holidays]]
+      : Object.entries(holidays);
+    entries.forEach(([name, value]) => {
+      expandHolidayDays(value, year).forEach((key) => {
+        holidayCalendar[key] = { type: "holiday", name, year };
+      });
+    });
+    expandHolidayDays(workdays, year).forEach((key) => {
+      holidayCalendar[key] = { type: "workday", name: "", year };
+    });
+  });
+}
+
+loadHolidays(chinaHolidays);
+
+/**
+ * 获取已加载节假日安排的年份，不在其中的年份只按周末判断工作日
+ * @returns {number[]} 升序排列的年份，默认为 [2024, 2025, 2026]
+ * @example
+ * getHolidayYears(); // => [2024, 2025, 2026]
+ */
+export function getHolidayYears() {
+  return [...holidayYears].sort((a, b) => a - b);
+}
+
+/**
+ * 判断日期是否为法定节假日（以已加载的节假日安排为准）
+ * @param {Date|string|number} date - 日期
+ * @returns {boolean} 是否为法定节假日
+ */
+export function isHoliday(date) {
+  const d = toDate(date);
+  if (!isValidDate(d)) return false;
+  const entry = holidayCalendar[format(d, "YYYY-MM-DD")];
+  return !!entry && entry.type === "holiday";
+}
+
+/**
+ * 获取法定节假日名称
+ * @param {Date|string|number} date - 日期
+ * @returns {string} 节日名称，不是法定节假日时返回空字符串
+ */
+export function getHolidayName(date) {
+  return isHoliday(date)
+    ? holidayCalendar[format(toDate(date), "YYYY-MM-DD")].name
+    : "";
+}
+
+/**
+ * 判断日期是否为工作日：调休上班日是工作日，法定节假日不是，其余按周末判断
+ * 年份没有加载节假日安排时（参见 getHolidayYears）只按周末判断
+ * @param {Date|string|number} date - 日期
+ * @returns {boolean} 是否为工作日
+ */
+export function isWorkday(date) {
+  const d = toDate(date);
+  if (!isValidDate(d)) return false;
+  const entry = holidayCalendar[format(d, "YYYY-MM-DD")];
+  if (entry) return entry.type === "workday";
+  return !isWeekend(d);
+}
+
+/**
+ * 添加工作日，跳过周末和法定节假日，保留原来的时分秒
+ * @param {Date|string|number} date - 日期
+ * @param {number} amount - 工作日数量，负数表示向前
+ * @returns {Date} 新日期，amount 为 NaN 或 Infinity 时返回无效日期
+ */
+export function addWorkdays(date, amount) {
+  const d = toDate(date);
+  if (!isValidDate(d)) return new Date();
+  if (!Number.isFinite(amount)) return new Date(NaN);
+
+  const step = amount < 0 ? -1 : 1;
+  let remaining = Math.abs(Math.trunc(amount));
+  let current = new Date(d);
+  while (remaining > 0) {
+    current = add(current, step, "day");
+    if (isWorkday(current)) remaining--;
+  }
+  return current;
+}
+
+/**
+ * 获取下一个工作日
+ * @param {Date|string|number} date - 日期
+ * @returns {Date} 下一个工作日（不包括当天）
+ */
+export function nextWorkday(date) {
+  return addWorkdays(date, 1);
+}
+
+/**
+ * 获取上一个工作日
+ * @param {Date|string|number} date - 日期
+ * @returns {Date} 上一个工作日（不包括当天）
+ */
+export function prevWorkday(date) {
+  return addWorkdays(date, -1);
+}
+
+/**
+ * 获取两个日期之间的工作日天数，不计开始日期、计入结束日期
+ * @param {Date|string|number} date1 - 日期1
+ * @param {Date|string|number} date2 - 日期2
+ * @returns {number} 工作日天数，date2 早于 date1 时为负数
+ */
+export function diffWorkdays(date1, date2) {
+  if (!isValidDate(toDate(date1)) || !isValidDate(toDate(date2))) return 0;
+
+  const d1 = startOf(date1, "day");
+  const d2 = startOf(date2, "day");
+  const sign = d2 < d1 ? -1 : 1;
+  let [current, end] = sign > 0 ? [d1, d2] : [d2, d1];
+  let count = 0;
+  while (current < end) {
+    current = add(current, 1, "day");
+    if (isWorkday(current)) count++;
+  }
+  return count * sign;
+}
+
 /**
  * 判断日期是否为今天
  * @param {Date|string|number} date - 日期
+ * @param {Object} [options] - 选项
+ * @param {string} [options.timeZone] - IANA 时区，按该时区的日历判断，默认为本地时区
  * @returns {boolean} 是否为今天
  */
-export function isToday(date) {
+export function isToday(date, options = {}) {
   const d = toDate(date);
-  const today = new Date();
+  if (!isValidDate(d) || !isValidTimeZone(options.timeZone)) return false;
+  const fields = getDateFields(d, options.timeZone);
+  const today = getDateFields(new Date(), options.timeZone);
   return (
-    d.getFullYear() === today.getFullYear() &&
-    d.getMonth() === today.getMonth() &&
-    d.getDate() === today.getDate()
+    fields.year === today.year &&
+    fields.month === today.month &&
+    fields.day === today.day
   );
 }
 
@@ -453,22 +2279,205 @@ export function isBetween(date, startDate, endDate) {
  * 获取两个日期之间的所有日期
  * @param {Date|string|number} startDate - 开始日期
  * @param {Date|string|number} endDate - 结束日期
+ * @param {Object} [options] - 选项
+ * @param {boolean} [options.workdaysOnly=false] - 是否只返回工作日
  * @returns {Date[]} 日期数组
  */
-export function getDatesBetween(startDate, endDate) {
+export function getDatesBetween(startDate, endDate, options = {}) {
   const dates = [];
   const start = startOf(startDate, "day");
   const end = startOf(endDate, "day");
 
   let current = start;
   while (current <= end) {
-    dates.push(new Date(current));
+    if (!options.workdaysOnly || isWorkday(current)) {
+      dates.push(new Date(current));
+    }
     current = add(current, 1, "day");
   }
 
   return dates;
 }
 
+/**
+ * 内部工具函数：整理时间段，start 晚于 end 或日期无效时返回 null
+ * @param {Object} interval - { start, end }
+ * @returns {Object|null} { start: Date, end: Date }
+ */
+function toInterval(interval) {
+  if (!interval || typeof interval !== "object") return null;
+  const start = new Date(toDate(interval.start).getTime());
+  const end = new Date(toDate(interval.end).getTime());
+  if (!isValidDate(start) || !isValidDate(end) || start > end) return null;
+  return { start, end };
+}
+
+/**
+ * 判断两个时间段是否重叠，时间段包含开始时间、不包含结束时间，首尾相接不算重叠
+ * @param {Object} a - 时间段 { start, end }
+ * @param {Object} b - 时间段 { start, end }
+ * @returns {boolean} 是否重叠
+ * @example
+ * overlaps({ start: "2024-03-01 09:00", end: "2024-03-01 10:00" }, { start: "2024-03-01 09:30", end: "2024-03-01 11:00" }); // => true
+ */
+export function overlaps(a, b) {
+  const x = toInterval(a);
+  const y = toInterval(b);
+  if (!x || !y) return false;
+  return x.start < y.end && y.start < x.end;
+}
+
+/**
+ * 获取两个时间段的交集
+ * @param {Object} a - 时间段 { start, end }
+ * @param {Object} b - 时间段 { start, end }
+ * @returns {Object|null} 交集 { start, end }，不重叠时返回 null
+ */
+export function intersect(a, b) {
+  if (!overlaps(a, b)) return null;
+  const x = toInterval(a);
+  const y = toInterval(b);
+  return {
+    start: new Date(Math.max(x.start, y.start)),
+    end: new Date(Math.min(x.end, y.end)),
+  };
+}
+
+/**
+ * 合并时间段，重叠或首尾相接的时间段会合并为一个
+ * @param {Object[]} intervals - 时间段数组 [{ start, end }]
+ * @returns {Object[]} 按开始时间排序的时间段数组，无效的时间段会被忽略
+ */
+export function mergeIntervals(intervals) {
+  if (!Array.isArray(intervals)) return [];
+  const sorted = intervals
+    .map(toInterval)
+    .filter(Boolean)
+    .sort((a, b) => a.start - b.start);
+
+  const result = [];
+  sorted.forEach((interval) => {
+    const last = result[result.length - 1];
+    if (last && interval.start <= last.end) {
+      if (interval.end > last.end) last.end = interval.end;
+    } else {
+      result.push(interval);
+    }
+  });
+  return result;
+}
+
+/**
+ * 获取多个时间段的并集，同 mergeIntervals
+ * @param {...Object} intervals - 时间段 { start, end }
+ * @returns {Object[]} 按开始时间排序的时间段数组
+ */
+export function union(...intervals) {
+  return mergeIntervals(intervals);
+}
+
+/**
+ * 从时间段中减去若干时间段，常用于根据已占用的时间查找空闲时间
+ * @param {Object} interval - 时间段 { start, end }
+ * @param {Object[]} intervals - 要减去的时间段数组
+ * @returns {Object[]} 剩余的时间段数组，按开始时间排序
+ * @example
+ * subtractIntervals(
+ *   { start: "2024-03-01 09:00", end: "2024-03-01 18:00" },
+ *   [{ start: "2024-03-01 10:00", end: "2024-03-01 12:00" }]
+ * ); // => [09:00-10:00, 12:00-18:00]
+ */
+export function subtractIntervals(interval, intervals = []) {
+  const source = toInterval(interval);
+  if (!source) return [];
+
+  const result = [];
+  let cursor = source.start;
+  mergeIntervals(intervals).forEach(({ start, end }) => {
+    if (end <= cursor || start >= source.end) return;
+    if (start > cursor) result.push({ start: cursor, end: start });
+    if (end > cursor) cursor = end;
+  });
+  if (cursor < source.end) result.push({ start: cursor, end: source.end });
+  return result;
+}
+
+/**
+ * 按时间单位的边界拆分时间段，如按天拆分后每段都不跨天
+ * @param {Object} interval - 时间段 { start, end }
+ * @param {string} [unit="day"] - 单位：year|fiscalYear|halfYear|quarter|month|week|day|hour|minute|second
+ * @param {Object} [options] - 选项
+ * @param {string} [options.timeZone] - IANA 时区，按该时区的日历拆分
+ * @param {number} [options.weekStartsOn] - 每周起始日，按周拆分时使用
+ * @returns {Object[]} 时间段数组
+ * @example
+ * splitBy({ start: "2024-03-01 20:00", end: "2024-03-03 10:00" }, "day");
+ * // => [03-01 20:00 ~ 03-02 00:00, 03-02 00:00 ~ 03-03 00:00, 03-03 00:00 ~ 03-03 10:00]
+ */
+export function splitBy(interval, unit = "day", options = {}) {
+  const source = toInterval(interval);
+  if (!source) return [];
+
+  const result = [];
+  let cursor = source.start;
+  while (cursor < source.end) {
+    const next = add(startOf(cursor, unit, options), 1, unit, options);
+    // 不支持的单位无法推进时直接返回整段
+    const end = next > cursor && next < source.end ? next : source.end;
+    result.push({ start: cursor, end });
+    cursor = end;
+  }
+  return result;
+}
+
+/**
+ * 内部工具函数：把 "HH:mm" 转换为当天的分钟数
+ */
+function parseClockTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+  return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+}
+
+/**
+ * 获取时间段内的工作时长，只统计工作时间内的部分
+ * @param {Object} interval - 时间段 { start, end }
+ * @param {Object} [options] - 选项
+ * @param {Array} [options.hours=["09:00", "18:00"]] - 每天的工作时间，多段时写成
+ * [["09:00", "12:00"], ["13:00", "18:00"]]。结束时间早于开始时间的一段跨过午夜，如夜班
+ * ["22:00", "06:00"]，算作开始那天的工作时间
+ * @param {boolean} [options.workdaysOnly=true] - 是否只统计工作日（参见 isWorkday），
+ * 跨过午夜的一段按开始那天判断
+ * @returns {number} 毫秒数，可以传给 duration、formatDuration 等函数
+ * @example
+ * getBusinessDuration({ start: "2024-03-01 17:00", end: "2024-03-04 10:00" }); // => 7200000（周五 1 小时 + 周一 1 小时）
+ */
+export function getBusinessDuration(interval, options = {}) {
+  const { hours = ["09:00", "18:00"], workdaysOnly = true } = options;
+  const ranges = (Array.isArray(hours[0]) ? hours : [hours])
+    .map(([from, to]) => [parseClockTime(from), parseClockTime(to)])
+    .filter(([from, to]) => !isNaN(from) && !isNaN(to) && from !== to)
+    .map(([from, to]) => [from, to < from ? to + 24 * 60 : to]);
+  const source = toInterval(interval);
+  if (!source) return 0;
+
+  // 从前一天开始，前一天开始的夜班可能延续到时间段内
+  const days = splitBy(
+    { start: add(startOf(source.start, "day"), -1, "day"), end: source.end },
+    "day"
+  );
+  return days.reduce((total, day) => {
+    if (workdaysOnly && !isWorkday(day.start)) return total;
+    const { year, month, day: date } = getDateFields(day.start);
+    return ranges.reduce((sum, [from, to]) => {
+      const part = intersect(source, {
+        start: makeDate({ year, month, day: date, minute: from }),
+        end: makeDate({ year, month, day: date, minute: to }),
+      });
+      return part ? sum + (part.end - part.start) : sum;
+    }, total);
+  }, 0);
+}
+
 /**
  * 获取月份的第一天
  * @param {Date|string|number} date - 日期
@@ -518,31 +2527,1593 @@ export function getQuarter(date) {
   return Math.floor(toDate(date).getMonth() / 3) + 1;
 }
 
+/**
+ * 获取日期所在的半年
+ * @param {Date|string|number} date - 日期
+ * @returns {number} 1 为上半年，2 为下半年
+ */
+export function getHalfYear(date) {
+  return toDate(date).getMonth() < 6 ? 1 : 2;
+}
+
+/**
+ * 获取日期所在的财年，财年以开始的年份命名，如财年从 4 月开始时 2025-03-31 属于 2024 财年
+ * @param {Date|string|number} date - 日期
+ * @param {Object} [options] - 选项
+ * @param {number} [options.fiscalYearStart] - 财年起始月份，默认使用全局设置
+ * @returns {number} 财年
+ */
+export function getFiscalYear(date, options = {}) {
+  const d = toDate(date);
+  if (!isValidDate(d)) return 0;
+  return getFiscalParts(d.getFullYear(), d.getMonth() + 1, options).year;
+}
+
+/**
+ * 获取日期所在的财年季度
+ * @param {Date|string|number} date - 日期
+ * @param {Object} [options] - 选项，同 getFiscalYear
+ * @returns {number} 财年季度（1-4）
+ */
+export function getFiscalQuarter(date, options = {}) {
+  const d = toDate(date);
+  if (!isValidDate(d)) return 0;
+  return getFiscalParts(d.getFullYear(), d.getMonth() + 1, options).quarter;
+}
+
+/**
+ * 内部工具函数：整理日历的选中范围和可选范围
+ * @returns {Object} { selectedStart, selectedEnd, min, max }，未设置的为 null
+ */
+function resolveCalendarRange(options) {
+  const { selected, min, max } = options;
+  const toValid = (value) => {
+    if (value === undefined || value === null) return null;
+    const d = toDate(value);
+    return isValidDate(d) ? d : null;
+  };
+  const [selectedStart, selectedEnd] = Array.isArray(selected)
+    ? selected.map(toValid)
+    : [toValid(selected), toValid(selected)];
+  return {
+    selectedStart,
+    selectedEnd: selectedEnd || selectedStart,
+    min: toValid(min),
+    max: toValid(max),
+  };
+}
+
+/**
+ * 内部工具函数：判断区间 [start, end] 与选中范围、可选范围的关系
+ * @returns {Object} { isSelected, isRangeStart, isRangeEnd, disabled }
+ */
+function getCalendarCellState(start, end, range) {
+  const { selectedStart, selectedEnd, min, max } = range;
+  return {
+    isSelected: Boolean(
+      selectedStart && end >= selectedStart && start <= selectedEnd
+    ),
+    isRangeStart: Boolean(
+      selectedStart && selectedStart >= start && selectedStart <= end
+    ),
+    isRangeEnd: Boolean(
+      selectedEnd && selectedEnd >= start && selectedEnd <= end
+    ),
+    disabled: Boolean((min && end < min) || (max && start > max)),
+  };
+}
+
+/**
+ * 内部工具函数：把单元格按每行 size 个分组
+ */
+function chunkCells(cells, size) {
+  const rows = [];
+  for (let i = 0; i < cells.length; i += size) {
+    rows.push(cells.slice(i, i + size));
+  }
+  return rows;
+}
+
+/**
+ * 获取日期选择器的月视图，按周分行
+ * @param {number} year - 年份
+ * @param {number} month - 月份（1-12）
+ * @param {Object} [options] - 选项
+ * @param {number} [options.weekStartsOn] - 每周起始日，0 为周日、1 为周一，默认使用全局设置
+ * @param {boolean} [options.fixedWeeks=false] - 是否固定返回 6 行
+ * @param {Date|string|number|Array} [options.selected] - 选中的日期，或 [开始日期, 结束日期] 范围
+ * @param {Date|string|number} [options.min] - 可选的最早日期，更早的日期标记为 disabled
+ * @param {Date|string|number} [options.max] - 可选的最晚日期，更晚的日期标记为 disabled
+ * @param {Date|string|number} [options.today] - 今天，默认为当前时间
+ * @returns {Object[][]} 单元格矩阵，每个单元格为 { date, year, month, day, week, inCurrentMonth, isToday,
+ * isWeekend, isSelected, isRangeStart, isRangeEnd, disabled }；参数不合法时返回空数组
+ * @example
+ * getCalendarMatrix(2024, 3, { weekStartsOn: 1, selected: ["2024-03-05", "2024-03-08"] });
+ */
+export function getCalendarMatrix(year, month, options = {}) {
+  if (!Number.isInteger(year) || !Number.isInteger(month)) return [];
+  if (month < 1 || month > 12) return [];
+
+  const first = makeDate({ year, month });
+  const length = daysInMonthOf(year, month);
+  const offset = (first.getDay() - resolveWeekStartsOn(options) + 7) % 7;
+  const weeks = options.fixedWeeks ? 6 : Math.ceil((offset + length) / 7);
+  const range = resolveCalendarRange(options);
+  const today = format(toDate(options.today ?? new Date()), "YYYY-MM-DD");
+
+  const cells = [];
+  for (let i = 0; i < weeks * 7; i++) {
+    const date = makeDate({ year, month, day: i - offset + 1 });
+    const cell = getDateFields(date);
+    cells.push({
+      date,
+      year: cell.year,
+      month: cell.month,
+      day: cell.day,
+      week: cell.week,
+      inCurrentMonth: cell.month === month,
+      isToday: format(date, "YYYY-MM-DD") === today,
+      isWeekend: isWeekend(date),
+      ...getCalendarCellState(date, endOf(date, "day"), range),
+    });
+  }
+  return chunkCells(cells, 7);
+}
+
+/**
+ * 获取日期选择器的年视图，12 个月按每行 3 个分为 4 行
+ * @param {number} year - 年份
+ * @param {Object} [options] - 选项，selected、min、max、today 同 getCalendarMatrix，按月比较
+ * @returns {Object[][]} 单元格矩阵，每个单元格为 { date, year, month, isCurrent, isSelected, isRangeStart,
+ * isRangeEnd, disabled }，date 为当月第一天，isCurrent 表示今天所在的月份
+ */
+export function getCalendarYearMatrix(year, options = {}) {
+  if (!Number.isInteger(year)) return [];
+
+  const range = resolveCalendarRange(options);
+  const today = format(toDate(options.today ?? new Date()), "YYYY-MM");
+  const cells = [];
+  for (let month = 1; month <= 12; month++) {
+    const date = makeDate({ year, month });
+    cells.push({
+      date,
+      year,
+      month,
+      isCurrent: format(date, "YYYY-MM") === today,
+      ...getCalendarCellState(date, endOf(date, "month"), range),
+    });
+  }
+  return chunkCells(cells, 3);
+}
+
+/**
+ * 获取日期选择器的十年视图，包含前一个十年的最后一年和后一个十年的第一年，共 12 年，按每行 3 个分为 4 行
+ * @param {number} year - 十年中的任意年份
+ * @param {Object} [options] - 选项，selected、min、max、today 同 getCalendarMatrix，按年比较
+ * @returns {Object[][]} 单元格矩阵，每个单元格为 { date, year, inCurrentDecade, isCurrent, isSelected,
+ * isRangeStart, isRangeEnd, disabled }，date 为当年第一天，isCurrent 表示今天所在的年份
+ */
+export function getCalendarDecadeMatrix(year, options = {}) {
+  if (!Number.isInteger(year)) return [];
+
+  const decade = Math.floor(year / 10) * 10;
+  const range = resolveCalendarRange(options);
+  const today = toDate(options.today ?? new Date()).getFullYear();
+  const cells = [];
+  for (let current = decade - 1; current <= decade + 10; current++) {
+    const date = makeDate({ year: current });
+    cells.push({
+      date,
+      year: current,
+      inCurrentDecade: current >= decade && current < decade + 10,
+      isCurrent: current === today,
+      ...getCalendarCellState(date, endOf(date, "year"), range),
+    });
+  }
+  return chunkCells(cells, 3);
+}
+
+/**
+ * 各年份节气日期缓存
+ */
+const solarTermCache = {};
+
+/**
+ * 内部工具函数：获取某年节气日期（带缓存）
+ */
+function getCachedSolarTerms(year) {
+  if (!solarTermCache[year]) solarTermCache[year] = getSolarTermDays(year);
+  return solarTermCache[year];
+}
+
+/**
+ * 内部工具函数：由公历年月日得到完整的农历信息
+ */
+function getLunarInfo(year, month, day) {
+  const lunar = solarToLunar(year, month, day);
+  if (!lunar) return null;
+
+  const term = getCachedSolarTerms(year).find(
+    (item) => item.month === month && item.day === day
+  );
+  const solarTerm = term ? term.name : "";
+  const lastDay = getLunarMonthDays(lunar.year, lunar.month, lunar.isLeap);
+  const festivals = TRADITIONAL_FESTIVALS.filter((festival) => {
+    if (festival.solarTerm) return festival.solarTerm === solarTerm;
+    return (
+      !lunar.isLeap &&
+      festival.month === lunar.month &&
+      (festival.day === -1 ? lunar.day === lastDay : festival.day === lunar.day)
+    );
+  }).map((festival) => festival.name);
+
+  return {
+    ...lunar,
+    ganZhiYear: getGanZhiYear(lunar.year),
+    zodiac: getZodiac(lunar.year),
+    monthName: getLunarMonthName(lunar.month, lunar.isLeap),
+    dayName: getLunarDayName(lunar.day),
+    solarTerm,
+    festivals,
+  };
+}
+
+/**
+ * 公历转农历（支持 1900-2100 年）
+ * @param {Date|string|number} date - 日期
+ * @param {Object} [options] - 选项
+ * @param {string} [options.timeZone] - IANA 时区，按该时区的日历取日期，默认为本地时区
+ * @returns {Object|null} 农历信息，超出范围或日期无效时返回 null
+ * - year / month / day: 农历年月日，isLeap 表示是否为闰月
+ * - ganZhiYear: 干支纪年（以正月初一为界），如 "甲辰"
+ * - zodiac: 生肖，如 "龙"
+ * - monthName / dayName: 农历月日名称，如 "闰四月"、"初一"
+ * - solarTerm: 当天的节气，没有时为空字符串
+ * - festivals: 当天的传统节日名称数组
+ * @example
+ * toLunar("2024-02-10"); // => { year: 2024, month: 1, day: 1, ganZhiYear: "甲辰", zodiac: "龙", festivals: ["春节"], ... }
+ */
+export function toLunar(date, options = {}) {
+  const d = toDate(date);
+  if (!isValidDate(d) || !isValidTimeZone(options.timeZone)) return null;
+  const { year, month, day } = getDateFields(d, options.timeZone);
+  return getLunarInfo(year, month, day);
+}
+
+/**
+ * 农历转公历
+ * @param {number} year - 农历年
+ * @param {number} month - 农历月（1-12）
+ * @param {number} day - 农历日（1-30）
+ * @param {boolean} [isLeap=false] - 是否为闰月
+ * @returns {Date|null} 当天零点，农历日期不存在时返回 null
+ */
+export function fromLunar(year, month, day, isLeap = false) {
+  const solar = lunarToSolar(year, month, day, isLeap);
+  return solar ? makeDate(solar) : null;
+}
+
+/**
+ * 获取某年的二十四节气（北京时间）
+ * @param {number} year - 公历年
+ * @returns {Object[]} [{ name, date }]，从小寒到冬至按时间排列，date 为当天零点
+ */
+export function getSolarTerms(year) {
+  return getCachedSolarTerms(year).map(({ name, ...fields }) => ({
+    name,
+    date: makeDate(fields),
+  }));
+}
+
+/**
+ * 获取日期对应的节气
+ * @param {Date|string|number} date - 日期
+ * @returns {string} 节气名称，当天不是节气时返回空字符串
+ */
+export function getSolarTerm(date) {
+  const d = toDate(date);
+  if (!isValidDate(d)) return "";
+  const term = getCachedSolarTerms(d.getFullYear()).find(
+    (item) => item.month === d.getMonth() + 1 && item.day === d.getDate()
+  );
+  return term ? term.name : "";
+}
+
+/**
+ * 获取日期对应的传统节日
+ * @param {Date|string|number} date - 日期
+ * @returns {string[]} 节日名称数组，如 ["中秋节"]
+ */
+export function getTraditionalFestivals(date) {
+  const lunar = toLunar(date);
+  return lunar ? lunar.festivals : [];
+}
+
+/**
+ * 获取传统节日在某个公历年中的日期
+ * @param {string} name - 节日名称，如 "春节"、"端午节"、"中秋节"、"除夕"
+ * @param {number} year - 公历年
+ * @returns {Date|null} 节日当天零点，节日不存在时返回 null
+ * @example
+ * getTraditionalFestivalDate("中秋节", 2024); // => 2024-09-17
+ * getTraditionalFestivalDate("除夕", 2024); // => 2024-02-09
+ */
+export function getTraditionalFestivalDate(name, year) {
+  const festival = TRADITIONAL_FESTIVALS.find((item) => item.name === name);
+  if (!festival) return null;
+
+  if (festival.solarTerm) {
+    const term = getSolarTerms(year).find(
+      (item) => item.name === festival.solarTerm
+    );
+    return term ? term.date : null;
+  }
+
+  // 腊月的节日可能落在次年年初，依次尝试上一个和当前农历年
+  for (const lunarYear of [year - 1, year]) {
+    const day =
+      festival.day === -1
+        ? getLunarMonthDays(lunarYear, festival.month)
+        : festival.day;
+    const solar = lunarToSolar(lunarYear, festival.month, day);
+    if (solar && solar.year === year) return makeDate(solar);
+  }
+  return null;
+}
+
+/**
+ * RRULE 中的星期代码，下标与 Date#getDay 一致
+ */
+const RRULE_WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+/**
+ * 支持的重复频率及对应的步进单位
+ */
+const RRULE_FREQ_UNITS = {
+  YEARLY: "year",
+  MONTHLY: "month",
+  WEEKLY: "week",
+  DAILY: "day",
+  HOURLY: "hour",
+  MINUTELY: "minute",
+  SECONDLY: "second",
+};
+
+/**
+ * 内部工具函数：解析 iCalendar 日期，如 20240315、20240315T090000、20240315T010000Z
+ * @returns {Date|null} 日期对象，格式不正确时返回 null
+ */
+function parseICalDate(value, timeZone) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(
+    value.trim()
+  );
+  if (!match || !isValidTimeZone(timeZone)) return null;
+  const [, year, month, day, hour = 0, minute = 0, second = 0, utc] = match;
+  const fields = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second),
+  };
+  if (fields.month < 1 || fields.month > 12) return null;
+  if (fields.day < 1 || fields.day > daysInMonthOf(fields.year, fields.month)) {
+    return null;
+  }
+  return utc
+    ? new Date(utcFromFields(fields))
+    : makeDate(fields, timeZone || undefined);
+}
+
+/**
+ * 内部工具函数：解析 BYDAY 中的一项，如 "MO"、"2MO"、"-1FR"
+ * @returns {Object|null} { weekday, n }，n 为 0 表示每一个
+ */
+function parseRRuleWeekday(value) {
+  if (value && typeof value === "object") {
+    return Number.isInteger(value.weekday) &&
+      value.weekday >= 0 &&
+      value.weekday <= 6
+      ? { weekday: value.weekday, n: value.n || 0 }
+      : null;
+  }
+  const match = /^([+-]?\d{1,2})?([A-Z]{2})$/.exec(
+    String(value).trim().toUpperCase()
+  );
+  if (!match) return null;
+  const weekday = RRULE_WEEKDAYS.indexOf(match[2]);
+  const n = match[1] ? Number(match[1]) : 0;
+  if (weekday < 0 || Math.abs(n) > 53) return null;
+  return { weekday, n };
+}
+
+/**
+ * 内部工具函数：解析整数列表，超出 [min, max] 或为 0 时返回 null
+ */
+function parseRRuleNumbers(value, min, max) {
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  const numbers = list.map(Number);
+  return numbers.every((n) => Number.isInteger(n) && n >= min && n <= max && n)
+    ? numbers
+    : null;
+}
+
+/**
+ * 内部工具函数：把 RRULE 字符串或规则对象整理为统一的规则对象
+ * @returns {Object|null} 规则对象，规则不合法时返回 null
+ */
+function normalizeRRule(rule) {
+  if (typeof rule === "string") return parseRRule(rule);
+  if (!rule || typeof rule !== "object") return null;
+
+  const freq = String(rule.freq || "").toUpperCase();
+  if (!RRULE_FREQ_UNITS[freq]) return null;
+  const interval = rule.interval == null ? 1 : Number(rule.interval);
+  const count = rule.count == null ? null : Number(rule.count);
+  if (!Number.isInteger(interval) || interval < 1) return null;
+  if (count !== null && (!Number.isInteger(count) || count < 1)) return null;
+
+  const byDay = (rule.byDay || []).map(parseRRuleWeekday);
+  const byMonthDay = rule.byMonthDay?.length
+    ? parseRRuleNumbers(rule.byMonthDay, -31, 31)
+    : [];
+  const byMonth = rule.byMonth?.length
+    ? parseRRuleNumbers(rule.byMonth, 1, 12)
+    : [];
+  const bySetPos = rule.bySetPos?.length
+    ? parseRRuleNumbers(rule.bySetPos, -366, 366)
+    : [];
+  const weekStart =
+    typeof rule.weekStart === "string"
+      ? RRULE_WEEKDAYS.indexOf(rule.weekStart.toUpperCase())
+      : rule.weekStart ?? 1;
+  if (byDay.includes(null) || !byMonthDay || !byMonth || !bySetPos) {
+    return null;
+  }
+  if (!Number.isInteger(weekStart) || weekStart < 0 || weekStart > 6) {
+    return null;
+  }
+  if (!isValidTimeZone(rule.timeZone)) return null;
+
+  const until = rule.until ? toDate(rule.until) : null;
+  const dtStart = rule.dtStart ? toDate(rule.dtStart) : null;
+  const exDates = (rule.exDates || []).map(toDate);
+  if (
+    (until && !isValidDate(until)) ||
+    (dtStart && !isValidDate(dtStart)) ||
+    !exDates.every(isValidDate)
+  ) {
+    return null;
+  }
+
+  return {
+    freq,
+    interval,
+    count,
+    until,
+    byDay,
+    byMonthDay,
+    byMonth,
+    bySetPos,
+    weekStart,
+    dtStart,
+    exDates,
+    timeZone: rule.timeZone || null,
+  };
+}
+
+/**
+ * 解析 RRULE（RFC 5545）
+ * 支持 FREQ、INTERVAL、COUNT、UNTIL、BYDAY（如 MO、2MO、-1FR）、BYMONTHDAY、BYMONTH、BYSETPOS、WKST，
+ * 以及同时给出的 DTSTART、EXDATE 行（可带 TZID）
+ * @param {string} str - RRULE 字符串，如 "FREQ=MONTHLY;BYDAY=-1FR" 或多行的 "DTSTART:...\nRRULE:..."
+ * @returns {Object|null} 规则对象 { freq, interval, count, until, byDay, byMonthDay, byMonth, bySetPos,
+ * weekStart, dtStart, exDates, timeZone }，byDay 的每一项为 { weekday, n }；不合法或包含不支持的字段时返回 null
+ * @example
+ * parseRRule("RRULE:FREQ=MONTHLY;BYDAY=2MO;COUNT=3");
+ * // => { freq: "MONTHLY", interval: 1, count: 3, byDay: [{ weekday: 1, n: 2 }], ... }
+ */
+export function parseRRule(str) {
+  if (typeof str !== "string" || !str.trim()) return null;
+
+  const rule = { exDates: [] };
+  let hasRule = false;
+  const lines = str.trim().split(/\r?\n/);
+  for (const line of lines) {
+    const match = /^(?:([A-Z-]+)((?:;[^:;]+)*):)?(.*)$/i.exec(line.trim());
+    const name = (match[1] || "RRULE").toUpperCase();
+    const params = {};
+    (match[2] || "")
+      .split(";")
+      .filter(Boolean)
+      .forEach((param) => {
+        const [key, value = ""] = param.split("=");
+        params[key.toUpperCase()] = value;
+      });
+    const value = match[3];
+
+    if (name === "DTSTART") {
+      rule.timeZone = params.TZID || null;
+      rule.dtStart = parseICalDate(value, rule.timeZone);
+      if (!rule.dtStart) return null;
+    } else if (name === "EXDATE") {
+      for (const item of value.split(",")) {
+        const d = parseICalDate(item, params.TZID || rule.timeZone);
+        if (!d) return null;
+        rule.exDates.push(d);
+      }
+    } else if (name === "RRULE") {
+      hasRule = true;
+      for (const part of value.split(";").filter(Boolean)) {
+        const [key, partValue = ""] = part.split("=");
+        switch (key.toUpperCase()) {
+          case "FREQ":
+            rule.freq = partValue;
+            break;
+          case "INTERVAL":
+            rule.interval = Number(partValue);
+            break;
+          case "COUNT":
+            rule.count = Number(partValue);
+            break;
+          case "UNTIL":
+            rule.until = parseICalDate(partValue, rule.timeZone);
+            if (!rule.until) return null;
+            break;
+          case "BYDAY":
+            rule.byDay = partValue.split(",");
+            break;
+          case "BYMONTHDAY":
+            rule.byMonthDay = partValue.split(",");
+            break;
+          case "BYMONTH":
+            rule.byMonth = partValue.split(",");
+            break;
+          case "BYSETPOS":
+            rule.bySetPos = partValue.split(",");
+            break;
+          case "WKST":
+            rule.weekStart = partValue;
+            break;
+          default:
+            return null;
+        }
+      }
+    } else {
+      return null;
+    }
+  }
+
+  return hasRule ? normalizeRRule(rule) : null;
+}
+
+/**
+ * 内部工具函数：把日期格式化为 iCalendar 日期
+ */
+function formatICalDate(date, timeZone) {
+  return format(date, "YYYYMMDD[T]HHmmss", { timeZone: timeZone || undefined });
+}
+
+/**
+ * 把规则对象序列化为 RRULE 字符串，有 dtStart、exDates 时分别输出 DTSTART、EXDATE 行
+ * @param {Object|string} rule - 规则对象（参见 parseRRule），byDay 也可以写成 ["MO", "-1FR"]
+ * @returns {string} RRULE 字符串，规则不合法时返回空字符串
+ * @example
+ * stringifyRRule({ freq: "weekly", byDay: ["MO", "WE"], count: 10 }); // => "RRULE:FREQ=WEEKLY;COUNT=10;BYDAY=MO,WE"
+ */
+export function stringifyRRule(rule) {
+  const value = normalizeRRule(rule);
+  if (!value) return "";
+
+  const parts = [`FREQ=${value.freq}`];
+  if (value.interval !== 1) parts.push(`INTERVAL=${value.interval}`);
+  if (value.count !== null) parts.push(`COUNT=${value.count}`);
+  if (value.until) {
+    parts.push(`UNTIL=${formatICalDate(value.until, "UTC")}Z`);
+  }
+  if (value.byMonth.length) parts.push(`BYMONTH=${value.byMonth.join(",")}`);
+  if (value.byMonthDay.length) {
+    parts.push(`BYMONTHDAY=${value.byMonthDay.join(",")}`);
+  }
+  if (value.byDay.length) {
+    const days = value.byDay.map(
+      ({ weekday, n }) => (n || "") + RRULE_WEEKDAYS[weekday]
+    );
+    parts.push(`BYDAY=${days.join(",")}`);
+  }
+  if (value.bySetPos.length) {
+    parts.push(`BYSETPOS=${value.bySetPos.join(",")}`);
+  }
+  if (value.weekStart !== 1) {
+    parts.push(`WKST=${RRULE_WEEKDAYS[value.weekStart]}`);
+  }
+
+  const tzid = value.timeZone ? `;TZID=${value.timeZone}` : "";
+  const lines = [];
+  if (value.dtStart) {
+    lines.push(
+      `DTSTART${tzid}:${formatICalDate(value.dtStart, value.timeZone)}`
+    );
+  }
+  lines.push(`RRULE:${parts.join(";")}`);
+  if (value.exDates.length) {
+    const dates = value.exDates.map((d) => formatICalDate(d, value.timeZone));
+    lines.push(`EXDATE${tzid}:${dates.join(",")}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * 内部工具函数：在一个月或一年中找出符合 BYDAY 的日期序号（从 1 开始）
+ * @param {number} firstWeekday - 第一天是星期几
+ * @param {number} length - 总天数
+ * @param {Object[]} byDay - [{ weekday, n }]
+ */
+function getByDayIndexes(firstWeekday, length, byDay) {
+  const indexes = [];
+  byDay.forEach(({ weekday, n }) => {
+    const first = 1 + ((weekday - firstWeekday + 7) % 7);
+    if (n > 0) {
+      indexes.push(first + (n - 1) * 7);
+    } else if (n < 0) {
+      const last = first + Math.floor((length - first) / 7) * 7;
+      indexes.push(last + (n + 1) * 7);
+    } else {
+      for (let i = first; i <= length; i += 7) indexes.push(i);
+    }
+  });
+  return indexes.filter((i) => i >= 1 && i <= length);
+}
+
+/**
+ * 内部工具函数：找出某个月中符合规则的日期
+ */
+function getRRuleMonthDays(rule, year, month, defaultDay) {
+  const length = daysInMonthOf(year, month);
+  const firstWeekday = new Date(utcFromFields({ year, month })).getUTCDay();
+  const monthDays = rule.byMonthDay
+    .map((day) => (day > 0 ? day : length + 1 + day))
+    .filter((day) => day >= 1 && day <= length);
+
+  if (rule.byMonthDay.length && rule.byDay.length) {
+    const weekdays = rule.byDay.map(({ weekday }) => weekday);
+    return monthDays.filter((day) =>
+      weekdays.includes((firstWeekday + day - 1) % 7)
+    );
+  }
+  if (rule.byMonthDay.length) return monthDays;
+  if (rule.byDay.length) {
+    return getByDayIndexes(firstWeekday, length, rule.byDay);
+  }
+  return defaultDay <= length ? [defaultDay] : [];
+}
+
+/**
+ * 内部工具函数：获取第 index 个周期的开始时间
+ */
+function getRRulePeriodStart(rule, start, index) {
+  const { freq, timeZone } = rule;
+  const step = index * rule.interval;
+  switch (freq) {
+    case "YEARLY":
+      return makeDate({ year: start.year + step }, timeZone);
+    case "MONTHLY":
+      return makeDate(
+        { year: start.year, month: start.month + step },
+        timeZone
+      );
+    case "WEEKLY": {
+      const offset = (start.week - rule.weekStart + 7) % 7;
+      return makeDate(
+        {
+          year: start.year,
+          month: start.month,
+          day: start.day - offset + step * 7,
+        },
+        timeZone
+      );
+    }
+    case "DAILY":
+      return makeDate(
+        { year: start.year, month: start.month, day: start.day + step },
+        timeZone
+      );
+    default:
+      return add(start.date, step, RRULE_FREQ_UNITS[freq]);
+  }
+}
+
+/**
+ * 内部工具函数：生成第 index 个周期内的候选时间（未按 COUNT、UNTIL 过滤）
+ */
+function getRRulePeriod(rule, start, index) {
+  const { freq, interval, timeZone } = rule;
+  const step = index * interval;
+  const time = {
+    hour: start.hour,
+    minute: start.minute,
+    second: start.second,
+  };
+  const toFields = (year, month, day) => ({ year, month, day, ...time });
+  let candidates = [];
+
+  if (freq === "YEARLY") {
+    const year = start.year + step;
+    if (rule.byMonth.length) {
+      rule.byMonth.forEach((month) => {
+        getRRuleMonthDays(rule, year, month, start.day).forEach((day) =>
+          candidates.push(toFields(year, month, day))
+        );
+      });
+    } else if (rule.byDay.length && !rule.byMonthDay.length) {
+      const firstWeekday = new Date(utcFromFields({ year })).getUTCDay();
+      const length = daysInMonthOf(year, 2) === 29 ? 366 : 365;
+      getByDayIndexes(firstWeekday, length, rule.byDay).forEach((day) =>
+        candidates.push(toFields(year, 1, day))
+      );
+    } else if (rule.byMonthDay.length) {
+      for (let month = 1; month <= 12; month++) {
+        getRRuleMonthDays(rule, year, month, start.day).forEach((day) =>
+          candidates.push(toFields(year, month, day))
+        );
+      }
+    } else if (start.day <= daysInMonthOf(year, start.month)) {
+      candidates.push(toFields(year, start.month, start.day));
+    }
+  } else if (freq === "MONTHLY") {
+    const total = start.year * 12 + start.month - 1 + step;
+    const year = Math.floor(total / 12);
+    const month = total - year * 12 + 1;
+    if (!rule.byMonth.length || rule.byMonth.includes(month)) {
+      getRRuleMonthDays(rule, year, month, start.day).forEach((day) =>
+        candidates.push(toFields(year, month, day))
+      );
+    }
+  } else if (freq === "WEEKLY") {
+    const offset = (start.week - rule.weekStart + 7) % 7;
+    const weekdays = rule.byDay.length
+      ? rule.byDay.map(({ weekday }) => weekday)
+      : [start.week];
+    for (let i = 0; i < 7; i++) {
+      const day = start.day - offset + step * 7 + i;
+      if (weekdays.includes((rule.weekStart + i) % 7)) {
+        candidates.push(toFields(start.year, start.month, day));
+      }
+    }
+  } else {
+    const unit = RRULE_FREQ_UNITS[freq];
+    candidates.push(
+      unit === "day"
+        ? toFields(start.year, start.month, start.day + step)
+        : getDateFields(add(start.date, step, unit), timeZone)
+    );
+  }
+
+  let dates = candidates
+    .map((fields) => makeDate(fields, timeZone))
+    .sort((a, b) => a - b);
+
+  // 周期内的 BYxxx 规则在上面已经展开，其余情况作为过滤条件
+  if (!["YEARLY", "MONTHLY", "WEEKLY"].includes(freq)) {
+    dates = dates.filter((d) => {
+      const { month, day, week } = getDateFields(d, timeZone);
+      const length = daysInMonthOf(d.getFullYear(), month);
+      return (
+        (!rule.byMonth.length || rule.byMonth.includes(month)) &&
+        (!rule.byMonthDay.length ||
+          rule.byMonthDay.some((n) => (n > 0 ? n : length + 1 + n) === day)) &&
+        (!rule.byDay.length || rule.byDay.some((item) => item.weekday === week))
+      );
+    });
+  } else if (freq === "WEEKLY" && rule.byMonth.length) {
+    dates = dates.filter((d) =>
+      rule.byMonth.includes(getDateFields(d, timeZone).month)
+    );
+  }
+
+  if (rule.bySetPos.length) {
+    dates = rule.bySetPos
+      .map((pos) => dates[pos > 0 ? pos - 1 : dates.length + pos])
+      .filter(Boolean)
+      .sort((a, b) => a - b);
+  }
+  return dates;
+}
+
+/**
+ * 展开 RRULE，获取两个日期之间（按天计算，包含首尾两天）的所有重复时间
+ * COUNT 从 DTSTART 开始计数，EXDATE 和 workdaysOnly 只在计数后排除，不会顺延
+ * @param {Object|string} rule - 规则对象或 RRULE 字符串（参见 parseRRule）
+ * @param {Date|string|number} startDate - 开始日期
+ * @param {Date|string|number} endDate - 结束日期
+ * @param {Object} [options] - 选项
+ * @param {Date|string|number} [options.dtStart] - 第一次的时间，规则中没有 DTSTART 时使用，默认为 startDate
+ * @param {boolean} [options.workdaysOnly=false] - 是否只返回工作日（参见 isWorkday）
+ * @param {string} [options.timeZone] - IANA 时区，规则中没有 TZID 时使用
+ * @returns {Date[]} 按时间排序的日期数组，规则不合法时返回空数组
+ * @example
+ * expandRRule("FREQ=MONTHLY;BYDAY=-1FR", "2024-01-01", "2024-03-31");
+ * // => [2024-01-26, 2024-02-23, 2024-03-29]
+ */
+export function expandRRule(rule, startDate, endDate, options = {}) {
+  const value = normalizeRRule(rule);
+  if (!value) return [];
+  const timeZone = value.timeZone || options.timeZone;
+  const normalized = { ...value, timeZone };
+
+  const rangeStart = startOf(startDate, "day", { timeZone });
+  const rangeEnd = endOf(endDate, "day", { timeZone });
+  const dtStart = toDate(value.dtStart || options.dtStart || rangeStart);
+  if (
+    !isValidDate(rangeStart) ||
+    !isValidDate(rangeEnd) ||
+    !isValidDate(dtStart)
+  ) {
+    return [];
+  }
+
+  const limit = value.until && value.until < rangeEnd ? value.until : rangeEnd;
+  const start = { ...getDateFields(dtStart, timeZone), date: dtStart };
+  const exDates = value.exDates.map((d) => d.getTime());
+  const dates = [];
+  let count = 0;
+
+  // 没有 COUNT 时不需要从 DTSTART 开始计数，直接跳到 rangeStart 所在周期的前一个周期
+  let firstIndex = 0;
+  if (value.count === null && dtStart < rangeStart) {
+    const elapsed = diff(dtStart, rangeStart, RRULE_FREQ_UNITS[value.freq]);
+    firstIndex = Math.max(0, Math.floor(elapsed / value.interval) - 1);
+  }
+
+  for (let index = firstIndex; ; index++) {
+    // 周期的开始时间已经晚于截止时间时结束
+    if (getRRulePeriodStart(normalized, start, index) > limit) break;
+    const period = getRRulePeriod(normalized, start, index);
+
+    for (const d of period) {
+      if (d < dtStart) continue;
+      if (d > limit || (value.count !== null && count >= value.count)) break;
+      count++;
+      if (
+        d >= rangeStart &&
+        !exDates.includes(d.getTime()) &&
+        (!options.workdaysOnly || isWorkday(d))
+      ) {
+        dates.push(d);
+      }
+    }
+    if (value.count !== null && count >= value.count) break;
+  }
+  return dates;
+}
+
+/**
+ * cron 表达式的字段定义，6 个字段时第一个为秒
+ */
+const CRON_FIELDS = [
+  { name: "second", label: "秒", min: 0, max: 59 },
+  { name: "minute", label: "分钟", min: 0, max: 59 },
+  { name: "hour", label: "小时", min: 0, max: 23 },
+  { name: "dayOfMonth", label: "日期", min: 1, max: 31 },
+  {
+    name: "month",
+    label: "月份",
+    min: 1,
+    max: 12,
+    names: [
+      "JAN",
+      "FEB",
+      "MAR",
+      "APR",
+      "MAY",
+      "JUN",
+      "JUL",
+      "AUG",
+      "SEP",
+      "OCT",
+      "NOV",
+      "DEC",
+    ],
+  },
+  {
+    name: "dayOfWeek",
+    label: "星期",
+    min: 0,
+    max: 7,
+    names: ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"],
+  },
+];
+
+/**
+ * cron 预定义表达式
+ */
+const CRON_MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+/**
+ * 向前或向后查找执行时间的最大年数，覆盖闰年与星期组合的完整周期（28 年）
+ */
+const CRON_SEARCH_YEARS = 28;
+
+/**
+ * 内部工具函数：解析 cron 字段中的单个值，支持数字和英文缩写（如 JAN、MON）
+ * @returns {number} 值，无法识别时返回 NaN
+ */
+function parseCronValue(value, field) {
+  if (/^\d+$/.test(value)) return Number(value);
+  const index = (field.names || []).indexOf(value.toUpperCase());
+  if (index < 0) return NaN;
+  return field.name === "month" ? index + 1 : index;
+}
+
+/**
+ * 内部工具函数：解析 cron 的一个字段
+ * @returns {Object} { any, values, step, last, lastWeekday, nearest, nth, error }
+ */
+function parseCronField(text, field, position) {
+  const result = {
+    any: text === "*" || text === "?",
+    values: [],
+    step: null,
+    last: [],
+    lastWeekday: false,
+    nearest: [],
+    nth: [],
+    error: "",
+  };
+  const fail = (message) => ({ ...result, error: message });
+  const isDay = field.name === "dayOfMonth";
+  const isWeek = field.name === "dayOfWeek";
+  const outOfRange = (value) =>
+    `${field.label}的取值 ${value} 超出范围 ${field.min}-${field.max}`;
+  const unrecognized = (item) =>
+    `第 ${position} 个字段（${field.label}）无法识别："${item}"`;
+
+  if (text === "?" && !isDay && !isWeek) {
+    return fail(`"?" 只能用于日期和星期字段`);
+  }
+  const stepMatch = /^\*\/(\d+)$/.exec(text);
+  if (stepMatch) result.step = Number(stepMatch[1]);
+
+  for (const item of text.split(",")) {
+    if (!item) {
+      return fail(`第 ${position} 个字段（${field.label}）有多余的逗号`);
+    }
+
+    // 日期字段的 L、LW、15W
+    if (isDay && item.toUpperCase() === "L") {
+      result.last.push(0);
+      continue;
+    }
+    if (isDay && item.toUpperCase() === "LW") {
+      result.lastWeekday = true;
+      continue;
+    }
+    const nearest = isDay && /^(\d+)W$/i.exec(item);
+    if (nearest) {
+      const day = Number(nearest[1]);
+      if (day < 1 || day > 31) return fail(outOfRange(day));
+      result.nearest.push(day);
+      continue;
+    }
+
+    // 星期字段的 5L（最后一个周五）、5#3（第三个周五），单独的 L 表示周六
+    const weekSpecial = isWeek && /^(\w+?)(L|#(\d+))$/i.exec(item);
+    if (weekSpecial) {
+      const weekday = parseCronValue(weekSpecial[1], field);
+      if (Number.isNaN(weekday)) {
+        return fail(unrecognized(item));
+      }
+      if (weekday > 7) return fail(outOfRange(weekday));
+      if (weekSpecial[3] === undefined) {
+        result.last.push(weekday % 7);
+      } else {
+        const n = Number(weekSpecial[3]);
+        if (n < 1 || n > 5) {
+          return fail(`"#" 后的序号 ${n} 超出范围 1-5`);
+        }
+        result.nth.push({ weekday: weekday % 7, n });
+      }
+      continue;
+    }
+    if (isWeek && item.toUpperCase() === "L") {
+      result.values.push(6);
+      continue;
+    }
+
+    const match = /^(\*|\?|\w+)(?:-(\w+))?(?:\/(\w+))?$/.exec(item);
+    if (!match || (match[2] !== undefined && /^[*?]$/.test(match[1]))) {
+      return fail(unrecognized(item));
+    }
+    const [, from, to, step] = match;
+    if (from === "?" && (to || step)) {
+      return fail(unrecognized(item));
+    }
+
+    let start = field.min;
+    let end = field.max;
+    if (from !== "*" && from !== "?") {
+      start = parseCronValue(from, field);
+      // 只有起始值和步长时（如 5/15）表示从起始值到最大值
+      if (to !== undefined) {
+        end = parseCronValue(to, field);
+      } else if (step === undefined) {
+        end = start;
+      }
+      for (const value of [start, end]) {
+        if (Number.isNaN(value)) {
+          return fail(unrecognized(item));
+        }
+        if (value < field.min || value > field.max) {
+          return fail(outOfRange(value));
+        }
+      }
+      if (start > end) {
+        return fail(`${field.label}的范围 "${item}" 起始值大于结束值`);
+      }
+    }
+    const interval = step === undefined ? 1 : Number(step);
+    if (!Number.isInteger(interval) || interval < 1) {
+      return fail(`${field.label}的步长必须为正整数："${item}"`);
+    }
+    for (let value = start; value <= end; value += interval) {
+      result.values.push(isWeek ? value % 7 : value);
+    }
+  }
+
+  result.values = [...new Set(result.values)].sort((a, b) => a - b);
+  return result;
+}
+
+/**
+ * 内部工具函数：编译 cron 表达式
+ * @returns {Object} { fields, hasSeconds, error }，出错时只有 error
+ */
+function compileCron(expr) {
+  if (typeof expr !== "string" || !expr.trim()) {
+    return { error: "cron 表达式不能为空" };
+  }
+  const source = CRON_MACROS[expr.trim().toLowerCase()] || expr.trim();
+  const parts = source.split(/\s+/);
+  if (parts.length !== 5 && parts.length !== 6) {
+    return {
+      error: `cron 表达式应包含 5 或 6 个字段，实际为 ${parts.length} 个`,
+    };
+  }
+
+  const hasSeconds = parts.length === 6;
+  const texts = hasSeconds ? parts : ["0", ...parts];
+  const fields = {};
+  for (let i = 0; i < CRON_FIELDS.length; i++) {
+    const position = hasSeconds ? i + 1 : i;
+    const field = parseCronField(texts[i], CRON_FIELDS[i], position);
+    if (field.error) return { error: field.error };
+    fields[CRON_FIELDS[i].name] = field;
+  }
+  // "?" 表示不指定，日期和星期至少要指定一个
+  if (texts[3] === "?" && texts[5] === "?") {
+    return { error: `日期和星期字段不能同时为 "?"` };
+  }
+  return { fields, hasSeconds, error: "" };
+}
+
+/**
+ * 解析 cron 表达式，支持 5 个字段（分 时 日 月 周）和 6 个字段（秒 分 时 日 月 周）
+ * 支持 *、?、范围（1-5）、步长（*\/15、10-30/5）、列表（1,15）、英文缩写（JAN、MON）、
+ * 日期字段的 L、LW、15W，星期字段的 5L、5#3，以及 @daily 等预定义表达式
+ * @param {string} expr - cron 表达式
+ * @returns {Object|null} { second, minute, hour, dayOfMonth, month, dayOfWeek, hasSeconds }，
+ * 前 5 项均为 { any, values, ... }，星期中 0 为周日；不合法时返回 null
+ */
+export function parseCron(expr) {
+  const { fields, hasSeconds, error } = compileCron(expr);
+  if (error) return null;
+  const result = { hasSeconds };
+  Object.keys(fields).forEach((name) => {
+    const { error: fieldError, ...field } = fields[name];
+    result[name] = field;
+  });
+  return result;
+}
+
+/**
+ * 校验 cron 表达式
+ * @param {string} expr - cron 表达式
+ * @returns {Object} { valid, message }，不合法时 message 为具体原因
+ * @example
+ * validateCron("0 25 * * *"); // => { valid: false, message: "小时的取值 25 超出范围 0-23" }
+ * validateCron("0 0 ? * ?"); // => { valid: false, message: '日期和星期字段不能同时为 "?"' }
+ */
+export function validateCron(expr) {
+  const { error } = compileCron(expr);
+  return { valid: !error, message: error };
+}
+
+/**
+ * 内部工具函数：获取某月离指定日期最近的工作日（周一至周五），不跨月
+ */
+function nearestWeekdayOf(year, month, day) {
+  const length = daysInMonthOf(year, month);
+  const date = Math.min(day, length);
+  const week = new Date(utcFromFields({ year, month, day: date })).getUTCDay();
+  if (week === 6) return date === 1 ? 3 : date - 1;
+  if (week === 0) return date === length ? date - 2 : date + 1;
+  return date;
+}
+
+/**
+ * 内部工具函数：判断日期是否符合 cron 的日期和星期字段，两者都有限制时满足其一即可
+ */
+function matchCronDay(fields, { year, month, day, week }) {
+  const { dayOfMonth, dayOfWeek } = fields;
+  const length = daysInMonthOf(year, month);
+  const dayMatched =
+    dayOfMonth.values.includes(day) ||
+    (dayOfMonth.last.length > 0 && day === length) ||
+    (dayOfMonth.lastWeekday && day === nearestWeekdayOf(year, month, length)) ||
+    dayOfMonth.nearest.some((n) => nearestWeekdayOf(year, month, n) === day);
+  const weekMatched =
+    dayOfWeek.values.includes(week) ||
+    (dayOfWeek.last.includes(week) && day + 7 > length) ||
+    dayOfWeek.nth.some(
+      (item) => item.weekday === week && Math.ceil(day / 7) === item.n
+    );
+
+  if (dayOfMonth.any && dayOfWeek.any) return true;
+  if (dayOfMonth.any) return weekMatched;
+  if (dayOfWeek.any) return dayMatched;
+  return dayMatched || weekMatched;
+}
+
+/**
+ * 内部工具函数：从 from 开始查找下一次（或上一次）执行时间
+ * @param {Object} compiled - compileCron 的结果
+ * @param {Date} from - 开始时间（不包含）
+ * @param {number} direction - 1 向后查找，-1 向前查找
+ * @param {string} [timeZone] - IANA 时区
+ * @returns {Date|null} 执行时间，找不到时返回 null
+ */
+function findCronRun(compiled, from, direction, timeZone) {
+  const { fields, hasSeconds } = compiled;
+  const unit = hasSeconds ? "second" : "minute";
+  const step = hasSeconds ? 1000 : MINUTE_MS;
+  const forward = direction > 0;
+  // 从 from 之后（或之前）的第一个整分钟开始查找，有秒字段时为整秒
+  const first = forward ? from.getTime() + step : from.getTime() - 1;
+  let d = startOf(new Date(first), unit, { timeZone });
+  const limitYear =
+    getDateFields(from, timeZone).year + direction * CRON_SEARCH_YEARS;
+
+  // 字段不匹配时跳到下一个（或上一个）单位，直到所有字段都匹配
+  const move = (unitName) => {
+    const next = forward
+      ? add(startOf(d, unitName, { timeZone }), 1, unitName, { timeZone })
+      : new Date(startOf(d, unitName, { timeZone }).getTime() - step);
+    // 夏令时切换时可能无法推进，至少移动一个最小单位
+    const moved = forward ? next > d : next < d;
+    d = moved ? next : new Date(d.getTime() + direction * step);
+  };
+
+  for (;;) {
+    const current = getDateFields(d, timeZone);
+    if (forward ? current.year > limitYear : current.year < limitYear) {
+      return null;
+    }
+    if (!fields.month.values.includes(current.month)) {
+      move("month");
+    } else if (!matchCronDay(fields, current)) {
+      move("day");
+    } else if (!fields.hour.values.includes(current.hour)) {
+      move("hour");
+    } else if (!fields.minute.values.includes(current.minute)) {
+      move("minute");
+    } else if (hasSeconds && !fields.second.values.includes(current.second)) {
+      move("second");
+    } else {
+      return d;
+    }
+  }
+}
+
+/**
+ * 获取 cron 表达式接下来的若干次执行时间
+ * @param {string} expr - cron 表达式（参见 parseCron）
+ * @param {Date|string|number} [from=new Date()] - 开始时间（不包含）
+ * @param {number} [count=1] - 次数
+ * @param {Object} [options] - 选项
+ * @param {string} [options.timeZone] - IANA 时区，按该时区解释表达式
+ * @returns {Date[]} 执行时间数组，表达式不合法时返回空数组
+ * @example
+ * nextRuns("0 9 * * 1-5", "2024-03-15 10:00", 2); // => [2024-03-18 09:00, 2024-03-19 09:00]
+ */
+export function nextRuns(expr, from = new Date(), count = 1, options = {}) {
+  const compiled = compileCron(expr);
+  let current = toDate(from);
+  if (
+    compiled.error ||
+    !isValidDate(current) ||
+    !isValidTimeZone(options.timeZone)
+  ) {
+    return [];
+  }
+
+  const runs = [];
+  while (runs.length < count) {
+    current = findCronRun(compiled, current, 1, options.timeZone);
+    if (!current) break;
+    runs.push(current);
+  }
+  return runs;
+}
+
+/**
+ * 获取 cron 表达式的上一次执行时间
+ * @param {string} expr - cron 表达式（参见 parseCron）
+ * @param {Date|string|number} [from=new Date()] - 开始时间（不包含）
+ * @param {Object} [options] - 选项，同 nextRuns
+ * @returns {Date|null} 执行时间，表达式不合法或找不到时返回 null
+ */
+export function prevRun(expr, from = new Date(), options = {}) {
+  const compiled = compileCron(expr);
+  const d = toDate(from);
+  if (compiled.error || !isValidDate(d) || !isValidTimeZone(options.timeZone)) {
+    return null;
+  }
+  return findCronRun(compiled, d, -1, options.timeZone);
+}
+
+/**
+ * 内部工具函数：把数值列表描述为文本，连续 3 个及以上的值合并为范围
+ */
+function describeCronValues(values, phrases, nameOf = String) {
+  const items = [];
+  for (let i = 0; i < values.length; i++) {
+    let j = i;
+    while (j + 1 < values.length && values[j + 1] === values[j] + 1) j++;
+    if (j - i >= 2) {
+      items.push(phrases.range(nameOf(values[i]), nameOf(values[j])));
+    } else {
+      for (let k = i; k <= j; k++) items.push(nameOf(values[k]));
+    }
+    i = j;
+  }
+  return phrases.list(items);
+}
+
+/**
+ * 用文字描述 cron 表达式，短语来自语言包的 cron 字段
+ * @param {string} expr - cron 表达式（参见 parseCron）
+ * @param {Object} [options] - 选项
+ * @param {string|Object} [options.locale] - 语言，默认使用全局语言
+ * @returns {string} 描述，表达式不合法时返回空字符串
+ * @example
+ * describeCron("0 9 * * 1-5"); // => "每周一至周五 09:00"
+ * describeCron("*\/5 * * * *", { locale: "en-US" }); // => "every 5 minutes"
+ */
+export function describeCron(expr, options = {}) {
+  const compiled = compileCron(expr);
+  if (compiled.error) return "";
+  const { fields, hasSeconds } = compiled;
+  const locale = getLocale(options.locale);
+  const phrases = locale.cron || getLocale().cron;
+  const weekdayNames = locale[phrases.weekdayNames] || locale.weekdays;
+
+  // 时间部分：时分秒都是单个值时直接输出时间，否则逐个字段描述
+  const timeFields = hasSeconds
+    ? [fields.hour, fields.minute, fields.second]
+    : [fields.hour, fields.minute];
+  const timeUnits = ["Hour", "Minute", "Second"];
+  const isFixed = (field) => !field.any && field.values.length === 1;
+  let timeText;
+  let isFixedTime = false;
+  if (timeFields.every(isFixed)) {
+    const [hour, minute, second] = timeFields.map((field) =>
+      padStart(field.values[0], 2)
+    );
+    timeText = applyPhrase(
+      phrases.time,
+      hasSeconds ? `${hour}:${minute}:${second}` : `${hour}:${minute}`
+    );
+    isFixedTime = true;
+  } else {
+    const parts = [];
+    timeFields.forEach((field, i) => {
+      const unit = timeUnits[i];
+      const lower = timeFields[i + 1];
+      const upper = timeFields[i - 1];
+      if (field.step > 1) {
+        parts.push(applyPhrase(phrases[`${unit.toLowerCase()}s`], field.step));
+      } else if (field.any || field.step === 1) {
+        // 只在相邻的字段有限制时才需要说明“每小时”“每分钟”
+        const isLowest = i === timeFields.length - 1;
+        if (
+          (lower && !lower.any && !(lower.step > 1)) ||
+          (isLowest && upper && parts.length)
+        ) {
+          parts.push(phrases[`every${unit}`]);
+        }
+      } else {
+        parts.push(
+          applyPhrase(
+            phrases[`at${unit}`],
+            describeCronValues(field.values, phrases)
+          )
+        );
+      }
+    });
+    timeText = parts.length
+      ? phrases.fields(parts)
+      : phrases[`every${timeUnits[timeFields.length - 1]}`];
+  }
+
+  // 日期部分
+  const { dayOfMonth, month, dayOfWeek } = fields;
+  let domText = "";
+  if (!dayOfMonth.any) {
+    const items = [];
+    if (dayOfMonth.values.length) {
+      items.push(
+        applyPhrase(
+          phrases.dayOfMonth,
+          describeCronValues(dayOfMonth.values, phrases)
+        )
+      );
+    }
+    if (dayOfMonth.last.length) items.push(phrases.lastDay);
+    if (dayOfMonth.lastWeekday) items.push(phrases.lastWeekday);
+    dayOfMonth.nearest.forEach((day) =>
+      items.push(applyPhrase(phrases.nearestWeekday, day))
+    );
+    domText = phrases.list(items);
+  }
+  let dowText = "";
+  const isMonthlyWeek = dayOfWeek.last.length > 0 || dayOfWeek.nth.length > 0;
+  if (!dayOfWeek.any) {
+    const items = [];
+    if (dayOfWeek.values.length) {
+      items.push(
+        describeCronValues(dayOfWeek.values, phrases, (n) => weekdayNames[n])
+      );
+    }
+    dayOfWeek.last.forEach((weekday) =>
+      items.push(applyPhrase(phrases.lastWeekdayOfMonth, weekdayNames[weekday]))
+    );
+    dayOfWeek.nth.forEach(({ weekday, n }) =>
+      items.push(phrases.nthWeekdayOfMonth(weekdayNames[weekday], n))
+    );
+    dowText = phrases.list(items);
+  }
+
+  const wrapWeek = (text) =>
+    applyPhrase(isMonthlyWeek ? phrases.daysOfMonth : phrases.daysOfWeek, text);
+  let dateText = "";
+  if (!month.any) {
+    const monthText = describeCronValues(
+      month.values,
+      phrases,
+      (n) => locale.months[n - 1]
+    );
+    const dayText =
+      domText && dowText ? phrases.or(domText, dowText) : domText || dowText;
+    dateText = dayText
+      ? phrases.monthsWith(monthText, dayText)
+      : applyPhrase(phrases.months, monthText);
+  } else if (domText && dowText) {
+    dateText = phrases.or(
+      applyPhrase(phrases.daysOfMonth, domText),
+      wrapWeek(dowText)
+    );
+  } else if (domText) {
+    dateText = applyPhrase(phrases.daysOfMonth, domText);
+  } else if (dowText) {
+    dateText = wrapWeek(dowText);
+  }
+
+  if (!dateText) {
+    return isFixedTime ? phrases.join(phrases.everyDay, timeText) : timeText;
+  }
+  return phrases.join(dateText, timeText);
+}
+
+/**
+ * 第一个参数不是日期的函数，不作为 su 对象的方法
+ */
+const SU_EXCLUDED_METHODS = [
+  "registerLocale",
+  "setLocale",
+  "getLocale",
+  "setWeekStartsOn",
+  "setFiscalYearStart",
+  "parse",
+  "toDate",
+  "isValidTimeZone",
+  "duration",
+  "formatDuration",
+  "humanizeDuration",
+  "toISODuration",
+  "loadHolidays",
+  "getHolidayYears",
+  "fromLunar",
+  "getSolarTerms",
+  "getTraditionalFestivalDate",
+  "parseRRule",
+  "stringifyRRule",
+  "expandRRule",
+  "getCalendarMatrix",
+  "getCalendarYearMatrix",
+  "getCalendarDecadeMatrix",
+  "overlaps",
+  "intersect",
+  "mergeIntervals",
+  "union",
+  "subtractIntervals",
+  "splitBy",
+  "getBusinessDuration",
+  "parseCron",
+  "validateCron",
+  "nextRuns",
+  "prevRun",
+  "describeCron",
+  "su",
+];
+
+/**
+ * su 对象共享的方法，首次调用 su 时创建
+ */
+let suMethods = null;
+
+/**
+ * 内部工具函数：判断是否为 su 对象
+ */
+function isSu(value) {
+  return Boolean(suMethods) && suMethods.isPrototypeOf(value);
+}
+
+/**
+ * 内部工具函数：创建 su 对象的方法，dateUtils 中以日期为第一个参数的函数都会成为方法，
+ * 调用时传入日期的副本，返回 Date 的结果会包装成新的 su 对象
+ */
+function getSuMethods() {
+  if (suMethods) return suMethods;
+  suMethods = {
+    toDate() {
+      return new Date(this.$d.getTime());
+    },
+    clone() {
+      return su(this);
+    },
+    valueOf() {
+      return this.$d.getTime();
+    },
+    toJSON() {
+      return isValidDate(this.$d) ? this.$d.toISOString() : null;
+    },
+    toString() {
+      return this.$d.toString();
+    },
+  };
+
+  Object.keys(dateUtils)
+    .filter((name) => !SU_EXCLUDED_METHODS.includes(name))
+    .forEach((name) => {
+      const fn = dateUtils[name];
+      suMethods[name] = function (...args) {
+        const result = fn(this.toDate(), ...args);
+        return result instanceof Date ? su(result) : result;
+      };
+    });
+  return suMethods;
+}
+
+/**
+ * 创建不可变的日期对象，支持链式调用 dateUtils 中的日期函数，任何操作都不会修改传入的日期
+ * @param {Date|string|number|Object} [date] - 日期，也可以是另一个 su 对象，默认为当前时间
+ * @param {string} [template] - 解析模板，传入时按 parse 解析字符串
+ * @param {Object} [options] - 解析选项，同 parse
+ * @returns {Object} su 对象。返回 Date 的方法返回新的 su 对象，其他方法返回原结果，
+ * 用 toDate() 取得 Date 副本
+ * @example
+ * su("2024-01-31").add(1, "month").format("YYYY-MM-DD"); // => "2024-02-29"
+ * su(date).add(1, "month").startOf("week").format("YYYY-MM-DD");
+ * su("15/03/2024", "DD/MM/YYYY").isWeekend(); // => false
+ */
+export function su(date, template, options = {}) {
+  const d =
+    typeof template === "string"
+      ? parse(date, template, options) || new Date(NaN)
+      : new Date(toDate(date).getTime());
+  const wrapper = Object.create(getSuMethods());
+  Object.defineProperty(wrapper, "$d", { value: d });
+  return Object.freeze(wrapper);
+}
+
 // 导出所有日期工具
 export const dateUtils = {
+  registerLocale,
+  setLocale,
+  getLocale,
+  setWeekStartsOn,
+  setFiscalYearStart,
   format,
+  formatToParts,
+  parse,
   toDate,
   isValidDate,
+  isValidTimeZone,
+  getTimeZoneOffset,
   relativeTime,
+  calendarTime,
   startOf,
   endOf,
   add,
   subtract,
   diff,
+  duration,
+  formatDuration,
+  humanizeDuration,
+  toISODuration,
+  createCountdown,
   getDayOfYear,
   getWeekOfYear,
+  getISOWeek,
+  getISOWeekYear,
   isLeapYear,
   getDaysInMonth,
   getDaysInYear,
   isWeekend,
+  loadHolidays,
+  getHolidayYears,
+  isHoliday,
+  getHolidayName,
+  isWorkday,
+  addWorkdays,
+  nextWorkday,
+  prevWorkday,
+  diffWorkdays,
   isToday,
   isAfter,
   isBefore,
   isBetween,
   getDatesBetween,
+  overlaps,
+  intersect,
+  mergeIntervals,
+  union,
+  subtractIntervals,
+  splitBy,
+  getBusinessDuration,
   getFirstDayOfMonth,
   getLastDayOfMonth,
   getFirstDayOfQuarter,
   getLastDayOfQuarter,
   getQuarter,
+  getHalfYear,
+  getFiscalYear,
+  getFiscalQuarter,
+  getCalendarMatrix,
+  getCalendarYearMatrix,
+  getCalendarDecadeMatrix,
+  toLunar,
+  fromLunar,
+  getSolarTerms,
+  getSolarTerm,
+  getTraditionalFestivals,
+  getTraditionalFestivalDate,
+  parseRRule,
+  stringifyRRule,
+  expandRRule,
+  parseCron,
+  validateCron,
+  nextRuns,
+  prevRun,
+  describeCron,
+  su,
 };
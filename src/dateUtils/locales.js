@@ -0,0 +1,393 @@
+/**
+ * 内置日期语言包
+ *
+ * 语言包字段说明：
+ * - name: 语言标识，如 "zh-CN"
+ * - weekdays / weekdaysShort / weekdaysMin: 星期名称（全称/简称/最简），从星期日开始
+ * - months / monthsShort: 月份名称（全称/简称）
+ * - meridiem(hour, minute, isLowercase): 上午/下午等时段名称
+ * - ordinal(number, unit): 序数词规则，unit 为 day|week|month|quarter 等
+ * - relativeTime: 相对时间短语，%s 为时间量占位符，%d 为数字占位符，
+ *   也可以是 (number) => string 的函数
+ * - duration: 时长短语，写法同 relativeTime，delimiter 为各单位之间的分隔符
+ * - calendar: calendarTime 使用的短语（可选）。days、weeks 的键为相差的天数、周数，
+ *   %s 分别为时间（HH:mm）和星期名称；没有该字段时 calendarTime 使用 Intl.RelativeTimeFormat
+ * - cron: 描述 cron 表达式的短语，写法同 relativeTime，多个参数的短语为函数；
+ *   weekdayNames 指定使用哪一组星期名称
+ */
+
+/**
+ * 英文序数词后缀
+ */
+function englishOrdinal(number) {
+  const mod100 = number % 100;
+  if (mod100 >= 11 && mod100 <= 13) return `${number}th`;
+  switch (number % 10) {
+    case 1:
+      return `${number}st`;
+    case 2:
+      return `${number}nd`;
+    case 3:
+      return `${number}rd`;
+    default:
+      return `${number}th`;
+  }
+}
+
+const zhCN = {
+  name: "zh-CN",
+  weekdays: [
+    "星期日",
+    "星期一",
+    "星期二",
+    "星期三",
+    "星期四",
+    "星期五",
+    "星期六",
+  ],
+  weekdaysShort: ["周日", "周一", "周二", "周三", "周四", "周五", "周六"],
+  weekdaysMin: ["日", "一", "二", "三", "四", "五", "六"],
+  months: [
+    "一月",
+    "二月",
+    "三月",
+    "四月",
+    "五月",
+    "六月",
+    "七月",
+    "八月",
+    "九月",
+    "十月",
+    "十一月",
+    "十二月",
+  ],
+  monthsShort: [
+    "1月",
+    "2月",
+    "3月",
+    "4月",
+    "5月",
+    "6月",
+    "7月",
+    "8月",
+    "9月",
+    "10月",
+    "11月",
+    "12月",
+  ],
+  meridiem(hour) {
+    return hour < 12 ? "上午" : "下午";
+  },
+  ordinal(number, unit) {
+    switch (unit) {
+      case "day":
+        return `${number}日`;
+      case "week":
+        return `${number}周`;
+      case "month":
+        return `${number}月`;
+      default:
+        return `第${number}`;
+    }
+  },
+  relativeTime: {
+    future: "%s后",
+    past: "%s前",
+    now: "刚刚",
+    m: "1分钟",
+    mm: "%d分钟",
+    h: "1小时",
+    hh: "%d小时",
+    d: "1天",
+    dd: "%d天",
+    w: "1周",
+    ww: "%d周",
+    M: "1个月",
+    MM: "%d个月",
+    y: "1年",
+    yy: "%d年",
+  },
+  calendar: {
+    weekdayNames: "weekdaysShort",
+    days: {
+      "-2": "前天 %s",
+      "-1": "昨天 %s",
+      0: "今天 %s",
+      1: "明天 %s",
+      2: "后天 %s",
+    },
+    weeks: {
+      "-1": "上%s",
+      0: "%s",
+      1: "下%s",
+    },
+  },
+  duration: {
+    years: "%d年",
+    months: "%d个月",
+    days: "%d天",
+    hours: "%d小时",
+    minutes: "%d分钟",
+    seconds: "%d秒",
+    delimiter: "",
+  },
+  cron: {
+    weekdayNames: "weekdaysShort",
+    everySecond: "每秒",
+    everyMinute: "每分钟",
+    everyHour: "每小时",
+    everyDay: "每天",
+    seconds: "每%d秒",
+    minutes: "每%d分钟",
+    hours: "每%d小时",
+    atSecond: "第%s秒",
+    atMinute: "第%s分钟",
+    atHour: "%s点",
+    time: "%s",
+    dayOfMonth: "%s日",
+    lastDay: "最后一天",
+    lastWeekday: "最后一个工作日",
+    nearestWeekday: "离%s日最近的工作日",
+    lastWeekdayOfMonth: "最后一个%s",
+    nthWeekdayOfMonth: (weekday, n) => `第${n}个${weekday}`,
+    daysOfMonth: "每月%s",
+    daysOfWeek: "每%s",
+    months: "每年%s",
+    monthsWith: (months, days) => `每年${months}的${days}`,
+    range: (from, to) => `${from}至${to}`,
+    list: (items) => items.join("、"),
+    or: (a, b) => `${a}或${b}`,
+    fields: (parts) => parts.join("的"),
+    join: (date, time) => `${date} ${time}`,
+  },
+};
+
+const enUS = {
+  name: "en-US",
+  weekdays: [
+    "Sunday",
+    "Monday",
+    "Tuesday",
+    "Wednesday",
+    "Thursday",
+    "Friday",
+    "Saturday",
+  ],
+  weekdaysShort: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"],
+  weekdaysMin: ["Su", "Mo", "Tu", "We", "Th", "Fr", "Sa"],
+  months: [
+    "January",
+    "February",
+    "March",
+    "April",
+    "May",
+    "June",
+    "July",
+    "August",
+    "September",
+    "October",
+    "November",
+    "December",
+  ],
+  monthsShort: [
+    "Jan",
+    "Feb",
+    "Mar",
+    "Apr",
+    "May",
+    "Jun",
+    "Jul",
+    "Aug",
+    "Sep",
+    "Oct",
+    "Nov",
+    "Dec",
+  ],
+  meridiem(hour, minute, isLowercase) {
+    const text = hour < 12 ? "AM" : "PM";
+    return isLowercase ? text.toLowerCase() : text;
+  },
+  ordinal(number) {
+    return englishOrdinal(number);
+  },
+  relativeTime: {
+    future: "in %s",
+    past: "%s ago",
+    now: "just now",
+    m: "a minute",
+    mm: "%d minutes",
+    h: "an hour",
+    hh: "%d hours",
+    d: "a day",
+    dd: "%d days",
+    w: "a week",
+    ww: "%d weeks",
+    M: "a month",
+    MM: "%d months",
+    y: "a year",
+    yy: "%d years",
+  },
+  duration: {
+    years: (n) => (n === 1 ? "1 year" : `${n} years`),
+    months: (n) => (n === 1 ? "1 month" : `${n} months`),
+    days: (n) => (n === 1 ? "1 day" : `${n} days`),
+    hours: (n) => (n === 1 ? "1 hour" : `${n} hours`),
+    minutes: (n) => (n === 1 ? "1 minute" : `${n} minutes`),
+    seconds: (n) => (n === 1 ? "1 second" : `${n} seconds`),
+    delimiter: " ",
+  },
+  cron: {
+    weekdayNames: "weekdays",
+    everySecond: "every second",
+    everyMinute: "every minute",
+    everyHour: "every hour",
+    everyDay: "every day",
+    seconds: "every %d seconds",
+    minutes: "every %d minutes",
+    hours: "every %d hours",
+    atSecond: "second %s",
+    atMinute: "minute %s",
+    atHour: "hour %s",
+    time: "at %s",
+    dayOfMonth: "day %s",
+    lastDay: "the last day",
+    lastWeekday: "the last weekday",
+    nearestWeekday: "the weekday nearest day %s",
+    lastWeekdayOfMonth: "the last %s",
+    nthWeekdayOfMonth: (weekday, n) => `the ${englishOrdinal(n)} ${weekday}`,
+    daysOfMonth: "on %s of the month",
+    daysOfWeek: "on %s",
+    months: "every day in %s",
+    monthsWith: (months, days) => `on ${days} in ${months}`,
+    range: (from, to) => `${from} through ${to}`,
+    list: (items) =>
+      items.length > 1
+        ? `${items.slice(0, -1).join(", ")} and ${items[items.length - 1]}`
+        : items.join(""),
+    or: (a, b) => `${a} or ${b}`,
+    fields: (parts) => {
+      const text = parts.slice().reverse().join(" past ");
+      return text.startsWith("every") ? text : `at ${text}`;
+    },
+    join: (date, time) => `${time} ${date}`,
+  },
+};
+
+const jaJP = {
+  name: "ja-JP",
+  weekdays: [
+    "日曜日",
+    "月曜日",
+    "火曜日",
+    "水曜日",
+    "木曜日",
+    "金曜日",
+    "土曜日",
+  ],
+  weekdaysShort: ["日", "月", "火", "水", "木", "金", "土"],
+  weekdaysMin: ["日", "月", "火", "水", "木", "金", "土"],
+  months: [
+    "1月",
+    "2月",
+    "3月",
+    "4月",
+    "5月",
+    "6月",
+    "7月",
+    "8月",
+    "9月",
+    "10月",
+    "11月",
+    "12月",
+  ],
+  monthsShort: [
+    "1月",
+    "2月",
+    "3月",
+    "4月",
+    "5月",
+    "6月",
+    "7月",
+    "8月",
+    "9月",
+    "10月",
+    "11月",
+    "12月",
+  ],
+  meridiem(hour) {
+    return hour < 12 ? "午前" : "午後";
+  },
+  ordinal(number, unit) {
+    switch (unit) {
+      case "day":
+        return `${number}日`;
+      case "week":
+        return `${number}週`;
+      case "month":
+        return `${number}月`;
+      default:
+        return `第${number}`;
+    }
+  },
+  relativeTime: {
+    future: "%s後",
+    past: "%s前",
+    now: "たった今",
+    m: "1分",
+    mm: "%d分",
+    h: "1時間",
+    hh: "%d時間",
+    d: "1日",
+    dd: "%d日",
+    w: "1週間",
+    ww: "%d週間",
+    M: "1ヶ月",
+    MM: "%dヶ月",
+    y: "1年",
+    yy: "%d年",
+  },
+  duration: {
+    years: "%d年",
+    months: "%dヶ月",
+    days: "%d日",
+    hours: "%d時間",
+    minutes: "%d分",
+    seconds: "%d秒",
+    delimiter: "",
+  },
+  cron: {
+    weekdayNames: "weekdays",
+    everySecond: "毎秒",
+    everyMinute: "毎分",
+    everyHour: "毎時",
+    everyDay: "毎日",
+    seconds: "%d秒ごと",
+    minutes: "%d分ごと",
+    hours: "%d時間ごと",
+    atSecond: "%s秒",
+    atMinute: "%s分",
+    atHour: "%s時",
+    time: "%s",
+    dayOfMonth: "%s日",
+    lastDay: "最終日",
+    lastWeekday: "最終平日",
+    nearestWeekday: "%s日に最も近い平日",
+    lastWeekdayOfMonth: "最終%s",
+    nthWeekdayOfMonth: (weekday, n) => `第${n}${weekday}`,
+    daysOfMonth: "毎月%s",
+    daysOfWeek: "毎週%s",
+    months: "毎年%s",
+    monthsWith: (months, days) => `毎年${months}の${days}`,
+    range: (from, to) => `${from}～${to}`,
+    list: (items) => items.join("、"),
+    or: (a, b) => `${a}または${b}`,
+    fields: (parts) => parts.join("の"),
+    join: (date, time) => `${date} ${time}`,
+  },
+};
+
+export const builtinLocales = {
+  "zh-CN": zhCN,
+  "en-US": enUS,
+  "ja-JP": jaJP,
+};
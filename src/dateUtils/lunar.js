@@ -0,0 +1,389 @@
+/**
+ * 农历与二十四节气计算（1900-2100）
+ *
+ * 本模块只处理公历年月日数字，不依赖 Date 的本地时区，
+ * 面向使用者的 toLunar / fromLunar 等函数见 index.js。
+ */
+
+/**
+ * 农历数据表，1900-2100 年每年一项：
+ * - 第 0-3 位：闰月月份，0 表示无闰月
+ * - 第 4-15 位：正月到腊月是否为大月（30 天），第 15 位对应正月
+ * - 第 16 位：闰月是否为大月
+ */
+const LUNAR_INFO = [
+  0x04bd8, 0x04ae0, 0x0a570, 0x054d5, 0x0d260, 0x0d950, 0x16554, 0x056a0,
+  0x09ad0, 0x055d2, 0x04ae0, 0x0a5b6, 0x0a4d0, 0x0d250, 0x1d255, 0x0b540,
+  0x0d6a0, 0x0ada2, 0x095b0, 0x14977, 0x04970, 0x0a4b0, 0x0b4b5, 0x06a50,
+  0x06d40, 0x1ab54, 0x02b60, 0x09570, 0x052f2, 0x04970, 0x06566, 0x0d4a0,
+  0x0ea50, 0x16a95, 0x05ad0, 0x02b60, 0x186e3, 0x092e0, 0x1c8d7, 0x0c950,
+  0x0d4a0, 0x1d8a6, 0x0b550, 0x056a0, 0x1a5b4, 0x025d0, 0x092d0, 0x0d2b2,
+  0x0a950, 0x0b557, 0x06ca0, 0x0b550, 0x15355, 0x04da0, 0x0a5b0, 0x14573,
+  0x052b0, 0x0a9a8, 0x0e950, 0x06aa0, 0x0aea6, 0x0ab50, 0x04b60, 0x0aae4,
+  0x0a570, 0x05260, 0x0f263, 0x0d950, 0x05b57, 0x056a0, 0x096d0, 0x04dd5,
+  0x04ad0, 0x0a4d0, 0x0d4d4, 0x0d250, 0x0d558, 0x0b540, 0x0b6a0, 0x195a6,
+  0x095b0, 0x049b0, 0x0a974, 0x0a4b0, 0x0b27a, 0x06a50, 0x06d40, 0x0af46,
+  0x0ab60, 0x09570, 0x04af5, 0x04970, 0x064b0, 0x074a3, 0x0ea50, 0x06b58,
+  0x05ac0, 0x0ab60, 0x096d5, 0x092e0, 0x0c960, 0x0d954, 0x0d4a0, 0x0da50,
+  0x07552, 0x056a0, 0x0abb7, 0x025d0, 0x092d0, 0x0cab5, 0x0a950, 0x0b4a0,
+  0x0baa4, 0x0ad50, 0x055d9, 0x04ba0, 0x0a5b0, 0x15176, 0x052b0, 0x0a930,
+  0x07954, 0x06aa0, 0x0ad50, 0x05b52, 0x04b60, 0x0a6e6, 0x0a4e0, 0x0d260,
+  0x0ea65, 0x0d530, 0x05aa0, 0x076a3, 0x096d0, 0x04afb, 0x04ad0, 0x0a4d0,
+  0x1d0b6, 0x0d250, 0x0d520, 0x0dd45, 0x0b5a0, 0x056d0, 0x055b2, 0x049b0,
+  0x0a577, 0x0a4b0, 0x0aa50, 0x1b255, 0x06d20, 0x0ada0, 0x14b63, 0x09370,
+  0x049f8, 0x04970, 0x064b0, 0x168a6, 0x0ea50, 0x06b20, 0x1a6c4, 0x0aae0,
+  0x092e0, 0x0d2e3, 0x0c960, 0x0d557, 0x0d4a0, 0x0da50, 0x05d55, 0x056a0,
+  0x0a6d0, 0x055d4, 0x052d0, 0x0a9b8, 0x0a950, 0x0b4a0, 0x0b6a6, 0x0ad50,
+  0x055a0, 0x0aba4, 0x0a5b0, 0x052b0, 0x0b273, 0x06930, 0x07337, 0x06aa0,
+  0x0ad50, 0x14b55, 0x04b60, 0x0a570, 0x054e4, 0x0d160, 0x0e968, 0x0d520,
+  0x0daa0, 0x16aa6, 0x056d0, 0x04ae0, 0x0a9d4, 0x0a2d0, 0x0d150, 0x0f252,
+  0x0d520,
+];
+
+export const MIN_LUNAR_YEAR = 1900;
+export const MAX_LUNAR_YEAR = 2100;
+
+/**
+ * 农历 1900 年正月初一对应公历 1900-01-31
+ */
+const BASE_DAY = dayNumber(1900, 1, 31);
+
+const HEAVENLY_STEMS = "甲乙丙丁戊己庚辛壬癸";
+const EARTHLY_BRANCHES = "子丑寅卯辰巳午未申酉戌亥";
+const ZODIAC = "鼠牛虎兔龙蛇马羊猴鸡狗猪";
+const MONTH_NAMES = "正二三四五六七八九十冬腊";
+const DAY_PREFIXES = ["初", "十", "廿", "三"];
+const DIGITS = "一二三四五六七八九十";
+
+/**
+ * 二十四节气名称，从小寒开始，依次对应太阳黄经 285°、300°……270°
+ */
+export const SOLAR_TERMS = [
+  "小寒",
+  "大寒",
+  "立春",
+  "雨水",
+  "惊蛰",
+  "春分",
+  "清明",
+  "谷雨",
+  "立夏",
+  "小满",
+  "芒种",
+  "夏至",
+  "小暑",
+  "大暑",
+  "立秋",
+  "处暑",
+  "白露",
+  "秋分",
+  "寒露",
+  "霜降",
+  "立冬",
+  "小雪",
+  "大雪",
+  "冬至",
+];
+
+/**
+ * 传统节日，month/day 为农历日期，day 为 -1 表示该月最后一天，
+ * solarTerm 表示以节气为准的节日
+ */
+export const TRADITIONAL_FESTIVALS = [
+  { name: "春节", month: 1, day: 1 },
+  { name: "元宵节", month: 1, day: 15 },
+  { name: "龙抬头", month: 2, day: 2 },
+  { name: "清明节", solarTerm: "清明" },
+  { name: "端午节", month: 5, day: 5 },
+  { name: "七夕节", month: 7, day: 7 },
+  { name: "中元节", month: 7, day: 15 },
+  { name: "中秋节", month: 8, day: 15 },
+  { name: "重阳节", month: 9, day: 9 },
+  { name: "冬至", solarTerm: "冬至" },
+  { name: "腊八节", month: 12, day: 8 },
+  { name: "小年", month: 12, day: 23 },
+  { name: "除夕", month: 12, day: -1 },
+];
+
+/**
+ * 公历日期对应的日序数（1970-01-01 为 0）
+ */
+function dayNumber(year, month, day) {
+  const d = new Date(0);
+  d.setUTCFullYear(year, month - 1, day);
+  return Math.floor(d.getTime() / 86400000);
+}
+
+/**
+ * 日序数对应的公历日期
+ */
+function fromDayNumber(num) {
+  const d = new Date(num * 86400000);
+  return {
+    year: d.getUTCFullYear(),
+    month: d.getUTCMonth() + 1,
+    day: d.getUTCDate(),
+  };
+}
+
+/**
+ * 农历某年的闰月月份，无闰月返回 0
+ * @param {number} year - 农历年
+ * @returns {number} 闰月月份
+ */
+export function getLeapMonth(year) {
+  return LUNAR_INFO[year - MIN_LUNAR_YEAR] & 0xf;
+}
+
+/**
+ * 农历某月的天数
+ * @param {number} year - 农历年
+ * @param {number} month - 农历月（1-12）
+ * @param {boolean} [isLeap=false] - 是否为闰月
+ * @returns {number} 天数（29 或 30），闰月不存在时返回 0
+ */
+export function getLunarMonthDays(year, month, isLeap = false) {
+  const info = LUNAR_INFO[year - MIN_LUNAR_YEAR];
+  if (isLeap) {
+    if (getLeapMonth(year) !== month) return 0;
+    return info & 0x10000 ? 30 : 29;
+  }
+  return info & (0x10000 >> month) ? 30 : 29;
+}
+
+/**
+ * 农历某年的总天数
+ */
+function getLunarYearDays(year) {
+  let days = 0;
+  for (let month = 1; month <= 12; month++) {
+    days += getLunarMonthDays(year, month);
+  }
+  const leapMonth = getLeapMonth(year);
+  return leapMonth ? days + getLunarMonthDays(year, leapMonth, true) : days;
+}
+
+/**
+ * 公历转农历
+ * @param {number} year - 公历年
+ * @param {number} month - 公历月（1-12）
+ * @param {number} day - 公历日
+ * @returns {Object|null} { year, month, day, isLeap }，超出 1900-2100 范围返回 null
+ */
+export function solarToLunar(year, month, day) {
+  let offset = dayNumber(year, month, day) - BASE_DAY;
+  if (offset < 0) return null;
+
+  let lunarYear = MIN_LUNAR_YEAR;
+  for (; lunarYear <= MAX_LUNAR_YEAR; lunarYear++) {
+    const yearDays = getLunarYearDays(lunarYear);
+    if (offset < yearDays) break;
+    offset -= yearDays;
+  }
+  if (lunarYear > MAX_LUNAR_YEAR) return null;
+
+  const leapMonth = getLeapMonth(lunarYear);
+  for (let lunarMonth = 1; lunarMonth <= 12; lunarMonth++) {
+    const monthDays = getLunarMonthDays(lunarYear, lunarMonth);
+    if (offset < monthDays) {
+      return {
+        year: lunarYear,
+        month: lunarMonth,
+        day: offset + 1,
+        isLeap: false,
+      };
+    }
+    offset -= monthDays;
+
+    if (lunarMonth === leapMonth) {
+      const leapDays = getLunarMonthDays(lunarYear, lunarMonth, true);
+      if (offset < leapDays) {
+        return {
+          year: lunarYear,
+          month: lunarMonth,
+          day: offset + 1,
+          isLeap: true,
+        };
+      }
+      offset -= leapDays;
+    }
+  }
+  return null;
+}
+
+/**
+ * 农历转公历
+ * @param {number} year - 农历年
+ * @param {number} month - 农历月（1-12）
+ * @param {number} day - 农历日
+ * @param {boolean} [isLeap=false] - 是否为闰月
+ * @returns {Object|null} { year, month, day }，农历日期不存在时返回 null
+ */
+export function lunarToSolar(year, month, day, isLeap = false) {
+  if (year < MIN_LUNAR_YEAR || year > MAX_LUNAR_YEAR) return null;
+  if (month < 1 || month > 12 || day < 1) return null;
+
+  const monthDays = getLunarMonthDays(year, month, isLeap);
+  if (day > monthDays) return null;
+
+  let offset = 0;
+  for (let y = MIN_LUNAR_YEAR; y < year; y++) {
+    offset += getLunarYearDays(y);
+  }
+  const leapMonth = getLeapMonth(year);
+  for (let m = 1; m < month; m++) {
+    offset += getLunarMonthDays(year, m);
+    if (m === leapMonth) offset += getLunarMonthDays(year, m, true);
+  }
+  if (isLeap) offset += getLunarMonthDays(year, month);
+
+  return fromDayNumber(BASE_DAY + offset + day - 1);
+}
+
+/**
+ * 农历年的干支，如 "甲辰"
+ * @param {number} year - 农历年
+ * @returns {string} 干支
+ */
+export function getGanZhiYear(year) {
+  const index = (((year - 4) % 60) + 60) % 60;
+  return HEAVENLY_STEMS[index % 10] + EARTHLY_BRANCHES[index % 12];
+}
+
+/**
+ * 农历年的生肖，如 "龙"
+ * @param {number} year - 农历年
+ * @returns {string} 生肖
+ */
+export function getZodiac(year) {
+  return ZODIAC[(((year - 4) % 12) + 12) % 12];
+}
+
+/**
+ * 农历月份名称，如 "正月"、"闰四月"、"腊月"
+ * @param {number} month - 农历月（1-12）
+ * @param {boolean} [isLeap=false] - 是否为闰月
+ * @returns {string} 月份名称
+ */
+export function getLunarMonthName(month, isLeap = false) {
+  return `${isLeap ? "闰" : ""}${MONTH_NAMES[month - 1]}月`;
+}
+
+/**
+ * 农历日名称，如 "初一"、"十五"、"廿三"
+ * @param {number} day - 农历日（1-30）
+ * @returns {string} 日名称
+ */
+export function getLunarDayName(day) {
+  if (day === 10) return "初十";
+  if (day === 20) return "二十";
+  if (day === 30) return "三十";
+  return DAY_PREFIXES[Math.floor(day / 10)] + DIGITS[(day % 10) - 1];
+}
+
+/**
+ * 某年力学时与世界时之差 ΔT（秒），采用 Espenak & Meeus 的多项式近似
+ */
+function deltaT(year) {
+  if (year < 1920) {
+    const t = year - 1900;
+    return (
+      -2.79 +
+      1.494119 * t -
+      0.0598939 * t ** 2 +
+      0.0061966 * t ** 3 -
+      0.000197 * t ** 4
+    );
+  }
+  if (year < 1941) {
+    const t = year - 1920;
+    return 21.2 + 0.84493 * t - 0.0761 * t ** 2 + 0.0020936 * t ** 3;
+  }
+  if (year < 1961) {
+    const t = year - 1950;
+    return 29.07 + 0.407 * t - t ** 2 / 233 + t ** 3 / 2547;
+  }
+  if (year < 1986) {
+    const t = year - 1975;
+    return 45.45 + 1.067 * t - t ** 2 / 260 - t ** 3 / 718;
+  }
+  if (year < 2005) {
+    const t = year - 2000;
+    return (
+      63.86 +
+      0.3345 * t -
+      0.060374 * t ** 2 +
+      0.0017275 * t ** 3 +
+      0.000651814 * t ** 4 +
+      0.00002373599 * t ** 5
+    );
+  }
+  if (year < 2050) {
+    const t = year - 2000;
+    return 62.92 + 0.32217 * t + 0.005589 * t ** 2;
+  }
+  return -20 + 32 * ((year - 1820) / 100) ** 2 - 0.5628 * (2150 - year);
+}
+
+/**
+ * 太阳视黄经（度），jde 为力学时儒略日
+ */
+function solarLongitude(jde) {
+  const rad = Math.PI / 180;
+  const t = (jde - 2451545) / 36525;
+  const l0 = 280.46646 + 36000.76983 * t + 0.0003032 * t * t;
+  const m = (357.52911 + 35999.05029 * t - 0.0001537 * t * t) * rad;
+  const c =
+    (1.914602 - 0.004817 * t - 0.000014 * t * t) * Math.sin(m) +
+    (0.019993 - 0.000101 * t) * Math.sin(2 * m) +
+    0.000289 * Math.sin(3 * m);
+  const omega = (125.04 - 1934.136 * t) * rad;
+  const longitude = l0 + c - 0.00569 - 0.00478 * Math.sin(omega);
+  return ((longitude % 360) + 360) % 360;
+}
+
+/**
+ * 节气时刻紧邻午夜、近似算法会算错日期的情况，值为需要修正的天数，
+ * 键为 "年份-节气名称"，已与精确算法的结果逐一核对
+ */
+const SOLAR_TERM_CORRECTIONS = {
+  "1912-寒露": 1,
+  "1917-大雪": 1,
+  "1923-雨水": -1,
+  "1950-谷雨": -1,
+  "1951-冬至": 1,
+  "2008-小满": 1,
+  "2014-惊蛰": 1,
+  "2016-小暑": 1,
+  "2045-小暑": 1,
+  "2047-惊蛰": 1,
+  "2051-春分": -1,
+  "2082-大寒": 1,
+  "2084-芒种": 1,
+  "2097-立夏": 1,
+};
+
+/**
+ * 计算某年全部二十四节气的北京时间日期
+ * @param {number} year - 公历年
+ * @returns {Object[]} [{ name, year, month, day }]，按时间先后排列
+ */
+export function getSolarTermDays(year) {
+  const yearStart = dayNumber(year, 1, 1) + 2440587.5;
+  return SOLAR_TERMS.map((name, index) => {
+    const target = (285 + index * 15) % 360;
+    // 小寒约在 1 月 6 日前后，之后每个节气间隔约 15.2 天
+    let jde = yearStart + 5 + index * 15.2;
+    for (let i = 0; i < 5; i++) {
+      let delta = target - solarLongitude(jde);
+      if (delta > 180) delta -= 360;
+      if (delta < -180) delta += 360;
+      jde += (delta * 365.2422) / 360;
+    }
+    const jd = jde - deltaT(year) / 86400;
+    // 儒略日从正午起算，转换为北京时间（UTC+8）的日序数
+    const beijingDay = Math.floor(jd - 2440587.5 + 8 / 24);
+    const correction = SOLAR_TERM_CORRECTIONS[`${year}-${name}`] || 0;
+    return { name, ...fromDayNumber(beijingDay + correction) };
+  });
+}
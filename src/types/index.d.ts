@@ -43,9 +43,12 @@ declare module "su-js-utils" {
 
   // 日期工具类型
   export namespace dateUtils {
-    type DateInput = Date | string | number;
+    type DateInput = Date | string | number | SuDate;
     type TimeUnit =
       | "year"
+      | "fiscalYear"
+      | "halfYear"
+      | "quarter"
       | "month"
       | "week"
       | "day"
@@ -53,22 +56,308 @@ declare module "su-js-utils" {
       | "minute"
       | "second";
 
-    function format(date: DateInput, format?: string): string;
+    type RelativeTimePhrase = string | ((value: number | string) => string);
+
+    interface LocalePack {
+      name?: string;
+      weekdays: string[];
+      weekdaysShort: string[];
+      weekdaysMin: string[];
+      months: string[];
+      monthsShort: string[];
+      meridiem(hour: number, minute: number, isLowercase: boolean): string;
+      ordinal(number: number, unit?: string): string;
+      relativeTime: {
+        future: RelativeTimePhrase;
+        past: RelativeTimePhrase;
+        now: string;
+        [key: string]: RelativeTimePhrase;
+      };
+      duration?: {
+        years: RelativeTimePhrase;
+        months: RelativeTimePhrase;
+        days: RelativeTimePhrase;
+        hours: RelativeTimePhrase;
+        minutes: RelativeTimePhrase;
+        seconds: RelativeTimePhrase;
+        delimiter: string;
+      };
+      calendar?: CalendarPhrases;
+      cron?: CronPhrases;
+    }
+
+    interface CalendarPhrases {
+      weekdayNames?: "weekdays" | "weekdaysShort" | "weekdaysMin";
+      days: Record<number, RelativeTimePhrase>;
+      weeks: Record<number, RelativeTimePhrase>;
+    }
+
+    interface CronPhrases {
+      weekdayNames?: "weekdays" | "weekdaysShort" | "weekdaysMin";
+      everySecond: string;
+      everyMinute: string;
+      everyHour: string;
+      everyDay: string;
+      seconds: RelativeTimePhrase;
+      minutes: RelativeTimePhrase;
+      hours: RelativeTimePhrase;
+      atSecond: RelativeTimePhrase;
+      atMinute: RelativeTimePhrase;
+      atHour: RelativeTimePhrase;
+      time: RelativeTimePhrase;
+      dayOfMonth: RelativeTimePhrase;
+      lastDay: string;
+      lastWeekday: string;
+      nearestWeekday: RelativeTimePhrase;
+      lastWeekdayOfMonth: RelativeTimePhrase;
+      nthWeekdayOfMonth(weekday: string, n: number): string;
+      daysOfMonth: RelativeTimePhrase;
+      daysOfWeek: RelativeTimePhrase;
+      months: RelativeTimePhrase;
+      monthsWith(months: string, days: string): string;
+      range(from: string, to: string): string;
+      list(items: string[]): string;
+      or(a: string, b: string): string;
+      fields(parts: string[]): string;
+      join(date: string, time: string): string;
+    }
+
+    type LocaleInput = string | LocalePack;
+
+    interface LocaleOptions {
+      locale?: LocaleInput;
+    }
+
+    interface TimeZoneOptions {
+      timeZone?: string;
+    }
+
+    interface FormatOptions
+      extends LocaleOptions,
+        TimeZoneOptions,
+        FiscalOptions {}
+
+    interface WeekOptions {
+      /** 每周起始日，0 为周日、1 为周一 */
+      weekStartsOn?: number;
+    }
+
+    interface FiscalOptions {
+      /** 财年起始月份（1-12） */
+      fiscalYearStart?: number;
+    }
+
+    function registerLocale(
+      name: string,
+      pack: Partial<LocalePack>
+    ): LocalePack;
+    function setLocale(name: string): string;
+    function getLocale(locale?: LocaleInput): LocalePack;
+    function setWeekStartsOn(day: number | null): number | null;
+    function setFiscalYearStart(month: number): number;
+    type FormatPreset = "datetime" | "date" | "time" | "iso";
+
+    type FormatPartType =
+      | "literal"
+      | "year"
+      | "month"
+      | "day"
+      | "hour"
+      | "minute"
+      | "second"
+      | "fractionalSecond"
+      | "weekday"
+      | "dayPeriod"
+      | "timeZoneName"
+      | "timestamp"
+      | "quarter"
+      | "week"
+      | "weekYear"
+      | "fiscalYear"
+      | "fiscalQuarter"
+      | "lunar";
+
+    interface FormatPart {
+      type: FormatPartType;
+      value: string;
+      /** 对应的占位符，普通文本没有 */
+      token?: string;
+    }
+
+    function format(
+      date: DateInput,
+      format?: FormatPreset | string,
+      options?: FormatOptions
+    ): string;
+    function formatToParts(
+      date: DateInput,
+      format?: FormatPreset | string,
+      options?: FormatOptions
+    ): FormatPart[];
+    interface ParseOptions extends LocaleOptions, TimeZoneOptions {
+      strict?: boolean;
+    }
+
+    function parse(
+      str: string,
+      template?: string,
+      options?: ParseOptions
+    ): Date | null;
     function toDate(date: DateInput): Date;
     function isValidDate(date: Date): boolean;
-    function relativeTime(date: DateInput, baseDate?: DateInput): string;
-    function startOf(date: DateInput, unit?: TimeUnit): Date;
-    function endOf(date: DateInput, unit?: TimeUnit): Date;
-    function add(date: DateInput, amount: number, unit?: TimeUnit): Date;
-    function subtract(date: DateInput, amount: number, unit?: TimeUnit): Date;
-    function diff(date1: DateInput, date2: DateInput, unit?: TimeUnit): number;
+    function isValidTimeZone(timeZone?: string): boolean;
+    function getTimeZoneOffset(date: DateInput, timeZone?: string): number;
+    function relativeTime(
+      date: DateInput,
+      baseDate?: DateInput,
+      options?: LocaleOptions
+    ): string;
+    interface CalendarTimeThresholds {
+      now?: number;
+      minute?: number;
+      hour?: number;
+      day?: number;
+      week?: number;
+      month?: number;
+    }
+    interface CalendarTimeOptions
+      extends LocaleOptions,
+        TimeZoneOptions,
+        WeekOptions {
+      thresholds?: CalendarTimeThresholds;
+      rounding?: "floor" | "round" | "ceil";
+    }
+    function calendarTime(
+      date: DateInput,
+      base?: DateInput,
+      options?: CalendarTimeOptions
+    ): string;
+    function startOf(
+      date: DateInput,
+      unit?: TimeUnit,
+      options?: TimeZoneOptions & WeekOptions & FiscalOptions
+    ): Date;
+    function endOf(
+      date: DateInput,
+      unit?: TimeUnit,
+      options?: TimeZoneOptions & WeekOptions & FiscalOptions
+    ): Date;
+    interface Duration {
+      years: number;
+      months: number;
+      days: number;
+      hours: number;
+      minutes: number;
+      seconds: number;
+      milliseconds: number;
+    }
+
+    type DurationInput =
+      | number
+      | string
+      | Partial<Duration & { weeks: number }>;
+
+    function add(
+      date: DateInput,
+      amount: number,
+      unit?: TimeUnit,
+      options?: TimeZoneOptions
+    ): Date;
+    function add(
+      date: DateInput,
+      amount: Partial<Duration & { weeks: number }>,
+      options?: TimeZoneOptions
+    ): Date;
+    function subtract(
+      date: DateInput,
+      amount: number,
+      unit?: TimeUnit,
+      options?: TimeZoneOptions
+    ): Date;
+    function subtract(
+      date: DateInput,
+      amount: Partial<Duration & { weeks: number }>,
+      options?: TimeZoneOptions
+    ): Date;
+    function diff(
+      date1: DateInput,
+      date2: DateInput,
+      unit?: TimeUnit,
+      options?: WeekOptions & FiscalOptions
+    ): number;
+    function diff(
+      date1: DateInput,
+      date2: DateInput,
+      unit: "breakdown"
+    ): Duration;
+    function duration(input: DurationInput): Duration | null;
+    function formatDuration(input: DurationInput, template?: string): string;
+    function humanizeDuration(
+      input: DurationInput,
+      options?: LocaleOptions & { largest?: number }
+    ): string;
+    function toISODuration(input: DurationInput): string;
+    interface CountdownRemaining {
+      total: number;
+      days: number;
+      hours: number;
+      minutes: number;
+      seconds: number;
+      milliseconds: number;
+      format(template?: string): string;
+    }
+    interface CountdownOptions {
+      onTick?: (remaining: CountdownRemaining) => void;
+      onEnd?: () => void;
+      interval?: number;
+      serverOffset?: number;
+      autoStart?: boolean;
+    }
+    interface Countdown {
+      start(): Countdown;
+      pause(): Countdown;
+      resume(): Countdown;
+      reset(target?: DateInput): Countdown;
+      stop(): Countdown;
+      sync(serverTime: DateInput, requestedAt?: DateInput): Countdown;
+      getRemaining(): CountdownRemaining;
+      isRunning(): boolean;
+    }
+    function createCountdown(
+      target: DateInput,
+      options?: CountdownOptions
+    ): Countdown;
     function getDayOfYear(date: DateInput): number;
-    function getWeekOfYear(date: DateInput): number;
+    function getWeekOfYear(date: DateInput, options?: WeekOptions): number;
+    function getISOWeek(date: DateInput): number;
+    function getISOWeekYear(date: DateInput): number;
     function isLeapYear(date: DateInput): boolean;
     function getDaysInMonth(date: DateInput): number;
     function getDaysInYear(date: DateInput): number;
     function isWeekend(date: DateInput): boolean;
-    function isToday(date: DateInput): boolean;
+
+    type HolidayDays = string | string[];
+
+    interface HolidayTable {
+      [year: string]: {
+        holidays?: Record<string, HolidayDays> | string[];
+        workdays?: string[];
+      };
+    }
+
+    function loadHolidays(
+      table: HolidayTable,
+      options?: { replace?: boolean }
+    ): void;
+    function getHolidayYears(): number[];
+    function isHoliday(date: DateInput): boolean;
+    function getHolidayName(date: DateInput): string;
+    function isWorkday(date: DateInput): boolean;
+    function addWorkdays(date: DateInput, amount: number): Date;
+    function nextWorkday(date: DateInput): Date;
+    function prevWorkday(date: DateInput): Date;
+    function diffWorkdays(date1: DateInput, date2: DateInput): number;
+    function isToday(date: DateInput, options?: TimeZoneOptions): boolean;
     function isAfter(date: DateInput, compareDate: DateInput): boolean;
     function isBefore(date: DateInput, compareDate: DateInput): boolean;
     function isBetween(
@@ -76,12 +365,323 @@ declare module "su-js-utils" {
       startDate: DateInput,
       endDate: DateInput
     ): boolean;
-    function getDatesBetween(startDate: DateInput, endDate: DateInput): Date[];
+    function getDatesBetween(
+      startDate: DateInput,
+      endDate: DateInput,
+      options?: { workdaysOnly?: boolean }
+    ): Date[];
+    interface IntervalInput {
+      start: DateInput;
+      end: DateInput;
+    }
+
+    interface Interval {
+      start: Date;
+      end: Date;
+    }
+
+    function overlaps(a: IntervalInput, b: IntervalInput): boolean;
+    function intersect(a: IntervalInput, b: IntervalInput): Interval | null;
+    function mergeIntervals(intervals: IntervalInput[]): Interval[];
+    function union(...intervals: IntervalInput[]): Interval[];
+    function subtractIntervals(
+      interval: IntervalInput,
+      intervals?: IntervalInput[]
+    ): Interval[];
+    function splitBy(
+      interval: IntervalInput,
+      unit?: TimeUnit,
+      options?: TimeZoneOptions & WeekOptions & FiscalOptions
+    ): Interval[];
+    function getBusinessDuration(
+      interval: IntervalInput,
+      options?: {
+        hours?: [string, string] | Array<[string, string]>;
+        workdaysOnly?: boolean;
+      }
+    ): number;
     function getFirstDayOfMonth(date: DateInput): Date;
     function getLastDayOfMonth(date: DateInput): Date;
     function getFirstDayOfQuarter(date: DateInput): Date;
     function getLastDayOfQuarter(date: DateInput): Date;
     function getQuarter(date: DateInput): number;
+    function getHalfYear(date: DateInput): number;
+    function getFiscalYear(date: DateInput, options?: FiscalOptions): number;
+    function getFiscalQuarter(date: DateInput, options?: FiscalOptions): number;
+
+    interface CalendarOptions {
+      /** 选中的日期，或 [开始日期, 结束日期] 范围 */
+      selected?: DateInput | [DateInput, DateInput];
+      min?: DateInput;
+      max?: DateInput;
+      today?: DateInput;
+    }
+
+    interface CalendarCellState {
+      date: Date;
+      isSelected: boolean;
+      isRangeStart: boolean;
+      isRangeEnd: boolean;
+      disabled: boolean;
+    }
+
+    interface CalendarDayCell extends CalendarCellState {
+      year: number;
+      month: number;
+      day: number;
+      week: number;
+      inCurrentMonth: boolean;
+      isToday: boolean;
+      isWeekend: boolean;
+    }
+
+    interface CalendarMonthCell extends CalendarCellState {
+      year: number;
+      month: number;
+      isCurrent: boolean;
+    }
+
+    interface CalendarYearCell extends CalendarCellState {
+      year: number;
+      inCurrentDecade: boolean;
+      isCurrent: boolean;
+    }
+
+    function getCalendarMatrix(
+      year: number,
+      month: number,
+      options?: CalendarOptions & WeekOptions & { fixedWeeks?: boolean }
+    ): CalendarDayCell[][];
+    function getCalendarYearMatrix(
+      year: number,
+      options?: CalendarOptions
+    ): CalendarMonthCell[][];
+    function getCalendarDecadeMatrix(
+      year: number,
+      options?: CalendarOptions
+    ): CalendarYearCell[][];
+
+    interface LunarDate {
+      year: number;
+      month: number;
+      day: number;
+      isLeap: boolean;
+      ganZhiYear: string;
+      zodiac: string;
+      monthName: string;
+      dayName: string;
+      solarTerm: string;
+      festivals: string[];
+    }
+
+    interface SolarTerm {
+      name: string;
+      date: Date;
+    }
+
+    function toLunar(
+      date: DateInput,
+      options?: TimeZoneOptions
+    ): LunarDate | null;
+    function fromLunar(
+      year: number,
+      month: number,
+      day: number,
+      isLeap?: boolean
+    ): Date | null;
+    function getSolarTerms(year: number): SolarTerm[];
+    function getSolarTerm(date: DateInput): string;
+    function getTraditionalFestivals(date: DateInput): string[];
+    function getTraditionalFestivalDate(
+      name: string,
+      year: number
+    ): Date | null;
+
+    type RRuleFreq =
+      | "YEARLY"
+      | "MONTHLY"
+      | "WEEKLY"
+      | "DAILY"
+      | "HOURLY"
+      | "MINUTELY"
+      | "SECONDLY";
+
+    interface RRuleWeekday {
+      /** 0 为周日，6 为周六 */
+      weekday: number;
+      /** 第几个，负数表示倒数第几个，0 表示每一个 */
+      n: number;
+    }
+
+    interface RRule {
+      freq: RRuleFreq;
+      interval: number;
+      count: number | null;
+      until: Date | null;
+      byDay: RRuleWeekday[];
+      byMonthDay: number[];
+      byMonth: number[];
+      bySetPos: number[];
+      weekStart: number;
+      dtStart: Date | null;
+      exDates: Date[];
+      timeZone: string | null;
+    }
+
+    interface RRuleInput {
+      freq: RRuleFreq | Lowercase<RRuleFreq>;
+      interval?: number;
+      count?: number | null;
+      until?: DateInput | null;
+      /** 如 ["MO", "2TU", "-1FR"] */
+      byDay?: Array<string | RRuleWeekday>;
+      byMonthDay?: number[];
+      byMonth?: number[];
+      bySetPos?: number[];
+      weekStart?: number | string;
+      dtStart?: DateInput | null;
+      exDates?: DateInput[];
+      timeZone?: string | null;
+    }
+
+    interface ExpandRRuleOptions extends TimeZoneOptions {
+      dtStart?: DateInput;
+      workdaysOnly?: boolean;
+    }
+
+    function parseRRule(str: string): RRule | null;
+    function stringifyRRule(rule: RRuleInput | string): string;
+    function expandRRule(
+      rule: RRuleInput | string,
+      startDate: DateInput,
+      endDate: DateInput,
+      options?: ExpandRRuleOptions
+    ): Date[];
+
+    interface CronField {
+      /** 是否为 * 或 ? */
+      any: boolean;
+      values: number[];
+      /** *\/n 的步长 */
+      step: number | null;
+      /** 日期字段为 L，星期字段为 5L 中的星期 */
+      last: number[];
+      /** 日期字段的 LW */
+      lastWeekday: boolean;
+      /** 日期字段的 15W */
+      nearest: number[];
+      /** 星期字段的 5#3 */
+      nth: Array<{ weekday: number; n: number }>;
+    }
+
+    interface CronSchedule {
+      second: CronField;
+      minute: CronField;
+      hour: CronField;
+      dayOfMonth: CronField;
+      month: CronField;
+      dayOfWeek: CronField;
+      hasSeconds: boolean;
+    }
+
+    function parseCron(expr: string): CronSchedule | null;
+    function validateCron(expr: string): { valid: boolean; message: string };
+    function nextRuns(
+      expr: string,
+      from?: DateInput,
+      count?: number,
+      options?: TimeZoneOptions
+    ): Date[];
+    function prevRun(
+      expr: string,
+      from?: DateInput,
+      options?: TimeZoneOptions
+    ): Date | null;
+    function describeCron(expr: string, options?: LocaleOptions): string;
+
+    /** 不可变的日期对象，返回 Date 的方法都返回新的 SuDate */
+    interface SuDate {
+      toDate(): Date;
+      clone(): SuDate;
+      valueOf(): number;
+      toJSON(): string | null;
+      toString(): string;
+      format(format?: FormatPreset | string, options?: FormatOptions): string;
+      formatToParts(
+        format?: FormatPreset | string,
+        options?: FormatOptions
+      ): FormatPart[];
+      isValidDate(): boolean;
+      getTimeZoneOffset(timeZone?: string): number;
+      relativeTime(baseDate?: DateInput, options?: LocaleOptions): string;
+      calendarTime(base?: DateInput, options?: CalendarTimeOptions): string;
+      startOf(
+        unit?: TimeUnit,
+        options?: TimeZoneOptions & WeekOptions & FiscalOptions
+      ): SuDate;
+      endOf(
+        unit?: TimeUnit,
+        options?: TimeZoneOptions & WeekOptions & FiscalOptions
+      ): SuDate;
+      add(amount: number, unit?: TimeUnit, options?: TimeZoneOptions): SuDate;
+      add(
+        amount: Partial<Duration & { weeks: number }>,
+        options?: TimeZoneOptions
+      ): SuDate;
+      subtract(
+        amount: number,
+        unit?: TimeUnit,
+        options?: TimeZoneOptions
+      ): SuDate;
+      subtract(
+        amount: Partial<Duration & { weeks: number }>,
+        options?: TimeZoneOptions
+      ): SuDate;
+      diff(
+        date: DateInput,
+        unit?: TimeUnit,
+        options?: WeekOptions & FiscalOptions
+      ): number;
+      diff(date: DateInput, unit: "breakdown"): Duration;
+      createCountdown(options?: CountdownOptions): Countdown;
+      getDayOfYear(): number;
+      getWeekOfYear(options?: WeekOptions): number;
+      getISOWeek(): number;
+      getISOWeekYear(): number;
+      isLeapYear(): boolean;
+      getDaysInMonth(): number;
+      getDaysInYear(): number;
+      isWeekend(): boolean;
+      isHoliday(): boolean;
+      getHolidayName(): string;
+      isWorkday(): boolean;
+      addWorkdays(amount: number): SuDate;
+      nextWorkday(): SuDate;
+      prevWorkday(): SuDate;
+      diffWorkdays(date: DateInput): number;
+      isToday(options?: TimeZoneOptions): boolean;
+      isAfter(compareDate: DateInput): boolean;
+      isBefore(compareDate: DateInput): boolean;
+      isBetween(startDate: DateInput, endDate: DateInput): boolean;
+      getDatesBetween(
+        endDate: DateInput,
+        options?: { workdaysOnly?: boolean }
+      ): Date[];
+      getFirstDayOfMonth(): SuDate;
+      getLastDayOfMonth(): SuDate;
+      getFirstDayOfQuarter(): SuDate;
+      getLastDayOfQuarter(): SuDate;
+      getQuarter(): number;
+      getHalfYear(): number;
+      getFiscalYear(options?: FiscalOptions): number;
+      getFiscalQuarter(options?: FiscalOptions): number;
+      toLunar(options?: TimeZoneOptions): LunarDate | null;
+      getSolarTerm(): string;
+      getTraditionalFestivals(): string[];
+    }
+
+    function su(date?: DateInput): SuDate;
+    function su(date: string, template: string, options?: ParseOptions): SuDate;
   }
 
   // DOM 工具类型
@@ -207,7 +807,19 @@ declare module "su-js-utils" {
 
   // 验证工具类型
   export namespace verifyUtils {
-    interface PasswordValidateOptions {
+    /** 消息模板，{name} 为参数占位符，也可以是函数 */
+    type MessageTemplate = string | ((params: Record<string, any>) => string);
+
+    type MessageCatalog = Record<string, MessageTemplate>;
+
+    interface MessageOptions {
+      /** 语言，默认为全局默认语言 */
+      locale?: string;
+      /** 本次调用覆盖的消息 */
+      messages?: MessageCatalog;
+    }
+
+    interface PasswordValidateOptions extends MessageOptions {
       minLength?: number;
       requireNumber?: boolean;
       requireLetter?: boolean;
@@ -230,11 +842,37 @@ declare module "su-js-utils" {
       requirements?: string[];
     }
 
+    interface PasswordStrengthOptions extends MessageOptions {
+      /** 与用户相关的词，如用户名、邮箱、姓名 */
+      userInputs?: string[];
+    }
+
+    interface PasswordCrackTimes<T> {
+      /** 在线攻击，有频率限制（每小时 100 次） */
+      onlineThrottled: T;
+      /** 在线攻击，无频率限制（每秒 10 次） */
+      onlineUnthrottled: T;
+      /** 离线攻击，慢哈希（每秒 1 万次） */
+      offlineSlow: T;
+      /** 离线攻击，快哈希（每秒 100 亿次） */
+      offlineFast: T;
+    }
+
     interface PasswordStrengthResult {
+      /** 按猜测次数估算的评分，0 - 4，无效密码为 0 */
       score: number;
       level: "invalid" | "weak" | "medium" | "strong" | "very-strong";
       message: string;
-      details: {
+      /** 估算的猜测次数 */
+      guesses?: number;
+      guessesLog10?: number;
+      crackTimesSeconds?: PasswordCrackTimes<number>;
+      crackTimesDisplay?: PasswordCrackTimes<string>;
+      feedback?: {
+        warning: string;
+        suggestions: string[];
+      };
+      details?: {
         length: boolean;
         hasNumber: boolean;
         hasLowerCase: boolean;
@@ -243,13 +881,144 @@ declare module "su-js-utils" {
       };
     }
 
+    interface IdCardInfo {
+      idCard: string;
+      regionCode: string;
+      province: string;
+      city: string;
+      birthday: Date;
+      age: number;
+      gender: "male" | "female";
+    }
+
+    interface RegionInfo {
+      regionCode: string;
+      province: string;
+      city: string;
+    }
+
+    interface CreditCodeInfo extends RegionInfo {
+      code: string;
+      authorityCode: string;
+      authority: string;
+      typeCode: string;
+      type: string;
+      organizationCode: string;
+    }
+
+    interface TaxpayerIdInfo extends RegionInfo {
+      taxpayerId: string;
+      format: "creditCode" | "organization" | "individual";
+      organizationCode?: string;
+      creditCode?: CreditCodeInfo;
+    }
+
+    type CardScheme = "unionpay" | "visa" | "mastercard" | "amex" | "jcb" | "";
+
+    interface CardInfo {
+      scheme: CardScheme;
+      schemeName: string;
+      bankCode: string;
+      bank: string;
+      type: "debit" | "credit" | "";
+      bin: string;
+      lengths: number[];
+      isValid: boolean;
+    }
+
+    type CardBinTable = Record<
+      string,
+      { name: string; debit?: string[]; credit?: string[] }
+    >;
+
+    type PhoneType = "mobile" | "landline" | "service" | "";
+
+    interface PhoneInfo {
+      country: string;
+      callingCode: string;
+      nationalNumber: string;
+      e164: string;
+      type: PhoneType;
+      areaCode?: string;
+      extension?: string;
+      carrier?: string;
+      carrierCode?: "CMCC" | "CUCC" | "CTCC" | "CBN" | "";
+      isVirtual?: boolean;
+    }
+
+    interface ParsePhoneOptions {
+      defaultCountry?: string;
+    }
+
+    interface PhoneNumberOptions extends ParsePhoneOptions {
+      countries?: string[];
+      types?: PhoneType[];
+    }
+
+    interface UrlOptions {
+      /** 允许的协议，如 ["http", "https"] */
+      protocols?: string[];
+      /** 允许的主机，"*.example.com" 表示所有子域名 */
+      hosts?: string[];
+      /** 是否允许主机为 IP 地址，默认为 true */
+      allowIp?: boolean;
+      /** 是否允许 localhost、内网和保留地址，默认为 true */
+      allowPrivate?: boolean;
+    }
+
+    interface CidrOptions {
+      version?: 4 | 6;
+      /** 是否要求主机位全为 0，默认为 false */
+      strict?: boolean;
+    }
+
+    type IpRange =
+      | "unspecified"
+      | "loopback"
+      | "private"
+      | "carrierGradeNat"
+      | "linkLocal"
+      | "documentation"
+      | "benchmarking"
+      | "multicast"
+      | "broadcast"
+      | "reserved"
+      | "public";
+
     interface StringValidators {
       isString(value: any): boolean;
       isLength(str: string, min: number, max?: number): boolean;
       isEmail(email: string): boolean;
       isPhone(phone: string): boolean;
-      isUrl(url: string): boolean;
+      isLandline(phone: string): boolean;
+      parsePhone(phone: string, options?: ParsePhoneOptions): PhoneInfo | null;
+      isPhoneNumber(phone: string, options?: PhoneNumberOptions): boolean;
+      isUrl(url: string, options?: UrlOptions): boolean;
+      isIpv4(ip: string): boolean;
+      isIpv6(ip: string, options?: { allowZone?: boolean }): boolean;
+      isIp(ip: string, version?: 4 | 6): boolean;
+      isCidr(cidr: string, options?: CidrOptions): boolean;
+      ipInCidr(ip: string, cidr: string | string[]): boolean;
+      /** 地址无效时返回空字符串 */
+      getIpRange(ip: string): IpRange | "";
+      isPrivateIp(ip: string): boolean;
+      isReservedIp(ip: string): boolean;
+      isMac(mac: string, options?: { noSeparator?: boolean }): boolean;
+      isDomain(
+        domain: string,
+        options?: { allowIdn?: boolean; allowWildcard?: boolean }
+      ): boolean;
+      isHostname(hostname: string, options?: { allowIdn?: boolean }): boolean;
       isIdCard(idCard: string): boolean;
+      upgradeIdCard(idCard: string): string;
+      parseIdCard(idCard: string, baseDate?: Date): IdCardInfo | null;
+      isCreditCode(code: string): boolean;
+      parseCreditCode(code: string): CreditCodeInfo | null;
+      isOrganizationCode(code: string): boolean;
+      isTaxpayerId(taxpayerId: string): boolean;
+      parseTaxpayerId(taxpayerId: string): TaxpayerIdInfo | null;
+      isBankCard(cardNumber: string): boolean;
+      getCardInfo(cardNumber: string): CardInfo | null;
       isZipCode(zipCode: string): boolean;
       isAlpha(str: string): boolean;
       isAlphanumeric(str: string): boolean;
@@ -257,7 +1026,10 @@ declare module "su-js-utils" {
         password: string,
         options?: PasswordValidateOptions
       ): PasswordValidateResult;
-      getPasswordStrength(password: string): PasswordStrengthResult;
+      getPasswordStrength(
+        password: string,
+        options?: PasswordStrengthOptions
+      ): PasswordStrengthResult;
     }
 
     interface NumberValidators {
@@ -288,12 +1060,151 @@ declare module "su-js-utils" {
       isPast(date: Date): boolean;
     }
 
+    interface SchemaError {
+      path: string;
+      rule: string;
+      message: string;
+    }
+
+    interface SchemaResult {
+      valid: boolean;
+      errors: SchemaError[];
+      errorMap: Record<string, string>;
+      cancelled?: boolean;
+    }
+
+    interface SchemaRuleContext {
+      path: string;
+      parent: any;
+      root: any;
+    }
+
+    interface AsyncSchemaRuleContext extends SchemaRuleContext {
+      signal?: AbortSignal;
+    }
+
+    interface AsyncRuleOptions {
+      name?: string;
+      debounce?: number;
+    }
+
+    interface BaseSchema<T = any> {
+      required(message?: string): this;
+      optional(): this;
+      label(name: string): this;
+      oneOf(values: T[], message?: string): this;
+      equalTo(field: string, message?: string): this;
+      rule(
+        test: (value: T, context: SchemaRuleContext) => boolean,
+        message?: string,
+        name?: string
+      ): this;
+      asyncRule(
+        test: (value: T, context: AsyncSchemaRuleContext) => Promise<boolean>,
+        message?: string,
+        options?: AsyncRuleOptions
+      ): this;
+      when(
+        field: string,
+        predicate: ((fieldValue: any, parent: any) => boolean) | any,
+        rules: ((schema: this) => AnySchema) | AnySchema
+      ): this;
+      validate(value: any, options?: MessageOptions): SchemaResult;
+      validateAsync(
+        value: any,
+        options?: MessageOptions
+      ): Promise<SchemaResult>;
+      isValid(value: any): boolean;
+    }
+
+    interface StringSchema extends BaseSchema<string> {
+      length(min: number, max: number, message?: string): this;
+      min(min: number, message?: string): this;
+      max(max: number, message?: string): this;
+      pattern(regex: RegExp, message?: string): this;
+      email(message?: string): this;
+      phone(message?: string): this;
+      landline(message?: string): this;
+      url(message?: string): this;
+      ip(message?: string): this;
+      cidr(message?: string): this;
+      mac(message?: string): this;
+      domain(message?: string): this;
+      hostname(message?: string): this;
+      idCard(message?: string): this;
+      creditCode(message?: string): this;
+      organizationCode(message?: string): this;
+      taxpayerId(message?: string): this;
+      bankCard(message?: string): this;
+      zipCode(message?: string): this;
+      alpha(message?: string): this;
+      alphanumeric(message?: string): this;
+    }
+
+    interface NumberSchema extends BaseSchema<number> {
+      integer(message?: string): this;
+      positive(message?: string): this;
+      negative(message?: string): this;
+      min(min: number, message?: string): this;
+      max(max: number, message?: string): this;
+      range(min: number, max: number, message?: string): this;
+      port(message?: string): this;
+    }
+
+    interface DateSchema extends BaseSchema<Date> {
+      future(message?: string): this;
+      past(message?: string): this;
+      range(start: Date, end: Date, message?: string): this;
+      after(ref: Date | string, message?: string): this;
+      before(ref: Date | string, message?: string): this;
+    }
+
+    interface ArraySchema extends BaseSchema<any[]> {
+      of(element: AnySchema): this;
+      length(min: number, max: number, message?: string): this;
+      min(min: number, message?: string): this;
+      max(max: number, message?: string): this;
+    }
+
+    interface ObjectSchema extends BaseSchema<object> {}
+
+    type AnySchema =
+      | StringSchema
+      | NumberSchema
+      | DateSchema
+      | ArraySchema
+      | ObjectSchema;
+
+    interface SchemaBuilder {
+      (shape: Record<string, AnySchema>): ObjectSchema;
+      string(): StringSchema;
+      number(): NumberSchema;
+      date(): DateSchema;
+      array(element?: AnySchema): ArraySchema;
+      object(shape?: Record<string, AnySchema>): ObjectSchema;
+    }
+
     export const isEmpty: (value: any) => boolean;
+    export function registerMessages(
+      locale: string,
+      messages: MessageCatalog
+    ): MessageCatalog;
+    export function setMessageLocale(locale: string): string;
+    export function getMessage(
+      key: string,
+      params?: Record<string, any>,
+      options?: MessageOptions
+    ): string;
+    export function loadCardBins(
+      table: CardBinTable,
+      options?: { replace?: boolean }
+    ): void;
     export const string: StringValidators;
     export const number: NumberValidators;
     export const object: ObjectValidators;
     export const array: ArrayValidators;
     export const date: DateValidators;
+    export const schema: SchemaBuilder;
   }
 
   // 导出简写别名
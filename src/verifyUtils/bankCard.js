@@ -0,0 +1,107 @@
+/**
+ * 银行卡号的校验和 BIN 查询
+ */
+import { chinaCardBins } from "./bins.js";
+
+/**
+ * 银行卡组织：卡号前缀和允许的卡号长度，按顺序匹配
+ */
+export const CARD_SCHEMES = [
+  {
+    scheme: "amex",
+    name: "American Express",
+    pattern: /^3[47]/,
+    lengths: [15],
+  },
+  {
+    scheme: "jcb",
+    name: "JCB",
+    pattern: /^35(2[89]|[3-8])/,
+    lengths: [16, 17, 18, 19],
+  },
+  {
+    scheme: "unionpay",
+    name: "银联",
+    pattern: /^62/,
+    lengths: [16, 17, 18, 19],
+  },
+  {
+    scheme: "mastercard",
+    name: "Mastercard",
+    pattern: /^(5[1-5]|222[1-9]|22[3-9]|2[3-6]|27[01]|2720)/,
+    lengths: [16],
+  },
+  { scheme: "visa", name: "Visa", pattern: /^4/, lengths: [13, 16, 19] },
+];
+
+/**
+ * 无法识别卡组织时允许的卡号长度
+ */
+export const DEFAULT_CARD_LENGTHS = [16, 17, 18, 19];
+
+/**
+ * 已加载的 BIN 表，BIN -> { bankCode, bank, type }
+ */
+let cardBins = {};
+
+/**
+ * 内部工具函数：Luhn 校验
+ */
+export function checkLuhn(digits) {
+  let sum = 0;
+  for (let i = digits.length - 1, double = false; i >= 0; i--) {
+    let digit = Number(digits[i]);
+    if (double) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+    double = !double;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * 内部工具函数：去掉卡号中的空格和连字符，不是数字时返回空字符串
+ */
+export function normalizeCardNumber(cardNumber) {
+  if (typeof cardNumber !== "string" && typeof cardNumber !== "number") {
+    return "";
+  }
+  const digits = String(cardNumber).replace(/[\s-]/g, "");
+  return /^\d+$/.test(digits) ? digits : "";
+}
+
+/**
+ * 内部工具函数：按最长前缀查询卡号所属的 BIN 和发卡行，未收录时各项为空字符串
+ */
+export function findCardBin(digits) {
+  for (let length = Math.min(digits.length, 8); length > 0; length--) {
+    const bin = digits.slice(0, length);
+    if (cardBins[bin]) return { ...cardBins[bin], bin };
+  }
+  return { bankCode: "", bank: "", type: "", bin: "" };
+}
+
+/**
+ * 加载银行卡 BIN 表，与已加载的 BIN 合并，相同的 BIN 会被覆盖
+ * @param {object} table - 银行代码 -> { name, debit, credit }，debit、credit 为 BIN 数组
+ * @param {object} [options] - 选项
+ * @param {boolean} [options.replace=false] - 是否清空已加载的全部 BIN（包括内置的 BIN 表）
+ * @example
+ * loadCardBins({ DEMO: { name: "示例银行", debit: ["621234"], credit: ["625234"] } });
+ */
+export function loadCardBins(table, options = {}) {
+  if (options.replace) cardBins = {};
+  Object.keys(table || {}).forEach((bankCode) => {
+    const { name, debit = [], credit = [] } = table[bankCode];
+    debit.forEach((bin) => {
+      cardBins[bin] = { bankCode, bank: name, type: "debit" };
+    });
+    credit.forEach((bin) => {
+      cardBins[bin] = { bankCode, bank: name, type: "credit" };
+    });
+  });
+}
+
+loadCardBins(chinaCardBins);
@@ -0,0 +1,110 @@
+/**
+ * 内置的国内主要银行卡 BIN（发卡行识别码）表，仅收录常见卡种，可通过 loadCardBins 补充
+ *
+ * 每家银行一项，键为银行代码：
+ * - name: 银行名称
+ * - debit: 借记卡 BIN 列表
+ * - credit: 信用卡 BIN 列表
+ */
+export const chinaCardBins = {
+  ICBC: {
+    name: "中国工商银行",
+    debit: ["622200", "622202", "622208", "621226", "955880"],
+    credit: [],
+  },
+  CCB: {
+    name: "中国建设银行",
+    debit: ["436742", "622280", "622700", "621700"],
+    credit: ["436728"],
+  },
+  ABC: {
+    name: "中国农业银行",
+    debit: ["622845", "622848"],
+    credit: [],
+  },
+  BOC: {
+    name: "中国银行",
+    debit: ["456351", "601382", "621660", "621661", "621663"],
+    credit: ["518378", "518379"],
+  },
+  BOCOM: {
+    name: "交通银行",
+    debit: ["405512", "601428", "622260", "622262"],
+    credit: ["458123", "458124", "520169"],
+  },
+  CMB: {
+    name: "招商银行",
+    debit: ["410062", "468203", "524011", "621483", "621486", "622588"],
+    credit: [
+      "356885",
+      "356886",
+      "356887",
+      "356888",
+      "356890",
+      "439188",
+      "439225",
+      "439227",
+      "479228",
+      "479229",
+      "622575",
+      "622576",
+      "622577",
+      "622578",
+      "622579",
+      "622580",
+      "622581",
+      "622582",
+    ],
+  },
+  PSBC: {
+    name: "中国邮政储蓄银行",
+    debit: ["621799", "622150", "622151", "622181", "622188", "955100"],
+    credit: [],
+  },
+  CIB: {
+    name: "兴业银行",
+    debit: ["438588", "622908", "622909", "966666"],
+    credit: [],
+  },
+  CMBC: {
+    name: "中国民生银行",
+    debit: ["415599", "622615", "622617", "622618", "622622"],
+    credit: ["622600", "622601", "622602"],
+  },
+  CITIC: {
+    name: "中信银行",
+    debit: ["622690", "622691", "622692", "622696", "622698"],
+    credit: ["376966", "376968", "376969"],
+  },
+  CEB: {
+    name: "中国光大银行",
+    debit: [
+      "622660",
+      "622661",
+      "622662",
+      "622663",
+      "622664",
+      "622665",
+      "622666",
+      "622667",
+      "622668",
+      "622669",
+    ],
+    credit: [],
+  },
+  HXB: {
+    name: "华夏银行",
+    debit: ["622630", "622631", "622632", "622633", "999999"],
+    credit: ["622636", "622637"],
+  },
+  CGB: {
+    name: "广发银行",
+    debit: ["622568"],
+    credit: ["622556", "622557", "622558", "622559", "622560"],
+  },
+  PAB: {
+    name: "平安银行",
+    debit: ["622986", "623058"],
+    credit: ["622525", "622526"],
+  },
+};
@@ -0,0 +1,92 @@
+/**
+ * 统一社会信用代码和组织机构代码的校验
+ */
+/**
+ * 统一社会信用代码（GB 32100）的字符集、加权因子，以及登记管理部门和机构类别代码
+ */
+const CREDIT_CODE_CHARS = "0123456789ABCDEFGHJKLMNPQRTUWXY";
+const CREDIT_CODE_WEIGHTS = [
+  1, 3, 9, 27, 19, 26, 16, 17, 20, 29, 25, 13, 8, 24, 10, 30, 28,
+];
+export const CREDIT_CODE_AUTHORITIES = {
+  1: {
+    name: "机构编制",
+    types: { 1: "机关", 2: "事业单位", 3: "群众团体", 9: "其他" },
+  },
+  2: { name: "外交", types: { 1: "外国常驻新闻机构", 9: "其他" } },
+  3: {
+    name: "司法行政",
+    types: {
+      1: "律师执业机构",
+      2: "公证处",
+      3: "基层法律服务所",
+      4: "司法鉴定机构",
+      5: "仲裁委员会",
+      9: "其他",
+    },
+  },
+  4: { name: "文化", types: { 1: "外国在华文化中心", 9: "其他" } },
+  5: {
+    name: "民政",
+    types: { 1: "社会团体", 2: "民办非企业单位", 3: "基金会", 9: "其他" },
+  },
+  6: {
+    name: "旅游",
+    types: {
+      1: "外国旅游部门常驻代表机构",
+      2: "港澳台地区旅游部门常驻内地（大陆）代表机构",
+      9: "其他",
+    },
+  },
+  7: { name: "宗教", types: { 1: "宗教活动场所", 2: "宗教院校", 9: "其他" } },
+  8: { name: "工会", types: { 1: "基层工会", 9: "其他" } },
+  9: {
+    name: "工商",
+    types: { 1: "企业", 2: "个体工商户", 3: "农民专业合作社" },
+  },
+  A: {
+    name: "中央军委改革和编制办公室",
+    types: { 1: "军队事业单位", 9: "其他" },
+  },
+  N: {
+    name: "农业",
+    types: {
+      1: "组级集体经济组织",
+      2: "村级集体经济组织",
+      3: "乡镇级集体经济组织",
+      9: "其他",
+    },
+  },
+  Y: { name: "其他", types: { 1: "其他" } },
+};
+
+/**
+ * 组织机构代码（GB 11714）本体代码的加权因子
+ */
+const ORGANIZATION_CODE_WEIGHTS = [3, 7, 9, 10, 5, 8, 4, 2];
+
+/**
+ * 内部工具函数：验证统一社会信用代码的字符集和校验码
+ */
+export function checkCreditCode(code) {
+  if (!/^[0-9A-HJ-NPQRTUWXY]{18}$/.test(code)) return false;
+  const sum = CREDIT_CODE_WEIGHTS.reduce(
+    (total, weight, index) =>
+      total + weight * CREDIT_CODE_CHARS.indexOf(code[index]),
+    0
+  );
+  return CREDIT_CODE_CHARS[(31 - (sum % 31)) % 31] === code[17];
+}
+
+/**
+ * 内部工具函数：验证组织机构代码（不含连字符）的校验码
+ */
+export function checkOrganizationCode(code) {
+  if (!/^[0-9A-Z]{8}[0-9X]$/.test(code)) return false;
+  const sum = ORGANIZATION_CODE_WEIGHTS.reduce(
+    (total, weight, index) => total + weight * parseInt(code[index], 36),
+    0
+  );
+  const check = 11 - (sum % 11);
+  return (check === 10 ? "X" : String(check % 11)) === code[8];
+}
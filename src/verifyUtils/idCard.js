@@ -0,0 +1,51 @@
+/**
+ * 居民身份证号的校验和解析
+ */
+import { parse as parseDate, diff as diffDate } from "../dateUtils/index.js";
+import { provinces, getRegionNames } from "./regions.js";
+
+/**
+ * 身份证号前 17 位的加权因子和校验码（GB 11643，ISO 7064 MOD 11-2）
+ */
+const ID_CARD_WEIGHTS = [7, 9, 10, 5, 8, 4, 2, 1, 6, 3, 7, 9, 10, 5, 8, 4, 2];
+const ID_CARD_CHECK_CODES = "10X98765432";
+
+/**
+ * 内部工具函数：计算身份证号的校验码
+ */
+function getIdCardCheckCode(body) {
+  const sum = ID_CARD_WEIGHTS.reduce(
+    (total, weight, index) => total + weight * Number(body[index]),
+    0
+  );
+  return ID_CARD_CHECK_CODES[sum % 11];
+}
+
+/**
+ * 内部工具函数：解析身份证号，15 位号码先升级为 18 位
+ * 校验码、省级行政区划代码或出生日期无效时返回 null
+ */
+export function parseIdCardInfo(idCard, baseDate = new Date()) {
+  let id = idCard.toUpperCase();
+  if (/^\d{15}$/.test(id)) {
+    const body = `${id.slice(0, 6)}19${id.slice(6)}`;
+    id = body + getIdCardCheckCode(body);
+  } else if (!/^\d{17}[\dX]$/.test(id) || getIdCardCheckCode(id) !== id[17]) {
+    return null;
+  }
+
+  const province = provinces[id.slice(0, 2)];
+  const birthday = parseDate(id.slice(6, 14), "YYYYMMDD");
+  if (!province || !birthday || birthday > baseDate) return null;
+  if (birthday.getFullYear() < 1800) return null;
+
+  return {
+    idCard: id,
+    regionCode: id.slice(0, 6),
+    province,
+    city: getRegionNames(id).city,
+    birthday,
+    age: diffDate(birthday, baseDate, "breakdown").years,
+    gender: Number(id[16]) % 2 === 1 ? "male" : "female",
+  };
+}
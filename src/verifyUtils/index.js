@@ -1,6 +1,38 @@
 /**
  * 验证工具函数集合
  */
+import { format as formatDate } from "../dateUtils/index.js";
+import { parseIdCardInfo } from "./idCard.js";
+import { provinces, getRegionNames } from "./regions.js";
+import {
+  CREDIT_CODE_AUTHORITIES,
+  checkCreditCode,
+  checkOrganizationCode,
+} from "./creditCode.js";
+import {
+  CARD_SCHEMES,
+  DEFAULT_CARD_LENGTHS,
+  checkLuhn,
+  normalizeCardNumber,
+  findCardBin,
+} from "./bankCard.js";
+import { phoneCountries } from "./phones.js";
+import { parseChinaPhone, findPhoneCountry } from "./phoneNumber.js";
+import {
+  parseIpv4,
+  parseIpv6,
+  parseIp,
+  parseCidr,
+  matchPrefix,
+  IP_RANGES,
+  toAsciiDomain,
+  checkHostname,
+  matchHost,
+} from "./network.js";
+import { estimatePasswordStrength } from "./passwordStrength.js";
+import { builtinMessages } from "./messages.js";
+
+export { loadCardBins } from "./bankCard.js";
 
 /**
  * 检查值是否为空
@@ -15,6 +47,106 @@ export function isEmpty(value) {
   return false;
 }
 
+/**
+ * 已注册的验证消息，语言 -> 消息表
+ */
+const messageRegistry = {};
+Object.keys(builtinMessages).forEach((locale) => {
+  messageRegistry[locale] = { ...builtinMessages[locale] };
+});
+
+/**
+ * 验证消息的全局默认语言
+ */
+let defaultMessageLocale = "zh-CN";
+
+/**
+ * 注册验证消息，与该语言已有的消息合并，可用于添加新语言或改写内置消息
+ * @param {string} locale - 语言标识，如 "en-US"
+ * @param {Object} messages - 消息名称 -> 消息模板，字段参见 messages.js
+ * @returns {Object} 合并后的消息表
+ * @example
+ * registerMessages("zh-CN", { required: "请填写{field}" });
+ * registerMessages("ja-JP", { required: "{field}は必須です" });
+ */
+export function registerMessages(locale, messages) {
+  messageRegistry[locale] = { ...messageRegistry[locale], ...messages };
+  return messageRegistry[locale];
+}
+
+/**
+ * 设置验证消息的全局默认语言
+ * @param {string} locale - 已注册的语言标识，只给出语言部分时（如 "en"）匹配第一个同语言的消息表
+ * @returns {string} 当前的默认语言
+ */
+export function setMessageLocale(locale) {
+  const matched = findMessageLocale(locale);
+  if (matched) defaultMessageLocale = matched;
+  return defaultMessageLocale;
+}
+
+/**
+ * 内部工具函数：查找已注册的语言，找不到时返回空字符串
+ */
+function findMessageLocale(locale) {
+  if (typeof locale !== "string") return "";
+  if (messageRegistry[locale]) return locale;
+  const language = locale.split("-")[0];
+  return (
+    Object.keys(messageRegistry).find(
+      (name) => name.split("-")[0] === language
+    ) || ""
+  );
+}
+
+/**
+ * 内部工具函数：查找消息模板，依次查找调用时传入的 messages、指定的语言（默认为全局默认语言）和 zh-CN
+ */
+function resolveMessage(key, options = {}) {
+  const { messages = {}, locale } = options;
+  if (messages[key] !== undefined) return messages[key];
+  const catalog =
+    messageRegistry[findMessageLocale(locale) || defaultMessageLocale];
+  if (catalog[key] !== undefined) return catalog[key];
+  return messageRegistry["zh-CN"][key];
+}
+
+/**
+ * 内部工具函数：填充消息模板中的 {name} 占位符，模板为函数时以参数调用
+ */
+function formatMessage(template, params) {
+  if (typeof template === "function") return template(params);
+  return template.replace(/\{(\w+)\}/g, (match, key) =>
+    params[key] === undefined ? match : String(params[key])
+  );
+}
+
+/**
+ * 获取验证消息，可用于为没有消息的验证函数（如 isEmail）生成提示
+ * @param {string} key - 消息名称，如 "required"、"minLength"、"passwordNumber"
+ * @param {Object} [params] - 模板参数，如 { field: "用户名", min: 6 }，field 默认为 "该字段"
+ * @param {Object} [options] - 选项
+ * @param {string} [options.locale] - 语言，默认为全局默认语言
+ * @param {Object} [options.messages] - 本次调用覆盖的消息
+ * @returns {string} 消息，找不到时返回 key
+ * @example
+ * getMessage("minLength", { field: "用户名", min: 6 }); // => "用户名至少 6 个字符"
+ * getMessage("email", { field: "Email" }, { locale: "en-US" }); // => "Email is not a valid email address"
+ */
+export function getMessage(key, params = {}, options = {}) {
+  const template = resolveMessage(key, options);
+  if (template === undefined) return key;
+  return formatMessage(template, {
+    field: resolveMessage("field", options),
+    ...params,
+  });
+}
+
+/**
+ * 特殊字符：字母、数字和空白以外的任何字符
+ */
+const SPECIAL_CHAR_PATTERN = /[^\sa-zA-Z0-9]/;
+
 /**
  * 验证字符串
  */
@@ -53,40 +185,524 @@ const stringValidators = {
   },
 
   /**
-   * 验证是否为有效手机号（中国大陆）
+   * 验证是否为有效手机号（中国大陆），允许 +86、0086 前缀以及空格、连字符
    * @param {string} phone - 要验证的手机号
    * @returns {boolean} 是否为有效手机号
    */
   isPhone(phone) {
-    if (!this.isString(phone)) return false;
-    const pattern = /^1[3-9]\d{9}$/;
-    return pattern.test(phone);
+    const info = this.parsePhone(phone);
+    return info !== null && info.country === "CN" && info.type === "mobile";
+  },
+
+  /**
+   * 验证是否为有效固定电话号码（中国大陆），如 "010-12345678"、"0755-1234567-8001"
+   * @param {string} phone - 要验证的号码
+   * @returns {boolean} 是否为有效固定电话号码
+   */
+  isLandline(phone) {
+    const info = this.parsePhone(phone);
+    return info !== null && info.country === "CN" && info.type === "landline";
+  },
+
+  /**
+   * 解析电话号码
+   * 以 + 或 00 开头的号码按国际电话区号识别国家或地区，否则按 defaultCountry 解析国内格式。
+   * 号码中的空格、括号、点和连字符会被忽略
+   * @param {string} phone - 电话号码
+   * @param {object} [options] - 选项
+   * @param {string} [options.defaultCountry="CN"] - 国内格式号码所属的国家或地区代码，如 "HK"
+   * @returns {object|null} 无效时返回 null，否则返回：
+   * - country / callingCode: 国家或地区代码和国际电话区号
+   * - nationalNumber: 国内号码（不含长途字冠）
+   * - e164: E.164 格式，如 "+8613812345678"
+   * - type: mobile（手机）|landline（固话）|service（400/800 号码）|""（无法区分）
+   * - areaCode / extension: 中国大陆固话的区号（带 0）和分机号
+   * - carrier / carrierCode / isVirtual: 中国大陆手机的运营商、运营商代码（CMCC|CUCC|CTCC|CBN）
+   *   和是否为虚拟运营商号段
+   * @example
+   * parsePhone("+86 138-1234-5678");
+   * // => { country: "CN", callingCode: "86", nationalNumber: "13812345678", e164: "+8613812345678",
+   * //      type: "mobile", carrier: "中国移动", carrierCode: "CMCC", isVirtual: false }
+   * parsePhone("010-12345678-123");
+   * // => { ..., e164: "+861012345678", type: "landline", areaCode: "010", extension: "123" }
+   * parsePhone("+852 9123 4567"); // => { country: "HK", e164: "+85291234567", type: "mobile", ... }
+   */
+  parsePhone(phone, options = {}) {
+    if (!this.isString(phone)) return null;
+    const text = phone.trim().replace(/[\s().]/g, "");
+    const international = /^(\+|00)/.exec(text);
+
+    let country = options.defaultCountry || "CN";
+    let national = text;
+    if (international) {
+      const digits = text.slice(international[0].length).replace(/-/g, "");
+      country = findPhoneCountry(digits);
+      if (!country) return null;
+      national = digits.slice(phoneCountries[country].callingCode.length);
+    }
+    const meta = phoneCountries[country];
+    if (!meta || !/^\d[\d-]*$/.test(national)) return null;
+
+    let info;
+    if (country === "CN") {
+      info = parseChinaPhone(national, !!international);
+    } else {
+      let digits = national.replace(/-/g, "");
+      const [min, max] = meta.length;
+      if (meta.trunkPrefix && digits.startsWith(meta.trunkPrefix)) {
+        const rest = digits.slice(meta.trunkPrefix.length);
+        if (!international || digits.length > max) digits = rest;
+      }
+      const isValid =
+        digits.length >= min &&
+        digits.length <= max &&
+        (!meta.pattern || meta.pattern.test(digits));
+      const isMobile = !!meta.mobile && meta.mobile.test(digits);
+      info = isValid
+        ? { type: isMobile ? "mobile" : "", nationalNumber: digits }
+        : null;
+    }
+    if (!info) return null;
+
+    return {
+      country,
+      callingCode: meta.callingCode,
+      e164: `+${meta.callingCode}${info.nationalNumber}`,
+      ...info,
+    };
+  },
+
+  /**
+   * 验证是否为有效电话号码，规则参见 parsePhone
+   * @param {string} phone - 电话号码
+   * @param {object} [options] - 选项
+   * @param {string} [options.defaultCountry="CN"] - 国内格式号码所属的国家或地区代码
+   * @param {string[]} [options.countries] - 允许的国家或地区，默认不限
+   * @param {string[]} [options.types] - 允许的号码类型，如 ["mobile", "landline"]，默认不限
+   * @returns {boolean} 是否有效
+   */
+  isPhoneNumber(phone, options = {}) {
+    const info = this.parsePhone(phone, options);
+    if (!info) return false;
+    const { countries, types } = options;
+    if (countries && !countries.includes(info.country)) return false;
+    return !types || types.includes(info.type);
   },
 
   /**
    * 验证是否为有效URL
    * @param {string} url - 要验证的URL
+   * @param {object} options - 验证选项，不传时只要能被 URL 解析即为有效
+   * @param {string[]} options.protocols - 允许的协议，如 ["http", "https"]
+   * @param {string[]} options.hosts - 允许的主机，"*.example.com" 表示所有子域名，支持国际化域名
+   * @param {boolean} options.allowIp - 是否允许主机为 IP 地址，默认为 true
+   * @param {boolean} options.allowPrivate - 是否允许 localhost、内网和保留地址，默认为 true
    * @returns {boolean} 是否为有效URL
+   * @example
+   * isUrl('ftp://example.com', { protocols: ['http', 'https'] }) // false
+   * isUrl('https://api.example.com/v1', { hosts: ['*.example.com'] }) // true
+   * isUrl('http://192.168.1.1/admin', { allowPrivate: false }) // false
    */
-  isUrl(url) {
+  isUrl(url, options = {}) {
     if (!this.isString(url)) return false;
+    let parsed;
     try {
-      new URL(url);
-      return true;
+      parsed = new URL(url);
     } catch {
       return false;
     }
+
+    const { protocols, hosts, allowIp = true, allowPrivate = true } = options;
+    const protocol = parsed.protocol.slice(0, -1).toLowerCase();
+    if (
+      protocols &&
+      !protocols.some((item) => item.toLowerCase() === protocol)
+    ) {
+      return false;
+    }
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, "");
+    if (hosts && !hosts.some((pattern) => matchHost(hostname, pattern))) {
+      return false;
+    }
+    const ip = parseIp(hostname);
+    if (ip && !allowIp) return false;
+    if (!allowPrivate) {
+      if (ip && this.isReservedIp(hostname)) return false;
+      if (/(?:^|\.)localhost\.?$/.test(hostname)) return false;
+    }
+    return true;
+  },
+
+  /**
+   * 验证是否为有效 IPv4 地址（点分十进制，不允许前导 0）
+   * @param {string} ip - 要验证的地址
+   * @returns {boolean} 是否为有效 IPv4 地址
+   */
+  isIpv4(ip) {
+    if (!this.isString(ip)) return false;
+    return parseIpv4(ip) !== null;
+  },
+
+  /**
+   * 验证是否为有效 IPv6 地址，支持 :: 压缩、内嵌 IPv4 和区域标识（如 fe80::1%eth0）
+   * @param {string} ip - 要验证的地址
+   * @param {object} options - 验证选项
+   * @param {boolean} options.allowZone - 是否允许区域标识，默认为 true
+   * @returns {boolean} 是否为有效 IPv6 地址
+   */
+  isIpv6(ip, options = {}) {
+    if (!this.isString(ip)) return false;
+    const { allowZone = true } = options;
+    const parsed = parseIpv6(ip);
+    return parsed !== null && (allowZone || !parsed.zone);
+  },
+
+  /**
+   * 验证是否为有效 IP 地址
+   * @param {string} ip - 要验证的地址
+   * @param {number} [version] - 4 或 6，不传时两者都可以
+   * @returns {boolean} 是否为有效 IP 地址
+   */
+  isIp(ip, version) {
+    if (version === 4) return this.isIpv4(ip);
+    if (version === 6) return this.isIpv6(ip);
+    return this.isIpv4(ip) || this.isIpv6(ip);
+  },
+
+  /**
+   * 验证是否为有效 CIDR，如 192.168.0.0/16、2001:db8::/32
+   * @param {string} cidr - 要验证的 CIDR
+   * @param {object} options - 验证选项
+   * @param {number} options.version - 4 或 6，不传时两者都可以
+   * @param {boolean} options.strict - 是否要求主机位全为 0（如 192.168.1.1/24 不通过），默认为 false
+   * @returns {boolean} 是否为有效 CIDR
+   */
+  isCidr(cidr, options = {}) {
+    const { version, strict = false } = options;
+    const parsed = parseCidr(cidr);
+    if (!parsed || (version && parsed.version !== version)) return false;
+    if (!strict) return true;
+    const network = parsed.bytes.map((byte, index) => {
+      const bits = Math.min(Math.max(parsed.prefix - index * 8, 0), 8);
+      return byte & ((0xff << (8 - bits)) & 0xff);
+    });
+    return network.every((byte, index) => byte === parsed.bytes[index]);
+  },
+
+  /**
+   * 检查 IP 地址是否在 CIDR 范围内，IPv4 映射的 IPv6 地址（::ffff:a.b.c.d）按 IPv4 比较
+   * @param {string} ip - IP 地址
+   * @param {string|string[]} cidr - CIDR，传入数组时在任意一个范围内即可
+   * @returns {boolean} 是否在范围内，地址或 CIDR 无效时返回 false
+   * @example
+   * ipInCidr('192.168.1.10', '192.168.0.0/16') // true
+   * ipInCidr('2001:db8::1', ['10.0.0.0/8', '2001:db8::/32']) // true
+   */
+  ipInCidr(ip, cidr) {
+    const address = parseIp(ip);
+    if (!address) return false;
+    return [].concat(cidr).some((item) => {
+      const range = parseCidr(item);
+      return (
+        range !== null &&
+        range.version === address.version &&
+        matchPrefix(address.bytes, range.bytes, range.prefix)
+      );
+    });
+  },
+
+  /**
+   * 获取 IP 地址所属的地址段类型
+   * @param {string} ip - IP 地址
+   * @returns {string} unspecified、loopback、private（含 IPv6 唯一本地地址）、carrierGradeNat、
+   * linkLocal、documentation、benchmarking、multicast、broadcast、reserved 或 public，地址无效时返回空字符串
+   * @example
+   * getIpRange('10.1.2.3') // 'private'
+   * getIpRange('fe80::1%eth0') // 'linkLocal'
+   * getIpRange('8.8.8.8') // 'public'
+   */
+  getIpRange(ip) {
+    const address = parseIp(ip);
+    if (!address) return "";
+    const matched = IP_RANGES.find(
+      ({ version, bytes, prefix }) =>
+        version === address.version && matchPrefix(address.bytes, bytes, prefix)
+    );
+    return matched ? matched.range : "public";
+  },
+
+  /**
+   * 验证是否为内网地址（10.0.0.0/8、172.16.0.0/12、192.168.0.0/16、fc00::/7）
+   * @param {string} ip - IP 地址
+   * @returns {boolean} 是否为内网地址
+   */
+  isPrivateIp(ip) {
+    return this.getIpRange(ip) === "private";
+  },
+
+  /**
+   * 验证是否为不能在公网路由的地址，包括内网、环回、链路本地、组播、文档示例等地址段
+   * @param {string} ip - IP 地址
+   * @returns {boolean} 是否为保留地址，地址无效时返回 false
+   */
+  isReservedIp(ip) {
+    const range = this.getIpRange(ip);
+    return range !== "" && range !== "public";
+  },
+
+  /**
+   * 验证是否为有效 MAC 地址，支持 00:1A:2B:3C:4D:5E、00-1A-2B-3C-4D-5E 和 001A.2B3C.4D5E
+   * @param {string} mac - 要验证的 MAC 地址
+   * @param {object} options - 验证选项
+   * @param {boolean} options.noSeparator - 是否允许不带分隔符的 001A2B3C4D5E，默认为 false
+   * @returns {boolean} 是否为有效 MAC 地址
+   */
+  isMac(mac, options = {}) {
+    if (!this.isString(mac)) return false;
+    const { noSeparator = false } = options;
+    return (
+      /^[0-9a-f]{2}([:-])(?:[0-9a-f]{2}\1){4}[0-9a-f]{2}$/i.test(mac) ||
+      /^[0-9a-f]{4}\.[0-9a-f]{4}\.[0-9a-f]{4}$/i.test(mac) ||
+      (noSeparator && /^[0-9a-f]{12}$/i.test(mac))
+    );
   },
 
   /**
-   * 验证是否为有效身份证号（中国大陆）
+   * 验证是否为有效域名，支持国际化域名（如 例子.中国）和 Punycode 形式
+   * @param {string} domain - 要验证的域名
+   * @param {object} options - 验证选项
+   * @param {boolean} options.allowIdn - 是否允许国际化域名，默认为 true
+   * @param {boolean} options.allowWildcard - 是否允许 *.example.com 形式的通配符，默认为 false
+   * @returns {boolean} 是否为有效域名
+   */
+  isDomain(domain, options = {}) {
+    if (!this.isString(domain)) return false;
+    const { allowIdn = true, allowWildcard = false } = options;
+    let name = domain;
+    if (allowWildcard && name.startsWith("*.")) name = name.slice(2);
+    if (!allowIdn && /[^\x00-\x7f]/.test(name)) return false;
+    return checkHostname(toAsciiDomain(name), true);
+  },
+
+  /**
+   * 验证是否为有效主机名（RFC 1123），与域名相比允许单段的名称（如 localhost、db01）
+   * @param {string} hostname - 要验证的主机名
+   * @param {object} options - 验证选项
+   * @param {boolean} options.allowIdn - 是否允许国际化域名，默认为 true
+   * @returns {boolean} 是否为有效主机名
+   */
+  isHostname(hostname, options = {}) {
+    if (!this.isString(hostname)) return false;
+    const { allowIdn = true } = options;
+    if (!allowIdn && /[^\x00-\x7f]/.test(hostname)) return false;
+    return checkHostname(toAsciiDomain(hostname), false);
+  },
+
+  /**
+   * 验证是否为有效身份证号（中国大陆，GB 11643）
+   * 校验 18 位号码的校验码、省级行政区划代码和出生日期，15 位号码校验行政区划代码和出生日期
    * @param {string} idCard - 要验证的身份证号
    * @returns {boolean} 是否为有效身份证号
    */
   isIdCard(idCard) {
     if (!this.isString(idCard)) return false;
-    const pattern = /(^\d{15}$)|(^\d{18}$)|(^\d{17}(\d|X|x)$)/;
-    return pattern.test(idCard);
+    return parseIdCardInfo(idCard) !== null;
+  },
+
+  /**
+   * 将 15 位身份证号升级为 18 位
+   * @param {string} idCard - 15 位或 18 位身份证号
+   * @returns {string} 18 位身份证号（校验码大写），无效时返回空字符串
+   * @example
+   * upgradeIdCard("110105491231002"); // => "11010519491231002X"
+   */
+  upgradeIdCard(idCard) {
+    if (!this.isString(idCard)) return "";
+    const info = parseIdCardInfo(idCard);
+    return info ? info.idCard : "";
+  },
+
+  /**
+   * 解析身份证号
+   * @param {string} idCard - 15 位或 18 位身份证号
+   * @param {Date} [baseDate=new Date()] - 计算年龄的基准日期
+   * @returns {object|null} 无效时返回 null，否则返回：
+   * - idCard: 18 位身份证号
+   * - regionCode: 6 位行政区划代码
+   * - province: 省级名称
+   * - city: 地级名称，直辖市为省级名称，未收录的代码为空字符串
+   * - birthday: 出生日期
+   * - age: 周岁
+   * - gender: 性别，male|female
+   * @example
+   * parseIdCard("11010519491231002X");
+   * // => { idCard: "11010519491231002X", regionCode: "110105", province: "北京市", city: "北京市",
+   * //      birthday: 1949-12-31, age: 74, gender: "female" }
+   */
+  parseIdCard(idCard, baseDate = new Date()) {
+    if (!this.isString(idCard)) return null;
+    return parseIdCardInfo(idCard, baseDate);
+  },
+
+  /**
+   * 验证是否为有效的统一社会信用代码（GB 32100）
+   * @param {string} code - 18 位统一社会信用代码
+   * @returns {boolean} 是否有效
+   */
+  isCreditCode(code) {
+    if (!this.isString(code)) return false;
+    return checkCreditCode(code.toUpperCase());
+  },
+
+  /**
+   * 解析统一社会信用代码
+   * @param {string} code - 18 位统一社会信用代码
+   * @returns {object|null} 无效时返回 null，否则返回：
+   * - code: 统一社会信用代码（大写）
+   * - authorityCode / authority: 登记管理部门代码和名称
+   * - typeCode / type: 机构类别代码和名称
+   * - regionCode / province / city: 登记管理机关行政区划代码，以及省级、地级名称
+   * - organizationCode: 主体标识码（组织机构代码）
+   * 未收录的代码对应的名称为空字符串
+   * @example
+   * parseCreditCode("91350100M000100Y43");
+   * // => { code: "91350100M000100Y43", authorityCode: "9", authority: "工商", typeCode: "1", type: "企业",
+   * //      regionCode: "350100", province: "福建省", city: "福州市", organizationCode: "M000100Y4" }
+   */
+  parseCreditCode(code) {
+    if (!this.isCreditCode(code)) return null;
+    const value = code.toUpperCase();
+    const authority = CREDIT_CODE_AUTHORITIES[value[0]];
+    const regionCode = value.slice(2, 8);
+    return {
+      code: value,
+      authorityCode: value[0],
+      authority: authority ? authority.name : "",
+      typeCode: value[1],
+      type: (authority && authority.types[value[1]]) || "",
+      regionCode,
+      ...getRegionNames(regionCode),
+      organizationCode: value.slice(8, 17),
+    };
+  },
+
+  /**
+   * 验证是否为有效的组织机构代码（GB 11714）
+   * @param {string} code - 9 位组织机构代码，可以带连字符，如 "D2143569-X"
+   * @returns {boolean} 是否有效
+   */
+  isOrganizationCode(code) {
+    if (!this.isString(code)) return false;
+    return checkOrganizationCode(code.toUpperCase().replace(/-(?=.$)/, ""));
+  },
+
+  /**
+   * 验证是否为有效的纳税人识别号
+   * 支持 18 位统一社会信用代码、15 位旧税号（行政区划代码 + 组织机构代码），
+   * 以及个人的 18 位身份证号和 20 位旧税号（身份证号 + 2 位顺序码）
+   * @param {string} taxpayerId - 纳税人识别号
+   * @returns {boolean} 是否有效
+   */
+  isTaxpayerId(taxpayerId) {
+    return this.parseTaxpayerId(taxpayerId) !== null;
+  },
+
+  /**
+   * 解析纳税人识别号
+   * @param {string} taxpayerId - 纳税人识别号
+   * @returns {object|null} 无效时返回 null，否则返回：
+   * - taxpayerId: 纳税人识别号（大写）
+   * - format: creditCode（统一社会信用代码）|organization（15 位旧税号）|individual（个人）
+   * - regionCode / province / city: 行政区划代码，以及省级、地级名称
+   * - organizationCode: 组织机构代码，个人没有该字段
+   * - creditCode: 统一社会信用代码的解析结果，参见 parseCreditCode，只有 format 为 creditCode 时才有
+   */
+  parseTaxpayerId(taxpayerId) {
+    if (!this.isString(taxpayerId)) return null;
+    const value = taxpayerId.toUpperCase();
+
+    if (value.length === 15) {
+      const regionCode = value.slice(0, 6);
+      const organizationCode = value.slice(6);
+      if (!/^\d{6}$/.test(regionCode) || !provinces[value.slice(0, 2)]) {
+        return null;
+      }
+      if (!checkOrganizationCode(organizationCode)) return null;
+      return {
+        taxpayerId: value,
+        format: "organization",
+        regionCode,
+        ...getRegionNames(regionCode),
+        organizationCode,
+      };
+    }
+
+    const isIndividual =
+      (value.length === 18 || /^.{18}\d{2}$/.test(value)) &&
+      this.isIdCard(value.slice(0, 18));
+    if (isIndividual) {
+      const regionCode = value.slice(0, 6);
+      return {
+        taxpayerId: value,
+        format: "individual",
+        regionCode,
+        ...getRegionNames(regionCode),
+      };
+    }
+
+    const creditCode = this.parseCreditCode(value);
+    if (!creditCode) return null;
+    return {
+      taxpayerId: value,
+      format: "creditCode",
+      regionCode: creditCode.regionCode,
+      province: creditCode.province,
+      city: creditCode.city,
+      organizationCode: creditCode.organizationCode,
+      creditCode,
+    };
+  },
+
+  /**
+   * 验证是否为有效银行卡号：按卡组织检查长度并进行 Luhn 校验，
+   * 无法识别卡组织时长度应为 16 到 19 位。卡号中的空格和连字符会被忽略
+   * @param {string} cardNumber - 银行卡号
+   * @returns {boolean} 是否为有效银行卡号
+   */
+  isBankCard(cardNumber) {
+    const digits = normalizeCardNumber(cardNumber);
+    if (!digits) return false;
+    const scheme = CARD_SCHEMES.find(({ pattern }) => pattern.test(digits));
+    const lengths = scheme ? scheme.lengths : DEFAULT_CARD_LENGTHS;
+    return lengths.includes(digits.length) && checkLuhn(digits);
+  },
+
+  /**
+   * 获取银行卡信息，可以传入输入到一半的卡号，用于输入时显示卡组织和银行
+   * @param {string} cardNumber - 银行卡号或卡号前几位
+   * @returns {object|null} 不是数字时返回 null，否则返回：
+   * - scheme / schemeName: 卡组织，unionpay|visa|mastercard|amex|jcb，无法识别时为空字符串
+   * - bankCode / bank: 发卡行代码和名称，如 "CMB"、"招商银行"，不在 BIN 表中时为空字符串
+   * - type: 卡类型，debit|credit，未知时为空字符串
+   * - bin: 匹配到的 BIN
+   * - lengths: 允许的卡号长度
+   * - isValid: 是否为有效银行卡号，参见 isBankCard
+   * @example
+   * getCardInfo("6225 8812 3456 7898");
+   * // => { scheme: "unionpay", schemeName: "银联", bankCode: "CMB", bank: "招商银行", type: "debit", bin: "622588", ... }
+   */
+  getCardInfo(cardNumber) {
+    const digits = normalizeCardNumber(cardNumber);
+    if (!digits) return null;
+    const scheme = CARD_SCHEMES.find(({ pattern }) => pattern.test(digits));
+    return {
+      scheme: scheme ? scheme.scheme : "",
+      schemeName: scheme ? scheme.name : "",
+      ...findCardBin(digits),
+      lengths: scheme ? scheme.lengths : DEFAULT_CARD_LENGTHS,
+      isValid: this.isBankCard(digits),
+    };
   },
 
   /**
@@ -130,13 +746,15 @@ const stringValidators = {
    * @param {boolean} options.requireLowerCase - 是否要求包含小写字母，默认为 true
    * @param {boolean} options.requireUpperCase - 是否要求包含大写字母，默认为 true
    * @param {boolean} options.requireSpecialChar - 是否要求包含特殊字符，默认为 true
+   * @param {string} options.locale - 消息的语言，默认为全局默认语言
+   * @param {object} options.messages - 覆盖的消息，如 { passwordNumber: "至少要有一个数字" }
    * @returns {object} 验证结果，包含是否通过和详细信息
    */
   validatePassword(password, options = {}) {
     if (!this.isString(password)) {
       return {
         isValid: false,
-        message: "密码必须是字符串",
+        message: getMessage("passwordNotString", {}, options),
         details: {},
       };
     }
@@ -156,46 +774,56 @@ const stringValidators = {
       hasLetter: /[a-zA-Z]/.test(password),
       hasLowerCase: /[a-z]/.test(password),
       hasUpperCase: /[A-Z]/.test(password),
-      hasSpecialChar: /[!@#$%^&*(),.?":{}|<>]/.test(password),
+      hasSpecialChar: SPECIAL_CHAR_PATTERN.test(password),
     };
 
     const requirements = [];
+    const addRequirement = (key, params) =>
+      requirements.push(getMessage(key, params, options));
     let isValid = details.length;
 
     if (!details.length) {
-      requirements.push(`密码长度至少为 ${minLength} 个字符`);
+      addRequirement("passwordMinLength", { min: minLength });
     }
 
     if (requireNumber && !details.hasNumber) {
       isValid = false;
-      requirements.push("必须包含数字");
+      addRequirement("passwordNumber");
     }
 
     if (requireLetter && !details.hasLetter) {
       isValid = false;
-      requirements.push("必须包含字母");
+      addRequirement("passwordLetter");
     }
 
     if (requireLowerCase && !details.hasLowerCase) {
       isValid = false;
-      requirements.push("必须包含小写字母");
+      addRequirement("passwordLowerCase");
     }
 
     if (requireUpperCase && !details.hasUpperCase) {
       isValid = false;
-      requirements.push("必须包含大写字母");
+      addRequirement("passwordUpperCase");
     }
 
     if (requireSpecialChar && !details.hasSpecialChar) {
       isValid = false;
-      requirements.push("必须包含特殊字符");
+      addRequirement("passwordSpecialChar");
     }
 
     return {
       isValid,
       message: isValid
-        ? "密码符合要求"
-        : `密码不符合以下要求：${requirements.join("、")}`,
+        ? getMessage("passwordValid", {}, options)
+        : getMessage(
+            "passwordInvalid",
+            {
+              requirements: requirements.join(
+                getMessage("passwordSeparator", {}, options)
+              ),
+            },
+            options
+          ),
       details,
       requirements,
     };
@@ -203,61 +831,54 @@ const stringValidators = {
 
   /**
    * 获取密码强度等级
+   * 识别常用密码、英文和拼音单词、键盘路径、重复、序列、日期和 l33t 替换等模式，
+   * 估算破解所需的猜测次数并给出 0 - 4 的评分
    * @param {string} password - 要检查的密码
-   * @returns {object} 强度等级信息
+   * @param {object} options - 选项
+   * @param {string[]} options.userInputs - 与用户相关的词，如用户名、邮箱、姓名，密码中包含时更容易被猜到
+   * @param {string} options.locale - 消息的语言，默认为全局默认语言
+   * @param {object} options.messages - 覆盖的消息
+   * @returns {object} 强度等级信息，包含评分、猜测次数、破解时间和改进建议
+   * @example
+   * getPasswordStrength('Password1!').score // 1
+   * getPasswordStrength('correct horse battery staple').score // 4
    */
-  getPasswordStrength(password) {
+  getPasswordStrength(password, options = {}) {
     if (!this.isString(password)) {
       return {
         score: 0,
         level: "invalid",
-        message: "无效的密码",
+        message: getMessage("strengthInvalid", {}, options),
       };
     }
 
-    let score = 0;
-    const details = {
-      length: password.length >= 8,
-      hasNumber: /\d/.test(password),
-      hasLowerCase: /[a-z]/.test(password),
-      hasUpperCase: /[A-Z]/.test(password),
-      hasSpecialChar: /[!@#$%^&*(),.?":{}|<>]/.test(password),
-    };
-
-    // 基础分数：长度
-    score += Math.min(2, Math.floor(password.length / 4));
-
-    // 加分项
-    if (details.hasNumber) score++;
-    if (details.hasLowerCase) score++;
-    if (details.hasUpperCase) score++;
-    if (details.hasSpecialChar) score += 2;
-
-    // 额外加分：组合
-    const varietyCount = Object.values(details).filter(Boolean).length;
-    score += Math.max(0, varietyCount - 2);
-
-    // 确定强度等级
-    let level, message;
-    if (score <= 2) {
-      level = "weak";
-      message = "弱密码";
-    } else if (score <= 4) {
-      level = "medium";
-      message = "中等强度";
-    } else if (score <= 6) {
-      level = "strong";
-      message = "强密码";
-    } else {
-      level = "very-strong";
-      message = "非常强的密码";
-    }
+    const result = estimatePasswordStrength(password, options.userInputs);
+    const crackTimesDisplay = {};
+    Object.keys(result.crackTimeMessages).forEach((key) => {
+      const { key: messageKey, params } = result.crackTimeMessages[key];
+      crackTimesDisplay[key] = getMessage(messageKey, params, options);
+    });
+    const { warning, suggestions } = result.feedback;
 
     return {
-      score,
-      level,
-      message,
-      details,
+      score: result.score,
+      level: result.level,
+      message: getMessage(result.levelMessage, {}, options),
+      guesses: result.guesses,
+      guessesLog10: Math.log10(result.guesses),
+      crackTimesSeconds: result.crackTimesSeconds,
+      crackTimesDisplay,
+      feedback: {
+        warning: warning ? getMessage(warning, {}, options) : "",
+        suggestions: suggestions.map((key) => getMessage(key, {}, options)),
+      },
+      details: {
+        length: password.length >= 8,
+        hasNumber: /\d/.test(password),
+        hasLowerCase: /[a-z]/.test(password),
+        hasUpperCase: /[A-Z]/.test(password),
+        hasSpecialChar: SPECIAL_CHAR_PATTERN.test(password),
+      },
     };
   },
 };
@@ -444,6 +1065,661 @@ const dateValidators = {
   },
 };
 
+/**
+ * 内部工具函数：复制 schema 节点，链式方法都返回新节点，不修改原节点
+ */
+function cloneSchema(schema, changes) {
+  return Object.assign(
+    Object.create(Object.getPrototypeOf(schema)),
+    schema,
+    changes
+  );
+}
+
+/**
+ * 内部工具函数：为 schema 节点追加规则，extra 为异步规则的 isAsync、debounce 等附加字段
+ */
+function addRule(schema, name, test, message, params = {}, extra = {}) {
+  return cloneSchema(schema, {
+    rules: [...schema.rules, { name, test, message, params, ...extra }],
+  });
+}
+
+/**
+ * 内部工具函数：按 "a.b.c" 形式的路径读取属性
+ */
+function getByPath(obj, path) {
+  return String(path)
+    .split(".")
+    .reduce(
+      (current, key) => (current == null ? undefined : current[key]),
+      obj
+    );
+}
+
+/**
+ * 内部工具函数：应用 when() 添加的条件，返回实际生效的 schema 节点
+ */
+function resolveConditions(schema, parent) {
+  if (!schema.conditions.length) return schema;
+  return schema.conditions.reduce((current, { field, predicate, rules }) => {
+    const fieldValue = getByPath(parent, field);
+    const matched =
+      typeof predicate === "function"
+        ? predicate(fieldValue, parent)
+        : fieldValue === predicate;
+    if (!matched) return current;
+    return typeof rules === "function" ? rules(current) : rules;
+  }, cloneSchema(schema, { conditions: [] }));
+}
+
+/**
+ * 内部工具函数：根据错误列表生成校验结果，errorMap 为 路径 -> 第一条错误消息
+ */
+function createSchemaResult(errors) {
+  const errorMap = {};
+  errors.forEach(({ path, message }) => {
+    if (!(path in errorMap)) errorMap[path] = message;
+  });
+  return { valid: errors.length === 0, errors, errorMap };
+}
+
+/**
+ * 内部工具函数：校验 schema 节点，错误依次追加到 errors
+ * 每个字段只报告第一条不通过的规则；非必填字段为 null、undefined 或空白字符串时跳过校验
+ * pending 不为 null 时，同步规则都通过的字段会把异步规则加入 pending，否则忽略异步规则
+ */
+function runSchema(node, value, path, errors, context, pending) {
+  const schema = resolveConditions(node, context.parent);
+  const { options } = context;
+  const field = schema.fieldLabel || path || getMessage("field", {}, options);
+  const report = (rule, message, params = {}) => {
+    // 没有注册消息的自定义规则使用 custom 的消息
+    const template =
+      message ||
+      resolveMessage(rule, options) ||
+      resolveMessage("custom", options);
+    errors.push({
+      path,
+      rule,
+      message: formatMessage(template, { ...params, field }),
+    });
+  };
+
+  if (isEmpty(value)) {
+    if (schema.isRequired) {
+      report("required", schema.requiredMessage);
+      return;
+    }
+    if (value === null || value === undefined || typeof value === "string") {
+      return;
+    }
+  }
+  if (!schema.typeCheck(value)) {
+    report(schema.type);
+    return;
+  }
+
+  const ruleContext = { path, parent: context.parent, root: context.root };
+  const failed = schema.rules.find(
+    (rule) => !rule.isAsync && !rule.test(value, ruleContext)
+  );
+  if (failed) {
+    report(failed.name, failed.message, failed.params);
+  } else if (pending) {
+    const asyncRules = schema.rules.filter((rule) => rule.isAsync);
+    if (asyncRules.length) {
+      pending.push({ rules: asyncRules, value, context: ruleContext, report });
+    }
+  }
+
+  const childContext = { parent: value, root: context.root, options };
+  if (schema.shape) {
+    Object.keys(schema.shape).forEach((key) => {
+      const childPath = path ? `${path}.${key}` : key;
+      const child = schema.shape[key];
+      runSchema(child, value[key], childPath, errors, childContext, pending);
+    });
+  }
+  if (schema.element) {
+    value.forEach((item, index) => {
+      const childPath = `${path}[${index}]`;
+      runSchema(schema.element, item, childPath, errors, childContext, pending);
+    });
+  }
+}
+
+/**
+ * 进行中的异步校验，schema 节点 -> { cancelled, controller }
+ */
+const asyncRuns = new WeakMap();
+
+/**
+ * 内部工具函数：依次执行一个字段的异步规则，遇到第一条不通过的规则时停止
+ * 规则抛出异常或 Promise 被拒绝时视为不通过；校验被取消后不再执行后面的规则
+ */
+function runAsyncRules({ rules, value, context, report }, run) {
+  const signal = run.controller ? run.controller.signal : undefined;
+  return rules.reduce(
+    (previous, rule) =>
+      previous.then((passed) => {
+        if (!passed || run.cancelled) return false;
+        const wait = rule.debounce
+          ? new Promise((resolve) => setTimeout(resolve, rule.debounce))
+          : Promise.resolve();
+        return wait
+          .then(() => {
+            if (run.cancelled) return true;
+            return rule.test(value, { ...context, signal });
+          })
+          .then(
+            (result) => result !== false,
+            () => false
+          )
+          .then((result) => {
+            if (!result && !run.cancelled) {
+              report(rule.name, rule.message, rule.params);
+            }
+            return result;
+          });
+      }),
+    Promise.resolve(true)
+  );
+}
+
+/**
+ * 所有 schema 类型共用的方法
+ */
+const baseSchemaMethods = {
+  /**
+   * 设置为必填，null、undefined、空白字符串、空数组和空对象都视为空
+   * @param {string} [message] - 错误消息
+   */
+  required(message) {
+    return cloneSchema(this, { isRequired: true, requiredMessage: message });
+  },
+
+  /**
+   * 取消必填
+   */
+  optional() {
+    return cloneSchema(this, { isRequired: false });
+  },
+
+  /**
+   * 设置字段名称，用于错误消息中的 {field}，默认为字段路径
+   * @param {string} name - 字段名称
+   */
+  label(name) {
+    return cloneSchema(this, { fieldLabel: name });
+  },
+
+  /**
+   * 限制取值范围
+   * @param {Array} values - 允许的值
+   * @param {string} [message] - 错误消息
+   */
+  oneOf(values, message) {
+    return addRule(this, "oneOf", (value) => values.includes(value), message, {
+      values: values.join("、"),
+    });
+  },
+
+  /**
+   * 必须与同级的另一个字段相等，如确认密码
+   * @param {string} field - 同级字段名，支持 "a.b" 形式的路径
+   * @param {string} [message] - 错误消息
+   */
+  equalTo(field, message) {
+    const test = (value, { parent }) => value === getByPath(parent, field);
+    return addRule(this, "equalTo", test, message, { other: field });
+  },
+
+  /**
+   * 添加自定义规则
+   * @param {Function} test - (value, context) => boolean，返回 false 表示不通过，
+   * context 为 { path, parent, root }，parent 为所在的对象或数组，可用于读取同级字段
+   * @param {string} [message] - 错误消息
+   * @param {string} [name="custom"] - 规则名称，会出现在错误的 rule 字段中
+   */
+  rule(test, message, name = "custom") {
+    return addRule(this, name, test, message);
+  },
+
+  /**
+   * 添加异步规则，只在 validateAsync 中执行，并且在该字段的同步规则都通过后才执行
+   * @param {Function} test - (value, context) => Promise<boolean>，context 比 rule 多一个 signal
+   * （AbortSignal），新的校验开始时旧的校验会被取消，可用于中止请求
+   * @param {string} [message] - 错误消息
+   * @param {object} [options] - 选项
+   * @param {string} [options.name="custom"] - 规则名称
+   * @param {number} [options.debounce=0] - 防抖时间（毫秒），期间开始了新的校验则不再执行
+   */
+  asyncRule(test, message, options = {}) {
+    const { name = "custom", debounce = 0 } = options;
+    return addRule(this, name, test, message, {}, { isAsync: true, debounce });
+  },
+
+  /**
+   * 条件规则：同级字段满足条件时，使用 rules 修改后的 schema 校验
+   * @param {string} field - 同级字段名，支持 "a.b" 形式的路径
+   * @param {Function|*} predicate - (fieldValue, parent) => boolean，不是函数时判断是否相等
+   * @param {Function|object} rules - (schema) => schema，或直接替换的 schema
+   * @example
+   * string().when("type", "company", (schema) => schema.required());
+   */
+  when(field, predicate, rules) {
+    return cloneSchema(this, {
+      conditions: [...this.conditions, { field, predicate, rules }],
+    });
+  },
+
+  /**
+   * 校验数据，异步规则不会执行
+   * @param {*} value - 要校验的数据
+   * @param {object} [options] - 选项
+   * @param {string} [options.locale] - 错误消息的语言，默认为全局默认语言
+   * @param {object} [options.messages] - 覆盖的消息，规则名称 -> 消息模板，优先级低于规则上指定的消息
+   * @returns {object} { valid, errors, errorMap }，errors 为 { path, rule, message } 数组，
+   * path 如 "items[2].price"；errorMap 为 路径 -> 第一条错误消息
+   */
+  validate(value, options = {}) {
+    const errors = [];
+    runSchema(this, value, "", errors, { root: value, options }, null);
+    return createSchemaResult(errors);
+  },
+
+  /**
+   * 校验数据，包括异步规则
+   * 同一个 schema 开始新的校验时，之前未完成的校验会被取消，
+   * 其结果为 { valid: false, cancelled: true, errors: [], errorMap: {} }
+   * @param {*} value - 要校验的数据
+   * @param {object} [options] - 选项，同 validate
+   * @returns {Promise<object>} 结果同 validate
+   */
+  validateAsync(value, options = {}) {
+    const previous = asyncRuns.get(this);
+    if (previous) {
+      previous.cancelled = true;
+      if (previous.controller) previous.controller.abort();
+    }
+    const run = {
+      cancelled: false,
+      controller:
+        typeof AbortController === "function" ? new AbortController() : null,
+    };
+    asyncRuns.set(this, run);
+
+    const errors = [];
+    const pending = [];
+    runSchema(this, value, "", errors, { root: value, options }, pending);
+    return Promise.all(pending.map((task) => runAsyncRules(task, run))).then(
+      () => {
+        if (run.cancelled) {
+          return { ...createSchemaResult([]), valid: false, cancelled: true };
+        }
+        asyncRuns.delete(this);
+        return createSchemaResult(errors);
+      }
+    );
+  },
+
+  /**
+   * 校验数据是否通过
+   * @param {*} value - 要校验的数据
+   * @returns {boolean} 是否通过
+   */
+  isValid(value) {
+    return this.validate(value).valid;
+  },
+};
+
+/**
+ * 字符串格式规则与 stringValidators 中验证函数的对应关系
+ */
+const STRING_FORMAT_RULES = {
+  email: "isEmail",
+  phone: "isPhone",
+  landline: "isLandline",
+  url: "isUrl",
+  ip: "isIp",
+  cidr: "isCidr",
+  mac: "isMac",
+  domain: "isDomain",
+  hostname: "isHostname",
+  idCard: "isIdCard",
+  creditCode: "isCreditCode",
+  organizationCode: "isOrganizationCode",
+  taxpayerId: "isTaxpayerId",
+  bankCard: "isBankCard",
+  zipCode: "isZipCode",
+  alpha: "isAlpha",
+  alphanumeric: "isAlphanumeric",
+};
+
+const stringSchemaMethods = {
+  ...baseSchemaMethods,
+
+  /**
+   * 长度范围
+   * @param {number} min - 最小长度
+   * @param {number} max - 最大长度
+   * @param {string} [message] - 错误消息
+   */
+  length(min, max, message) {
+    const test = (value) => stringValidators.isLength(value, min, max);
+    return addRule(this, "length", test, message, { min, max });
+  },
+
+  /**
+   * 最小长度
+   * @param {number} min - 最小长度
+   * @param {string} [message] - 错误消息
+   */
+  min(min, message) {
+    const test = (value) => stringValidators.isLength(value, min);
+    return addRule(this, "minLength", test, message, { min });
+  },
+
+  /**
+   * 最大长度
+   * @param {number} max - 最大长度
+   * @param {string} [message] - 错误消息
+   */
+  max(max, message) {
+    const test = (value) => stringValidators.isLength(value, 0, max);
+    return addRule(this, "maxLength", test, message, { max });
+  },
+
+  /**
+   * 正则匹配
+   * @param {RegExp} regex - 正则表达式
+   * @param {string} [message] - 错误消息
+   */
+  pattern(regex, message) {
+    return addRule(this, "pattern", (value) => regex.test(value), message);
+  },
+};
+
+// email()、phone()、url() 等格式规则，复用 stringValidators 中的验证函数
+Object.keys(STRING_FORMAT_RULES).forEach((name) => {
+  stringSchemaMethods[name] = function (message) {
+    const validator = STRING_FORMAT_RULES[name];
+    const test = (value) => stringValidators[validator](value);
+    return addRule(this, name, test, message);
+  };
+});
+
+const numberSchemaMethods = {
+  ...baseSchemaMethods,
+
+  /**
+   * 整数
+   * @param {string} [message] - 错误消息
+   */
+  integer(message) {
+    const test = (value) => numberValidators.isInteger(value);
+    return addRule(this, "integer", test, message);
+  },
+
+  /**
+   * 正数
+   * @param {string} [message] - 错误消息
+   */
+  positive(message) {
+    const test = (value) => numberValidators.isPositive(value);
+    return addRule(this, "positive", test, message);
+  },
+
+  /**
+   * 负数
+   * @param {string} [message] - 错误消息
+   */
+  negative(message) {
+    const test = (value) => numberValidators.isNegative(value);
+    return addRule(this, "negative", test, message);
+  },
+
+  /**
+   * 最小值
+   * @param {number} min - 最小值
+   * @param {string} [message] - 错误消息
+   */
+  min(min, message) {
+    return addRule(this, "min", (value) => value >= min, message, { min });
+  },
+
+  /**
+   * 最大值
+   * @param {number} max - 最大值
+   * @param {string} [message] - 错误消息
+   */
+  max(max, message) {
+    return addRule(this, "max", (value) => value <= max, message, { max });
+  },
+
+  /**
+   * 取值范围
+   * @param {number} min - 最小值
+   * @param {number} max - 最大值
+   * @param {string} [message] - 错误消息
+   */
+  range(min, max, message) {
+    const test = (value) => numberValidators.inRange(value, min, max);
+    return addRule(this, "range", test, message, { min, max });
+  },
+
+  /**
+   * 端口号
+   * @param {string} [message] - 错误消息
+   */
+  port(message) {
+    const test = (value) => numberValidators.isPort(value);
+    return addRule(this, "port", test, message);
+  },
+};
+
+const dateSchemaMethods = {
+  ...baseSchemaMethods,
+
+  /**
+   * 将来的日期
+   * @param {string} [message] - 错误消息
+   */
+  future(message) {
+    const test = (value) => dateValidators.isFuture(value);
+    return addRule(this, "future", test, message);
+  },
+
+  /**
+   * 过去的日期
+   * @param {string} [message] - 错误消息
+   */
+  past(message) {
+    const test = (value) => dateValidators.isPast(value);
+    return addRule(this, "past", test, message);
+  },
+
+  /**
+   * 日期范围
+   * @param {Date} start - 开始日期
+   * @param {Date} end - 结束日期
+   * @param {string} [message] - 错误消息
+   */
+  range(start, end, message) {
+    const test = (value) => dateValidators.inRange(value, start, end);
+    return addRule(this, "dateRange", test, message);
+  },
+
+  /**
+   * 晚于指定日期或同级字段，同级字段不是有效日期时不校验
+   * @param {Date|string} ref - 日期或同级字段名，如 "startDate"
+   * @param {string} [message] - 错误消息
+   */
+  after(ref, message) {
+    return addDateCompareRule(this, "after", ref, message);
+  },
+
+  /**
+   * 早于指定日期或同级字段，同级字段不是有效日期时不校验
+   * @param {Date|string} ref - 日期或同级字段名，如 "endDate"
+   * @param {string} [message] - 错误消息
+   */
+  before(ref, message) {
+    return addDateCompareRule(this, "before", ref, message);
+  },
+};
+
+/**
+ * 内部工具函数：添加 after/before 规则
+ */
+function addDateCompareRule(schema, name, ref, message) {
+  const isField = typeof ref === "string";
+  const test = (value, { parent }) => {
+    const other = isField ? getByPath(parent, ref) : ref;
+    if (!dateValidators.isDate(other)) return true;
+    return name === "after" ? value > other : value < other;
+  };
+  const other = isField ? ref : formatDate(ref, "YYYY-MM-DD HH:mm:ss");
+  return addRule(schema, name, test, message, { other });
+}
+
+const arraySchemaMethods = {
+  ...baseSchemaMethods,
+
+  /**
+   * 数组元素的 schema
+   * @param {object} element - 元素 schema
+   */
+  of(element) {
+    return cloneSchema(this, { element });
+  },
+
+  /**
+   * 元素个数范围
+   * @param {number} min - 最少个数
+   * @param {number} max - 最多个数
+   * @param {string} [message] - 错误消息
+   */
+  length(min, max, message) {
+    const test = (value) => arrayValidators.isLength(value, min, max);
+    return addRule(this, "items", test, message, { min, max });
+  },
+
+  /**
+   * 最少元素个数
+   * @param {number} min - 最少个数
+   * @param {string} [message] - 错误消息
+   */
+  min(min, message) {
+    const test = (value) => arrayValidators.isLength(value, min);
+    return addRule(this, "minItems", test, message, { min });
+  },
+
+  /**
+   * 最多元素个数
+   * @param {number} max - 最多个数
+   * @param {string} [message] - 错误消息
+   */
+  max(max, message) {
+    const test = (value) => arrayValidators.isLength(value, 0, max);
+    return addRule(this, "maxItems", test, message, { max });
+  },
+};
+
+/**
+ * 内部工具函数：创建 schema 节点
+ */
+function createSchema(methods, type, typeCheck, extra) {
+  return Object.assign(Object.create(methods), {
+    type,
+    typeCheck,
+    rules: [],
+    conditions: [],
+    isRequired: false,
+    ...extra,
+  });
+}
+
+/**
+ * schema 构造函数，也可以通过 verify.schema.string() 等方式使用
+ */
+const schemaBuilders = {
+  /**
+   * 字符串
+   */
+  string() {
+    return createSchema(stringSchemaMethods, "string", (value) =>
+      stringValidators.isString(value)
+    );
+  },
+
+  /**
+   * 数字
+   */
+  number() {
+    return createSchema(numberSchemaMethods, "number", (value) =>
+      numberValidators.isNumber(value)
+    );
+  },
+
+  /**
+   * 日期（Date 对象）
+   */
+  date() {
+    return createSchema(dateSchemaMethods, "date", (value) =>
+      dateValidators.isDate(value)
+    );
+  },
+
+  /**
+   * 数组
+   * @param {object} [element] - 元素 schema，也可以之后通过 of() 设置
+   */
+  array(element) {
+    return createSchema(
+      arraySchemaMethods,
+      "array",
+      (value) => arrayValidators.isArray(value),
+      { element }
+    );
+  },
+
+  /**
+   * 对象，只校验 shape 中声明的属性
+   * @param {object} shape - 属性名 -> schema
+   */
+  object(shape = {}) {
+    return createSchema(
+      baseSchemaMethods,
+      "object",
+      (value) => objectValidators.isObject(value),
+      { shape }
+    );
+  },
+};
+
+/**
+ * 创建对象 schema，用于声明式地校验表单、接口数据等
+ * 构造函数挂在 schema 上：schema.string()、schema.number()、schema.date()、schema.array()、schema.object()
+ * @param {object} shape - 属性名 -> schema
+ * @returns {object} 对象 schema，调用 validate(data) 校验
+ * @example
+ * const { string, number, array, object } = verify.schema;
+ * const orderSchema = verify.schema({
+ *   name: string().required().length(2, 20),
+ *   phone: string().phone(),
+ *   items: array().of(object({ price: number().required().positive() })),
+ * });
+ * orderSchema.validate(data);
+ * // => { valid: false, errors: [{ path: "items[2].price", rule: "positive", message: "items[2].price必须是正数" }],
+ * //      errorMap: { "items[2].price": "items[2].price必须是正数" } }
+ */
+export function schema(shape) {
+  return schemaBuilders.object(shape);
+}
+Object.assign(schema, schemaBuilders);
+
 // 导出所有验证器
 export const verify = {
   isEmpty,
@@ -452,6 +1728,7 @@ export const verify = {
   object: objectValidators,
   array: arrayValidators,
   date: dateValidators,
+  schema,
 };
 
 // 为了方便使用，也导出单独的验证器
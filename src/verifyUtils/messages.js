@@ -0,0 +1,230 @@
+/**
+ * 内置验证消息
+ *
+ * 每种语言一个消息表，键为规则名称，值为消息模板：
+ * - {name} 为参数占位符，如 {field}（字段名称）、{min}、{max}、{other}（对比的字段或日期）
+ * - 也可以是 (params) => string 的函数，用于处理单复数等情况
+ * schema 的规则名称直接作为键，自定义规则（rule 的 name 参数）也可以注册同名消息
+ */
+const zhCN = {
+  // schema 规则
+  field: "该字段",
+  required: "{field}不能为空",
+  string: "{field}必须是字符串",
+  number: "{field}必须是数字",
+  date: "{field}必须是有效日期",
+  array: "{field}必须是数组",
+  object: "{field}必须是对象",
+  custom: "{field}格式不正确",
+  equalTo: "{field}与 {other} 不一致",
+  oneOf: "{field}必须是 {values} 之一",
+  length: "{field}长度应在 {min} 到 {max} 个字符之间",
+  minLength: "{field}至少 {min} 个字符",
+  maxLength: "{field}最多 {max} 个字符",
+  pattern: "{field}格式不正确",
+  email: "{field}不是有效的邮箱",
+  phone: "{field}不是有效的手机号",
+  landline: "{field}不是有效的固定电话号码",
+  url: "{field}不是有效的网址",
+  ip: "{field}不是有效的 IP 地址",
+  cidr: "{field}不是有效的 CIDR",
+  mac: "{field}不是有效的 MAC 地址",
+  domain: "{field}不是有效的域名",
+  hostname: "{field}不是有效的主机名",
+  idCard: "{field}不是有效的身份证号",
+  creditCode: "{field}不是有效的统一社会信用代码",
+  organizationCode: "{field}不是有效的组织机构代码",
+  taxpayerId: "{field}不是有效的纳税人识别号",
+  bankCard: "{field}不是有效的银行卡号",
+  zipCode: "{field}不是有效的邮政编码",
+  alpha: "{field}只能包含字母",
+  alphanumeric: "{field}只能包含字母和数字",
+  integer: "{field}必须是整数",
+  positive: "{field}必须是正数",
+  negative: "{field}必须是负数",
+  min: "{field}不能小于 {min}",
+  max: "{field}不能大于 {max}",
+  range: "{field}应在 {min} 到 {max} 之间",
+  port: "{field}不是有效的端口号",
+  future: "{field}必须是将来的日期",
+  past: "{field}必须是过去的日期",
+  dateRange: "{field}不在允许的日期范围内",
+  after: "{field}必须晚于 {other}",
+  before: "{field}必须早于 {other}",
+  items: "{field}应包含 {min} 到 {max} 项",
+  minItems: "{field}至少包含 {min} 项",
+  maxItems: "{field}最多包含 {max} 项",
+
+  // validatePassword
+  passwordNotString: "密码必须是字符串",
+  passwordValid: "密码符合要求",
+  passwordInvalid: "密码不符合以下要求：{requirements}",
+  passwordSeparator: "、",
+  passwordMinLength: "密码长度至少为 {min} 个字符",
+  passwordNumber: "必须包含数字",
+  passwordLetter: "必须包含字母",
+  passwordLowerCase: "必须包含小写字母",
+  passwordUpperCase: "必须包含大写字母",
+  passwordSpecialChar: "必须包含特殊字符",
+
+  // getPasswordStrength
+  strengthInvalid: "无效的密码",
+  strengthWeak: "弱密码",
+  strengthMedium: "中等强度",
+  strengthStrong: "强密码",
+  strengthVeryStrong: "非常强的密码",
+  crackTimeInstant: "不到 1 秒",
+  crackTimeSeconds: "{count} 秒",
+  crackTimeMinutes: "{count} 分钟",
+  crackTimeHours: "{count} 小时",
+  crackTimeDays: "{count} 天",
+  crackTimeMonths: "{count} 个月",
+  crackTimeYears: "{count} 年",
+  crackTimeCenturies: "超过 100 年",
+  feedbackDefault: "使用几个不常见的单词组合",
+  feedbackNoSymbols: "不需要特殊字符、数字或大写字母",
+  feedbackAddWord: "再加一两个不常见的单词",
+  feedbackTop10: "这是最常用的 10 个密码之一",
+  feedbackTop100: "这是最常用的 100 个密码之一",
+  feedbackCommon: "这是很常见的密码",
+  feedbackSimilarToCommon: "与常用密码相似",
+  feedbackPinyin: "拼音单词和姓名很容易被猜到",
+  feedbackUserInputs: "密码中包含了个人信息",
+  feedbackSingleWord: "单个单词很容易被猜到",
+  feedbackCapitalization: "首字母大写并不能增加多少难度",
+  feedbackAllUppercase: "全部大写和全部小写一样容易被猜到",
+  feedbackReversed: "倒过来拼写的单词并不难猜",
+  feedbackL33t: "用 @ 代替 a 这类替换并不难猜",
+  feedbackStraightRow: "键盘上连续的一排按键很容易被猜到",
+  feedbackShortPattern: "简短的键盘路径很容易被猜到",
+  feedbackLongerPattern: "使用更长、转折更多的键盘路径",
+  feedbackRepeatChar: "aaa 这样的重复字符很容易被猜到",
+  feedbackRepeatPattern: "abcabc 这样的重复内容只比 abc 难猜一点点",
+  feedbackAvoidRepeats: "避免重复的单词和字符",
+  feedbackSequence: "abc、6543 这样的序列很容易被猜到",
+  feedbackAvoidSequences: "避免使用序列",
+  feedbackRecentYear: "近年的年份很容易被猜到",
+  feedbackAvoidRecentYears: "避免使用近年的年份",
+  feedbackAvoidPersonalYears: "避免使用与自己有关的年份",
+  feedbackDate: "日期通常很容易被猜到",
+  feedbackAvoidDates: "避免使用与自己有关的日期和年份",
+};
+
+/**
+ * 英文按数量选择单复数
+ */
+function plural(unit) {
+  return ({ count }) => (count === 1 ? `1 ${unit}` : `${count} ${unit}s`);
+}
+
+const enUS = {
+  // schema 规则
+  field: "This field",
+  required: "{field} is required",
+  string: "{field} must be a string",
+  number: "{field} must be a number",
+  date: "{field} must be a valid date",
+  array: "{field} must be an array",
+  object: "{field} must be an object",
+  custom: "{field} is invalid",
+  equalTo: "{field} does not match {other}",
+  oneOf: "{field} must be one of {values}",
+  length: "{field} must be between {min} and {max} characters",
+  minLength: "{field} must be at least {min} characters",
+  maxLength: "{field} must be at most {max} characters",
+  pattern: "{field} is invalid",
+  email: "{field} is not a valid email address",
+  phone: "{field} is not a valid mobile number",
+  landline: "{field} is not a valid landline number",
+  url: "{field} is not a valid URL",
+  ip: "{field} is not a valid IP address",
+  cidr: "{field} is not a valid CIDR block",
+  mac: "{field} is not a valid MAC address",
+  domain: "{field} is not a valid domain name",
+  hostname: "{field} is not a valid hostname",
+  idCard: "{field} is not a valid ID card number",
+  creditCode: "{field} is not a valid unified social credit code",
+  organizationCode: "{field} is not a valid organization code",
+  taxpayerId: "{field} is not a valid taxpayer ID",
+  bankCard: "{field} is not a valid bank card number",
+  zipCode: "{field} is not a valid postal code",
+  alpha: "{field} may only contain letters",
+  alphanumeric: "{field} may only contain letters and numbers",
+  integer: "{field} must be an integer",
+  positive: "{field} must be a positive number",
+  negative: "{field} must be a negative number",
+  min: "{field} must be at least {min}",
+  max: "{field} must be at most {max}",
+  range: "{field} must be between {min} and {max}",
+  port: "{field} is not a valid port",
+  future: "{field} must be a future date",
+  past: "{field} must be a past date",
+  dateRange: "{field} is outside the allowed date range",
+  after: "{field} must be after {other}",
+  before: "{field} must be before {other}",
+  items: "{field} must contain {min} to {max} items",
+  minItems: "{field} must contain at least {min} items",
+  maxItems: "{field} must contain at most {max} items",
+
+  // validatePassword
+  passwordNotString: "Password must be a string",
+  passwordValid: "Password meets the requirements",
+  passwordInvalid: "Password does not meet the requirements: {requirements}",
+  passwordSeparator: ", ",
+  passwordMinLength: "must be at least {min} characters long",
+  passwordNumber: "must contain a number",
+  passwordLetter: "must contain a letter",
+  passwordLowerCase: "must contain a lowercase letter",
+  passwordUpperCase: "must contain an uppercase letter",
+  passwordSpecialChar: "must contain a special character",
+
+  // getPasswordStrength
+  strengthInvalid: "Invalid password",
+  strengthWeak: "Weak",
+  strengthMedium: "Medium",
+  strengthStrong: "Strong",
+  strengthVeryStrong: "Very strong",
+  crackTimeInstant: "less than a second",
+  crackTimeSeconds: plural("second"),
+  crackTimeMinutes: plural("minute"),
+  crackTimeHours: plural("hour"),
+  crackTimeDays: plural("day"),
+  crackTimeMonths: plural("month"),
+  crackTimeYears: plural("year"),
+  crackTimeCenturies: "centuries",
+  feedbackDefault: "Use a few words, avoid common phrases",
+  feedbackNoSymbols: "No need for symbols, digits, or uppercase letters",
+  feedbackAddWord: "Add another word or two. Uncommon words are better.",
+  feedbackTop10: "This is a top-10 common password",
+  feedbackTop100: "This is a top-100 common password",
+  feedbackCommon: "This is a very common password",
+  feedbackSimilarToCommon: "This is similar to a commonly used password",
+  feedbackPinyin: "Pinyin words and names are easy to guess",
+  feedbackUserInputs: "The password contains personal information",
+  feedbackSingleWord: "A word by itself is easy to guess",
+  feedbackCapitalization: "Capitalization doesn't help very much",
+  feedbackAllUppercase:
+    "All-uppercase is almost as easy to guess as all-lowercase",
+  feedbackReversed: "Reversed words aren't much harder to guess",
+  feedbackL33t:
+    "Predictable substitutions like '@' instead of 'a' don't help very much",
+  feedbackStraightRow: "Straight rows of keys are easy to guess",
+  feedbackShortPattern: "Short keyboard patterns are easy to guess",
+  feedbackLongerPattern: "Use a longer keyboard pattern with more turns",
+  feedbackRepeatChar: 'Repeats like "aaa" are easy to guess',
+  feedbackRepeatPattern:
+    'Repeats like "abcabc" are only slightly harder to guess than "abc"',
+  feedbackAvoidRepeats: "Avoid repeated words and characters",
+  feedbackSequence: "Sequences like abc or 6543 are easy to guess",
+  feedbackAvoidSequences: "Avoid sequences",
+  feedbackRecentYear: "Recent years are easy to guess",
+  feedbackAvoidRecentYears: "Avoid recent years",
+  feedbackAvoidPersonalYears: "Avoid years that are associated with you",
+  feedbackDate: "Dates are often easy to guess",
+  feedbackAvoidDates: "Avoid dates and years that are associated with you",
+};
+
+export const builtinMessages = {
+  "zh-CN": zhCN,
+  "en-US": enUS,
+};
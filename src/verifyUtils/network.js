@@ -0,0 +1,181 @@
+/**
+ * IP 地址、CIDR 和域名的解析
+ */
+/**
+ * 内部工具函数：解析点分十进制 IPv4 地址，每段 0 - 255 且不能有前导 0
+ * @returns {number[]|null} 4 个字节
+ */
+export function parseIpv4(ip) {
+  const parts = ip.split(".");
+  if (parts.length !== 4) return null;
+  if (!parts.every((part) => /^(?:0|[1-9]\d{0,2})$/.test(part))) return null;
+  const bytes = parts.map(Number);
+  return bytes.every((byte) => byte <= 255) ? bytes : null;
+}
+
+/**
+ * 内部工具函数：解析 IPv6 地址，支持 :: 压缩、末尾内嵌 IPv4（如 ::ffff:192.168.1.1）和 %eth0 形式的区域标识
+ * @returns {Object|null} { bytes, zone }，bytes 为 16 个字节
+ */
+export function parseIpv6(ip) {
+  const [address, zone, ...rest] = ip.split("%");
+  if (rest.length || zone === "" || (zone && !/^[\w.~-]+$/.test(zone))) {
+    return null;
+  }
+
+  let tail = [];
+  let text = address;
+  const ipv4Match = /^(.*:)(\d+\.\d+\.\d+\.\d+)$/.exec(address);
+  if (ipv4Match) {
+    const ipv4 = parseIpv4(ipv4Match[2]);
+    if (!ipv4) return null;
+    tail = [(ipv4[0] << 8) | ipv4[1], (ipv4[2] << 8) | ipv4[3]];
+    // 保留末尾的冒号，"::1.2.3.4" 和 "a::1.2.3.4" 中的 :: 要完整
+    text = ipv4Match[1].endsWith("::")
+      ? ipv4Match[1]
+      : ipv4Match[1].slice(0, -1);
+  }
+
+  const halves = text.split("::");
+  if (halves.length > 2) return null;
+  const parseGroups = (part) => (part ? part.split(":") : []);
+  const head = parseGroups(halves[0]);
+  const end = halves.length === 2 ? parseGroups(halves[1]) : [];
+  const groups = [...head, ...end];
+  if (!groups.every((group) => /^[0-9a-fA-F]{1,4}$/.test(group))) return null;
+
+  const total = groups.length + tail.length;
+  if (halves.length === 2 ? total > 7 : total !== 8) return null;
+  const words = [...head, ...Array(8 - total).fill("0"), ...end].map((group) =>
+    parseInt(group, 16)
+  );
+  const bytes = [];
+  [...words, ...tail].forEach((word) => bytes.push(word >> 8, word & 0xff));
+  return { bytes, zone: zone || "" };
+}
+
+/**
+ * 内部工具函数：解析 IP 地址，IPv4 映射的 IPv6 地址（::ffff:a.b.c.d）按 IPv4 处理
+ * @returns {Object|null} { version, bytes, zone }
+ */
+export function parseIp(ip) {
+  if (typeof ip !== "string") return null;
+  const ipv4 = parseIpv4(ip);
+  if (ipv4) return { version: 4, bytes: ipv4, zone: "" };
+  const ipv6 = parseIpv6(ip);
+  if (!ipv6) return null;
+  const { bytes, zone } = ipv6;
+  const isMapped =
+    bytes.slice(0, 10).every((byte) => byte === 0) &&
+    bytes[10] === 0xff &&
+    bytes[11] === 0xff;
+  if (isMapped && !zone) {
+    return { version: 4, bytes: bytes.slice(12), zone: "", mapped: true };
+  }
+  return { version: 6, bytes, zone };
+}
+
+/**
+ * 内部工具函数：解析 CIDR，如 192.168.0.0/16、2001:db8::/32，不允许区域标识
+ * @returns {Object|null} { version, bytes, prefix }
+ */
+export function parseCidr(cidr) {
+  if (typeof cidr !== "string") return null;
+  const match = /^([^/]+)\/(0|[1-9]\d{0,2})$/.exec(cidr);
+  if (!match) return null;
+  const ipv4 = parseIpv4(match[1]);
+  const ipv6 = ipv4 ? null : parseIpv6(match[1]);
+  if (!ipv4 && (!ipv6 || ipv6.zone)) return null;
+  const prefix = Number(match[2]);
+  const version = ipv4 ? 4 : 6;
+  if (prefix > (ipv4 ? 32 : 128)) return null;
+  return { version, bytes: ipv4 || ipv6.bytes, prefix };
+}
+
+/**
+ * 内部工具函数：比较两个地址的前 prefix 位是否相同
+ */
+export function matchPrefix(bytes, network, prefix) {
+  const fullBytes = Math.floor(prefix / 8);
+  for (let i = 0; i < fullBytes; i++) {
+    if (bytes[i] !== network[i]) return false;
+  }
+  const bits = prefix % 8;
+  if (!bits) return true;
+  const mask = (0xff << (8 - bits)) & 0xff;
+  return (bytes[fullBytes] & mask) === (network[fullBytes] & mask);
+}
+
+/**
+ * 特殊用途的地址段（RFC 6890 等），按从具体到宽泛的顺序匹配，都不匹配时为 public
+ */
+export const IP_RANGES = [
+  ["0.0.0.0/8", "unspecified"],
+  ["10.0.0.0/8", "private"],
+  ["100.64.0.0/10", "carrierGradeNat"],
+  ["127.0.0.0/8", "loopback"],
+  ["169.254.0.0/16", "linkLocal"],
+  ["172.16.0.0/12", "private"],
+  ["192.0.0.0/24", "reserved"],
+  ["192.0.2.0/24", "documentation"],
+  ["192.88.99.0/24", "reserved"],
+  ["192.168.0.0/16", "private"],
+  ["198.18.0.0/15", "benchmarking"],
+  ["198.51.100.0/24", "documentation"],
+  ["203.0.113.0/24", "documentation"],
+  ["224.0.0.0/4", "multicast"],
+  ["255.255.255.255/32", "broadcast"],
+  ["240.0.0.0/4", "reserved"],
+  ["::/128", "unspecified"],
+  ["::1/128", "loopback"],
+  ["64:ff9b::/96", "reserved"],
+  ["100::/64", "reserved"],
+  ["2001:db8::/32", "documentation"],
+  ["2001::/23", "reserved"],
+  ["fc00::/7", "private"],
+  ["fe80::/10", "linkLocal"],
+  ["ff00::/8", "multicast"],
+].map(([cidr, range]) => ({ ...parseCidr(cidr), range }));
+
+/**
+ * 内部工具函数：把域名转换为小写的 ASCII 形式，国际化域名（IDN）转换为 Punycode（xn--）
+ * 借助 URL 完成 IDNA 转换，包含 URL 中有特殊含义的字符时返回空字符串
+ */
+export function toAsciiDomain(domain) {
+  if (!/[^\x00-\x7f]/.test(domain)) return domain.toLowerCase();
+  if (/[\s/?#@:\\[\]%]/.test(domain)) return "";
+  try {
+    return new URL(`http://${domain}/`).hostname;
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * 内部工具函数：检查 ASCII 形式的主机名，每段 1 - 63 个字符，总长不超过 253 个字符，
+ * 允许末尾的点（完全限定域名）
+ */
+export function checkHostname(ascii, requireTld) {
+  const name = ascii.endsWith(".") ? ascii.slice(0, -1) : ascii;
+  if (!name || name.length > 253) return false;
+  const labels = name.split(".");
+  const isLabel = (label) =>
+    label.length <= 63 && /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/.test(label);
+  if (!labels.every(isLabel)) return false;
+  const tld = labels[labels.length - 1];
+  if (requireTld) {
+    return labels.length > 1 && /^(?:[a-z]{2,63}|xn--[a-z0-9-]+)$/.test(tld);
+  }
+  // 最后一段是纯数字的是 IP 地址而不是主机名
+  return !/^\d+$/.test(tld);
+}
+
+/**
+ * 内部工具函数：主机名是否与允许列表中的一项匹配，"*.example.com" 匹配所有子域名（不含 example.com 本身）
+ */
+export function matchHost(hostname, pattern) {
+  const host = toAsciiDomain(pattern.replace(/^\*\./, ""));
+  if (!host) return false;
+  if (pattern.startsWith("*.")) return hostname.endsWith(`.${host}`);
+  return hostname === host;
+}
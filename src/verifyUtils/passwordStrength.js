@@ -0,0 +1,801 @@
+/**
+ * 密码强度估算（思路参考 zxcvbn）：把密码拆成字典单词、键盘路径、重复、序列、日期等模式，
+ * 找出猜测次数最少的拆分方式，用猜测次数来评分
+ *
+ * 这里只返回消息名称，由 getPasswordStrength 按语言转换为文本
+ */
+import { passwordDictionaries } from "./passwords.js";
+
+const REFERENCE_YEAR = new Date().getFullYear();
+const MIN_YEAR_SPACE = 20;
+const BRUTEFORCE_CARDINALITY = 10;
+const MIN_GUESSES_BEFORE_GROWING_SEQUENCE = 10000;
+const MIN_SUBMATCH_GUESSES_SINGLE_CHAR = 10;
+const MIN_SUBMATCH_GUESSES_MULTI_CHAR = 50;
+const MAX_ANALYSIS_LENGTH = 100;
+const PASSWORD_SCORE_THRESHOLDS = [1e3, 1e6, 1e8, 1e10];
+const PASSWORD_LEVELS = [
+  ["weak", "strengthWeak"],
+  ["weak", "strengthWeak"],
+  ["medium", "strengthMedium"],
+  ["strong", "strengthStrong"],
+  ["very-strong", "strengthVeryStrong"],
+];
+
+/**
+ * 不同攻击场景下每秒的猜测次数
+ */
+const CRACK_SPEEDS = {
+  onlineThrottled: 100 / 3600,
+  onlineUnthrottled: 10,
+  offlineSlow: 1e4,
+  offlineFast: 1e10,
+};
+
+/**
+ * 常见的 l33t 替换：字母 -> 替换字符
+ */
+const L33T_TABLE = {
+  a: ["4", "@"],
+  b: ["8"],
+  c: ["(", "{", "[", "<"],
+  e: ["3"],
+  g: ["6", "9"],
+  i: ["1", "!", "|"],
+  l: ["1", "|", "7"],
+  o: ["0"],
+  s: ["$", "5"],
+  t: ["+", "7"],
+  x: ["%"],
+  z: ["2"],
+};
+
+/**
+ * QWERTY 键盘布局，每行为 [不按 Shift 的字符, 按 Shift 的字符, 行首的水平偏移]
+ */
+const KEYBOARD_ROWS = [
+  ["`1234567890-=", "~!@#$%^&*()_+", 0],
+  ["qwertyuiop[]\\", "QWERTYUIOP{}|", 1.5],
+  ["asdfghjkl;'", 'ASDFGHJKL:"', 1.75],
+  ["zxcvbnm,./", "ZXCVBNM<>?", 2.25],
+];
+
+let keyboardGraph = null;
+let rankedDictionaries = null;
+
+/**
+ * 内部工具函数：组合数 C(n, k)
+ */
+function nCk(n, k) {
+  if (k > n) return 0;
+  let result = 1;
+  for (let i = 1; i <= k; i++) {
+    result = (result * (n - k + i)) / i;
+  }
+  return result;
+}
+
+/**
+ * 内部工具函数：阶乘
+ */
+function factorial(n) {
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+}
+
+/**
+ * 内部工具函数：构建键盘邻接关系，相邻指同一行左右相邻或上下行错开不到一个键位
+ */
+function getKeyboardGraph() {
+  if (keyboardGraph) return keyboardGraph;
+  const keys = {};
+  KEYBOARD_ROWS.forEach(([plain, shifted, offset], row) => {
+    plain.split("").forEach((char, index) => {
+      const x = offset + index;
+      keys[char] = { row, x, base: char, shifted: false };
+      keys[shifted[index]] = { row, x, base: char, shifted: true };
+    });
+  });
+  const bases = Object.keys(keys).filter((char) => !keys[char].shifted);
+  const neighbors = {};
+  bases.forEach((a) => {
+    neighbors[a] = bases.filter((b) => {
+      const dy = Math.abs(keys[a].row - keys[b].row);
+      const dx = Math.abs(keys[a].x - keys[b].x);
+      return a !== b && ((dy === 0 && dx === 1) || (dy === 1 && dx < 1));
+    });
+  });
+  const degrees = bases.reduce((sum, char) => sum + neighbors[char].length, 0);
+  keyboardGraph = {
+    keys,
+    neighbors,
+    startingPositions: bases.length,
+    averageDegree: degrees / bases.length,
+  };
+  return keyboardGraph;
+}
+
+/**
+ * 内部工具函数：把词表转换为 单词 -> 排名 的 Map，只构建一次
+ */
+function getRankedDictionaries() {
+  if (!rankedDictionaries) {
+    rankedDictionaries = {};
+    Object.keys(passwordDictionaries).forEach((name) => {
+      rankedDictionaries[name] = rankWords(passwordDictionaries[name]);
+    });
+  }
+  return rankedDictionaries;
+}
+
+function rankWords(words) {
+  const ranked = new Map();
+  words.forEach((word, index) => {
+    const key = String(word).toLowerCase();
+    if (key && !ranked.has(key)) ranked.set(key, index + 1);
+  });
+  return ranked;
+}
+
+/**
+ * 内部工具函数：查找字典中的单词（不区分大小写，至少 3 个字符）
+ */
+function dictionaryMatches(password, dictionaries) {
+  const lower = password.toLowerCase();
+  const matches = [];
+  for (let i = 0; i < lower.length; i++) {
+    for (let j = i + 2; j < lower.length && j - i < 30; j++) {
+      const word = lower.slice(i, j + 1);
+      Object.keys(dictionaries).forEach((dictionary) => {
+        const rank = dictionaries[dictionary].get(word);
+        if (rank) {
+          matches.push({
+            pattern: "dictionary",
+            i,
+            j,
+            token: password.slice(i, j + 1),
+            matchedWord: word,
+            rank,
+            dictionary,
+          });
+        }
+      });
+    }
+  }
+  return matches;
+}
+
+/**
+ * 内部工具函数：查找倒序拼写的单词
+ */
+function reversedDictionaryMatches(password, dictionaries) {
+  const last = password.length - 1;
+  const reversed = password.split("").reverse().join("");
+  return dictionaryMatches(reversed, dictionaries).map((match) => ({
+    ...match,
+    i: last - match.j,
+    j: last - match.i,
+    token: match.token.split("").reverse().join(""),
+    reversed: true,
+  }));
+}
+
+/**
+ * 内部工具函数：还原 l33t 替换后查找单词，如 p@ssw0rd
+ */
+function l33tMatches(password, dictionaries) {
+  const options = {};
+  Object.keys(L33T_TABLE).forEach((letter) => {
+    L33T_TABLE[letter].forEach((char) => {
+      if (password.includes(char)) {
+        options[char] = (options[char] || []).concat(letter);
+      }
+    });
+  });
+
+  // 同一个字符可能替换多个字母，枚举替换方案，数量有上限
+  let substitutions = [{}];
+  Object.keys(options).forEach((char) => {
+    const next = [];
+    substitutions.forEach((sub) => {
+      options[char].forEach((letter) => next.push({ ...sub, [char]: letter }));
+    });
+    substitutions = next.slice(0, 64);
+  });
+
+  const matches = [];
+  substitutions.forEach((sub) => {
+    if (!Object.keys(sub).length) return;
+    const translated = password
+      .split("")
+      .map((char) => sub[char] || char)
+      .join("");
+    dictionaryMatches(translated, dictionaries).forEach((match) => {
+      const token = password.slice(match.i, match.j + 1);
+      const used = {};
+      token.split("").forEach((char) => {
+        if (sub[char]) used[char] = sub[char];
+      });
+      if (!Object.keys(used).length) return;
+      matches.push({ ...match, token, l33t: true, sub: used });
+    });
+  });
+  return matches;
+}
+
+/**
+ * 内部工具函数：查找键盘上相邻按键组成的路径，至少 3 个字符
+ */
+function spatialMatches(password) {
+  const { keys, neighbors } = getKeyboardGraph();
+  const matches = [];
+  let i = 0;
+  while (i < password.length - 1) {
+    let j = i;
+    let turns = 0;
+    let lastDirection = "";
+    let shiftedCount = keys[password[i]] && keys[password[i]].shifted ? 1 : 0;
+    while (j < password.length - 1) {
+      const from = keys[password[j]];
+      const to = keys[password[j + 1]];
+      if (!from || !to || !neighbors[from.base].includes(to.base)) break;
+      const direction = `${to.row - from.row}:${Math.sign(to.x - from.x)}`;
+      if (direction !== lastDirection) {
+        turns++;
+        lastDirection = direction;
+      }
+      if (to.shifted) shiftedCount++;
+      j++;
+    }
+    if (j - i >= 2) {
+      matches.push({
+        pattern: "spatial",
+        i,
+        j,
+        token: password.slice(i, j + 1),
+        turns,
+        shiftedCount,
+      });
+    }
+    i = j > i ? j : i + 1;
+  }
+  return matches;
+}
+
+/**
+ * 内部工具函数：查找重复的内容，如 aaa、abcabc
+ */
+function repeatMatches(password, userInputs) {
+  const greedy = /(.+)\1+/g;
+  const lazy = /(.+?)\1+/g;
+  const matches = [];
+  let lastIndex = 0;
+  while (lastIndex < password.length) {
+    greedy.lastIndex = lastIndex;
+    lazy.lastIndex = lastIndex;
+    const greedyMatch = greedy.exec(password);
+    const lazyMatch = lazy.exec(password);
+    if (!greedyMatch) break;
+
+    // aabaab 的贪婪匹配得到 aab × 2，懒惰匹配只得到 a × 2，取较长的一个
+    let match = lazyMatch;
+    let baseToken = lazyMatch[1];
+    if (greedyMatch[0].length > lazyMatch[0].length) {
+      match = greedyMatch;
+      baseToken = /^(.+?)\1+$/.exec(greedyMatch[0])[1];
+    }
+    const i = match.index;
+    const j = i + match[0].length - 1;
+    matches.push({
+      pattern: "repeat",
+      i,
+      j,
+      token: match[0],
+      baseToken,
+      baseGuesses: analyzePassword(baseToken, userInputs).guesses,
+      repeatCount: match[0].length / baseToken.length,
+    });
+    lastIndex = j + 1;
+  }
+  return matches;
+}
+
+/**
+ * 内部工具函数：查找字符编码等差的序列，如 abc、6543、aceg
+ */
+function sequenceMatches(password) {
+  const matches = [];
+  let i = 0;
+  while (i < password.length - 1) {
+    const delta = password.charCodeAt(i + 1) - password.charCodeAt(i);
+    let j = i + 1;
+    while (
+      j < password.length - 1 &&
+      password.charCodeAt(j + 1) - password.charCodeAt(j) === delta
+    ) {
+      j++;
+    }
+    const token = password.slice(i, j + 1);
+    if (
+      delta !== 0 &&
+      Math.abs(delta) <= 5 &&
+      token.length >= 3 &&
+      /^(?:[a-z]+|[A-Z]+|\d+)$/.test(token)
+    ) {
+      matches.push({ pattern: "sequence", i, j, token, ascending: delta > 0 });
+    }
+    i = j;
+  }
+  return matches;
+}
+
+/**
+ * 内部工具函数：两位年份按 50 为界补全为四位，四位年份只认 1900 - 2099
+ */
+function expandYear(text) {
+  const year = Number(text);
+  if (text.length === 4) return year >= 1900 && year <= 2099 ? year : 0;
+  if (text.length === 2) return year > 50 ? 1900 + year : 2000 + year;
+  return 0;
+}
+
+/**
+ * 内部工具函数：把三段数字按 年月日、日月年、月日年 解释为日期，
+ * 有多种解释时取年份最接近当前的一个
+ */
+function toDateParts(parts) {
+  let best = null;
+  [
+    [0, 1, 2],
+    [2, 1, 0],
+    [2, 0, 1],
+  ].forEach(([y, m, d]) => {
+    if (parts[m].length > 2 || parts[d].length > 2) return;
+    const year = expandYear(parts[y]);
+    const month = Number(parts[m]);
+    const day = Number(parts[d]);
+    if (!year || month < 1 || month > 12 || day < 1) return;
+    if (day > new Date(year, month, 0).getDate()) return;
+    if (
+      !best ||
+      Math.abs(year - REFERENCE_YEAR) < Math.abs(best.year - REFERENCE_YEAR)
+    ) {
+      best = { year, month, day };
+    }
+  });
+  return best;
+}
+
+/**
+ * 内部工具函数：查找日期，支持 19900315、900315、3151990、0315 以及带分隔符的 1990-3-15 等写法
+ */
+function dateMatches(password) {
+  const matches = [];
+  for (let i = 0; i <= password.length - 4; i++) {
+    for (let j = i + 3; j <= i + 9 && j < password.length; j++) {
+      const token = password.slice(i, j + 1);
+      let date = null;
+      let separator = "";
+      if (/^\d{4}$/.test(token)) {
+        // 四位数字只当作月日或日月
+        const [a, b] = [Number(token.slice(0, 2)), Number(token.slice(2))];
+        if (
+          (a >= 1 && a <= 12 && b >= 1 && b <= 31) ||
+          (b >= 1 && b <= 12 && a >= 1 && a <= 31)
+        ) {
+          date = { year: 0 };
+        }
+      } else if (/^\d{6,8}$/.test(token)) {
+        for (let p = 1; p < token.length - 1 && !date; p++) {
+          for (let q = p + 1; q < token.length && !date; q++) {
+            date = toDateParts([
+              token.slice(0, p),
+              token.slice(p, q),
+              token.slice(q),
+            ]);
+          }
+        }
+      } else {
+        const parts = /^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/.exec(token);
+        if (parts) {
+          date = toDateParts([parts[1], parts[3], parts[4]]);
+          separator = parts[2];
+        }
+      }
+      if (date) {
+        matches.push({ pattern: "date", i, j, token, separator, ...date });
+      }
+    }
+  }
+  // 去掉被更长的日期包含的匹配
+  return matches.filter(
+    (match) =>
+      !matches.some(
+        (other) =>
+          other !== match &&
+          other.i <= match.i &&
+          other.j >= match.j &&
+          other.token.length > match.token.length
+      )
+  );
+}
+
+/**
+ * 内部工具函数：查找 1900 - 2099 之间的年份
+ */
+function yearMatches(password) {
+  const matches = [];
+  const pattern = /19\d\d|20\d\d/g;
+  let match;
+  while ((match = pattern.exec(password))) {
+    matches.push({
+      pattern: "year",
+      i: match.index,
+      j: match.index + 3,
+      token: match[0],
+      year: Number(match[0]),
+    });
+  }
+  return matches;
+}
+
+/**
+ * 内部工具函数：大小写变化带来的额外猜测次数
+ */
+function uppercaseVariations(token) {
+  if (token.toLowerCase() === token) return 1;
+  if (/^[A-Z][^A-Z]+$|^[^A-Z]+[A-Z]$|^[^a-z]+$/.test(token)) return 2;
+  const upper = (token.match(/[A-Z]/g) || []).length;
+  const lower = (token.match(/[a-z]/g) || []).length;
+  let variations = 0;
+  for (let i = 1; i <= Math.min(upper, lower); i++) {
+    variations += nCk(upper + lower, i);
+  }
+  return variations;
+}
+
+/**
+ * 内部工具函数：l33t 替换带来的额外猜测次数
+ */
+function l33tVariations(match) {
+  if (!match.l33t) return 1;
+  let variations = 1;
+  const chars = match.token.toLowerCase().split("");
+  Object.keys(match.sub).forEach((char) => {
+    const substituted = chars.filter((c) => c === char).length;
+    const unsubstituted = chars.filter((c) => c === match.sub[char]).length;
+    if (!substituted || !unsubstituted) {
+      variations *= 2;
+    } else {
+      let possibilities = 0;
+      for (let i = 1; i <= Math.min(substituted, unsubstituted); i++) {
+        possibilities += nCk(substituted + unsubstituted, i);
+      }
+      variations *= possibilities;
+    }
+  });
+  return variations;
+}
+
+/**
+ * 内部工具函数：键盘路径的猜测次数，取决于长度、转折次数和 Shift 的使用
+ */
+function spatialGuesses({ token, turns, shiftedCount }) {
+  const { startingPositions, averageDegree } = getKeyboardGraph();
+  let guesses = 0;
+  for (let i = 2; i <= token.length; i++) {
+    for (let j = 1; j <= Math.min(turns, i - 1); j++) {
+      guesses += nCk(i - 1, j - 1) * startingPositions * averageDegree ** j;
+    }
+  }
+  const unshiftedCount = token.length - shiftedCount;
+  if (shiftedCount && !unshiftedCount) {
+    guesses *= 2;
+  } else if (shiftedCount) {
+    let variations = 0;
+    for (let i = 1; i <= Math.min(shiftedCount, unshiftedCount); i++) {
+      variations += nCk(token.length, i);
+    }
+    guesses *= variations;
+  }
+  return guesses;
+}
+
+/**
+ * 内部工具函数：估算单个模式的猜测次数
+ */
+function estimateMatchGuesses(match, passwordLength) {
+  if (match.guesses) return match.guesses;
+  const { token } = match;
+  let guesses;
+  switch (match.pattern) {
+    case "dictionary":
+      guesses =
+        match.rank *
+        uppercaseVariations(token) *
+        l33tVariations(match) *
+        (match.reversed ? 2 : 1);
+      break;
+    case "spatial":
+      guesses = spatialGuesses(match);
+      break;
+    case "repeat":
+      guesses = match.baseGuesses * match.repeatCount;
+      break;
+    case "sequence": {
+      const base = /^[aAzZ019]/.test(token) ? 4 : /^\d/.test(token) ? 10 : 26;
+      guesses = base * token.length * (match.ascending ? 1 : 2);
+      break;
+    }
+    case "year":
+      guesses = Math.max(Math.abs(match.year - REFERENCE_YEAR), MIN_YEAR_SPACE);
+      break;
+    case "date": {
+      const yearSpace = match.year
+        ? Math.max(Math.abs(match.year - REFERENCE_YEAR), MIN_YEAR_SPACE)
+        : 1;
+      guesses = yearSpace * 365 * (match.separator ? 4 : 1);
+      break;
+    }
+    default:
+      guesses = Math.min(
+        BRUTEFORCE_CARDINALITY ** token.length,
+        Number.MAX_VALUE
+      );
+      guesses = Math.max(
+        guesses,
+        (token.length === 1
+          ? MIN_SUBMATCH_GUESSES_SINGLE_CHAR
+          : MIN_SUBMATCH_GUESSES_MULTI_CHAR) + 1
+      );
+  }
+  // 只覆盖密码一部分的模式，猜测次数不低于下限
+  if (token.length < passwordLength) {
+    guesses = Math.max(
+      guesses,
+      token.length === 1
+        ? MIN_SUBMATCH_GUESSES_SINGLE_CHAR
+        : MIN_SUBMATCH_GUESSES_MULTI_CHAR
+    );
+  }
+  match.guesses = guesses;
+  return guesses;
+}
+
+/**
+ * 内部工具函数：动态规划找出猜测次数最少的模式组合，未被任何模式覆盖的部分按暴力破解计算。
+ * 由 l 个模式组成的密码，猜测次数为 l! × 各模式猜测次数之积 + 10000^(l - 1)
+ */
+function findBestSequence(password, matches) {
+  const n = password.length;
+  const matchesByEnd = Array.from({ length: n }, () => []);
+  matches.forEach((match) => matchesByEnd[match.j].push(match));
+
+  // best[k][l]：前 k 个字符由 l 个模式组成时，猜测次数之积最小的组合
+  const best = Array.from({ length: n + 1 }, () => ({}));
+  best[0][0] = { product: 1, sequence: [] };
+  const extend = (k, match) => {
+    const guesses = estimateMatchGuesses(match, n);
+    Object.keys(best[match.i]).forEach((key) => {
+      const prev = best[match.i][key];
+      const last = prev.sequence[prev.sequence.length - 1];
+      if (
+        match.pattern === "bruteforce" &&
+        last &&
+        last.pattern === "bruteforce"
+      ) {
+        return;
+      }
+      const l = Number(key) + 1;
+      const product = prev.product * guesses;
+      if (!best[k][l] || product < best[k][l].product) {
+        best[k][l] = { product, sequence: prev.sequence.concat(match) };
+      }
+    });
+  };
+  for (let k = 1; k <= n; k++) {
+    matchesByEnd[k - 1].forEach((match) => extend(k, match));
+    for (let i = 0; i < k; i++) {
+      extend(k, {
+        pattern: "bruteforce",
+        i,
+        j: k - 1,
+        token: password.slice(i, k),
+      });
+    }
+  }
+
+  let result = { guesses: 1, sequence: [] };
+  Object.keys(best[n]).forEach((key, index) => {
+    const l = Number(key);
+    const { product, sequence } = best[n][key];
+    const guesses =
+      factorial(l) * product + MIN_GUESSES_BEFORE_GROWING_SEQUENCE ** (l - 1);
+    if (!index || guesses < result.guesses) result = { guesses, sequence };
+  });
+  return result;
+}
+
+/**
+ * 内部工具函数：分析密码，返回估算的猜测次数和最优的模式组合。
+ * 超出分析长度的部分按暴力破解计算
+ */
+function analyzePassword(password, userInputs = []) {
+  const text = password.slice(0, MAX_ANALYSIS_LENGTH);
+  const dictionaries = { ...getRankedDictionaries() };
+  if (userInputs.length) dictionaries.userInputs = rankWords(userInputs);
+  const matches = [
+    ...dictionaryMatches(text, dictionaries),
+    ...reversedDictionaryMatches(text, dictionaries),
+    ...l33tMatches(text, dictionaries),
+    ...spatialMatches(text),
+    ...repeatMatches(text, userInputs),
+    ...sequenceMatches(text),
+    ...dateMatches(text),
+    ...yearMatches(text),
+  ];
+  const { guesses, sequence } = findBestSequence(text, matches);
+  return {
+    guesses: Math.min(
+      guesses * BRUTEFORCE_CARDINALITY ** (password.length - text.length),
+      Number.MAX_VALUE
+    ),
+    sequence,
+  };
+}
+
+/**
+ * 内部工具函数：把破解所需秒数转换为可读文本的消息名称和参数
+ */
+function getCrackTimeMessage(seconds) {
+  const units = [
+    [60, "crackTimeSeconds"],
+    [60, "crackTimeMinutes"],
+    [24, "crackTimeHours"],
+    [30, "crackTimeDays"],
+    [12, "crackTimeMonths"],
+    [100, "crackTimeYears"],
+  ];
+  if (seconds < 1) return { key: "crackTimeInstant", params: {} };
+  let value = seconds;
+  for (const [size, key] of units) {
+    if (value < size) return { key, params: { count: Math.round(value) } };
+    value /= size;
+  }
+  return { key: "crackTimeCenturies", params: {} };
+}
+
+/**
+ * 内部工具函数：根据单个模式给出警告和建议的消息名称
+ */
+function getMatchFeedback(match, isSoleMatch) {
+  switch (match.pattern) {
+    case "dictionary": {
+      let warning = "";
+      if (match.dictionary === "passwords") {
+        if (!isSoleMatch || match.l33t || match.reversed) {
+          warning = "feedbackSimilarToCommon";
+        } else if (match.rank <= 10) {
+          warning = "feedbackTop10";
+        } else if (match.rank <= 100) {
+          warning = "feedbackTop100";
+        } else {
+          warning = "feedbackCommon";
+        }
+      } else if (match.dictionary === "pinyin") {
+        warning = "feedbackPinyin";
+      } else if (match.dictionary === "userInputs") {
+        warning = "feedbackUserInputs";
+      } else if (isSoleMatch) {
+        warning = "feedbackSingleWord";
+      }
+      const suggestions = [];
+      if (/^[A-Z][^A-Z]+$/.test(match.token)) {
+        suggestions.push("feedbackCapitalization");
+      } else if (/^[^a-z]+$/.test(match.token) && /[A-Z]/.test(match.token)) {
+        suggestions.push("feedbackAllUppercase");
+      }
+      if (match.reversed && match.token.length >= 4) {
+        suggestions.push("feedbackReversed");
+      }
+      if (match.l33t) {
+        suggestions.push("feedbackL33t");
+      }
+      return { warning, suggestions };
+    }
+    case "spatial":
+      return {
+        warning:
+          match.turns === 1 ? "feedbackStraightRow" : "feedbackShortPattern",
+        suggestions: ["feedbackLongerPattern"],
+      };
+    case "repeat":
+      return {
+        warning:
+          match.baseToken.length === 1
+            ? "feedbackRepeatChar"
+            : "feedbackRepeatPattern",
+        suggestions: ["feedbackAvoidRepeats"],
+      };
+    case "sequence":
+      return {
+        warning: "feedbackSequence",
+        suggestions: ["feedbackAvoidSequences"],
+      };
+    case "year":
+      return {
+        warning: "feedbackRecentYear",
+        suggestions: ["feedbackAvoidRecentYears", "feedbackAvoidPersonalYears"],
+      };
+    case "date":
+      return {
+        warning: "feedbackDate",
+        suggestions: ["feedbackAvoidDates"],
+      };
+    default:
+      return { warning: "", suggestions: [] };
+  }
+}
+
+/**
+ * 内部工具函数：根据评分和模式组合给出警告和建议的消息名称，评分达到 3 时不再给出建议
+ */
+function getPasswordFeedback(score, sequence) {
+  let warning = "";
+  let suggestions = [];
+  if (!sequence.length) {
+    suggestions = ["feedbackDefault", "feedbackNoSymbols"];
+  } else if (score <= 2) {
+    const longest = sequence
+      .filter((match) => match.pattern !== "bruteforce")
+      .reduce(
+        (result, match) =>
+          !result || match.token.length > result.token.length ? match : result,
+        null
+      );
+    const feedback = longest
+      ? getMatchFeedback(longest, sequence.length === 1)
+      : { warning: "", suggestions: [] };
+    warning = feedback.warning;
+    suggestions = ["feedbackAddWord", ...feedback.suggestions];
+  }
+  return { warning, suggestions };
+}
+
+/**
+ * 估算密码强度
+ * @param {string} password - 密码
+ * @param {string[]} [userInputs] - 与用户相关的词，如用户名、邮箱、姓名
+ * @returns {object} 估算结果：
+ * - score: 0 - 4 的评分
+ * - level / levelMessage: 强度等级和对应的消息名称
+ * - guesses: 估算的猜测次数
+ * - crackTimesSeconds: 不同攻击场景下破解所需的秒数
+ * - crackTimeMessages: 不同攻击场景下破解时间的 { key, params }
+ * - feedback: { warning, suggestions }，均为消息名称，warning 为空字符串时没有警告
+ */
+export function estimatePasswordStrength(password, userInputs = []) {
+  const { guesses, sequence } = analyzePassword(password, userInputs);
+  const score = PASSWORD_SCORE_THRESHOLDS.filter(
+    (threshold) => guesses >= threshold + 5
+  ).length;
+  const [level, levelMessage] = PASSWORD_LEVELS[score];
+
+  const crackTimesSeconds = {};
+  const crackTimeMessages = {};
+  Object.keys(CRACK_SPEEDS).forEach((key) => {
+    crackTimesSeconds[key] = guesses / CRACK_SPEEDS[key];
+    crackTimeMessages[key] = getCrackTimeMessage(crackTimesSeconds[key]);
+  });
+
+  return {
+    score,
+    level,
+    levelMessage,
+    guesses,
+    crackTimesSeconds,
+    crackTimeMessages,
+    feedback: getPasswordFeedback(score, sequence),
+  };
+}
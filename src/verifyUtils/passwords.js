@@ -0,0 +1,290 @@
+/**
+ * 密码强度估算使用的词表，按常见程度排序，越靠前越容易被猜到
+ *
+ * - passwords: 常用密码
+ * - english: 常见英文单词和名字
+ * - pinyin: 常见拼音单词、姓氏和名字
+ */
+export const passwordDictionaries = {
+  passwords: [
+    "123456",
+    "123456789",
+    "111111",
+    "password",
+    "12345678",
+    "qwerty",
+    "1234567",
+    "123123",
+    "000000",
+    "1234567890",
+    "666666",
+    "888888",
+    "abc123",
+    "5201314",
+    "a123456",
+    "iloveyou",
+    "654321",
+    "112233",
+    "123321",
+    "woaini",
+    "admin",
+    "1314520",
+    "woaini1314",
+    "7758521",
+    "520520",
+    "147258369",
+    "qq123456",
+    "aa123456",
+    "1qaz2wsx",
+    "password1",
+    "11111111",
+    "123qwe",
+    "qwe123",
+    "987654321",
+    "121212",
+    "159753",
+    "147258",
+    "123654",
+    "101010",
+    "999999",
+    "555555",
+    "222222",
+    "333333",
+    "444444",
+    "777777",
+    "123abc",
+    "abcd1234",
+    "a1b2c3",
+    "qwerty123",
+    "qwertyuiop",
+    "1q2w3e4r",
+    "1q2w3e",
+    "zxcvbnm",
+    "asdfghjkl",
+    "asdfgh",
+    "admin123",
+    "root",
+    "test",
+    "guest",
+    "letmein",
+    "welcome",
+    "monkey",
+    "dragon",
+    "football",
+    "baseball",
+    "master",
+    "sunshine",
+    "princess",
+    "shadow",
+    "superman",
+    "michael",
+    "trustno1",
+    "passw0rd",
+    "starwars",
+    "whatever",
+    "freedom",
+    "hello123",
+    "iloveyou1",
+    "1234qwer",
+    "qazwsx",
+    "123456a",
+    "a12345",
+    "woaini520",
+    "wang123456",
+    "zhang123",
+    "123456789a",
+    "1234abcd",
+    "changeme",
+    "secret",
+    "access",
+    "login",
+    "mima",
+    "mima123",
+  ],
+  english: [
+    "love",
+    "hello",
+    "angel",
+    "baby",
+    "lucky",
+    "happy",
+    "money",
+    "dragon",
+    "monkey",
+    "tiger",
+    "summer",
+    "winter",
+    "spring",
+    "autumn",
+    "apple",
+    "orange",
+    "banana",
+    "cherry",
+    "flower",
+    "sunny",
+    "sunshine",
+    "princess",
+    "prince",
+    "queen",
+    "king",
+    "star",
+    "super",
+    "secret",
+    "welcome",
+    "hunter",
+    "soccer",
+    "football",
+    "basketball",
+    "computer",
+    "internet",
+    "google",
+    "chocolate",
+    "forever",
+    "friend",
+    "family",
+    "heart",
+    "dream",
+    "magic",
+    "music",
+    "smile",
+    "sweet",
+    "honey",
+    "kitty",
+    "jordan",
+    "michael",
+    "jessica",
+    "daniel",
+    "david",
+    "james",
+    "john",
+    "robert",
+    "thomas",
+    "charlie",
+    "andrew",
+    "ashley",
+    "jennifer",
+    "nicole",
+    "anna",
+    "lily",
+    "lucy",
+    "jack",
+    "tom",
+    "company",
+    "office",
+    "china",
+    "admin",
+    "user",
+    "test",
+    "qwerty",
+    "master",
+    "shadow",
+    "killer",
+    "pepper",
+    "ginger",
+    "cookie",
+    "silver",
+    "golden",
+    "diamond",
+    "purple",
+    "yellow",
+    "black",
+    "white",
+    "green",
+    "red",
+    "blue",
+  ],
+  pinyin: [
+    "woaini",
+    "aini",
+    "nihao",
+    "baobei",
+    "laopo",
+    "laogong",
+    "qinai",
+    "xingfu",
+    "kuaile",
+    "tiantian",
+    "mima",
+    "wode",
+    "zhongguo",
+    "beijing",
+    "shanghai",
+    "guangzhou",
+    "shenzhen",
+    "xiaoming",
+    "xiaohong",
+    "xiaobao",
+    "xiaoyu",
+    "yiqi",
+    "yongyuan",
+    "shengri",
+    "pengyou",
+    "jiayou",
+    "haoren",
+    "wang",
+    "zhang",
+    "chen",
+    "yang",
+    "huang",
+    "zhao",
+    "zhou",
+    "liu",
+    "sun",
+    "zhu",
+    "guo",
+    "lin",
+    "luo",
+    "gao",
+    "liang",
+    "song",
+    "zheng",
+    "xie",
+    "han",
+    "tang",
+    "feng",
+    "deng",
+    "cao",
+    "peng",
+    "zeng",
+    "xiao",
+    "tian",
+    "dong",
+    "yuan",
+    "pan",
+    "jiang",
+    "cai",
+    "wei",
+    "xue",
+    "yan",
+    "cheng",
+    "shen",
+    "yao",
+    "cui",
+    "zhong",
+    "tan",
+    "wangwei",
+    "zhangwei",
+    "wangfang",
+    "lina",
+    "liwei",
+    "zhangmin",
+    "lijing",
+    "wangjing",
+    "liuyang",
+    "zhangjie",
+    "wangyong",
+    "lijun",
+    "zhangyan",
+    "liuwei",
+    "wangqiang",
+    "lili",
+    "wangli",
+    "zhangli",
+    "wenwen",
+    "jingjing",
+    "lele",
+    "yuyu",
+    "weiwei",
+    "dandan",
+  ],
+};
@@ -0,0 +1,68 @@
+/**
+ * 电话号码的解析：中国大陆号码类型和运营商、国际电话区号
+ */
+import { phoneCountries, mobileCarriers } from "./phones.js";
+
+/**
+ * 内部工具函数：查询中国大陆手机号的运营商，号段按 4 位优先匹配
+ */
+function getMobileCarrier(number) {
+  const codes = Object.keys(mobileCarriers);
+  for (const length of [4, 3]) {
+    const segment = number.slice(0, length);
+    for (const code of codes) {
+      const { name, segments, virtual } = mobileCarriers[code];
+      if (segments.includes(segment) || virtual.includes(segment)) {
+        return {
+          carrier: name,
+          carrierCode: code,
+          isVirtual: virtual.includes(segment),
+        };
+      }
+    }
+  }
+  return { carrier: "", carrierCode: "", isVirtual: false };
+}
+
+/**
+ * 内部工具函数：解析中国大陆号码（不含 +86），支持手机、固话（可带分机号）和 400/800 号码
+ * 国内格式的固话需要带长途字冠 0
+ */
+export function parseChinaPhone(national, isInternational) {
+  const digits = national.replace(/-/g, "");
+  if (/^1[3-9]\d{9}$/.test(digits)) {
+    return {
+      type: "mobile",
+      nationalNumber: digits,
+      ...getMobileCarrier(digits),
+    };
+  }
+  if (/^[48]00\d{7}$/.test(digits)) {
+    return { type: "service", nationalNumber: digits };
+  }
+  const landline =
+    /^0?(10|2\d|[3-9]\d{2})-?(\d{7,8})(?:-(\d{1,6}))?$/.exec(national);
+  if (!landline || (!isInternational && national[0] !== "0")) return null;
+  const [, areaCode, subscriber, extension = ""] = landline;
+  return {
+    type: "landline",
+    nationalNumber: areaCode + subscriber,
+    areaCode: `0${areaCode}`,
+    extension,
+  };
+}
+
+/**
+ * 内部工具函数：按国际电话区号查找国家或地区，区号为 1 到 3 位
+ */
+export function findPhoneCountry(digits) {
+  const codes = Object.keys(phoneCountries);
+  for (let length = 1; length <= 3; length++) {
+    const prefix = digits.slice(0, length);
+    const country = codes.find(
+      (code) => phoneCountries[code].callingCode === prefix
+    );
+    if (country) return country;
+  }
+  return "";
+}
@@ -0,0 +1,227 @@
+/**
+ * 内置的电话号码元数据
+ *
+ * phoneCountries: 国家或地区代码 -> 元数据
+ * - name: 名称
+ * - callingCode: 国际电话区号
+ * - trunkPrefix: 国内长途字冠，国内格式的号码会先去掉该前缀
+ * - length: 国内号码（不含长途字冠）的长度范围 [最短, 最长]
+ * - pattern: 国内号码的格式，可选
+ * - mobile: 手机号码的格式，可选，没有时无法区分手机和固话
+ * 中国大陆的号码规则较复杂，单独处理，这里只列出区号和长途字冠；
+ * 美国和加拿大共用 +1，国际格式的 +1 号码识别为 US
+ *
+ * mobileCarriers: 运营商代码 -> 中国大陆手机号段
+ * - name: 运营商名称
+ * - segments: 号段（号码前 3 位或 4 位）
+ * - virtual: 虚拟运营商号段
+ */
+export const phoneCountries = {
+  CN: { name: "中国大陆", callingCode: "86", trunkPrefix: "0" },
+  HK: {
+    name: "中国香港",
+    callingCode: "852",
+    length: [8, 8],
+    pattern: /^[2-9]\d{7}$/,
+    mobile: /^[4-79]\d{7}$/,
+  },
+  MO: {
+    name: "中国澳门",
+    callingCode: "853",
+    length: [8, 8],
+    pattern: /^[268]\d{7}$/,
+    mobile: /^6\d{7}$/,
+  },
+  TW: {
+    name: "中国台湾",
+    callingCode: "886",
+    trunkPrefix: "0",
+    length: [8, 9],
+    mobile: /^9\d{8}$/,
+  },
+  US: {
+    name: "美国",
+    callingCode: "1",
+    trunkPrefix: "1",
+    length: [10, 10],
+    pattern: /^[2-9]\d{2}[2-9]\d{6}$/,
+  },
+  CA: {
+    name: "加拿大",
+    callingCode: "1",
+    trunkPrefix: "1",
+    length: [10, 10],
+    pattern: /^[2-9]\d{2}[2-9]\d{6}$/,
+  },
+  GB: {
+    name: "英国",
+    callingCode: "44",
+    trunkPrefix: "0",
+    length: [9, 10],
+    mobile: /^7\d{9}$/,
+  },
+  FR: {
+    name: "法国",
+    callingCode: "33",
+    trunkPrefix: "0",
+    length: [9, 9],
+    mobile: /^[67]\d{8}$/,
+  },
+  DE: {
+    name: "德国",
+    callingCode: "49",
+    trunkPrefix: "0",
+    length: [6, 11],
+    mobile: /^1[5-7]\d{8,9}$/,
+  },
+  RU: {
+    name: "俄罗斯",
+    callingCode: "7",
+    trunkPrefix: "8",
+    length: [10, 10],
+    mobile: /^9\d{9}$/,
+  },
+  JP: {
+    name: "日本",
+    callingCode: "81",
+    trunkPrefix: "0",
+    length: [9, 10],
+    mobile: /^[789]0\d{8}$/,
+  },
+  KR: {
+    name: "韩国",
+    callingCode: "82",
+    trunkPrefix: "0",
+    length: [8, 10],
+    mobile: /^1[0-9]\d{7,8}$/,
+  },
+  SG: {
+    name: "新加坡",
+    callingCode: "65",
+    length: [8, 8],
+    mobile: /^[89]\d{7}$/,
+  },
+  MY: {
+    name: "马来西亚",
+    callingCode: "60",
+    trunkPrefix: "0",
+    length: [8, 10],
+    mobile: /^1\d{8,9}$/,
+  },
+  TH: {
+    name: "泰国",
+    callingCode: "66",
+    trunkPrefix: "0",
+    length: [8, 9],
+    mobile: /^[689]\d{8}$/,
+  },
+  VN: {
+    name: "越南",
+    callingCode: "84",
+    trunkPrefix: "0",
+    length: [9, 10],
+    mobile: /^[35789]\d{8}$/,
+  },
+  PH: {
+    name: "菲律宾",
+    callingCode: "63",
+    trunkPrefix: "0",
+    length: [8, 10],
+    mobile: /^9\d{9}$/,
+  },
+  ID: {
+    name: "印度尼西亚",
+    callingCode: "62",
+    trunkPrefix: "0",
+    length: [8, 12],
+    mobile: /^8\d{8,11}$/,
+  },
+  IN: {
+    name: "印度",
+    callingCode: "91",
+    trunkPrefix: "0",
+    length: [10, 10],
+    mobile: /^[6-9]\d{9}$/,
+  },
+  AU: {
+    name: "澳大利亚",
+    callingCode: "61",
+    trunkPrefix: "0",
+    length: [9, 9],
+    mobile: /^4\d{8}$/,
+  },
+};
+
+export const mobileCarriers = {
+  CMCC: {
+    name: "中国移动",
+    segments: [
+      "134",
+      "135",
+      "136",
+      "137",
+      "138",
+      "139",
+      "147",
+      "150",
+      "151",
+      "152",
+      "157",
+      "158",
+      "159",
+      "172",
+      "178",
+      "182",
+      "183",
+      "184",
+      "187",
+      "188",
+      "195",
+      "197",
+      "198",
+    ],
+    virtual: ["1703", "1705", "1706", "165"],
+  },
+  CUCC: {
+    name: "中国联通",
+    segments: [
+      "130",
+      "131",
+      "132",
+      "145",
+      "155",
+      "156",
+      "166",
+      "175",
+      "176",
+      "185",
+      "186",
+      "196",
+    ],
+    virtual: ["1704", "1707", "1708", "1709", "167", "171"],
+  },
+  CTCC: {
+    name: "中国电信",
+    segments: [
+      "133",
+      "1349",
+      "149",
+      "153",
+      "173",
+      "177",
+      "180",
+      "181",
+      "189",
+      "190",
+      "191",
+      "193",
+      "199",
+    ],
+    virtual: ["1700", "1701", "1702", "162"],
+  },
+  CBN: {
+    name: "中国广电",
+    segments: ["192"],
+    virtual: [],
+  },
+};
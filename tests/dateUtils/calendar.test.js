@@ -0,0 +1,86 @@
+import {
+  format,
+  getCalendarMatrix,
+  getCalendarYearMatrix,
+  getCalendarDecadeMatrix,
+} from "../../src/index.js";
+
+const day = (date) => format(date, "YYYY-MM-DD");
+
+describe("getCalendarMatrix", () => {
+  test("按周分行，补齐前后月份的日期", () => {
+    // 2024-03-01 是周五
+    const weeks = getCalendarMatrix(2024, 3, { weekStartsOn: 1 });
+    expect(weeks).toHaveLength(5);
+    expect(weeks.every((row) => row.length === 7)).toBe(true);
+    expect(day(weeks[0][0].date)).toBe("2024-02-26");
+    expect(weeks[0][0].inCurrentMonth).toBe(false);
+    expect(weeks[0][4]).toMatchObject({ month: 3, day: 1, week: 5 });
+    expect(day(weeks[4][6].date)).toBe("2024-03-31");
+
+    const sundayFirst = getCalendarMatrix(2024, 3);
+    expect(sundayFirst).toHaveLength(6);
+    expect(day(sundayFirst[0][0].date)).toBe("2024-02-25");
+  });
+
+  test("fixedWeeks 固定 6 行", () => {
+    const weeks = getCalendarMatrix(2024, 3, {
+      weekStartsOn: 1,
+      fixedWeeks: true,
+    });
+    expect(weeks).toHaveLength(6);
+    expect(day(weeks[5][6].date)).toBe("2024-04-07");
+  });
+
+  test("今天、周末、选中范围和可选范围", () => {
+    const weeks = getCalendarMatrix(2024, 3, {
+      weekStartsOn: 1,
+      selected: ["2024-03-05", "2024-03-08"],
+      min: "2024-03-01",
+      max: "2024-03-29",
+      today: "2024-03-06 10:00",
+    });
+    const cell = (d) =>
+      weeks.flat().find((item) => day(item.date) === `2024-03-${d}`);
+    expect(cell("05")).toMatchObject({
+      isSelected: true,
+      isRangeStart: true,
+      isRangeEnd: false,
+    });
+    expect(cell("06")).toMatchObject({ isSelected: true, isToday: true });
+    expect(cell("08").isRangeEnd).toBe(true);
+    expect(cell("09")).toMatchObject({ isSelected: false, isWeekend: true });
+    expect(cell("30").disabled).toBe(true);
+    expect(weeks[0][0].disabled).toBe(true);
+    expect(cell("01").disabled).toBe(false);
+  });
+
+  test("参数无效时返回空数组", () => {
+    expect(getCalendarMatrix(2024, 13)).toEqual([]);
+    expect(getCalendarMatrix("2024", 3)).toEqual([]);
+  });
+});
+
+describe("getCalendarYearMatrix / getCalendarDecadeMatrix", () => {
+  test("年视图为 4 行 x 3 个月", () => {
+    const rows = getCalendarYearMatrix(2024, {
+      selected: "2024-05-20",
+      today: "2024-03-15",
+    });
+    expect(rows).toHaveLength(4);
+    expect(rows[0].map((cell) => cell.month)).toEqual([1, 2, 3]);
+    expect(rows[0][2].isCurrent).toBe(true);
+    expect(rows[1][1]).toMatchObject({ month: 5, isSelected: true });
+    expect(day(rows[3][2].date)).toBe("2024-12-01");
+  });
+
+  test("十年视图包含前后各一年", () => {
+    const rows = getCalendarDecadeMatrix(2024, { max: "2029-06-01" });
+    const cells = rows.flat();
+    expect(cells).toHaveLength(12);
+    expect(cells[0]).toMatchObject({ year: 2019, inCurrentDecade: false });
+    expect(cells[1]).toMatchObject({ year: 2020, inCurrentDecade: true });
+    expect(cells[11]).toMatchObject({ year: 2030, disabled: true });
+    expect(cells[10].disabled).toBe(false);
+  });
+});
@@ -0,0 +1,110 @@
+import { calendarTime, registerLocale } from "../../src/index.js";
+
+// 2024-03-15 是周五
+const base = "2024-03-15 10:00";
+
+describe("calendarTime", () => {
+  test("刚刚、分钟和同一天的小时", () => {
+    expect(calendarTime("2024-03-15 09:59:30", base)).toBe("刚刚");
+    expect(calendarTime("2024-03-15 09:30", base)).toBe("30分钟前");
+    expect(calendarTime("2024-03-15 07:00", base)).toBe("3小时前");
+    expect(calendarTime("2024-03-15 08:31", base, { rounding: "round" })).toBe(
+      "1小时前"
+    );
+  });
+
+  test("相差不超过 2 个自然日时带上时间", () => {
+    expect(calendarTime("2024-03-14 14:30", base)).toBe("昨天 14:30");
+    expect(calendarTime("2024-03-13 08:00", base)).toBe("前天 08:00");
+    expect(calendarTime("2024-03-17 08:00", base)).toBe("后天 08:00");
+    // 不到 1 小时，但不是同一天
+    expect(calendarTime("2024-03-14 23:30", "2024-03-15 00:30")).toBe(
+      "昨天 23:30"
+    );
+  });
+
+  test("上周、本周和下周", () => {
+    expect(calendarTime("2024-03-06 09:00", base)).toBe("上周三");
+    expect(calendarTime("2024-03-20 09:00", base)).toBe("下周三");
+    expect(calendarTime("2024-03-10 09:00", base)).toBe("周日");
+    expect(calendarTime("2024-03-10 09:00", base, { weekStartsOn: 1 })).toBe(
+      "上周日"
+    );
+  });
+
+  test("更远的日期按天、月、年", () => {
+    expect(calendarTime("2024-03-01", base)).toBe("14天前");
+    expect(calendarTime("2024-01-10", base)).toBe("2个月前");
+    expect(calendarTime("2022-03-15", base)).toBe("2年前");
+    expect(calendarTime("2024-01-31", "2024-02-29")).toBe("1个月前");
+  });
+
+  test("阈值为 0 时不使用对应的描述", () => {
+    expect(
+      calendarTime("2024-03-06", "2024-03-15", { thresholds: { week: 0 } })
+    ).toBe("9天前");
+  });
+
+  test("按时区判断自然日", () => {
+    expect(
+      calendarTime("2024-03-14 23:30", "2024-03-15 00:30", { timeZone: "UTC" })
+    ).toBe("1小时前");
+  });
+
+  test("语言包没有 calendar 短语时使用 Intl 输出", () => {
+    const options = { locale: "en-US" };
+    expect(calendarTime("2024-03-15 09:59:30", base, options)).toBe("now");
+    expect(calendarTime("2024-03-14 14:30", base, options)).toBe(
+      "yesterday 14:30"
+    );
+    expect(calendarTime("2024-03-11 09:00", base, options)).toBe("Monday");
+  });
+
+  test("Intl 输出的上周、下周带上星期", () => {
+    const options = { locale: "en-US" };
+    expect(calendarTime("2024-03-06 09:00", base, options)).toBe(
+      "last week Wednesday"
+    );
+    expect(calendarTime("2024-03-20 09:00", base, options)).toBe(
+      "next week Wednesday"
+    );
+    expect(calendarTime("2024-03-06 09:00", base, { locale: "ja-JP" })).toBe(
+      "先週 水曜日"
+    );
+  });
+
+  test("注册的语言包使用 Intl 输出，不继承默认语言包的 calendar 短语", () => {
+    registerLocale("en-GB", {});
+    expect(calendarTime("2024-03-14 14:30", base, { locale: "en-GB" })).toBe(
+      "yesterday 14:30"
+    );
+  });
+
+  test("没有 calendar 短语也不支持 Intl 时按天、月输出", () => {
+    const { RelativeTimeFormat } = Intl;
+    delete Intl.RelativeTimeFormat;
+    try {
+      const options = { locale: "en-US" };
+      expect(calendarTime("2024-03-14 14:30", base, options)).toBe("a day ago");
+      expect(calendarTime("2024-03-06 09:00", base, options)).toBe(
+        "9 days ago"
+      );
+    } finally {
+      Intl.RelativeTimeFormat = RelativeTimeFormat;
+    }
+  });
+
+  test("rounding 只接受 floor、round、ceil", () => {
+    const time = "2024-03-15 08:31";
+    expect(calendarTime(time, base, { rounding: "ceil" })).toBe("2小时前");
+    expect(calendarTime(time, base, { rounding: "max" })).toBe("1小时前");
+    expect(calendarTime(time, base, { rounding: "random" })).toBe("1小时前");
+  });
+
+  test("日期或时区无效时返回空字符串", () => {
+    expect(calendarTime("invalid", base)).toBe("");
+    expect(calendarTime("2024-03-14", base, { timeZone: "Mars/Olympus" })).toBe(
+      ""
+    );
+  });
+});
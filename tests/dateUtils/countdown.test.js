@@ -0,0 +1,122 @@
+import { createCountdown } from "../../src/index.js";
+
+const SECOND = 1000;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date("2024-03-15T00:00:00Z"));
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe("createCountdown", () => {
+  test("每秒触发，结束时调用 onEnd", () => {
+    const ticks = [];
+    const onEnd = jest.fn();
+    const countdown = createCountdown(Date.now() + 3 * SECOND, {
+      onTick: (remaining) => ticks.push(remaining.total),
+      onEnd,
+    });
+    expect(countdown.isRunning()).toBe(true);
+    jest.advanceTimersByTime(3 * SECOND);
+    expect(ticks).toEqual([3000, 2000, 1000, 0]);
+    expect(onEnd).toHaveBeenCalledTimes(1);
+    expect(countdown.isRunning()).toBe(false);
+  });
+
+  test("按剩余时间对齐到 interval 的整数倍触发", () => {
+    const ticks = [];
+    createCountdown(Date.now() + 2500, {
+      onTick: (remaining) => ticks.push(remaining.total),
+    });
+    jest.advanceTimersByTime(1500);
+    expect(ticks).toEqual([2500, 2000, 1000]);
+  });
+
+  test("剩余时间对象和 format", () => {
+    const countdown = createCountdown(
+      Date.now() + ((26 * 60 + 3) * 60 + 4) * SECOND + 5,
+      { autoStart: false }
+    );
+    const remaining = countdown.getRemaining();
+    expect(remaining).toMatchObject({
+      days: 1,
+      hours: 2,
+      minutes: 3,
+      seconds: 4,
+      milliseconds: 5,
+    });
+    expect(remaining.format("D天HH:mm:ss")).toBe("1天02:03:04");
+  });
+
+  test("autoStart 为 false 时需要手动开始", () => {
+    const onTick = jest.fn();
+    const countdown = createCountdown(Date.now() + 5 * SECOND, {
+      onTick,
+      autoStart: false,
+    });
+    jest.advanceTimersByTime(2 * SECOND);
+    expect(onTick).not.toHaveBeenCalled();
+    expect(countdown.isRunning()).toBe(false);
+    countdown.start();
+    expect(onTick).toHaveBeenLastCalledWith(
+      expect.objectContaining({ total: 3 * SECOND })
+    );
+  });
+
+  test("暂停时剩余时间保持不变，继续后结束时间顺延", () => {
+    const onEnd = jest.fn();
+    const countdown = createCountdown(Date.now() + 3 * SECOND, { onEnd });
+    jest.advanceTimersByTime(SECOND);
+    countdown.pause();
+    jest.advanceTimersByTime(10 * SECOND);
+    expect(countdown.getRemaining().total).toBe(2 * SECOND);
+    expect(onEnd).not.toHaveBeenCalled();
+
+    countdown.resume();
+    jest.advanceTimersByTime(2 * SECOND);
+    expect(onEnd).toHaveBeenCalledTimes(1);
+  });
+
+  test("reset 保持当前的运行状态", () => {
+    const countdown = createCountdown(Date.now() + 3 * SECOND);
+    countdown.pause();
+    countdown.reset(Date.now() + 60 * SECOND);
+    expect(countdown.isRunning()).toBe(false);
+    expect(countdown.getRemaining().total).toBe(60 * SECOND);
+    countdown.stop();
+  });
+
+  test("sync 按服务器时间校正，传入请求时间时补偿往返耗时的一半", () => {
+    const countdown = createCountdown(Date.now() + 120 * SECOND, {
+      autoStart: false,
+    });
+    countdown.sync(Date.now() + 60 * SECOND);
+    expect(countdown.getRemaining().total).toBe(60 * SECOND);
+    countdown.sync(Date.now() + 60 * SECOND, Date.now() - 200);
+    expect(countdown.getRemaining().total).toBe(60 * SECOND - 100);
+    countdown.sync("invalid");
+    expect(countdown.getRemaining().total).toBe(60 * SECOND - 100);
+  });
+
+  test("间隔为 0、负数或 NaN 时使用默认的 1 秒", () => {
+    [0, -500, NaN, Infinity].forEach((interval) => {
+      const onTick = jest.fn();
+      const countdown = createCountdown(Date.now() + 10 * SECOND, {
+        onTick,
+        interval,
+      });
+      jest.advanceTimersByTime(2 * SECOND);
+      expect(onTick).toHaveBeenCalledTimes(3);
+      countdown.stop();
+    });
+  });
+
+  test("结束时间无效时立即结束", () => {
+    const onEnd = jest.fn();
+    createCountdown("invalid", { onEnd });
+    expect(onEnd).toHaveBeenCalledTimes(1);
+  });
+});
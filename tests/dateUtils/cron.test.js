@@ -0,0 +1,149 @@
+import {
+  format,
+  parseCron,
+  validateCron,
+  nextRuns,
+  prevRun,
+  describeCron,
+  registerLocale,
+} from "../../src/index.js";
+
+const times = (dates) => dates.map((d) => format(d, "YYYY-MM-DD HH:mm:ss"));
+
+describe("parseCron / validateCron", () => {
+  test("5 个字段时秒为 0", () => {
+    const cron = parseCron("0 9 * * 1-5");
+    expect(cron.hasSeconds).toBe(false);
+    expect(cron.second.values).toEqual([0]);
+    expect(cron.hour.values).toEqual([9]);
+    expect(cron.dayOfWeek.values).toEqual([1, 2, 3, 4, 5]);
+    expect(cron.dayOfMonth.any).toBe(true);
+    expect(parseCron("0 0 0 * * *").hasSeconds).toBe(true);
+    expect(parseCron("0 60 * * *")).toBeNull();
+  });
+
+  test("不合法时给出具体原因", () => {
+    expect(validateCron("0 25 * * *")).toEqual({
+      valid: false,
+      message: "小时的取值 25 超出范围 0-23",
+    });
+    expect(validateCron("* * *").message).toBe(
+      "cron 表达式应包含 5 或 6 个字段，实际为 3 个"
+    );
+    expect(validateCron("? 0 * * *").message).toBe(
+      `"?" 只能用于日期和星期字段`
+    );
+    expect(validateCron("")).toEqual({
+      valid: false,
+      message: "cron 表达式不能为空",
+    });
+  });
+
+  test("日期和星期字段不能同时为 ?", () => {
+    expect(validateCron("0 0 ? * ?")).toEqual({
+      valid: false,
+      message: `日期和星期字段不能同时为 "?"`,
+    });
+    expect(validateCron("0 0 0 ? * ?").valid).toBe(false);
+    expect(parseCron("0 0 ? * ?")).toBeNull();
+    expect(validateCron("0 0 ? * MON")).toEqual({ valid: true, message: "" });
+    expect(validateCron("0 0 1 * ?").valid).toBe(true);
+  });
+});
+
+describe("nextRuns / prevRun", () => {
+  test("工作日早上 9 点", () => {
+    expect(times(nextRuns("0 9 * * 1-5", "2024-03-15 10:00", 2))).toEqual([
+      "2024-03-18 09:00:00",
+      "2024-03-19 09:00:00",
+    ]);
+  });
+
+  test("不包含开始时间本身", () => {
+    expect(times(nextRuns("@daily", "2024-03-01 00:00", 1))).toEqual([
+      "2024-03-02 00:00:00",
+    ]);
+  });
+
+  test("6 个字段时支持秒", () => {
+    expect(
+      times(nextRuns("*/20 * * * * *", "2024-03-01 00:00:00", 3))
+    ).toEqual([
+      "2024-03-01 00:00:20",
+      "2024-03-01 00:00:40",
+      "2024-03-01 00:01:00",
+    ]);
+  });
+
+  test("日期和星期都有限制时满足其一即可", () => {
+    expect(times(nextRuns("0 0 1,15 * 1", "2024-04-01 00:00", 4))).toEqual([
+      "2024-04-08 00:00:00",
+      "2024-04-15 00:00:00",
+      "2024-04-22 00:00:00",
+      "2024-04-29 00:00:00",
+    ]);
+  });
+
+  test("L、LW、W 和 #", () => {
+    expect(times([prevRun("0 0 L * *", "2024-03-15")])).toEqual([
+      "2024-02-29 00:00:00",
+    ]);
+    // 2024-03-31 是周日
+    expect(times(nextRuns("0 0 LW * *", "2024-03-01", 2))).toEqual([
+      "2024-03-29 00:00:00",
+      "2024-04-30 00:00:00",
+    ]);
+    // 2024-06-15 是周六
+    expect(times(nextRuns("0 0 15W * *", "2024-06-01", 2))).toEqual([
+      "2024-06-14 00:00:00",
+      "2024-07-15 00:00:00",
+    ]);
+    expect(times(nextRuns("0 0 * * 5L", "2024-03-01", 2))).toEqual([
+      "2024-03-29 00:00:00",
+      "2024-04-26 00:00:00",
+    ]);
+    expect(times(nextRuns("0 10 ? * FRI#3", "2024-03-01", 2))).toEqual([
+      "2024-03-15 10:00:00",
+      "2024-04-19 10:00:00",
+    ]);
+  });
+
+  test("按指定时区计算", () => {
+    const runs = nextRuns("0 9 * * *", "2024-03-09 00:00", 2, {
+      timeZone: "America/New_York",
+    });
+    expect(runs.map((d) => d.toISOString())).toEqual([
+      "2024-03-09T14:00:00.000Z",
+      "2024-03-10T13:00:00.000Z",
+    ]);
+  });
+
+  test("不合法或永远不会执行时返回空结果", () => {
+    expect(nextRuns("0 0 30 2 *", "2024-01-01", 1)).toEqual([]);
+    expect(nextRuns("0 0 ? * ?", "2024-01-01", 1)).toEqual([]);
+    expect(prevRun("bad", "2024-01-01")).toBeNull();
+    const options = { timeZone: "Mars/Olympus" };
+    expect(nextRuns("0 9 * * *", "2024-03-09", 1, options)).toEqual([]);
+    expect(prevRun("0 9 * * *", "2024-03-09", options)).toBeNull();
+  });
+});
+
+describe("describeCron", () => {
+  test("按语言描述", () => {
+    expect(describeCron("0 9 * * 1-5")).toBe("每周一至周五 09:00");
+    expect(describeCron("0 10 ? * FRI#3")).toBe("每月第3个周五 10:00");
+    expect(describeCron("0 0 LW * *")).toBe("每月最后一个工作日 00:00");
+    expect(describeCron("*/5 * * * *", { locale: "en-US" })).toBe(
+      "every 5 minutes"
+    );
+    expect(describeCron("bad")).toBe("");
+  });
+
+  test("语言包只提供部分 cron 短语时其余使用默认语言包", () => {
+    registerLocale("zh-HK", { cron: { everyMinute: "每一分鐘" } });
+    expect(describeCron("* * * * *", { locale: "zh-HK" })).toBe("每一分鐘");
+    expect(describeCron("0 9 * * 1-5", { locale: "zh-HK" })).toBe(
+      "每周一至周五 09:00"
+    );
+  });
+});
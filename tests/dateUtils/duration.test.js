@@ -0,0 +1,158 @@
+import {
+  add,
+  subtract,
+  diff,
+  duration,
+  formatDuration,
+  humanizeDuration,
+  toISODuration,
+  format,
+  registerLocale,
+} from "../../src/index.js";
+
+const zero = {
+  years: 0,
+  months: 0,
+  days: 0,
+  hours: 0,
+  minutes: 0,
+  seconds: 0,
+  milliseconds: 0,
+};
+
+describe("duration", () => {
+  test("毫秒数拆分为天及以下的单位", () => {
+    expect(duration(90061000)).toEqual({
+      ...zero,
+      days: 1,
+      hours: 1,
+      minutes: 1,
+      seconds: 1,
+    });
+    expect(duration(-1500)).toEqual({
+      ...zero,
+      seconds: -1,
+      milliseconds: -500,
+    });
+  });
+
+  test("解析 ISO 8601 时长，周折算为天", () => {
+    expect(duration("P1Y2M3W4DT5H6M7.5S")).toEqual({
+      years: 1,
+      months: 2,
+      days: 25,
+      hours: 5,
+      minutes: 6,
+      seconds: 7,
+      milliseconds: 500,
+    });
+    expect(duration("-PT2H")).toEqual({ ...zero, hours: -2 });
+    expect(duration({ weeks: 2, days: 1 })).toEqual({ ...zero, days: 15 });
+  });
+
+  test("无法识别时返回 null", () => {
+    expect(duration("P")).toBeNull();
+    expect(duration("PT")).toBeNull();
+    expect(duration("3 days")).toBeNull();
+    expect(duration(NaN)).toBeNull();
+    expect(duration(null)).toBeNull();
+  });
+});
+
+describe("diff breakdown", () => {
+  test("按日历计算年月日", () => {
+    expect(diff("2024-01-01 08:00", "2024-03-04 10:15", "breakdown")).toEqual({
+      ...zero,
+      months: 2,
+      days: 3,
+      hours: 2,
+      minutes: 15,
+    });
+    expect(diff("2024-01-31", "2024-02-29", "breakdown")).toEqual({
+      ...zero,
+      months: 1,
+    });
+  });
+
+  test("结束早于开始时各字段为负数", () => {
+    expect(diff("2024-03-04 10:15", "2024-01-01 08:00", "breakdown")).toEqual({
+      ...zero,
+      months: -2,
+      days: -3,
+      hours: -2,
+      minutes: -15,
+    });
+  });
+});
+
+describe("formatDuration / humanizeDuration", () => {
+  test("按模板格式化，缺少的单位折算到更小的单位", () => {
+    expect(
+      formatDuration(
+        { months: 2, days: 3, hours: 2, minutes: 15 },
+        "M个月D天H小时m分"
+      )
+    ).toBe("2个月3天2小时15分");
+    expect(formatDuration(3723000)).toBe("01:02:03");
+    expect(formatDuration(-3723000)).toBe("-01:02:03");
+    expect(formatDuration({ days: 1, hours: 2 }, "HH:mm")).toBe("26:00");
+    expect(formatDuration(1500, "s.SSS")).toBe("1.500");
+    expect(formatDuration(60000, "[m]m")).toBe("m1");
+  });
+
+  test("按语言输出时长描述", () => {
+    const value = { months: 2, days: 3, hours: 2, minutes: 15 };
+    expect(humanizeDuration(value)).toBe("2个月3天2小时15分钟");
+    expect(humanizeDuration(value, { locale: "en-US", largest: 2 })).toBe(
+      "2 months 3 days"
+    );
+    expect(humanizeDuration(0)).toBe("0秒");
+  });
+
+  test("语言包只提供部分时长短语时其余使用默认语言包", () => {
+    registerLocale("zh-TW", { duration: { days: "%d日" } });
+    expect(
+      humanizeDuration({ days: 3, hours: 2 }, { locale: "zh-TW" })
+    ).toBe("3日2小时");
+  });
+});
+
+describe("toISODuration", () => {
+  test("输出 ISO 8601 时长", () => {
+    expect(toISODuration({ months: 2, days: 3, hours: 2, minutes: 15 })).toBe(
+      "P2M3DT2H15M"
+    );
+    expect(toISODuration("P1Y2M3W4DT5H6M7.5S")).toBe("P1Y2M25DT5H6M7.5S");
+    expect(toISODuration(0)).toBe("PT0S");
+    expect(toISODuration("invalid")).toBe("");
+  });
+
+  test("负的时长只在开头输出一个负号", () => {
+    expect(toISODuration(-90061001)).toBe("-P1DT1H1M1.001S");
+    expect(toISODuration({ hours: -1, minutes: -30 })).toBe("-PT1H30M");
+  });
+
+  test("符号不一致的字段先合计再拆分", () => {
+    expect(toISODuration({ hours: 1, minutes: -30 })).toBe("PT30M");
+    expect(toISODuration({ hours: -1, minutes: 30 })).toBe("-PT30M");
+    expect(toISODuration({ years: 1, months: -13 })).toBe("-P1M");
+    expect(toISODuration({ months: 1, days: -1 })).toBe("P29D");
+  });
+
+  test("与 duration 往返一致", () => {
+    ["P3DT2H", "-P1Y2M", "PT0.5S", "P1Y2M3DT4H5M6S"].forEach((iso) => {
+      expect(toISODuration(duration(iso))).toBe(iso);
+    });
+  });
+});
+
+describe("add / subtract 时长", () => {
+  test("从大单位到小单位依次累加，月末自动截断", () => {
+    expect(
+      format(add("2024-01-31 08:00", duration("P1MT2H")), "YYYY-MM-DD HH:mm")
+    ).toBe("2024-02-29 10:00");
+    expect(format(subtract("2024-03-01", duration("P1D")), "YYYY-MM-DD")).toBe(
+      "2024-02-29"
+    );
+  });
+});
@@ -0,0 +1,81 @@
+import {
+  format,
+  startOf,
+  endOf,
+  add,
+  diff,
+  getQuarter,
+  getHalfYear,
+  getFiscalYear,
+  getFiscalQuarter,
+  setFiscalYearStart,
+} from "../../src/index.js";
+
+const day = (date) => format(date, "YYYY-MM-DD");
+
+afterEach(() => setFiscalYearStart(1));
+
+describe("季度和半年", () => {
+  test("startOf / endOf", () => {
+    expect(day(startOf("2024-08-15", "quarter"))).toBe("2024-07-01");
+    expect(day(endOf("2024-08-15", "quarter"))).toBe("2024-09-30");
+    expect(day(startOf("2024-08-15", "halfYear"))).toBe("2024-07-01");
+    expect(
+      format(endOf("2024-03-15", "halfYear"), "YYYY-MM-DD HH:mm:ss")
+    ).toBe("2024-06-30 23:59:59");
+  });
+
+  test("add 时月末自动截断", () => {
+    expect(day(add("2024-01-31", 1, "quarter"))).toBe("2024-04-30");
+    expect(day(add("2024-08-31", 1, "halfYear"))).toBe("2025-02-28");
+    expect(day(add("2024-05-15", -2, "quarter"))).toBe("2023-11-15");
+  });
+
+  test("diff 按自然季度和半年计算", () => {
+    expect(diff("2024-03-31", "2024-04-01", "quarter")).toBe(1);
+    expect(diff("2024-01-01", "2024-12-31", "halfYear")).toBe(1);
+  });
+
+  test("getQuarter / getHalfYear", () => {
+    expect(getQuarter("2024-08-15")).toBe(3);
+    expect(getHalfYear("2024-08-15")).toBe(2);
+    expect(getHalfYear("2024-06-30")).toBe(1);
+  });
+});
+
+describe("财年", () => {
+  test("默认与自然年相同", () => {
+    expect(getFiscalYear("2025-03-31")).toBe(2025);
+    expect(getFiscalQuarter("2025-03-31")).toBe(1);
+    expect(day(startOf("2025-03-31", "fiscalYear"))).toBe("2025-01-01");
+  });
+
+  test("fiscalYearStart 选项，财年以开始的年份命名", () => {
+    const options = { fiscalYearStart: 4 };
+    expect(getFiscalYear("2025-03-31", options)).toBe(2024);
+    expect(getFiscalYear("2025-04-01", options)).toBe(2025);
+    expect(getFiscalQuarter("2024-04-01", options)).toBe(1);
+    expect(getFiscalQuarter("2024-10-01", options)).toBe(3);
+    expect(day(startOf("2025-03-31", "fiscalYear", options))).toBe(
+      "2024-04-01"
+    );
+    expect(day(endOf("2024-05-01", "fiscalYear", options))).toBe("2025-03-31");
+    expect(diff("2025-03-31", "2025-04-01", "fiscalYear", options)).toBe(1);
+  });
+
+  test("setFiscalYearStart 设置全局的财年起始月份，忽略无效的值", () => {
+    expect(setFiscalYearStart(4)).toBe(4);
+    expect(setFiscalYearStart(13)).toBe(4);
+    expect(day(startOf("2025-03-31", "fiscalYear"))).toBe("2024-04-01");
+    expect(getFiscalYear("2025-03-31", { fiscalYearStart: 1 })).toBe(2025);
+  });
+
+  test("FY、FQ 和 Q 占位符", () => {
+    setFiscalYearStart(4);
+    expect(format("2025-03-31", "[FY]FY [Q]FQ")).toBe("FY2024 Q4");
+    expect(format("2025-03-31", "YYYY年第Q季度")).toBe("2025年第1季度");
+    expect(format("2025-03-31", "[FY]FY", { fiscalYearStart: 1 })).toBe(
+      "FY2025"
+    );
+  });
+});
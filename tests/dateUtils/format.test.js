@@ -0,0 +1,94 @@
+import { format, formatToParts, su, dateUtils } from "../../src/index.js";
+
+const date = "2024-03-05 14:07:09.045";
+
+describe("format 占位符", () => {
+  test("不补零的单字母占位符和两位年份", () => {
+    expect(
+      format("2024-03-05 09:07:03", "YY/M/D H:m:s h a", { locale: "en-US" })
+    ).toBe("24/3/5 9:7:3 9 am");
+  });
+
+  test("毫秒和时间戳", () => {
+    expect(format(date, "SSS SS S")).toBe("045 04 0");
+    expect(format(date, "X")).toBe(
+      String(Math.floor(new Date(2024, 2, 5, 14, 7, 9, 45).getTime() / 1000))
+    );
+    expect(format(date, "x")).toBe(
+      String(new Date(2024, 2, 5, 14, 7, 9, 45).getTime())
+    );
+  });
+
+  test("预设格式", () => {
+    expect(format(date, "datetime")).toBe("2024-03-05 14:07:09");
+    expect(format(date, "date")).toBe("2024-03-05");
+    expect(format(date, "time")).toBe("14:07:09");
+    expect(format(date, "iso")).toBe("2024-03-05T14:07:09.045+08:00");
+  });
+});
+
+describe("formatToParts", () => {
+  test("按占位符分段，普通文本没有 token", () => {
+    expect(formatToParts("2024-03-05", "YYYY年M月")).toEqual([
+      { type: "year", value: "2024", token: "YYYY" },
+      { type: "literal", value: "年" },
+      { type: "month", value: "3", token: "M" },
+      { type: "literal", value: "月" },
+    ]);
+  });
+
+  test("各类分段的 type", () => {
+    const parts = formatToParts(date, "[Q]Q dddd A h:mm:ss.SSS Z", {
+      locale: "en-US",
+    });
+    expect(
+      parts
+        .filter((part) => part.type !== "literal")
+        .map((part) => `${part.type}:${part.value}`)
+    ).toEqual([
+      "quarter:1",
+      "weekday:Tuesday",
+      "dayPeriod:PM",
+      "hour:2",
+      "minute:07",
+      "second:09",
+      "fractionalSecond:045",
+      "timeZoneName:+08:00",
+    ]);
+    expect(formatToParts("2024-12-30", "GGGG-[W]WW")).toEqual([
+      { type: "weekYear", value: "2025", token: "GGGG" },
+      { type: "literal", value: "-W" },
+      { type: "week", value: "01", token: "WW" },
+    ]);
+    expect(
+      formatToParts("2024-02-10", "LY LM").map((part) => part.type)
+    ).toEqual(["lunar", "literal", "lunar"]);
+  });
+
+  test("拼接后与 format 一致", () => {
+    const template = "YYYY-MM-DD dddd HH:mm:ss [FY]FY";
+    expect(
+      formatToParts(date, template)
+        .map((part) => part.value)
+        .join("")
+    ).toBe(format(date, template));
+  });
+
+  test("日期或时区无效时返回空数组", () => {
+    expect(formatToParts("invalid")).toEqual([]);
+    expect(
+      formatToParts(date, "YYYY", { timeZone: "Mars/Olympus" })
+    ).toEqual([]);
+  });
+
+  test("可以通过 dateUtils 和 su 调用", () => {
+    expect(dateUtils.formatToParts(date, "HH")).toEqual([
+      { type: "hour", value: "14", token: "HH" },
+    ]);
+    expect(su("2024-03-05 09:07").formatToParts("HH:mm")).toEqual([
+      { type: "hour", value: "09", token: "HH" },
+      { type: "literal", value: ":" },
+      { type: "minute", value: "07", token: "mm" },
+    ]);
+  });
+});
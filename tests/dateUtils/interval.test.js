@@ -0,0 +1,145 @@
+import {
+  format,
+  overlaps,
+  intersect,
+  mergeIntervals,
+  union,
+  subtractIntervals,
+  splitBy,
+  getBusinessDuration,
+} from "../../src/index.js";
+
+const HOUR = 60 * 60 * 1000;
+const time = ({ start, end }) =>
+  `${format(start, "MM-DD HH:mm")}~${format(end, "MM-DD HH:mm")}`;
+const at = (hm) => `2024-03-01 ${hm}`;
+const range = (from, to) => ({ start: at(from), end: at(to) });
+
+describe("overlaps / intersect", () => {
+  test("首尾相接不算重叠", () => {
+    expect(overlaps(range("09:00", "10:00"), range("09:30", "11:00"))).toBe(
+      true
+    );
+    expect(overlaps(range("09:00", "10:00"), range("10:00", "11:00"))).toBe(
+      false
+    );
+  });
+
+  test("交集", () => {
+    expect(
+      time(intersect(range("10:00", "12:00"), range("11:00", "13:00")))
+    ).toBe("03-01 11:00~03-01 12:00");
+    expect(intersect(range("09:00", "10:00"), range("10:00", "11:00"))).toBe(
+      null
+    );
+  });
+});
+
+describe("mergeIntervals / union", () => {
+  test("合并重叠和首尾相接的时间段，忽略无效的时间段", () => {
+    const merged = mergeIntervals([
+      range("13:00", "14:00"),
+      range("10:00", "12:00"),
+      range("11:00", "13:00"),
+      range("15:00", "16:00"),
+      { start: "invalid", end: at("10:00") },
+    ]);
+    expect(merged.map(time)).toEqual([
+      "03-01 10:00~03-01 14:00",
+      "03-01 15:00~03-01 16:00",
+    ]);
+  });
+
+  test("union 同 mergeIntervals", () => {
+    expect(
+      union(range("10:00", "12:00"), range("11:00", "13:00")).map(time)
+    ).toEqual(["03-01 10:00~03-01 13:00"]);
+  });
+});
+
+describe("subtractIntervals", () => {
+  test("查找空闲时间", () => {
+    const free = subtractIntervals(range("09:00", "18:00"), [
+      range("10:00", "12:00"),
+      range("11:00", "13:00"),
+      range("17:30", "19:00"),
+    ]);
+    expect(free.map(time)).toEqual([
+      "03-01 09:00~03-01 10:00",
+      "03-01 13:00~03-01 17:30",
+    ]);
+  });
+});
+
+describe("splitBy", () => {
+  test("按天拆分后每段都不跨天", () => {
+    const parts = splitBy(
+      { start: "2024-03-01 20:00", end: "2024-03-03 10:00" },
+      "day"
+    );
+    expect(parts.map(time)).toEqual([
+      "03-01 20:00~03-02 00:00",
+      "03-02 00:00~03-03 00:00",
+      "03-03 00:00~03-03 10:00",
+    ]);
+  });
+
+  test("按周拆分时使用 weekStartsOn", () => {
+    const parts = splitBy(
+      { start: "2024-03-01", end: "2024-03-12" },
+      "week",
+      { weekStartsOn: 1 }
+    );
+    expect(parts.map(time)).toEqual([
+      "03-01 00:00~03-04 00:00",
+      "03-04 00:00~03-11 00:00",
+      "03-11 00:00~03-12 00:00",
+    ]);
+  });
+});
+
+describe("getBusinessDuration", () => {
+  test("只统计工作日的工作时间", () => {
+    const interval = { start: "2024-03-01 17:00", end: "2024-03-04 10:00" };
+    expect(getBusinessDuration(interval)).toBe(2 * HOUR);
+  });
+
+  test("多段工作时间", () => {
+    expect(
+      getBusinessDuration(range("08:00", "20:00"), {
+        hours: [
+          ["09:00", "12:00"],
+          ["13:00", "18:00"],
+        ],
+      })
+    ).toBe(8 * HOUR);
+  });
+
+  test("跨过午夜的工作时间算作开始那天", () => {
+    const options = { hours: ["22:00", "06:00"] };
+    // 03-03 是周日，周日开始的夜班不计入
+    const interval = { start: "2024-03-04 00:00", end: "2024-03-06 00:00" };
+    expect(getBusinessDuration(interval, options)).toBe(10 * HOUR);
+    expect(
+      getBusinessDuration(interval, { ...options, workdaysOnly: false })
+    ).toBe(16 * HOUR);
+    expect(
+      getBusinessDuration(
+        { start: "2024-03-05 02:00", end: "2024-03-05 23:00" },
+        options
+      )
+    ).toBe(5 * HOUR);
+  });
+
+  test("跳过节假日，调休上班日计入", () => {
+    // 2024-02-10 至 02-17 春节放假，02-18（周日）调休上班
+    const interval = { start: "2024-02-09 00:00", end: "2024-02-19 00:00" };
+    expect(getBusinessDuration(interval)).toBe(18 * HOUR);
+    expect(
+      getBusinessDuration(
+        { start: "2024-02-10 00:00", end: "2024-02-11 00:00" },
+        { workdaysOnly: false }
+      )
+    ).toBe(9 * HOUR);
+  });
+});
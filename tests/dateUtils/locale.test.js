@@ -0,0 +1,89 @@
+import {
+  format,
+  relativeTime,
+  registerLocale,
+  setLocale,
+  getLocale,
+} from "../../src/index.js";
+
+const date = new Date(2024, 2, 5, 14, 30, 0);
+
+afterEach(() => setLocale("zh-CN"));
+
+describe("format 语言包", () => {
+  test("内置语言的星期、月份、上下午和序数词", () => {
+    const template = "dddd ddd dd MMMM MMM A Do";
+    expect(format(date, template)).toBe("星期二 周二 二 三月 3月 下午 5日");
+    expect(format(date, template, { locale: "en-US" })).toBe(
+      "Tuesday Tue Tu March Mar PM 5th"
+    );
+    expect(format(date, template, { locale: "ja-JP" })).toBe(
+      "火曜日 火 火 3月 3月 午後 5日"
+    );
+  });
+
+  test("a 为小写的上下午", () => {
+    expect(format(date, "a", { locale: "en-US" })).toBe("pm");
+  });
+
+  test("只给出语言部分时匹配同语言的语言包", () => {
+    expect(format(date, "dddd", { locale: "en" })).toBe("Tuesday");
+    expect(getLocale("ja").name).toBe("ja-JP");
+  });
+
+  test("setLocale 设置全局默认语言，未注册的语言被忽略", () => {
+    expect(setLocale("en-US")).toBe("en-US");
+    expect(format(date, "dddd")).toBe("Tuesday");
+    expect(setLocale("xx-XX")).toBe("en-US");
+    expect(format(date, "dddd", { locale: "zh-CN" })).toBe("星期二");
+  });
+});
+
+describe("relativeTime 语言包", () => {
+  test("过去和将来的短语", () => {
+    const past = new Date(2024, 2, 5, 12, 30);
+    const future = new Date(2024, 2, 8, 14, 30);
+    expect(relativeTime(past, date)).toBe("2小时前");
+    expect(relativeTime(future, date)).toBe("3天后");
+    expect(relativeTime(past, date, { locale: "en-US" })).toBe("2 hours ago");
+    expect(relativeTime(future, date, { locale: "en-US" })).toBe("in 3 days");
+    expect(relativeTime(past, date, { locale: "ja-JP" })).toBe("2時間前");
+  });
+
+  test("单数短语", () => {
+    const past = new Date(2024, 2, 5, 13, 30);
+    expect(relativeTime(past, date, { locale: "en-US" })).toBe("an hour ago");
+  });
+});
+
+describe("registerLocale", () => {
+  test("只提供部分字段时其余字段使用默认语言包", () => {
+    registerLocale("fr-FR", {
+      weekdays: [
+        "dimanche",
+        "lundi",
+        "mardi",
+        "mercredi",
+        "jeudi",
+        "vendredi",
+        "samedi",
+      ],
+      relativeTime: { past: "il y a %s" },
+    });
+    expect(() =>
+      format(date, "dddd MMMM A", { locale: "fr-FR" })
+    ).not.toThrow();
+    expect(format(date, "dddd MMMM", { locale: "fr-FR" })).toBe("mardi 三月");
+    expect(
+      relativeTime(new Date(2024, 2, 5, 12, 30), date, { locale: "fr-FR" })
+    ).toBe("il y a 2小时");
+  });
+
+  test("注册的语言包不继承 calendar 短语", () => {
+    const pack = registerLocale("de-DE", {
+      weekdays: getLocale("en-US").weekdays,
+    });
+    expect(pack.name).toBe("de-DE");
+    expect(pack.calendar).toBeUndefined();
+  });
+});
@@ -0,0 +1,166 @@
+import {
+  format,
+  toLunar,
+  fromLunar,
+  getSolarTerms,
+  getSolarTerm,
+  getTraditionalFestivals,
+  getTraditionalFestivalDate,
+} from "../../src/index.js";
+
+const day = (date) => format(date, "YYYY-MM-DD");
+
+describe("农历转换", () => {
+  test("公历转农历，包含干支、生肖和节日", () => {
+    expect(toLunar("2024-02-10")).toEqual({
+      year: 2024,
+      month: 1,
+      day: 1,
+      isLeap: false,
+      ganZhiYear: "甲辰",
+      zodiac: "龙",
+      monthName: "正月",
+      dayName: "初一",
+      solarTerm: "",
+      festivals: ["春节"],
+    });
+    expect(toLunar("1949-10-01")).toMatchObject({
+      year: 1949,
+      month: 8,
+      day: 10,
+      ganZhiYear: "己丑",
+      zodiac: "牛",
+    });
+  });
+
+  test("识别闰月", () => {
+    expect(toLunar("2020-05-23")).toMatchObject({
+      month: 4,
+      day: 1,
+      isLeap: true,
+      monthName: "闰四月",
+    });
+    expect(toLunar("2033-12-22")).toMatchObject({
+      year: 2033,
+      month: 11,
+      isLeap: true,
+      monthName: "闰冬月",
+    });
+  });
+
+  test("农历转公历", () => {
+    expect(day(fromLunar(2024, 8, 15))).toBe("2024-09-17");
+    expect(day(fromLunar(2023, 2, 1, true))).toBe("2023-03-22");
+    expect(day(fromLunar(2023, 2, 1))).toBe("2023-02-20");
+  });
+
+  test("不存在的农历日期返回 null", () => {
+    expect(fromLunar(2024, 2, 1, true)).toBeNull();
+    expect(fromLunar(2024, 1, 31)).toBeNull();
+    expect(fromLunar(1899, 1, 1)).toBeNull();
+    expect(fromLunar(2101, 1, 1)).toBeNull();
+  });
+
+  test("覆盖 1900-2100 年的范围", () => {
+    expect(toLunar("1900-01-30")).toBeNull();
+    expect(toLunar("1900-01-31")).toMatchObject({
+      year: 1900,
+      month: 1,
+      day: 1,
+      ganZhiYear: "庚子",
+    });
+    expect(toLunar("2100-02-09")).toMatchObject({
+      year: 2100,
+      month: 1,
+      day: 1,
+      ganZhiYear: "庚申",
+    });
+    expect(toLunar("invalid")).toBeNull();
+    expect(toLunar("2024-02-10", { timeZone: "Mars/Olympus" })).toBeNull();
+  });
+
+  test("公历与农历往返一致", () => {
+    const step = 97 * 24 * 60 * 60 * 1000;
+    for (let t = Date.UTC(1900, 1, 1); t < Date.UTC(2100, 11, 1); t += step) {
+      const date = new Date(t);
+      const lunar = toLunar(date);
+      const back = fromLunar(lunar.year, lunar.month, lunar.day, lunar.isLeap);
+      expect(day(back)).toBe(day(date));
+    }
+  });
+});
+
+describe("节气", () => {
+  test("一年 24 个节气，从小寒到冬至", () => {
+    const terms = getSolarTerms(2024);
+    expect(terms).toHaveLength(24);
+    expect(
+      terms.map(({ name, date }) => `${name}${format(date, "MMDD")}`)
+    ).toEqual([
+      "小寒0106",
+      "大寒0120",
+      "立春0204",
+      "雨水0219",
+      "惊蛰0305",
+      "春分0320",
+      "清明0404",
+      "谷雨0419",
+      "立夏0505",
+      "小满0520",
+      "芒种0605",
+      "夏至0621",
+      "小暑0706",
+      "大暑0722",
+      "立秋0807",
+      "处暑0822",
+      "白露0907",
+      "秋分0922",
+      "寒露1008",
+      "霜降1023",
+      "立冬1107",
+      "小雪1122",
+      "大雪1206",
+      "冬至1221",
+    ]);
+  });
+
+  test("获取日期对应的节气", () => {
+    expect(getSolarTerm("2024-04-04")).toBe("清明");
+    expect(getSolarTerm("2024-04-05")).toBe("");
+    expect(toLunar("2024-12-21").solarTerm).toBe("冬至");
+  });
+});
+
+describe("传统节日", () => {
+  test("获取节日在公历年中的日期", () => {
+    expect(day(getTraditionalFestivalDate("春节", 2024))).toBe("2024-02-10");
+    expect(day(getTraditionalFestivalDate("端午节", 2024))).toBe("2024-06-10");
+    expect(day(getTraditionalFestivalDate("中秋节", 2024))).toBe("2024-09-17");
+    expect(day(getTraditionalFestivalDate("清明节", 2024))).toBe("2024-04-04");
+    expect(day(getTraditionalFestivalDate("腊八节", 2024))).toBe("2024-01-18");
+    expect(getTraditionalFestivalDate("不存在的节日", 2024)).toBeNull();
+  });
+
+  test("除夕为腊月最后一天，小月时为廿九", () => {
+    expect(day(getTraditionalFestivalDate("除夕", 2024))).toBe("2024-02-09");
+    expect(day(getTraditionalFestivalDate("除夕", 2025))).toBe("2025-01-28");
+    expect(toLunar("2025-01-28").day).toBe(29);
+  });
+
+  test("获取某天的传统节日", () => {
+    expect(getTraditionalFestivals("2024-02-09")).toEqual(["除夕"]);
+    expect(getTraditionalFestivals("2024-06-10")).toEqual(["端午节"]);
+    expect(getTraditionalFestivals("2024-03-01")).toEqual([]);
+  });
+});
+
+describe("农历格式化", () => {
+  test("输出干支、生肖、月日、节气和节日", () => {
+    expect(format("2024-02-10", "LY年（LZ） LMLD")).toBe(
+      "甲辰年（龙） 正月初一"
+    );
+    expect(format("2023-03-22", "LMLD")).toBe("闰二月初一");
+    expect(format("2024-04-04", "LJ|LF")).toBe("清明|清明节");
+    expect(format("2024-04-05", "[节气]LJ")).toBe("节气");
+  });
+});
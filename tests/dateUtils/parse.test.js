@@ -0,0 +1,60 @@
+import { parse, format } from "../../src/index.js";
+
+describe("parse", () => {
+  test("按模板解析中文和日/月/年格式", () => {
+    expect(parse("2024年03月05日 14:30", "YYYY年MM月DD日 HH:mm")).toEqual(
+      new Date(2024, 2, 5, 14, 30)
+    );
+    expect(parse("05/03/2024", "DD/MM/YYYY")).toEqual(new Date(2024, 2, 5));
+  });
+
+  test("支持 [] 转义的文本", () => {
+    expect(parse("2024-03-05T08:09", "YYYY-MM-DD[T]HH:mm")).toEqual(
+      new Date(2024, 2, 5, 8, 9)
+    );
+  });
+
+  test("支持语言包中的月份名称和上下午", () => {
+    expect(
+      parse("March 5, 2024 2:30 PM", "MMMM DD, YYYY hh:mm A", {
+        locale: "en-US",
+      })
+    ).toEqual(new Date(2024, 2, 5, 14, 30));
+  });
+
+  test("支持不补零的单字母占位符", () => {
+    expect(
+      parse("March 5, 2024 2:30 PM", "MMMM D, YYYY h:mm A", {
+        locale: "en-US",
+      })
+    ).toEqual(new Date(2024, 2, 5, 14, 30));
+    expect(parse("24/3/5 9:7:3", "YY/M/D H:m:s")).toEqual(
+      new Date(2024, 2, 5, 9, 7, 3)
+    );
+  });
+
+  test("输入与模板不符或日期无效时返回 null", () => {
+    expect(parse("2024/13/01", "YYYY/MM/DD")).toBeNull();
+    expect(parse("2023-02-29", "YYYY-MM-DD")).toBeNull();
+    expect(parse("abc", "YYYY-MM-DD")).toBeNull();
+    expect(parse(20240305, "YYYYMMDD")).toBeNull();
+  });
+
+  test("严格模式要求位数和分隔符与模板一致", () => {
+    expect(parse("2024-3-5", "YYYY-MM-DD")).toEqual(new Date(2024, 2, 5));
+    expect(parse("2024-3-5", "YYYY-MM-DD", { strict: true })).toBeNull();
+    expect(parse("2024/03/05", "YYYY-MM-DD", { strict: true })).toBeNull();
+  });
+
+  test("与 format 往返一致", () => {
+    const date = new Date(2024, 10, 9, 7, 6, 5);
+    const template = "YYYY年MM月DD日 HH时mm分ss秒";
+    expect(parse(format(date, template), template)).toEqual(date);
+  });
+
+  test("按指定时区解释输入", () => {
+    expect(
+      parse("2024-03-05 00:00", "YYYY-MM-DD HH:mm", { timeZone: "UTC" })
+    ).toEqual(new Date(Date.UTC(2024, 2, 5)));
+  });
+});
@@ -0,0 +1,207 @@
+import {
+  format,
+  parseRRule,
+  stringifyRRule,
+  expandRRule,
+} from "../../src/index.js";
+
+const times = (dates) => dates.map((d) => format(d, "YYYY-MM-DD HH:mm"));
+const days = (dates) => dates.map((d) => format(d, "YYYY-MM-DD"));
+
+describe("parseRRule", () => {
+  test("解析规则和 BYDAY 的序号", () => {
+    expect(parseRRule("RRULE:FREQ=MONTHLY;BYDAY=2MO;COUNT=3")).toEqual({
+      freq: "MONTHLY",
+      interval: 1,
+      count: 3,
+      until: null,
+      byDay: [{ weekday: 1, n: 2 }],
+      byMonthDay: [],
+      byMonth: [],
+      bySetPos: [],
+      weekStart: 1,
+      dtStart: null,
+      exDates: [],
+      timeZone: null,
+    });
+  });
+
+  test("解析 DTSTART、EXDATE 和 TZID", () => {
+    const rule = parseRRule(
+      "DTSTART;TZID=America/New_York:20240309T090000\nEXDATE;TZID=America/New_York:20240310T090000\nRRULE:FREQ=DAILY"
+    );
+    expect(rule.timeZone).toBe("America/New_York");
+    expect(rule.dtStart.toISOString()).toBe("2024-03-09T14:00:00.000Z");
+    expect(rule.exDates.map((d) => d.toISOString())).toEqual([
+      "2024-03-10T13:00:00.000Z",
+    ]);
+  });
+
+  test("不合法或包含不支持的字段时返回 null", () => {
+    expect(parseRRule("FREQ=DAILY;FOO=1")).toBeNull();
+    expect(parseRRule("FREQ=DAILY;COUNT=0")).toBeNull();
+    expect(parseRRule("FREQ=FORTNIGHTLY")).toBeNull();
+    expect(parseRRule("")).toBeNull();
+    expect(
+      parseRRule("DTSTART;TZID=Mars/Olympus:20240309T090000\nRRULE:FREQ=DAILY")
+    ).toBeNull();
+  });
+});
+
+describe("stringifyRRule", () => {
+  test("序列化规则对象，byDay 可以写成字符串", () => {
+    expect(
+      stringifyRRule({ freq: "weekly", byDay: ["MO", "WE"], count: 10 })
+    ).toBe("RRULE:FREQ=WEEKLY;COUNT=10;BYDAY=MO,WE");
+    expect(stringifyRRule("FREQ=DAILY;INTERVAL=2")).toBe(
+      "RRULE:FREQ=DAILY;INTERVAL=2"
+    );
+  });
+
+  test("与 parseRRule 往返一致", () => {
+    const text = "RRULE:FREQ=MONTHLY;COUNT=3;BYDAY=-1FR";
+    expect(stringifyRRule(parseRRule(text))).toBe(text);
+  });
+
+  test("规则不合法时返回空字符串", () => {
+    expect(stringifyRRule({ freq: "x" })).toBe("");
+  });
+});
+
+describe("expandRRule", () => {
+  test("每月最后一个周五", () => {
+    expect(
+      days(expandRRule("FREQ=MONTHLY;BYDAY=-1FR", "2024-01-01", "2024-03-31"))
+    ).toEqual(["2024-01-26", "2024-02-23", "2024-03-29"]);
+  });
+
+  test("INTERVAL 和 COUNT", () => {
+    expect(
+      days(
+        expandRRule("FREQ=DAILY;INTERVAL=2;COUNT=3", "2024-03-01", "2024-03-31")
+      )
+    ).toEqual(["2024-03-01", "2024-03-03", "2024-03-05"]);
+  });
+
+  test("BYMONTHDAY 跳过没有该日的月份", () => {
+    expect(
+      days(
+        expandRRule("FREQ=MONTHLY;BYMONTHDAY=31", "2024-01-01", "2024-06-30")
+      )
+    ).toEqual(["2024-01-31", "2024-03-31", "2024-05-31"]);
+    expect(
+      days(
+        expandRRule(
+          "FREQ=YEARLY;BYMONTH=2;BYMONTHDAY=29",
+          "2024-01-01",
+          "2032-12-31"
+        )
+      )
+    ).toEqual(["2024-02-29", "2028-02-29", "2032-02-29"]);
+  });
+
+  test("BYSETPOS 取每月最后一个工作日", () => {
+    expect(
+      days(
+        expandRRule(
+          "FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1",
+          "2024-01-01",
+          "2024-03-31"
+        )
+      )
+    ).toEqual(["2024-01-31", "2024-02-29", "2024-03-29"]);
+  });
+
+  test("EXDATE 在计数后排除，不会顺延", () => {
+    expect(
+      times(
+        expandRRule(
+          "DTSTART:20240101T090000\nEXDATE:20240103T090000\nRRULE:FREQ=DAILY;COUNT=4",
+          "2024-01-01",
+          "2024-01-31"
+        )
+      )
+    ).toEqual(["2024-01-01 09:00", "2024-01-02 09:00", "2024-01-04 09:00"]);
+  });
+
+  test("workdaysOnly 排除节假日", () => {
+    const dates = expandRRule(
+      "DTSTART:20240101T093000\nRRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10",
+      "2024-01-01",
+      "2024-12-31",
+      { workdaysOnly: true }
+    );
+    // 2024-01-01 是元旦
+    expect(dates).toHaveLength(9);
+    expect(times(dates)[0]).toBe("2024-01-03 09:30");
+  });
+
+  test("UNTIL 包含截止时间", () => {
+    expect(
+      days(
+        expandRRule(
+          "FREQ=DAILY;UNTIL=20240105T000000Z",
+          "2024-01-01",
+          "2024-01-31"
+        )
+      )
+    ).toEqual([
+      "2024-01-01",
+      "2024-01-02",
+      "2024-01-03",
+      "2024-01-04",
+      "2024-01-05",
+    ]);
+  });
+
+  test("按 TZID 的当地时间重复，跨夏令时保持当地时间", () => {
+    const dates = expandRRule(
+      "DTSTART;TZID=America/New_York:20240309T090000\nRRULE:FREQ=DAILY;COUNT=2",
+      "2024-03-09",
+      "2024-03-12"
+    );
+    expect(dates.map((d) => d.toISOString())).toEqual([
+      "2024-03-09T14:00:00.000Z",
+      "2024-03-10T13:00:00.000Z",
+    ]);
+  });
+
+  test("DTSTART 很早时直接从查询范围所在的周期开始", () => {
+    const seconds = expandRRule(
+      "DTSTART:20000101T000000\nRRULE:FREQ=SECONDLY;INTERVAL=15",
+      "2024-03-01",
+      "2024-03-01"
+    );
+    expect(seconds).toHaveLength(4 * 60 * 24);
+    expect(format(seconds[0], "YYYY-MM-DD HH:mm:ss")).toBe(
+      "2024-03-01 00:00:00"
+    );
+    expect(
+      days(
+        expandRRule(
+          "DTSTART:20000103T090000\nRRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO",
+          "2024-03-01",
+          "2024-03-31"
+        )
+      )
+    ).toEqual(["2024-03-11", "2024-03-25"]);
+    expect(
+      days(
+        expandRRule(
+          "DTSTART:20000115T090000\nRRULE:FREQ=MONTHLY;INTERVAL=5",
+          "2024-01-01",
+          "2024-12-31"
+        )
+      )
+    ).toEqual(["2024-03-15", "2024-08-15"]);
+  });
+
+  test("规则或时区无效时返回空数组", () => {
+    expect(expandRRule("FREQ=NEVER", "2024-01-01", "2024-01-31")).toEqual([]);
+    expect(
+      expandRRule("FREQ=DAILY", "2024-01-01", "2024-01-02", {
+        timeZone: "Mars/Olympus",
+      })
+    ).toEqual([]);
+  });
+});
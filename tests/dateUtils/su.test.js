@@ -0,0 +1,65 @@
+import { su, format, add, dateUtils } from "../../src/index.js";
+
+describe("su", () => {
+  test("链式调用，返回 Date 的方法返回新的 su 对象", () => {
+    expect(su("2024-01-31").add(1, "month").format("YYYY-MM-DD")).toBe(
+      "2024-02-29"
+    );
+    expect(
+      su("2024-03-13 10:30")
+        .startOf("week", { weekStartsOn: 1 })
+        .add(2, "day")
+        .format("YYYY-MM-DD HH:mm")
+    ).toBe("2024-03-13 00:00");
+    expect(su("2024-03-16").isWeekend()).toBe(true);
+  });
+
+  test("不会修改传入的日期", () => {
+    const date = new Date(2024, 0, 31);
+    const wrapped = su(date);
+    wrapped.add(1, "month");
+    date.setFullYear(2000);
+    expect(wrapped.format("YYYY-MM-DD")).toBe("2024-01-31");
+    expect(Object.isFrozen(wrapped)).toBe(true);
+
+    const copy = wrapped.toDate();
+    copy.setFullYear(2000);
+    expect(wrapped.toDate().getFullYear()).toBe(2024);
+  });
+
+  test("add 不修改传入的日期，月末自动取当月最后一天", () => {
+    const date = new Date(2024, 0, 31);
+    expect(format(add(date, 1, "month"), "YYYY-MM-DD")).toBe("2024-02-29");
+    expect(format(add(date, 1, "year"), "YYYY-MM-DD")).toBe("2025-01-31");
+    expect(format(add("2024-02-29", 1, "year"), "YYYY-MM-DD")).toBe(
+      "2025-02-28"
+    );
+    expect(format(date, "YYYY-MM-DD")).toBe("2024-01-31");
+  });
+
+  test("按模板解析，也可以包装另一个 su 对象", () => {
+    const wrapped = su("15/03/2024", "DD/MM/YYYY");
+    expect(wrapped.format("YYYY-MM-DD")).toBe("2024-03-15");
+    expect(su(wrapped).valueOf()).toBe(wrapped.valueOf());
+    expect(wrapped.clone()).not.toBe(wrapped);
+    expect(su("abc", "YYYY-MM-DD").isValidDate()).toBe(false);
+  });
+
+  test("toJSON 和 valueOf", () => {
+    const wrapped = su(new Date(Date.UTC(2024, 2, 15)));
+    expect(JSON.stringify({ date: wrapped })).toBe(
+      '{"date":"2024-03-15T00:00:00.000Z"}'
+    );
+    expect(su("invalid").toJSON()).toBeNull();
+    expect(+su("2024-03-15")).toBe(new Date(2024, 2, 15).getTime());
+  });
+
+  test("不以日期为第一个参数的函数不会成为方法", () => {
+    const wrapped = su("2024-03-15");
+    expect(wrapped.parse).toBeUndefined();
+    expect(wrapped.isValidTimeZone).toBeUndefined();
+    expect(wrapped.getHolidayYears).toBeUndefined();
+    expect(typeof wrapped.getISOWeek).toBe("function");
+    expect(Object.keys(dateUtils)).toContain("su");
+  });
+});
@@ -0,0 +1,89 @@
+import {
+  format,
+  startOf,
+  endOf,
+  add,
+  isToday,
+  parse,
+  getTimeZoneOffset,
+  isValidTimeZone,
+  dateUtils,
+} from "../../src/index.js";
+
+// 2024-03-10 07:30 UTC：纽约当天 03:30 刚切换到夏令时
+const instant = new Date("2024-03-10T07:30:00Z");
+
+describe("时区", () => {
+  test("format 按指定时区输出字段和偏移", () => {
+    expect(
+      format(instant, "YYYY-MM-DD HH:mm Z", { timeZone: "Asia/Shanghai" })
+    ).toBe("2024-03-10 15:30 +08:00");
+    expect(
+      format(instant, "YYYY-MM-DD HH:mm ZZ", { timeZone: "America/New_York" })
+    ).toBe("2024-03-10 03:30 -0400");
+    expect(format(instant, "HH:mm Z", { timeZone: "UTC" })).toBe(
+      "07:30 +00:00"
+    );
+  });
+
+  test("startOf / endOf 按时区的日历计算", () => {
+    expect(startOf(instant, "day", { timeZone: "UTC" }).toISOString()).toBe(
+      "2024-03-10T00:00:00.000Z"
+    );
+    expect(
+      startOf(instant, "day", { timeZone: "America/New_York" }).toISOString()
+    ).toBe("2024-03-10T05:00:00.000Z");
+    expect(
+      endOf(instant, "month", { timeZone: "Asia/Tokyo" }).toISOString()
+    ).toBe("2024-03-31T14:59:59.999Z");
+  });
+
+  test("add 跨夏令时切换时保持当地时间", () => {
+    const before = new Date("2024-03-09T17:00:00Z"); // 纽约 12:00
+    const next = add(before, 1, "day", { timeZone: "America/New_York" });
+    expect(format(next, "MM-DD HH:mm", { timeZone: "America/New_York" })).toBe(
+      "03-10 12:00"
+    );
+    expect(next.getTime() - before.getTime()).toBe(23 * 60 * 60 * 1000);
+  });
+
+  test("isToday 按时区判断", () => {
+    const now = new Date();
+    expect(isToday(now, { timeZone: "UTC" })).toBe(true);
+    expect(
+      isToday(new Date(now.getTime() - 2 * 24 * 60 * 60 * 1000), {
+        timeZone: "UTC",
+      })
+    ).toBe(false);
+  });
+
+  test("parse 按指定时区解释字段", () => {
+    expect(
+      parse("2024-03-10 12:00", "YYYY-MM-DD HH:mm", {
+        timeZone: "America/New_York",
+      }).toISOString()
+    ).toBe("2024-03-10T16:00:00.000Z");
+  });
+
+  test("getTimeZoneOffset 返回相对 UTC 的分钟数", () => {
+    expect(getTimeZoneOffset(instant, "Asia/Shanghai")).toBe(480);
+    expect(getTimeZoneOffset(instant, "America/New_York")).toBe(-240);
+    expect(getTimeZoneOffset("2024-01-10", "America/New_York")).toBe(-300);
+    expect(getTimeZoneOffset(instant)).toBe(480);
+  });
+
+  test("无效时区按无效输入处理，不抛出异常", () => {
+    const options = { timeZone: "Mars/Olympus" };
+    expect(isValidTimeZone("Asia/Shanghai")).toBe(true);
+    expect(isValidTimeZone()).toBe(true);
+    expect(isValidTimeZone("Mars/Olympus")).toBe(false);
+    expect(dateUtils.isValidTimeZone("Mars/Olympus")).toBe(false);
+    expect(format(instant, "YYYY-MM-DD", options)).toBe("");
+    expect(startOf(instant, "day", options).getTime()).toBeNaN();
+    expect(endOf(instant, "day", options).getTime()).toBeNaN();
+    expect(add(instant, 1, "month", options).getTime()).toBeNaN();
+    expect(isToday(new Date(), options)).toBe(false);
+    expect(parse("2024-03-10", "YYYY-MM-DD", options)).toBeNull();
+    expect(getTimeZoneOffset(instant, "Mars/Olympus")).toBeNaN();
+  });
+});
@@ -0,0 +1,71 @@
+import {
+  format,
+  startOf,
+  endOf,
+  diff,
+  getWeekOfYear,
+  getISOWeek,
+  getISOWeekYear,
+  setWeekStartsOn,
+} from "../../src/index.js";
+
+const day = (date) => format(date, "YYYY-MM-DD");
+
+afterEach(() => setWeekStartsOn(null));
+
+describe("每周起始日", () => {
+  test("默认周日为一周的第一天", () => {
+    expect(day(startOf("2024-03-13", "week"))).toBe("2024-03-10");
+    expect(day(endOf("2024-03-13", "week"))).toBe("2024-03-16");
+  });
+
+  test("weekStartsOn 选项优先于全局设置", () => {
+    expect(day(startOf("2024-03-10", "week", { weekStartsOn: 1 }))).toBe(
+      "2024-03-04"
+    );
+    expect(day(endOf("2024-03-10", "week", { weekStartsOn: 1 }))).toBe(
+      "2024-03-10"
+    );
+    setWeekStartsOn(1);
+    expect(day(startOf("2024-03-10", "week"))).toBe("2024-03-04");
+    expect(day(startOf("2024-03-10", "week", { weekStartsOn: 0 }))).toBe(
+      "2024-03-10"
+    );
+  });
+
+  test("setWeekStartsOn 忽略无效的值，null 恢复默认", () => {
+    expect(setWeekStartsOn(1)).toBe(1);
+    expect(setWeekStartsOn(7)).toBe(1);
+    expect(setWeekStartsOn(null)).toBeNull();
+  });
+
+  test("getWeekOfYear 按每周起始日计算", () => {
+    // 2024-01-01 是周一
+    expect(getWeekOfYear("2024-01-07")).toBe(2);
+    expect(getWeekOfYear("2024-01-07", { weekStartsOn: 1 })).toBe(1);
+    expect(getWeekOfYear("invalid")).toBe(0);
+  });
+
+  test("diff 的 week 按自然周计算", () => {
+    expect(diff("2024-03-09", "2024-03-11", "week")).toBe(0);
+    expect(diff("2024-03-09", "2024-03-11", "week", { weekStartsOn: 1 })).toBe(
+      1
+    );
+  });
+});
+
+describe("ISO 周", () => {
+  test("包含当年第一个周四的周为第 1 周", () => {
+    expect(getISOWeek("2021-01-03")).toBe(53);
+    expect(getISOWeekYear("2021-01-03")).toBe(2020);
+    expect(getISOWeek("2024-12-30")).toBe(1);
+    expect(getISOWeekYear("2024-12-30")).toBe(2025);
+    expect(getISOWeek("2024-03-10")).toBe(10);
+    expect(getISOWeek("invalid")).toBe(0);
+  });
+
+  test("GGGG、WW 占位符", () => {
+    expect(format("2024-12-30", "GGGG-[W]WW")).toBe("2025-W01");
+    expect(format("2021-01-03", "GGGG-[W]WW")).toBe("2020-W53");
+  });
+});
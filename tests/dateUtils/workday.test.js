@@ -0,0 +1,105 @@
+import {
+  format,
+  isWorkday,
+  isHoliday,
+  getHolidayName,
+  addWorkdays,
+  nextWorkday,
+  prevWorkday,
+  diffWorkdays,
+  getDatesBetween,
+  loadHolidays,
+  getHolidayYears,
+  isValidDate,
+} from "../../src/index.js";
+
+const day = (date) => format(date, "YYYY-MM-DD");
+
+describe("工作日", () => {
+  test("调休上班日是工作日，法定节假日不是", () => {
+    expect(isWorkday("2024-02-04")).toBe(true); // 周日，春节调休
+    expect(isWorkday("2024-02-12")).toBe(false); // 周一，春节假期
+    expect(isHoliday("2024-02-12")).toBe(true);
+    expect(isHoliday("2024-02-04")).toBe(false);
+    expect(isWorkday("2024-03-09")).toBe(false); // 普通周六
+    expect(isWorkday("2024-03-11")).toBe(true);
+    expect(isWorkday("invalid")).toBe(false);
+  });
+
+  test("内置安排覆盖的年份，其他年份只按周末判断", () => {
+    expect(getHolidayYears()).toEqual([2024, 2025, 2026]);
+    expect(isWorkday("2027-02-08")).toBe(true); // 周一，没有 2027 年的安排
+    expect(isWorkday("2027-02-06")).toBe(false);
+  });
+
+  test("获取法定节假日名称", () => {
+    expect(getHolidayName("2024-10-01")).toBe("国庆节");
+    expect(getHolidayName("2025-10-06")).toBe("国庆节、中秋节");
+    expect(getHolidayName("2024-10-08")).toBe("");
+  });
+
+  test("添加工作日时跳过周末和假期，保留时分秒", () => {
+    expect(format(addWorkdays("2024-09-30 09:30", 1), "YYYY-MM-DD HH:mm")).toBe(
+      "2024-10-08 09:30"
+    );
+    expect(day(addWorkdays("2024-10-08", -1))).toBe("2024-09-30");
+    expect(day(addWorkdays("2024-02-08", 0))).toBe("2024-02-08");
+  });
+
+  test("工作日数量不是有限数字时返回无效日期", () => {
+    [NaN, Infinity, -Infinity].forEach((amount) => {
+      expect(isValidDate(addWorkdays("2024-02-08", amount))).toBe(false);
+    });
+  });
+
+  test("上一个和下一个工作日", () => {
+    expect(day(nextWorkday("2024-02-09"))).toBe("2024-02-18");
+    expect(day(prevWorkday("2024-02-18"))).toBe("2024-02-09");
+  });
+
+  test("计算两个日期之间的工作日天数", () => {
+    expect(diffWorkdays("2024-02-08", "2024-02-19")).toBe(3);
+    expect(diffWorkdays("2024-02-19", "2024-02-08")).toBe(-3);
+    expect(diffWorkdays("2024-02-08", "2024-02-08")).toBe(0);
+  });
+
+  test("getDatesBetween 可以只返回工作日", () => {
+    expect(
+      getDatesBetween("2024-10-01", "2024-10-14", { workdaysOnly: true }).map(
+        (date) => format(date, "MM-DD")
+      )
+    ).toEqual(["10-08", "10-09", "10-10", "10-11", "10-12", "10-14"]);
+    expect(getDatesBetween("2024-10-01", "2024-10-03")).toHaveLength(3);
+  });
+});
+
+describe("loadHolidays", () => {
+  test("加载新的年份，支持日期数组", () => {
+    loadHolidays({
+      2027: {
+        holidays: { 元旦: "01-01", 春节: ["02-05", "02-06"] },
+        workdays: ["02-14"],
+      },
+    });
+    expect(isHoliday("2027-01-01")).toBe(true);
+    expect(getHolidayName("2027-02-06")).toBe("春节");
+    expect(isWorkday("2027-02-14")).toBe(true);
+    expect(getHolidayName("2024-10-01")).toBe("国庆节");
+    expect(getHolidayYears()).toEqual([2024, 2025, 2026, 2027]);
+  });
+
+  test("已存在的年份被整体覆盖", () => {
+    loadHolidays({ 2024: { holidays: { 测试: "03-01" }, workdays: [] } });
+    expect(getHolidayName("2024-03-01")).toBe("测试");
+    expect(isHoliday("2024-10-01")).toBe(false);
+    expect(isWorkday("2024-02-04")).toBe(false);
+    expect(isHoliday("2025-01-01")).toBe(true);
+  });
+
+  test("replace 清空全部安排", () => {
+    loadHolidays({}, { replace: true });
+    expect(isHoliday("2025-01-01")).toBe(false);
+    expect(isHoliday("2027-01-01")).toBe(false);
+    expect(getHolidayYears()).toEqual([]);
+  });
+});
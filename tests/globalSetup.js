@@ -0,0 +1,6 @@
+/**
+ * 测试统一使用东八区，日期相关的断言与时区无关
+ */
+export default function globalSetup() {
+  process.env.TZ = "Asia/Shanghai";
+}
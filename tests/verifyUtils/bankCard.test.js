@@ -0,0 +1,80 @@
+import { verify, loadCardBins } from "../../src/index.js";
+
+const { string } = verify;
+
+describe("isBankCard", () => {
+  test("Luhn 校验，忽略空格和连字符", () => {
+    expect(string.isBankCard("6225 8812 3456 7898")).toBe(true);
+    expect(string.isBankCard("6225-8812-3456-7898")).toBe(true);
+    expect(string.isBankCard("6225881234567899")).toBe(false);
+    expect(string.isBankCard("6225 88a2 3456 7898")).toBe(false);
+    expect(string.isBankCard(null)).toBe(false);
+  });
+
+  test("按卡组织检查长度", () => {
+    expect(string.isBankCard("378282246310005")).toBe(true);
+    expect(string.isBankCard("4111111111111111")).toBe(true);
+    // Luhn 校验通过，但 Mastercard 只有 16 位
+    expect(string.isBankCard("5105105105105100003")).toBe(false);
+    expect(string.isBankCard("5105105105105100")).toBe(true);
+    // 无法识别卡组织时应为 16 到 19 位
+    expect(string.isBankCard("0000000000000")).toBe(false);
+  });
+});
+
+describe("getCardInfo", () => {
+  test("识别卡组织和发卡行", () => {
+    expect(string.getCardInfo("6225 8812 3456 7898")).toEqual({
+      scheme: "unionpay",
+      schemeName: "银联",
+      bankCode: "CMB",
+      bank: "招商银行",
+      type: "debit",
+      bin: "622588",
+      lengths: [16, 17, 18, 19],
+      isValid: true,
+    });
+  });
+
+  test("输入到一半时即可识别", () => {
+    expect(string.getCardInfo("622588")).toMatchObject({
+      bank: "招商银行",
+      bin: "622588",
+      isValid: false,
+    });
+    expect(string.getCardInfo("37")).toMatchObject({
+      scheme: "amex",
+      bank: "",
+      bin: "",
+      lengths: [15],
+    });
+    expect(string.getCardInfo("")).toBeNull();
+  });
+});
+
+describe("loadCardBins", () => {
+  test("补充 BIN 表，相同的 BIN 会被覆盖", () => {
+    loadCardBins({
+      DEMO: { name: "示例银行", debit: ["621234"], credit: ["622588"] },
+    });
+    expect(string.getCardInfo("6212340000")).toMatchObject({
+      bankCode: "DEMO",
+      type: "debit",
+    });
+    expect(string.getCardInfo("622588")).toMatchObject({
+      bankCode: "DEMO",
+      bank: "示例银行",
+      type: "credit",
+    });
+    expect(string.loadCardBins).toBeUndefined();
+  });
+
+  test("replace 为 true 时清空已加载的 BIN", () => {
+    verify.loadCardBins(
+      { DEMO: { name: "示例银行", debit: ["9999"] } },
+      { replace: true }
+    );
+    expect(string.getCardInfo("622588").bank).toBe("");
+    expect(string.getCardInfo("99990000").bank).toBe("示例银行");
+  });
+});
@@ -0,0 +1,74 @@
+import { verify } from "../../src/index.js";
+
+const { string } = verify;
+
+describe("统一社会信用代码", () => {
+  test("校验码", () => {
+    expect(string.isCreditCode("91350100M000100Y43")).toBe(true);
+    expect(string.isCreditCode("91350100m000100y43")).toBe(true);
+    expect(string.isCreditCode("91350100M000100Y44")).toBe(false);
+    // 不能包含 I、O、S、V、Z
+    expect(string.isCreditCode("91350100M000100I43")).toBe(false);
+    expect(string.isCreditCode("9135010")).toBe(false);
+  });
+
+  test("解析登记管理部门、机构类别和行政区划", () => {
+    expect(string.parseCreditCode("91350100M000100Y43")).toEqual({
+      code: "91350100M000100Y43",
+      authorityCode: "9",
+      authority: "工商",
+      typeCode: "1",
+      type: "企业",
+      regionCode: "350100",
+      province: "福建省",
+      city: "福州市",
+      organizationCode: "M000100Y4",
+    });
+    expect(string.parseCreditCode("91350100M000100Y44")).toBeNull();
+  });
+});
+
+describe("组织机构代码", () => {
+  test("校验码为 X，连字符可选", () => {
+    expect(string.isOrganizationCode("D2143569-X")).toBe(true);
+    expect(string.isOrganizationCode("D2143569X")).toBe(true);
+    expect(string.isOrganizationCode("d2143569-x")).toBe(true);
+    expect(string.isOrganizationCode("D2143569-1")).toBe(false);
+    expect(string.isOrganizationCode("D214-3569X")).toBe(false);
+  });
+
+  test("统一社会信用代码中的组织机构代码同样有效", () => {
+    expect(string.isOrganizationCode("M000100Y4")).toBe(true);
+  });
+});
+
+describe("纳税人识别号", () => {
+  test("15 位旧税号", () => {
+    expect(string.parseTaxpayerId("310000717854505")).toEqual({
+      taxpayerId: "310000717854505",
+      format: "organization",
+      regionCode: "310000",
+      province: "上海市",
+      city: "上海市",
+      organizationCode: "717854505",
+    });
+    expect(string.isTaxpayerId("310000717854506")).toBe(false);
+  });
+
+  test("统一社会信用代码", () => {
+    const info = string.parseTaxpayerId("91350100M000100Y43");
+    expect(info.format).toBe("creditCode");
+    expect(info.organizationCode).toBe("M000100Y4");
+    expect(info.creditCode.type).toBe("企业");
+  });
+
+  test("个人身份证号和 20 位旧税号", () => {
+    expect(string.parseTaxpayerId("11010519491231002X")).toMatchObject({
+      format: "individual",
+      province: "北京市",
+    });
+    expect(string.isTaxpayerId("11010519491231002X01")).toBe(true);
+    expect(string.isTaxpayerId("11010519491231002XAB")).toBe(false);
+    expect(string.isTaxpayerId(null)).toBe(false);
+  });
+});
@@ -0,0 +1,59 @@
+import { verify } from "../../src/index.js";
+
+const { string } = verify;
+
+describe("isIdCard", () => {
+  test("校验 18 位号码的校验码", () => {
+    expect(string.isIdCard("11010519491231002X")).toBe(true);
+    expect(string.isIdCard("11010519491231002x")).toBe(true);
+    expect(string.isIdCard("110105194912310021")).toBe(false);
+    expect(string.isIdCard("11010519491231002")).toBe(false);
+  });
+
+  test("校验省级行政区划代码和出生日期", () => {
+    // 校验码正确，但 99 不是省级行政区划代码
+    expect(string.isIdCard("990105194912310026")).toBe(false);
+    // 校验码正确，但 1949-02-30 不存在
+    expect(string.isIdCard("110105194902300027")).toBe(false);
+  });
+
+  test("15 位号码", () => {
+    expect(string.isIdCard("110105491231002")).toBe(true);
+    expect(string.isIdCard("110105491331002")).toBe(false);
+    expect(string.isIdCard(11010519491231002)).toBe(false);
+  });
+});
+
+describe("upgradeIdCard", () => {
+  test("15 位升级为 18 位，18 位统一为大写", () => {
+    expect(string.upgradeIdCard("110105491231002")).toBe("11010519491231002X");
+    expect(string.upgradeIdCard("11010519491231002x")).toBe(
+      "11010519491231002X"
+    );
+    expect(string.upgradeIdCard("110105194912310021")).toBe("");
+  });
+});
+
+describe("parseIdCard", () => {
+  test("解析行政区划、出生日期、年龄和性别", () => {
+    const info = string.parseIdCard("11010519491231002X", new Date(2024, 0, 1));
+    expect(info).toEqual({
+      idCard: "11010519491231002X",
+      regionCode: "110105",
+      province: "北京市",
+      city: "北京市",
+      birthday: new Date(1949, 11, 31),
+      age: 74,
+      gender: "female",
+    });
+    const baseDate = new Date(2024, 11, 31);
+    expect(string.parseIdCard("11010519491231002X", baseDate).age).toBe(75);
+  });
+
+  test("出生日期晚于基准日期时无效", () => {
+    expect(
+      string.parseIdCard("11010519491231002X", new Date(1949, 0, 1))
+    ).toBeNull();
+    expect(string.parseIdCard("invalid")).toBeNull();
+  });
+});
@@ -0,0 +1,103 @@
+import { verify } from "../../src/index.js";
+
+const { string, number } = verify.schema;
+
+afterEach(() => verify.setMessageLocale("zh-CN"));
+
+describe("getMessage", () => {
+  test("填充占位符，field 默认为该字段", () => {
+    expect(verify.getMessage("minLength", { field: "用户名", min: 6 })).toBe(
+      "用户名至少 6 个字符"
+    );
+    expect(verify.getMessage("required")).toBe("该字段不能为空");
+    expect(verify.getMessage("unknownKey")).toBe("unknownKey");
+  });
+
+  test("指定语言和本次调用覆盖的消息", () => {
+    expect(verify.getMessage("required", {}, { locale: "en-US" })).toBe(
+      "This field is required"
+    );
+    // 只给出语言部分时匹配同语言的消息表
+    const params = { field: "Email" };
+    expect(verify.getMessage("email", params, { locale: "en" })).toBe(
+      "Email is not a valid email address"
+    );
+    expect(
+      verify.getMessage("required", {}, { messages: { required: "必填" } })
+    ).toBe("必填");
+  });
+
+  test("消息模板可以是函数", () => {
+    const options = { locale: "en-US" };
+    expect(verify.getMessage("crackTimeSeconds", { count: 1 }, options)).toBe(
+      "1 second"
+    );
+    expect(verify.getMessage("crackTimeSeconds", { count: 5 }, options)).toBe(
+      "5 seconds"
+    );
+  });
+});
+
+describe("registerMessages / setMessageLocale", () => {
+  test("添加新语言，缺少的消息使用 zh-CN", () => {
+    verify.registerMessages("ja-JP", { required: "{field}は必須です" });
+    const options = { locale: "ja-JP" };
+    expect(verify.getMessage("required", { field: "名前" }, options)).toBe(
+      "名前は必須です"
+    );
+    expect(verify.getMessage("email", { field: "メール" }, options)).toBe(
+      "メール不是有效的邮箱"
+    );
+  });
+
+  test("切换全局默认语言，未注册的语言不生效", () => {
+    expect(verify.setMessageLocale("en-US")).toBe("en-US");
+    expect(verify.getMessage("required")).toBe("This field is required");
+    expect(verify.setMessageLocale("xx-XX")).toBe("en-US");
+  });
+});
+
+describe("使用消息的验证函数", () => {
+  const userSchema = verify.schema({
+    name: string().required(),
+    age: number().min(18).label("年龄"),
+  });
+
+  test("schema 的 locale 和 messages 选项", () => {
+    const english = userSchema.validate({ age: 16 }, { locale: "en-US" });
+    expect(english.errorMap).toEqual({
+      name: "name is required",
+      age: "年龄 must be at least 18",
+    });
+    const { errorMap } = userSchema.validate(
+      { age: 16 },
+      { messages: { required: "请填写{field}" } }
+    );
+    expect(errorMap.name).toBe("请填写name");
+  });
+
+  test("规则上指定的消息优先", () => {
+    const field = verify.schema({ name: string().required("姓名必填") });
+    const { errorMap } = field.validate(
+      {},
+      { locale: "en-US", messages: { required: "请填写{field}" } }
+    );
+    expect(errorMap.name).toBe("姓名必填");
+  });
+
+  test("validatePassword 和 getPasswordStrength", () => {
+    const options = { locale: "en-US" };
+    const { requirements } = verify.string.validatePassword("abc", options);
+    expect(requirements).toEqual([
+      "must be at least 8 characters long",
+      "must contain a number",
+      "must contain an uppercase letter",
+      "must contain a special character",
+    ]);
+    const strength = verify.string.getPasswordStrength("123456", options);
+    expect(strength).toMatchObject({
+      message: "Weak",
+      feedback: { warning: "This is a top-10 common password" },
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import { verify } from "../../src/index.js";
+
+const { string } = verify;
+
+describe("IP 地址", () => {
+  test("IPv4 不允许前导零和超出范围的字节", () => {
+    expect(string.isIpv4("192.168.1.1")).toBe(true);
+    expect(string.isIpv4("192.168.01.1")).toBe(false);
+    expect(string.isIpv4("256.1.1.1")).toBe(false);
+    expect(string.isIpv4("1.2.3")).toBe(false);
+  });
+
+  test("IPv6 支持 :: 压缩、内嵌 IPv4 和区域标识", () => {
+    ["::", "::1", "2001:db8::8a2e:370:7334", "::ffff:192.168.1.1"].forEach(
+      (ip) => expect(string.isIpv6(ip)).toBe(true)
+    );
+    expect(string.isIpv6("fe80::1%eth0")).toBe(true);
+    expect(string.isIpv6("fe80::1%eth0", { allowZone: false })).toBe(false);
+    expect(string.isIpv6("1::2::3")).toBe(false);
+    expect(string.isIpv6("1:2:3:4:5:6:7:8:9")).toBe(false);
+    expect(string.isIpv6("12345::")).toBe(false);
+    expect(string.isIpv6("::ffff:256.1.1.1")).toBe(false);
+  });
+
+  test("isIp 可以指定版本", () => {
+    expect(string.isIp("10.0.0.1")).toBe(true);
+    expect(string.isIp("10.0.0.1", 6)).toBe(false);
+    expect(string.isIp("::1", 6)).toBe(true);
+    expect(string.isIp(null)).toBe(false);
+  });
+});
+
+describe("CIDR", () => {
+  test("isCidr", () => {
+    expect(string.isCidr("192.168.0.0/16")).toBe(true);
+    expect(string.isCidr("2001:db8::/32")).toBe(true);
+    expect(string.isCidr("192.168.0.0/33")).toBe(false);
+    expect(string.isCidr("192.168.0.0/016")).toBe(false);
+    expect(string.isCidr("2001:db8::/32", { version: 4 })).toBe(false);
+    // strict 时主机位必须为 0
+    expect(string.isCidr("192.168.1.1/16", { strict: true })).toBe(false);
+    expect(string.isCidr("192.168.0.0/16", { strict: true })).toBe(true);
+  });
+
+  test("ipInCidr 支持多个网段，IPv4 映射地址按 IPv4 匹配", () => {
+    const ranges = ["10.0.0.0/8", "2001:db8::/32"];
+    expect(string.ipInCidr("10.1.2.3", ranges)).toBe(true);
+    expect(string.ipInCidr("2001:db8::1", ranges)).toBe(true);
+    expect(string.ipInCidr("11.0.0.1", ranges)).toBe(false);
+    expect(string.ipInCidr("::ffff:10.0.0.1", "10.0.0.0/8")).toBe(true);
+    expect(string.ipInCidr("172.31.255.255", "172.16.0.0/12")).toBe(true);
+    expect(string.ipInCidr("172.32.0.0", "172.16.0.0/12")).toBe(false);
+  });
+});
+
+describe("IP 地址类型", () => {
+  test("getIpRange", () => {
+    expect(string.getIpRange("100.64.1.1")).toBe("carrierGradeNat");
+    expect(string.getIpRange("127.0.0.1")).toBe("loopback");
+    expect(string.getIpRange("255.255.255.255")).toBe("broadcast");
+    expect(string.getIpRange("fe80::1")).toBe("linkLocal");
+    expect(string.getIpRange("8.8.8.8")).toBe("public");
+    expect(string.getIpRange("invalid")).toBe("");
+  });
+
+  test("isPrivateIp / isReservedIp", () => {
+    expect(string.isPrivateIp("192.168.1.1")).toBe(true);
+    expect(string.isPrivateIp("fd00::1")).toBe(true);
+    expect(string.isPrivateIp("127.0.0.1")).toBe(false);
+    expect(string.isReservedIp("127.0.0.1")).toBe(true);
+    expect(string.isReservedIp("8.8.8.8")).toBe(false);
+    expect(string.isReservedIp("invalid")).toBe(false);
+  });
+});
+
+describe("MAC 地址、域名和主机名", () => {
+  test("isMac", () => {
+    expect(string.isMac("00:1A:2B:3C:4D:5E")).toBe(true);
+    expect(string.isMac("00-1a-2b-3c-4d-5e")).toBe(true);
+    expect(string.isMac("001a.2b3c.4d5e")).toBe(true);
+    expect(string.isMac("00:1A-2B:3C:4D:5E")).toBe(false);
+    expect(string.isMac("001A2B3C4D5E")).toBe(false);
+    expect(string.isMac("001A2B3C4D5E", { noSeparator: true })).toBe(true);
+  });
+
+  test("isDomain 支持国际化域名，需要顶级域名", () => {
+    expect(string.isDomain("example.com")).toBe(true);
+    expect(string.isDomain("例子.中国")).toBe(true);
+    expect(string.isDomain("例子.中国", { allowIdn: false })).toBe(false);
+    expect(string.isDomain("localhost")).toBe(false);
+    expect(string.isDomain("-bad.com")).toBe(false);
+    expect(string.isDomain("*.example.com")).toBe(false);
+    expect(string.isDomain("*.example.com", { allowWildcard: true })).toBe(
+      true
+    );
+  });
+
+  test("isHostname 不需要顶级域名", () => {
+    expect(string.isHostname("db01")).toBe(true);
+    expect(string.isHostname("localhost")).toBe(true);
+    expect(string.isHostname("1.2.3.4")).toBe(false);
+    expect(string.isHostname("a_b")).toBe(false);
+  });
+});
+
+describe("isUrl", () => {
+  test("不传选项时与原来一致", () => {
+    expect(string.isUrl("https://example.com/path")).toBe(true);
+    expect(string.isUrl("not a url")).toBe(false);
+  });
+
+  test("协议和主机白名单", () => {
+    const options = { protocols: ["https"], hosts: ["*.example.com"] };
+    expect(string.isUrl("https://api.example.com", options)).toBe(true);
+    expect(string.isUrl("http://api.example.com", options)).toBe(false);
+    // *. 只匹配子域名
+    expect(string.isUrl("https://example.com", options)).toBe(false);
+    expect(string.isUrl("https://evil-example.com", options)).toBe(false);
+    expect(
+      string.isUrl("https://例子.中国/", { hosts: ["例子.中国"] })
+    ).toBe(true);
+  });
+
+  test("allowIp 和 allowPrivate", () => {
+    expect(string.isUrl("http://8.8.8.8", { allowIp: false })).toBe(false);
+    const options = { allowPrivate: false };
+    expect(string.isUrl("http://192.168.1.1/admin", options)).toBe(false);
+    expect(string.isUrl("http://[::1]:8080", options)).toBe(false);
+    expect(string.isUrl("http://localhost:3000", options)).toBe(false);
+    expect(string.isUrl("http://8.8.8.8", options)).toBe(true);
+  });
+});
@@ -0,0 +1,78 @@
+import { verify } from "../../src/index.js";
+
+const { string } = verify;
+const strength = (password, options) =>
+  string.getPasswordStrength(password, options);
+
+describe("getPasswordStrength", () => {
+  test("常见模式的密码评分较低", () => {
+    ["123456", "qwertyuiop", "aaaaaaa", "p@ssw0rd", "abc"].forEach(
+      (password) => {
+        expect(strength(password).score).toBe(0);
+      }
+    );
+    expect(strength("Password1!")).toMatchObject({
+      score: 1,
+      level: "weak",
+      message: "弱密码",
+    });
+  });
+
+  test("不常见的单词组合评分较高", () => {
+    expect(strength("correct horse battery staple")).toMatchObject({
+      score: 4,
+      level: "very-strong",
+      feedback: { warning: "", suggestions: [] },
+    });
+  });
+
+  test("level 和 message 由 score 决定", () => {
+    const levels = ["weak", "weak", "medium", "strong", "very-strong"];
+    ["123456", "Password1!", "correcthorsebatterystaple"].forEach(
+      (password) => {
+        const { score, level } = strength(password);
+        expect(level).toBe(levels[score]);
+      }
+    );
+    expect(strength("correcthorsebatterystaple").score).toBe(4);
+  });
+
+  test("给出警告和改进建议", () => {
+    expect(strength("Password1!").feedback).toEqual({
+      warning: "与常用密码相似",
+      suggestions: ["再加一两个不常见的单词", "首字母大写并不能增加多少难度"],
+    });
+    expect(strength("aaaaaaa").feedback.warning).toBe(
+      "aaa 这样的重复字符很容易被猜到"
+    );
+  });
+
+  test("userInputs 中的词更容易被猜到", () => {
+    const result = strength("zhangsan1990", { userInputs: ["zhangsan"] });
+    expect(result.feedback.warning).toBe("密码中包含了个人信息");
+    expect(result.guesses).toBeLessThan(strength("zhangsan1990").guesses);
+  });
+
+  test("猜测次数和破解时间", () => {
+    const result = strength("Password1!");
+    expect(result.guessesLog10).toBeCloseTo(Math.log10(result.guesses));
+    expect(result.crackTimesSeconds.offlineSlow).toBeCloseTo(
+      result.guesses / 1e4
+    );
+    expect(result.crackTimesDisplay.offlineSlow).toBe("1 秒");
+    expect(Object.keys(result.crackTimesDisplay)).toEqual([
+      "onlineThrottled",
+      "onlineUnthrottled",
+      "offlineSlow",
+      "offlineFast",
+    ]);
+  });
+
+  test("不是字符串时无效", () => {
+    expect(strength(null)).toEqual({
+      score: 0,
+      level: "invalid",
+      message: "无效的密码",
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import { verify } from "../../src/index.js";
+
+const { string } = verify;
+
+describe("isPhone / isLandline", () => {
+  test("中国大陆手机号，可带 +86", () => {
+    expect(string.isPhone("13812345678")).toBe(true);
+    expect(string.isPhone("+86 138-1234-5678")).toBe(true);
+    expect(string.isPhone("0086 13812345678")).toBe(true);
+    expect(string.isPhone("12812345678")).toBe(false);
+    expect(string.isPhone("010-12345678")).toBe(false);
+  });
+
+  test("固话，区号必须带 0，可带分机号", () => {
+    expect(string.isLandline("010-12345678")).toBe(true);
+    expect(string.isLandline("01012345678")).toBe(true);
+    expect(string.isLandline("0755-1234567-8001")).toBe(true);
+    expect(string.isLandline("(021) 87654321")).toBe(true);
+    expect(string.isLandline("755-1234567")).toBe(false);
+    expect(string.isLandline("010-123456")).toBe(false);
+    expect(string.isLandline("13812345678")).toBe(false);
+  });
+});
+
+describe("parsePhone", () => {
+  test("手机号的运营商", () => {
+    expect(string.parsePhone("+86 138-1234-5678")).toEqual({
+      country: "CN",
+      callingCode: "86",
+      e164: "+8613812345678",
+      type: "mobile",
+      nationalNumber: "13812345678",
+      carrier: "中国移动",
+      carrierCode: "CMCC",
+      isVirtual: false,
+    });
+    expect(string.parsePhone("17041234567")).toMatchObject({
+      carrierCode: "CUCC",
+      isVirtual: true,
+    });
+    expect(string.parsePhone("13491234567").carrierCode).toBe("CTCC");
+    expect(string.parsePhone("19212345678").carrier).toBe("中国广电");
+  });
+
+  test("固话和 400 号码", () => {
+    expect(string.parsePhone("010-12345678-123")).toEqual({
+      country: "CN",
+      callingCode: "86",
+      e164: "+861012345678",
+      type: "landline",
+      nationalNumber: "1012345678",
+      areaCode: "010",
+      extension: "123",
+    });
+    expect(string.parsePhone("+86 755 1234567").areaCode).toBe("0755");
+    expect(string.parsePhone("400-123-4567")).toMatchObject({
+      type: "service",
+      e164: "+864001234567",
+    });
+  });
+
+  test("国际号码和 defaultCountry", () => {
+    expect(string.parsePhone("+852 9123 4567")).toMatchObject({
+      country: "HK",
+      e164: "+85291234567",
+      type: "mobile",
+    });
+    expect(string.parsePhone("9123 4567", { defaultCountry: "HK" }).e164).toBe(
+      "+85291234567"
+    );
+    const taiwan = string.parsePhone("0912 345 678", { defaultCountry: "TW" });
+    expect(taiwan).toMatchObject({ e164: "+886912345678", type: "mobile" });
+    expect(string.parsePhone("+1 (212) 555-0123").country).toBe("US");
+    expect(string.parsePhone("+999 12345678")).toBeNull();
+    expect(string.parsePhone(null)).toBeNull();
+  });
+});
+
+describe("isPhoneNumber", () => {
+  test("按国家和号码类型限制", () => {
+    expect(string.isPhoneNumber("+852 9123 4567")).toBe(true);
+    expect(string.isPhoneNumber("+852 9123 4567", { countries: ["CN"] })).toBe(
+      false
+    );
+    expect(
+      string.isPhoneNumber("400-123-4567", { types: ["mobile", "landline"] })
+    ).toBe(false);
+    expect(
+      string.isPhoneNumber("010-12345678", { types: ["mobile", "landline"] })
+    ).toBe(true);
+  });
+});
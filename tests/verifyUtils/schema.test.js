@@ -0,0 +1,115 @@
+import { schema } from "../../src/index.js";
+
+const { string, number, date, array, object } = schema;
+
+describe("schema", () => {
+  test("校验通过", () => {
+    const userSchema = schema({
+      name: string().required(),
+      age: number().integer().min(0),
+    });
+    expect(userSchema.validate({ name: "张三", age: 18 })).toEqual({
+      valid: true,
+      errors: [],
+      errorMap: {},
+    });
+    expect(userSchema.isValid({ name: "张三" })).toBe(true);
+  });
+
+  test("嵌套对象和数组的错误路径", () => {
+    const orderSchema = schema({
+      name: string().required().length(2, 20).label("姓名"),
+      phone: string().phone(),
+      items: array().of(object({ price: number().required().positive() })),
+    });
+    const result = orderSchema.validate({
+      name: "张三",
+      phone: "123",
+      items: [{ price: 1 }, { price: -1 }, {}],
+    });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      { path: "phone", rule: "phone", message: "phone不是有效的手机号" },
+      {
+        path: "items[1].price",
+        rule: "positive",
+        message: "items[1].price必须是正数",
+      },
+      {
+        path: "items[2].price",
+        rule: "required",
+        message: "items[2].price不能为空",
+      },
+    ]);
+  });
+
+  test("label 和自定义消息", () => {
+    const userSchema = schema({
+      name: string().required("请填写姓名"),
+      nickname: string().min(2).label("昵称"),
+      age: number().range(1, 120, "年龄不合法"),
+    });
+    const { errors } = userSchema.validate({ nickname: "a", age: 200 });
+    expect(errors.map((error) => error.message)).toEqual([
+      "请填写姓名",
+      "昵称至少 2 个字符",
+      "年龄不合法",
+    ]);
+  });
+
+  test("每个字段只报告第一条不通过的规则", () => {
+    const field = schema({ code: string().min(4).pattern(/^\d+$/) });
+    expect(field.validate({ code: "ab" }).errors).toEqual([
+      { path: "code", rule: "minLength", message: "code至少 4 个字符" },
+    ]);
+  });
+
+  test("类型不匹配", () => {
+    const field = schema({ count: number(), tags: array(), at: date() });
+    const { errors } = field.validate({ count: "1", tags: "a", at: "x" });
+    expect(errors.map((error) => error.rule)).toEqual([
+      "number",
+      "array",
+      "date",
+    ]);
+  });
+
+  test("非必填字段为空时跳过校验，optional 取消必填", () => {
+    const field = schema({
+      email: string().email(),
+      name: string().required().optional(),
+    });
+    expect(field.validate({ email: "  " }).valid).toBe(true);
+    expect(field.validate({ email: "a@" }).errors[0].rule).toBe("email");
+  });
+
+  test("oneOf 和自定义规则", () => {
+    const field = schema({
+      status: string().oneOf(["draft", "published"]),
+      even: number().rule((value) => value % 2 === 0, "{field}必须是偶数"),
+    });
+    expect(field.validate({ status: "deleted", even: 3 }).errors).toEqual([
+      {
+        path: "status",
+        rule: "oneOf",
+        message: "status必须是 draft、published 之一",
+      },
+      { path: "even", rule: "custom", message: "even必须是偶数" },
+    ]);
+  });
+
+  test("链式方法返回新节点，不修改原节点", () => {
+    const base = string();
+    const required = base.required();
+    expect(base.isValid(undefined)).toBe(true);
+    expect(required.isValid(undefined)).toBe(false);
+  });
+
+  test("数组元素个数", () => {
+    const tags = array(string()).min(1).max(2);
+    expect(tags.isValid(["a"])).toBe(true);
+    expect(tags.validate(["a", "b", "c"]).errors).toEqual([
+      { path: "", rule: "maxItems", message: "该字段最多包含 2 项" },
+    ]);
+  });
+});
@@ -0,0 +1,148 @@
+import { schema } from "../../src/index.js";
+
+const { string, date, array, object } = schema;
+
+const resolveLater = (value, ms = 10) =>
+  new Promise((resolve) => setTimeout(() => resolve(value), ms));
+
+describe("跨字段和条件规则", () => {
+  test("equalTo 比较同级字段", () => {
+    const signup = schema({
+      password: string().required(),
+      confirmPassword: string().equalTo("password", "两次输入的密码不一致"),
+    });
+    expect(signup.isValid({ password: "a1", confirmPassword: "a1" })).toBe(
+      true
+    );
+    expect(
+      signup.validate({ password: "a1", confirmPassword: "a2" }).errorMap
+    ).toEqual({ confirmPassword: "两次输入的密码不一致" });
+  });
+
+  test("after / before 比较同级字段或固定日期", () => {
+    const trip = schema({
+      startDate: date(),
+      endDate: date().after("startDate"),
+      bookedAt: date().before(new Date(2024, 0, 1)),
+    });
+    const { errors } = trip.validate({
+      startDate: new Date(2024, 2, 10),
+      endDate: new Date(2024, 2, 1),
+      bookedAt: new Date(2024, 5, 1),
+    });
+    expect(errors.map((error) => error.message)).toEqual([
+      "endDate必须晚于 startDate",
+      "bookedAt必须早于 2024-01-01 00:00:00",
+    ]);
+    expect(trip.isValid({ endDate: new Date(2024, 2, 1) })).toBe(true);
+  });
+
+  test("when 根据同级字段修改规则", () => {
+    const customer = schema({
+      type: string().oneOf(["person", "company"]),
+      company: string().when("type", "company", (field) => field.required()),
+      taxId: string().when(
+        "type",
+        (type) => type === "company",
+        string().required()
+      ),
+    });
+    expect(customer.isValid({ type: "person" })).toBe(true);
+    expect(customer.validate({ type: "company" }).errors).toEqual([
+      { path: "company", rule: "required", message: "company不能为空" },
+      { path: "taxId", rule: "required", message: "taxId不能为空" },
+    ]);
+  });
+
+  test("数组元素中的规则以元素对象为同级", () => {
+    const list = array(
+      object({ min: date(), max: date().after("min") })
+    );
+    const { errorMap } = list.validate([
+      { min: new Date(2024, 0, 2), max: new Date(2024, 0, 1) },
+    ]);
+    expect(errorMap).toEqual({ "[0].max": "[0].max必须晚于 min" });
+  });
+
+  test("errorMap 只保留每个路径的第一条错误", () => {
+    const result = schema({ name: string().required() }).validate({});
+    expect(result.errorMap).toEqual({ name: "name不能为空" });
+  });
+});
+
+describe("validateAsync", () => {
+  test("同步规则通过后执行异步规则", async () => {
+    const check = jest.fn((value) => resolveLater(value !== "admin"));
+    const signup = schema({
+      username: string().required().min(3).asyncRule(check, "用户名已被占用"),
+    });
+    expect(signup.validate({ username: "admin" }).valid).toBe(true);
+    expect(check).not.toHaveBeenCalled();
+
+    await expect(signup.validateAsync({ username: "admin" })).resolves.toEqual(
+      {
+        valid: false,
+        errors: [{ path: "username", rule: "custom", message: "用户名已被占用" }],
+        errorMap: { username: "用户名已被占用" },
+      }
+    );
+    const result = await signup.validateAsync({ username: "ab" });
+    expect(result.errors[0].rule).toBe("minLength");
+    expect(check).toHaveBeenCalledTimes(1);
+  });
+
+  test("规则抛出异常或 Promise 被拒绝时视为不通过", async () => {
+    const field = schema({
+      a: string().asyncRule(() => Promise.reject(new Error("network"))),
+      b: string().asyncRule(() => {
+        throw new Error("boom");
+      }),
+    });
+    const { errorMap } = await field.validateAsync({ a: "x", b: "y" });
+    expect(errorMap).toEqual({ a: "a格式不正确", b: "b格式不正确" });
+  });
+
+  test("新的校验开始时取消旧的校验并中止 signal", async () => {
+    const signals = [];
+    const field = schema({
+      username: string().asyncRule((value, { signal }) => {
+        signals.push(signal);
+        return resolveLater(false);
+      }),
+    });
+    const first = field.validateAsync({ username: "a" });
+    await resolveLater(null, 0);
+    const second = field.validateAsync({ username: "b" });
+    await expect(first).resolves.toEqual({
+      valid: false,
+      cancelled: true,
+      errors: [],
+      errorMap: {},
+    });
+    const result = await second;
+    expect(result.cancelled).toBeUndefined();
+    expect(result.errorMap).toEqual({ username: "username格式不正确" });
+    expect(signals[0].aborted).toBe(true);
+    expect(signals[1].aborted).toBe(false);
+  });
+
+  test("debounce 期间开始了新的校验则不再执行", async () => {
+    jest.useFakeTimers();
+    try {
+      const check = jest.fn(() => true);
+      const field = schema({
+        username: string().asyncRule(check, "", { debounce: 300 }),
+      });
+      const first = field.validateAsync({ username: "a" });
+      await jest.advanceTimersByTimeAsync(100);
+      const second = field.validateAsync({ username: "ab" });
+      await jest.advanceTimersByTimeAsync(300);
+      expect((await first).cancelled).toBe(true);
+      expect((await second).valid).toBe(true);
+      expect(check).toHaveBeenCalledTimes(1);
+      expect(check).toHaveBeenCalledWith("ab", expect.any(Object));
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});